@@ -0,0 +1,163 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// dataServer.js
+// Reference backend for the map's REST data provider (src/utils/dataProvider.js).
+// Serves the same GeoJSON files the app bundles, read from disk, so the data
+// can be corrected without rebuilding the app; also receives field
+// verification batches. Plain Node, no dependencies.
+//
+// Usage:  npm run serve:data                      (http://localhost:4000)
+//         REACT_APP_DATA_API=http://localhost:4000 npm start
+//
+// Environment:
+//   PORT              port to listen on (4000)
+//   DATA_DIR          directory holding the dataset files (src/data, and public/data for LGAs)
+//   CORS_ORIGIN       allowed browser origin (*)
+//   VERIFICATIONS_DIR where received verification batches are written (server/verifications)
+//
+// Routes:
+//   GET  /datasets                      [{ name, features, updated }]
+//   GET  /datasets/:name?offset&limit   FeatureCollection page + { total, next }, with ETag / 304
+//   POST /verifications                 JSON batch from the app → 201 { received }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const http   = require('http');
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const zlib   = require('zlib');
+
+const ROOT              = path.resolve(__dirname, '..');
+const PORT              = Number(process.env.PORT) || 4000;
+const CORS_ORIGIN       = process.env.CORS_ORIGIN || '*';
+const VERIFICATIONS_DIR = process.env.VERIFICATIONS_DIR || path.join(__dirname, 'verifications');
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT     = 5000;
+const MAX_BODY      = 50 * 1024 * 1024;   // verification batches carry photos
+
+/* ── Dataset name → file; the same files the app ships with ── */
+const dataFile = (dir, file) => path.join(process.env.DATA_DIR || path.join(ROOT, dir), file);
+const DATASETS = {
+  projects: dataFile('src/data',    'projects-final.geojson'),
+  states:   dataFile('src/data',    'nigeria-states-enriched.geojson'),
+  grid:     dataFile('src/data',    'nigeria-grid-lines.geojson'),
+  lgas:     dataFile('public/data', 'nigeria-lgas.geojson'),
+};
+
+/* ── Parsed files, re-read whenever they change on disk ── */
+const loaded = {};
+const readDataset = (name) => {
+  const file = DATASETS[name];
+  const stat = fs.statSync(file);
+  const cached = loaded[name];
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached;
+  const collection = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(collection.features)) throw new Error(`${path.basename(file)} is not a FeatureCollection`);
+  loaded[name] = { collection, mtimeMs: stat.mtimeMs, size: stat.size, updated: stat.mtime.toISOString() };
+  return loaded[name];
+};
+
+/* ── Responses ── */
+const corsHeaders = {
+  'Access-Control-Allow-Origin':   CORS_ORIGIN,
+  'Access-Control-Allow-Methods':  'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers':  'Content-Type, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+};
+
+const send = (req, res, status, body, extra = {}) => {
+  let data = Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+  const headers = { ...corsHeaders, 'Content-Type': 'application/json; charset=utf-8', ...extra };
+  if (data.length > 1024 && /\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+    data = zlib.gzipSync(data);
+    headers['Content-Encoding'] = 'gzip';
+    headers['Vary'] = 'Accept-Encoding';
+  }
+  res.writeHead(status, { ...headers, 'Content-Length': data.length });
+  res.end(data);
+};
+
+const fail = (req, res, status, message) => send(req, res, status, { error: message });
+
+/* ── GET /datasets/:name — one page of features, revalidated by ETag ── */
+const datasetPage = (req, res, name, query) => {
+  const { collection } = readDataset(name);
+  const total  = collection.features.length;
+  const offset = Math.max(0, parseInt(query.get('offset'), 10) || 0);
+  const limit  = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.get('limit'), 10) || DEFAULT_LIMIT));
+  const end    = Math.min(total, offset + limit);
+  // Relative to the API root, so the app finds it behind a proxy that serves the API under a path
+  const next   = end < total ? `datasets/${encodeURIComponent(name)}?offset=${end}&limit=${limit}` : null;
+
+  const body = JSON.stringify({ ...collection, features: collection.features.slice(offset, end), total, next });
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  const headers = { ETag: etag, 'Cache-Control': 'no-cache' };
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { ...corsHeaders, ...headers });
+    res.end();
+    return;
+  }
+  send(req, res, 200, body, headers);
+};
+
+/* ── POST /verifications — store the batch as received ── */
+const receiveVerifications = (req, res) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) { fail(req, res, 413, 'Batch too large'); req.destroy(); return; }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    let batch;
+    try {
+      batch = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+      fail(req, res, 400, 'Body is not JSON');
+      return;
+    }
+    if (!Array.isArray(batch.verifications)) { fail(req, res, 400, 'Missing verifications array'); return; }
+    fs.mkdirSync(VERIFICATIONS_DIR, { recursive: true });
+    const file = path.join(VERIFICATIONS_DIR, `batch-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2));
+    console.log(`Received ${batch.verifications.length} verification(s) → ${path.relative(ROOT, file)}`);
+    send(req, res, 201, { received: batch.verifications.length });
+  });
+};
+
+const server = http.createServer((req, res) => {
+  const url   = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { ...corsHeaders, 'Access-Control-Max-Age': '86400' });
+      res.end();
+    } else if (req.method === 'GET' && parts.length === 1 && parts[0] === 'datasets') {
+      send(req, res, 200, Object.keys(DATASETS).filter(name => fs.existsSync(DATASETS[name])).map(name => {
+        const { collection, updated } = readDataset(name);
+        return { name, features: collection.features.length, updated };
+      }));
+    } else if (req.method === 'GET' && parts.length === 2 && parts[0] === 'datasets') {
+      const name = decodeURIComponent(parts[1]);
+      if (!DATASETS[name] || !fs.existsSync(DATASETS[name])) fail(req, res, 404, `No dataset "${name}"`);
+      else datasetPage(req, res, name, url.searchParams);
+    } else if (req.method === 'POST' && url.pathname === '/verifications') {
+      receiveVerifications(req, res);
+    } else {
+      fail(req, res, 404, 'Not found');
+    }
+  } catch (e) {
+    console.error(e);
+    fail(req, res, 500, e.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`REA data server on http://localhost:${PORT}`);
+  Object.entries(DATASETS).forEach(([name, file]) =>
+    console.log(`  ${name.padEnd(9)}${fs.existsSync(file) ? path.relative(ROOT, file) : `(missing: ${file})`}`));
+  if (!fs.existsSync(DATASETS.lgas)) console.log('  LGA boundaries are optional: the drill-down stays at state level until the NGA ADM2 file is saved there (see README)');
+});
@@ -1,8 +1,21 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom has no WebGL; a map that accepts every call and never fires 'load' is enough to render the controls
+jest.mock('mapbox-gl', () => {
+  const stub = () => new Proxy(function () {}, {
+    get: (target, key) => (key === 'then' ? undefined : stub()),
+    set: () => true,
+    apply: () => stub(),
+    construct: () => stub(),
+  });
+  return { __esModule: true, default: stub() };
+});
+
+test('renders the map controls', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(await screen.findByTitle(/^tools/i));
+  expect(screen.getByText(/stalled-project watchlist/i)).toBeInTheDocument();
+  expect(screen.getByText(/field verifications/i)).toBeInTheDocument();
+  expect(screen.getByText(/offline maps/i)).toBeInTheDocument();
 });
@@ -0,0 +1,23 @@
+// Manual Jest mock of jspdf, picked up by every test under src/: real jsPDF documents
+// that record each string drawn and the page it is on, and are kept in `documents`
+// instead of being downloaded by save().
+const actual = jest.requireActual('jspdf');
+
+export const documents = [];
+
+export class jsPDF extends actual.jsPDF {
+  constructor(...args) {
+    super(...args);
+    const text = this.text;
+    this.drawn = [];
+    this.text  = (value, ...rest) => {
+      const page = this.getCurrentPageInfo().pageNumber;
+      [].concat(value).forEach(t => this.drawn.push({ page, text: String(t) }));
+      return text.call(this, value, ...rest);
+    };
+    this.save = jest.fn();
+    documents.push(this);
+  }
+}
+
+export default jsPDF;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { REA_GREEN, REA_DARK, glassStyle } from './theme';
+import { PieChart, StatCard } from './widgets';
+import { displayStateName } from '../utils/reportDrawing';
+import { ALL_TECHNOLOGIES } from '../utils/technologyTaxonomy';
+
+const COLUMN_W = 168;
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+/* ── Pinned states in aligned columns: the same rows in the same order for every state ── */
+const ComparePanel = ({ comparison, max, theme, onRemove, onClear, onExportPDF }) => {
+  const { states, years } = comparison;
+  // Shared scales, so a longer bar means more projects whichever column it is in
+  const yearMax = Math.max(1, ...states.flatMap(s => Object.values(s.byYear)));
+  // Technologies any pinned state has, so every column lists the same rows
+  const techs   = ALL_TECHNOLOGIES.filter(t => states.some(s => s.stats[t.key] > 0));
+  const rowLabel = { fontSize:9, fontWeight:700, color:theme.textMuted, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", margin:'12px 0 5px' };
+
+  const renderColumn = ({ name, stats: d, byYear }) => {
+    const statusBar = [
+      ['#00C48C', d.completed], ['#FFB800', d.ongoing], ['#FF4757', d.yet_to_mobilize], ['#2F3542', d.unknown_status],
+    ];
+    const techData = techs.map(t => ({ ...t, value: d[t.key] }));
+    return (
+      <div key={name} style={{ width:COLUMN_W, flexShrink:0 }}>
+        <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', gap:4, marginBottom:8 }}>
+          <div style={{ fontSize:14, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif", whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>
+            {displayStateName(name)}
+          </div>
+          <button onClick={() => onRemove(name)} title="Unpin" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:11 }}>✕</button>
+        </div>
+
+        <div style={{ display:'flex', gap:6 }}>
+          <StatCard label="Projects"  value={d.total}                color={REA_GREEN} theme={theme} />
+          <StatCard label="Completed" value={`${d.pct_completed}%`} color="#00C48C"  theme={theme} />
+        </div>
+
+        <div style={rowLabel}>Status</div>
+        <div style={{ display:'flex', height:8, borderRadius:8, overflow:'hidden', background:theme.divider }}>
+          {d.total > 0 && statusBar.map(([color, n]) => n > 0 && <div key={color} style={{ width:`${(n / d.total) * 100}%`, background:color }} />)}
+        </div>
+        <div style={{ display:'flex', justifyContent:'space-between', fontSize:10, color:theme.textMuted, marginTop:4 }}>
+          <span style={{ color:'#00C48C' }}>{d.completed}</span>
+          <span style={{ color:'#FFB800' }}>{d.ongoing}</span>
+          <span style={{ color:'#FF4757' }}>{d.yet_to_mobilize}</span>
+        </div>
+
+        <div style={rowLabel}>Technology Mix</div>
+        <div style={{ display:'flex', justifyContent:'center', height:72, marginBottom:4 }}>
+          <PieChart data={techData} size={72} />
+        </div>
+        {techData.map(t => (
+          <div key={t.key} style={{ display:'flex', justifyContent:'space-between', fontSize:10, color:theme.textPrimary, marginBottom:2 }}>
+            <span><span style={{ color:t.color }}>●</span> {t.short}</span>
+            <span style={{ color:theme.textMuted }}>{t.value}</span>
+          </div>
+        ))}
+
+        <div style={rowLabel}>Projects by Year</div>
+        {years.map(y => (
+          <div key={y} style={{ display:'flex', alignItems:'center', gap:6, fontSize:10, color:theme.textMuted, marginBottom:3 }}>
+            <span style={{ width:28 }}>{y}</span>
+            <div style={{ flex:1, height:6, borderRadius:6, background:theme.divider, overflow:'hidden' }}>
+              <div style={{ height:'100%', width:`${((byYear[y] || 0) / yearMax) * 100}%`, background:REA_GREEN }} />
+            </div>
+            <span style={{ width:26, textAlign:'right', color:theme.textPrimary }}>{byYear[y] || 0}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:16, padding:'14px 16px', animation:'fadeUp 0.25s ease' }), maxWidth:'100%', maxHeight:'100%', overflow:'auto' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', gap:12, marginBottom:12 }}>
+        <div>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>
+            State Comparison · {states.length} of {max}
+          </div>
+          {states.length < 2 && (
+            <div style={{ fontSize:11, color:theme.textMuted, marginTop:2 }}>Select another state and pin it to compare</div>
+          )}
+        </div>
+        <div style={{ display:'flex', gap:6 }}>
+          <button onClick={onExportPDF} disabled={states.length < 2} style={{ ...smallButton(theme, true), opacity: states.length < 2 ? 0.4 : 1 }}>Comparison PDF</button>
+          <button onClick={onClear} style={smallButton(theme)}>Clear</button>
+        </div>
+      </div>
+      <div style={{ display:'flex', gap:18 }}>
+        {states.map(renderColumn)}
+      </div>
+    </div>
+  );
+};
+
+export default ComparePanel;
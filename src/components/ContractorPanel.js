@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from 'react';
+import { REA_GREEN, REA_DARK, glassStyle } from './theme';
+import { PieChart, StatCard } from './widgets';
+import { CONTRACTOR_SORTS, MIN_RATED_PROJECTS, rankContractors, contractorKey } from '../utils/contractorStats';
+import { displayStateName } from '../utils/reportDrawing';
+import { ALL_TECHNOLOGIES } from '../utils/technologyTaxonomy';
+
+const PAGE_SIZE = 50;
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+const yearsLabel = (c) => (!c.first_year ? '—' : c.first_year === c.last_year ? String(c.first_year) : `${c.first_year}–${c.last_year}`);
+
+/* ── Scorecard for one contractor ─────────────────────────────────────────── */
+const Scorecard = ({ c, theme, onBack, onExportPDF, onExportCSV }) => {
+  const statusBar = [
+    ['#00C48C', c.completed], ['#FFB800', c.ongoing], ['#FF4757', c.yet_to_mobilize], ['#2F3542', c.unknown_status],
+  ];
+  const techData = ALL_TECHNOLOGIES.map(t => ({ ...t, value: c[t.key] }));
+  return (
+    <div>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', gap:8, marginBottom:12 }}>
+        <div>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Contractor Scorecard</div>
+          <div style={{ fontSize:15, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1.2 }}>{c.name}</div>
+        </div>
+        <button onClick={onBack} title="Back to ranking" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
+      </div>
+
+      <div style={{ display:'flex', gap:8, marginBottom:8 }}>
+        <StatCard label="Projects"        value={c.total}                    color={REA_GREEN} theme={theme} />
+        <StatCard label="Completion"      value={`${c.pct_completed}%`}       color="#00C48C"  theme={theme} />
+        <StatCard label="Yet to Mobilize" value={`${c.pct_yet_to_mobilize}%`} color="#FF4757"  theme={theme} />
+      </div>
+
+      <div style={{ display:'flex', height:8, borderRadius:8, overflow:'hidden', background:theme.divider, margin:'10px 0 4px' }}>
+        {statusBar.map(([color, n]) => n > 0 && <div key={color} style={{ width:`${(n / c.total) * 100}%`, background:color }} />)}
+      </div>
+      <div style={{ fontSize:10, color:theme.textMuted, marginBottom:12 }}>
+        {c.completed} completed · {c.ongoing} ongoing · {c.yet_to_mobilize} yet to mobilize{c.unknown_status ? ` · ${c.unknown_status} unknown` : ''}
+      </div>
+
+      <div style={{ display:'flex', alignItems:'center', gap:12, marginBottom:12 }}>
+        <PieChart data={techData} size={78} />
+        <div style={{ flex:1 }}>
+          {techData.filter(t => t.value > 0).map(t => (
+            <div key={t.key} style={{ display:'flex', justifyContent:'space-between', fontSize:11, color:theme.textPrimary, marginBottom:3 }}>
+              <span><span style={{ color:t.color }}>●</span> {t.label}</span>
+              <span style={{ color:theme.textMuted }}>{t.value}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ fontSize:10, fontWeight:800, color:theme.textMuted, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:5 }}>
+        Active {yearsLabel(c)} · {c.states.length} state{c.states.length === 1 ? '' : 's'}
+      </div>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:4, marginBottom:14 }}>
+        {c.states.map(s => (
+          <span key={s} style={{ fontSize:10, color:theme.chipText, border:`1px solid ${theme.chipBorder}`, borderRadius:4, padding:'1px 6px' }}>{displayStateName(s)}</span>
+        ))}
+      </div>
+
+      <div style={{ display:'flex', gap:6, justifyContent:'flex-end' }}>
+        <button onClick={onExportCSV} style={smallButton(theme)}>CSV</button>
+        <button onClick={onExportPDF} style={smallButton(theme, true)}>Scorecard PDF</button>
+      </div>
+    </div>
+  );
+};
+
+/* ── Contractor ranking, or the selected contractor's scorecard ──────────── */
+const ContractorPanel = ({ contractors, selected, theme, onSelect, onExportPDF, onExportCSV }) => {
+  const [sortId,     setSortId]     = useState('total');
+  const [descending, setDescending] = useState(true);
+  const [query,      setQuery]      = useState('');
+  const [limit,      setLimit]      = useState(PAGE_SIZE);
+
+  const ranked = useMemo(() => rankContractors(contractors, sortId, descending), [contractors, sortId, descending]);
+  const shown  = useMemo(() => {
+    const q = contractorKey(query);
+    return q ? ranked.filter(c => c.key.includes(q)) : ranked;
+  }, [ranked, query]);
+
+  const current = selected ? contractors.find(c => c.key === selected) : null;
+  const sort    = CONTRACTOR_SORTS.find(s => s.id === sortId);
+
+  const panel = glassStyle(theme, { borderRadius:16, padding:'16px', animation:'slideIn 0.3s ease' });
+
+  if (selected) return (
+    <div style={{ ...panel, width:310 }}>
+      {current
+        ? <Scorecard c={current} theme={theme} onBack={() => onSelect(null)}
+            onExportPDF={() => onExportPDF(current)} onExportCSV={() => onExportCSV(current)} />
+        : (
+          <div style={{ fontSize:11, color:theme.textMuted }}>
+            No projects from this contractor match the current filters.
+            <button onClick={() => onSelect(null)} style={{ ...smallButton(theme), marginTop:8, display:'block' }}>Back to ranking</button>
+          </div>
+        )}
+    </div>
+  );
+
+  const th = (s) => ({
+    cursor:'pointer', padding:'4px 3px', textAlign: s ? 'right' : 'left', fontSize:9, fontWeight:800,
+    letterSpacing:0.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif",
+    color: s && s.id === sortId ? REA_GREEN : theme.textMuted, whiteSpace:'nowrap',
+  });
+  const td = { padding:'5px 3px', fontSize:11, color:theme.textPrimary, borderTop:`1px solid ${theme.divider}`, textAlign:'right' };
+
+  const setSort = (id) => {
+    if (id === sortId) setDescending(d => !d);
+    else { setSortId(id); setDescending(true); }
+    setLimit(PAGE_SIZE);
+  };
+
+  return (
+    <div style={{ ...panel, width:380, display:'flex', flexDirection:'column', maxHeight:'100%' }}>
+      <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Contractor Ranking</div>
+      <div style={{ fontSize:11, color:theme.textMuted, marginBottom:8 }}>
+        {contractors.length.toLocaleString()} contractors in the current filters
+        {sort.rated && ` · ${sort.label.toLowerCase()} ranked for ${MIN_RATED_PROJECTS}+ projects`}
+      </div>
+      <input value={query} onChange={e => { setQuery(e.target.value); setLimit(PAGE_SIZE); }} placeholder="Filter contractors…"
+        style={{ padding:'6px 8px', borderRadius:6, border:`1px solid ${theme.chipBorder}`, background:'transparent', color:theme.textPrimary, fontSize:11, marginBottom:8, fontFamily:"'Barlow', sans-serif" }} />
+      <div style={{ overflowY:'auto', minHeight:0, flex:1 }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ ...th(null), cursor:'default' }}>#</th>
+              <th style={{ ...th(null), cursor:'default' }}>Contractor</th>
+              {CONTRACTOR_SORTS.map(s => (
+                <th key={s.id} onClick={() => setSort(s.id)} title={`Sort by ${s.label.toLowerCase()}`} style={th(s)}>
+                  {{ total:'Proj.', completion:'Done', mobilize:'YTM', states:'States', years:'Years' }[s.id]}
+                  {s.id === sortId && (descending ? ' ↓' : ' ↑')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.slice(0, limit).map(c => (
+              <tr key={c.key} onClick={() => onSelect(c.key)} style={{ cursor:'pointer' }}
+                onMouseEnter={e => { e.currentTarget.style.background = `${REA_GREEN}18`; }}
+                onMouseLeave={e => { e.currentTarget.style.background = 'transparent'; }}>
+                <td style={{ ...td, textAlign:'left', color:theme.textMuted }}>{ranked.indexOf(c) + 1}</td>
+                <td style={{ ...td, textAlign:'left', maxWidth:130, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={c.name}>{c.name}</td>
+                <td style={td}>{c.total}</td>
+                <td style={{ ...td, color:'#00C48C' }}>{c.pct_completed}%</td>
+                <td style={{ ...td, color: c.pct_yet_to_mobilize ? '#FF4757' : theme.textMuted }}>{c.pct_yet_to_mobilize}%</td>
+                <td style={td}>{c.states.length}</td>
+                <td style={td} title={yearsLabel(c)}>{c.years_active}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {shown.length > limit && (
+          <button onClick={() => setLimit(l => l + PAGE_SIZE)} style={{ ...smallButton(theme), width:'100%', marginTop:8 }}>
+            Show more ({(shown.length - limit).toLocaleString()} left)
+          </button>
+        )}
+        {!shown.length && <div style={{ fontSize:11, color:theme.textMuted, padding:'8px 0' }}>No contractors match.</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ContractorPanel;
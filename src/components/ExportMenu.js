@@ -0,0 +1,65 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { REA_GREEN, glassStyle } from './theme';
+import { EXPORT_FORMATS } from '../utils/exportProjects';
+
+/* ── Toolbar download button with a menu: map image, national report or the filtered records ── */
+const ExportMenu = ({ theme, count, scope, busy, onExportImage, onExportReport, onExportData }) => {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // Close on any click outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    window.addEventListener('mousedown', onDown);
+    return () => window.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const choose = (fn) => { setOpen(false); fn(); };
+
+  const item = {
+    display:'block', width:'100%', textAlign:'left', background:'none', border:'none', cursor:'pointer',
+    padding:'7px 12px', fontSize:12, color:theme.textPrimary, fontFamily:"'Barlow', sans-serif",
+  };
+  const hover = {
+    onMouseEnter: e => { e.currentTarget.style.background = `${REA_GREEN}18`; },
+    onMouseLeave: e => { e.currentTarget.style.background = 'none'; },
+  };
+
+  return (
+    <div ref={ref} style={{ position:'relative' }}>
+      <button onClick={() => setOpen(o => !o)} title="Export map, report or project data"
+        style={{
+          ...glassStyle(theme, { borderRadius:10, width:42, height:42 }),
+          border:'none', cursor: busy ? 'wait' : 'pointer',
+          display:'flex', alignItems:'center', justifyContent:'center',
+          color: theme.textPrimary, opacity: busy ? 0.5 : 1,
+        }}>
+        <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
+          <polyline points="7 10 12 15 17 10"/>
+          <line x1="12" y1="15" x2="12" y2="3"/>
+        </svg>
+      </button>
+
+      {open && (
+        <div style={{ ...glassStyle(theme, { borderRadius:10, padding:'6px 0', animation:'fadeUp 0.15s ease' }), position:'absolute', left:52, bottom:0, width:220 }}>
+          <button style={item} {...hover} onClick={() => choose(onExportImage)}>Map image (PNG)</button>
+          <button style={item} {...hover} onClick={() => choose(onExportReport)}>National summary report (PDF)</button>
+          <div style={{ borderTop:`1px solid ${theme.divider}`, margin:'4px 0' }} />
+          <div style={{ padding:'2px 12px 4px', fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>
+            {count === null ? 'Loading projects…' : `${count.toLocaleString()} projects · ${scope || 'All states'}`}
+          </div>
+          {EXPORT_FORMATS.map(f => (
+            <button key={f.id} style={{ ...item, opacity: count ? 1 : 0.4, cursor: count ? 'pointer' : 'default' }} {...hover}
+              disabled={!count} onClick={() => choose(() => onExportData(f.id))}>
+              Projects as {f.label} <span style={{ color:theme.textMuted, fontSize:10 }}>.{f.ext}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
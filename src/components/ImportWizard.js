@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from 'react';
+import { REA_GREEN, REA_DARK, glassStyle } from './theme';
+import { CANONICAL_FIELDS, REJECT_REASONS, guessColumnMapping, validateRows, sourceRowNumber } from '../utils/projectSchema';
+
+const PAGE_SIZE = 25;
+
+// Fields that can be corrected inline from the rejects table
+const EDITABLE = ['longitude', 'latitude', 'type', 'status', 'year'];
+
+/* ── Step heading ─────────────────────────────────────────────────────────── */
+const StepLabel = ({ n, label, active, theme }) => (
+  <div style={{ display:'flex', alignItems:'center', gap:6, opacity: active ? 1 : 0.45 }}>
+    <span style={{ width:18, height:18, borderRadius:'50%', background: active ? REA_GREEN : theme.chipBorder, color:'#fff', fontSize:10, fontWeight:800, display:'flex', alignItems:'center', justifyContent:'center' }}>{n}</span>
+    <span style={{ fontSize:11, fontWeight:700, color:theme.textPrimary, letterSpacing:0.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>{label}</span>
+  </div>
+);
+
+const buttonStyle = (primary, theme, disabled) => ({
+  padding:'7px 16px', borderRadius:8, cursor: disabled ? 'not-allowed' : 'pointer',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, fontSize:12, letterSpacing:0.5, textTransform:'uppercase',
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'transparent',
+  color: primary ? '#fff' : theme.chipText,
+  border: primary ? 'none' : `1px solid ${theme.chipBorder}`,
+  opacity: disabled ? 0.4 : 1,
+});
+
+/* ── Import wizard: map columns → review rejects → import ─────────────────── */
+const ImportWizard = ({ draft, theme, onCancel, onImport }) => {
+  const [step,    setStep]    = useState('mapping');
+  const [mapping, setMapping] = useState(() => guessColumnMapping(draft.headers));
+  const [rows,    setRows]    = useState(draft.rows);
+  const [page,    setPage]    = useState(0);
+  const [edited,  setEdited]  = useState([]);
+
+  const { features, rejects } = useMemo(() => validateRows(rows, mapping), [rows, mapping]);
+
+  const reasonCounts = useMemo(() => {
+    const counts = {};
+    rejects.forEach(r => r.reasons.forEach(({ code }) => { counts[code] = (counts[code] || 0) + 1; }));
+    return counts;
+  }, [rejects]);
+
+  // Rows stay listed once edited, so a fix doesn't make the row jump away mid-typing
+  const listed = useMemo(() => {
+    const byIndex = new Map(rejects.map(r => [r.index, r]));
+    edited.forEach(index => {
+      if (!byIndex.has(index)) byIndex.set(index, { index, rowNumber: sourceRowNumber(rows[index], index), reasons: [] });
+    });
+    return [...byIndex.values()].sort((a, b) => a.index - b.index);
+  }, [rejects, edited, rows]);
+
+  const missingRequired = CANONICAL_FIELDS.filter(f => f.required && !mapping[f.key]);
+  const pageCount = Math.max(1, Math.ceil(listed.length / PAGE_SIZE));
+  const pageRows  = listed.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const editCell = (index, key, value) => {
+    const column = mapping[key];
+    if (!column) return;
+    // The copy keeps the sheet row number, which the spread would drop (__rowNum__ is non-enumerable)
+    setRows(prev => prev.map((r, i) => (i === index
+      ? Object.defineProperty({ ...r, [column]: value }, '__rowNum__', { value: r.__rowNum__ })
+      : r)));
+    setEdited(prev => (prev.includes(index) ? prev : [...prev, index]));
+  };
+
+  const inputStyle = {
+    width:'100%', boxSizing:'border-box', padding:'3px 5px', borderRadius:4, fontSize:11,
+    border:`1px solid ${theme.chipBorder}`, background:'transparent', color:theme.textPrimary,
+    fontFamily:"'Barlow', sans-serif",
+  };
+  const cellStyle = { padding:'4px 6px', borderBottom:`1px solid ${theme.divider}`, fontSize:11, color:theme.textPrimary, verticalAlign:'top' };
+
+  return (
+    <div style={{ position:'absolute', inset:0, zIndex:40, background:'rgba(0,0,0,0.35)', display:'flex', alignItems:'center', justifyContent:'center' }}>
+      <div style={{
+        ...glassStyle(theme, { borderRadius:16, padding:'18px 20px', animation:'fadeUp 0.2s ease' }),
+        width: step === 'mapping' ? 460 : 860, maxWidth:'calc(100vw - 40px)', maxHeight:'calc(100vh - 80px)',
+        display:'flex', flexDirection:'column', fontFamily:"'Barlow', sans-serif",
+      }}>
+        <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', marginBottom:14 }}>
+          <div>
+            <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>Import projects</div>
+            <div style={{ fontSize:16, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif" }}>{draft.fileName}</div>
+            <div style={{ fontSize:10, color:theme.textMuted }}>{rows.length.toLocaleString()} rows · {draft.headers.length} columns</div>
+          </div>
+          <button onClick={onCancel} style={{ background:'none', border:`1px solid ${theme.chipBorder}`, borderRadius:6, cursor:'pointer', color:theme.textMuted, fontSize:12, padding:'3px 7px' }}>✕</button>
+        </div>
+
+        <div style={{ display:'flex', gap:18, marginBottom:14 }}>
+          <StepLabel n={1} label="Map columns"    active={step === 'mapping'} theme={theme} />
+          <StepLabel n={2} label="Review & fix"  active={step === 'review'}  theme={theme} />
+        </div>
+
+        {step === 'mapping' && (
+          <div style={{ overflowY:'auto' }}>
+            {CANONICAL_FIELDS.map(f => (
+              <div key={f.key} style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:12, marginBottom:7 }}>
+                <span style={{ fontSize:12, color:theme.textPrimary }}>
+                  {f.label}{f.required && <span style={{ color:'#FF4757' }}> *</span>}
+                  <span style={{ fontSize:10, color:theme.textMuted }}> → {f.key}</span>
+                </span>
+                <select value={mapping[f.key]} onChange={e => setMapping(m => ({ ...m, [f.key]: e.target.value }))}
+                  style={{ ...inputStyle, width:220, padding:'4px 6px', background: theme.glassBg }}>
+                  <option value="">— not mapped —</option>
+                  {draft.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                </select>
+              </div>
+            ))}
+            {missingRequired.length > 0 && (
+              <div style={{ fontSize:11, color:'#FF4757', marginTop:8 }}>
+                Map the required fields: {missingRequired.map(f => f.label).join(', ')}
+              </div>
+            )}
+          </div>
+        )}
+
+        {step === 'review' && (
+          <>
+            <div style={{ display:'flex', gap:8, flexWrap:'wrap', marginBottom:10 }}>
+              <span style={{ fontSize:12, fontWeight:700, color:'#00C48C' }}>{features.length.toLocaleString()} ready</span>
+              <span style={{ fontSize:12, fontWeight:700, color:'#FF4757' }}>{rejects.length.toLocaleString()} rejected</span>
+              {Object.entries(reasonCounts).map(([code, n]) => (
+                <span key={code} style={{ fontSize:10, color:theme.textMuted, border:`1px solid ${theme.chipBorder}`, borderRadius:4, padding:'1px 6px' }}>
+                  {REJECT_REASONS[code]}: {n}
+                </span>
+              ))}
+            </div>
+            {listed.length > 0 && (
+              <div style={{ overflow:'auto', flex:1, minHeight:0 }}>
+                <table style={{ width:'100%', borderCollapse:'collapse' }}>
+                  <thead>
+                    <tr>
+                      {['Row', 'Title', ...EDITABLE, 'Reason'].map(h => (
+                        <th key={h} style={{ ...cellStyle, textAlign:'left', fontSize:9, fontWeight:800, color:theme.textMuted, letterSpacing:1, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>{h}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pageRows.map(r => {
+                      const row = rows[r.index];
+                      return (
+                        <tr key={r.index}>
+                          <td style={{ ...cellStyle, color:theme.textMuted }}>{r.rowNumber}</td>
+                          <td style={{ ...cellStyle, maxWidth:220, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={String(row[mapping.title] ?? '')}>
+                            {String(row[mapping.title] ?? '')}
+                          </td>
+                          {EDITABLE.map(key => (
+                            <td key={key} style={{ ...cellStyle, width:key === 'status' || key === 'type' ? 120 : 80 }}>
+                              <input value={mapping[key] ? String(row[mapping[key]] ?? '') : ''} disabled={!mapping[key]}
+                                onChange={e => editCell(r.index, key, e.target.value)} style={inputStyle} />
+                            </td>
+                          ))}
+                          <td style={{ ...cellStyle, color:'#FF4757', fontSize:10 }}>
+                            {r.reasons.length
+                              ? r.reasons.map(({ message }) => <div key={message}>{message}</div>)
+                              : <span style={{ color:'#00C48C', fontWeight:700 }}>✓ Fixed</span>}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {pageCount > 1 && (
+              <div style={{ display:'flex', justifyContent:'center', alignItems:'center', gap:10, marginTop:8, fontSize:11, color:theme.textMuted }}>
+                <button onClick={() => setPage(p => Math.max(0, p - 1))} disabled={page === 0} style={buttonStyle(false, theme, page === 0)}>‹</button>
+                Page {Math.min(page + 1, pageCount)} of {pageCount}
+                <button onClick={() => setPage(p => Math.min(pageCount - 1, p + 1))} disabled={page >= pageCount - 1} style={buttonStyle(false, theme, page >= pageCount - 1)}>›</button>
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display:'flex', justifyContent:'flex-end', gap:8, marginTop:14 }}>
+          {step === 'mapping' ? (
+            <>
+              <button onClick={onCancel} style={buttonStyle(false, theme)}>Cancel</button>
+              <button onClick={() => { setPage(0); setStep('review'); }} disabled={missingRequired.length > 0}
+                style={buttonStyle(true, theme, missingRequired.length > 0)}>Validate rows</button>
+            </>
+          ) : (
+            <>
+              <button onClick={() => setStep('mapping')} style={buttonStyle(false, theme)}>Back</button>
+              <button onClick={() => onImport({ type: 'FeatureCollection', features })} disabled={!features.length}
+                style={buttonStyle(true, theme, !features.length)}>
+                Import {features.length.toLocaleString()} projects
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { REA_GREEN } from './theme';
+import { PACK_DETAILS, MAX_PACK_TILES, tilesForBounds } from '../utils/offlineMap';
+
+// Rough size of a Mapbox vector tile, for the download estimate only
+const AVG_TILE_KB = 20;
+
+const formatMB = (bytes) => `${(bytes / 1048576).toFixed(bytes < 10485760 ? 1 : 0)} MB`;
+
+/* ── Offline field mode panel: connection, cached storage and the tile pack, shown from the tools menu ──
+   states: [{ name, label, bbox }]; progress: { done, total } while downloading */
+const OfflinePanel = ({ theme, online, states, defaultStates, pack, progress, onDownload, onCancel, onDelete, onBack }) => {
+  const [chosen,  setChosen]  = useState(defaultStates);
+  const [detail,  setDetail]  = useState(PACK_DETAILS[0].id);
+  const [storage, setStorage] = useState(null);
+
+  // Storage in use, refreshed on opening and after each download or delete
+  useEffect(() => {
+    if (!navigator.storage || !navigator.storage.estimate) return;
+    navigator.storage.estimate().then(setStorage).catch(() => setStorage(null));
+  }, [pack, progress]);
+
+  const maxZoom = PACK_DETAILS.find(d => d.id === detail).maxZoom;
+  const tileCount = useMemo(() => {
+    const bboxes = (states || []).filter(s => chosen.includes(s.name)).map(s => s.bbox);
+    return bboxes.length ? tilesForBounds(bboxes, maxZoom).length : 0;
+  }, [states, chosen, maxZoom]);
+
+  const swActive    = Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+  const downloading = Boolean(progress);
+  const tooMany     = tileCount > MAX_PACK_TILES;
+  const canDownload = online && swActive && !downloading && tileCount > 0 && !tooMany;
+
+  const heading = { padding:'0 12px 4px', fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" };
+  const smallButton = {
+    background:'none', border:`1px solid ${REA_GREEN}50`, borderRadius:6, padding:'3px 10px', fontSize:10, cursor:'pointer',
+    color:REA_GREEN, fontWeight:700, fontFamily:"'Barlow Condensed', sans-serif", letterSpacing:0.5,
+  };
+  const divider = <div style={{ borderTop:`1px solid ${theme.divider}`, margin:'8px 0' }} />;
+
+  return (
+    <>
+      {/* Status */}
+      <div style={{ display:'flex', alignItems:'center', justifyContent:'space-between', paddingRight:12 }}>
+        <div style={{ ...heading, paddingBottom:0 }}>Offline field mode</div>
+        <button onClick={onBack} title="Back to tools" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:11, padding:0 }}>‹ Tools</button>
+      </div>
+      <div style={{ padding:'0 12px', fontSize:11, color:theme.textPrimary, display:'flex', alignItems:'center', gap:6 }}>
+        <span style={{ width:8, height:8, borderRadius:'50%', background: online ? '#00C48C' : '#FF4757', display:'inline-block' }} />
+        {online ? 'Online' : 'Offline — cached data only'}
+      </div>
+      <div style={{ padding:'2px 12px 0', fontSize:10, color:theme.textMuted, lineHeight:1.4 }}>
+        {swActive
+          ? 'App, project data and reports are saved on this device.'
+          : 'Offline storage is not active yet. It starts after the app is reloaded from an installed (production) build.'}
+        {storage && ` ${formatMB(storage.usage)} in use.`}
+      </div>
+
+      {/* Current pack */}
+      {pack && (
+        <>
+          {divider}
+          <div style={heading}>Downloaded map</div>
+          <div style={{ padding:'0 12px', fontSize:11, color:theme.textPrimary }}>
+            {pack.states.length === 1 ? pack.states[0] : `${pack.states.length} states`} · {PACK_DETAILS.find(d => d.id === pack.detail).label}
+          </div>
+          <div style={{ padding:'0 12px', fontSize:10, color:theme.textMuted }}>
+            {pack.tiles.toLocaleString()} tiles{pack.failed ? `, ${pack.failed.toLocaleString()} missing` : ''}
+            {pack.complete ? '' : ' (incomplete)'} · {new Date(pack.date).toLocaleDateString()}
+          </div>
+          <div style={{ padding:'6px 12px 0' }}>
+            <button style={{ ...smallButton, color:'#FF4757', borderColor:'#FF475750' }} disabled={downloading} onClick={onDelete}>DELETE MAP</button>
+          </div>
+        </>
+      )}
+
+      {/* New pack */}
+      {divider}
+      <div style={heading}>Download map for states</div>
+      <div style={{ maxHeight:150, overflowY:'auto', padding:'0 12px' }}>
+        {!states
+          ? <div style={{ fontSize:11, color:theme.textMuted }}>Loading states…</div>
+          : states.map(s => (
+            <label key={s.name} style={{ display:'flex', alignItems:'center', gap:6, fontSize:11, color:theme.textPrimary, cursor:'pointer', padding:'1px 0' }}>
+              <input type="checkbox" checked={chosen.includes(s.name)} disabled={downloading}
+                onChange={() => setChosen(c => c.includes(s.name) ? c.filter(n => n !== s.name) : [...c, s.name])} />
+              {s.label}
+            </label>
+          ))}
+      </div>
+      <div style={{ display:'flex', gap:10, padding:'6px 12px 0' }}>
+        {PACK_DETAILS.map(d => (
+          <label key={d.id} title={d.note} style={{ display:'flex', alignItems:'center', gap:4, fontSize:11, color:theme.textPrimary, cursor:'pointer' }}>
+            <input type="radio" name="pack-detail" checked={detail === d.id} disabled={downloading} onChange={() => setDetail(d.id)} />
+            {d.label}
+          </label>
+        ))}
+      </div>
+      <div style={{ padding:'4px 12px 0', fontSize:10, color: tooMany ? '#FF4757' : theme.textMuted }}>
+        {tileCount
+          ? `${tileCount.toLocaleString()} tiles, about ${formatMB(tileCount * AVG_TILE_KB * 1024)}`
+          : 'Choose one or more states'}
+        {tooMany && ' — too large; choose fewer states or Overview'}
+      </div>
+      <div style={{ display:'flex', alignItems:'center', gap:8, padding:'8px 12px 0' }}>
+        {downloading
+          ? (
+            <>
+              <span style={{ flex:1, fontSize:10, color:theme.textMuted }}>
+                {progress.done.toLocaleString()} / {progress.total.toLocaleString()}
+              </span>
+              <button style={smallButton} onClick={onCancel}>CANCEL</button>
+            </>
+          )
+          : (
+            <button style={{ ...smallButton, opacity: canDownload ? 1 : 0.4, cursor: canDownload ? 'pointer' : 'default' }}
+              disabled={!canDownload} onClick={() => onDownload(chosen, detail)}>
+              DOWNLOAD
+            </button>
+          )}
+      </div>
+    </>
+  );
+};
+
+export default OfflinePanel;
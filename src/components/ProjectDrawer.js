@@ -0,0 +1,146 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { REA_GREEN, REA_DARK, STATUS_COLORS, glassStyle } from './theme';
+import { StatCard } from './widgets';
+import { projectFields, nearestProjects, contractorProjects, stateContext } from '../utils/projectDetails';
+import { displayStateName } from '../utils/reportDrawing';
+import { formatKm } from '../utils/gridDistance';
+import { VERIFY_OUTCOMES, outcomeOf, formatOffset } from '../utils/fieldVerification';
+
+const NEAREST_COUNT   = 5;
+const CONTRACTOR_SHOWN = 8;
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+const sectionLabel = (theme) => ({
+  fontSize:10, fontWeight:800, color:theme.textMuted, letterSpacing:1.5, textTransform:'uppercase',
+  fontFamily:"'Barlow Condensed', sans-serif", margin:'14px 0 6px',
+});
+
+/* ── One clickable row in the nearby / same-contractor lists ── */
+const ProjectRow = ({ feature, detail, theme, onSelect }) => {
+  const p = feature.properties;
+  return (
+    <div onClick={() => onSelect(feature)} title={p.title}
+      style={{ display:'flex', alignItems:'center', gap:7, padding:'5px 4px', borderTop:`1px solid ${theme.divider}`, cursor:'pointer' }}
+      onMouseEnter={e => { e.currentTarget.style.background = `${REA_GREEN}18`; }}
+      onMouseLeave={e => { e.currentTarget.style.background = 'transparent'; }}>
+      <span style={{ width:7, height:7, borderRadius:'50%', background:STATUS_COLORS[p.status] || '#778CA3', flexShrink:0 }} />
+      <span style={{ flex:1, minWidth:0, fontSize:11, color:theme.textPrimary, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{p.title}</span>
+      <span style={{ fontSize:10, color:theme.textMuted, flexShrink:0 }}>{detail}</span>
+    </div>
+  );
+};
+
+/* ── Everything known about one project, plus its surroundings ────────────── */
+const ProjectDrawer = ({ project, projects, verifications, theme, onSelect, onClose, onCopyLink, onExportPDF, onVerify }) => {
+  const [copied,  setCopied]  = useState(false);
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => { setCopied(false); setShowAll(false); }, [project]);
+
+  const p = project.properties;
+  const fields     = useMemo(() => projectFields(p), [p]);
+  const nearby     = useMemo(() => nearestProjects(project, projects, NEAREST_COUNT), [project, projects]);
+  const sameFirm   = useMemo(() => contractorProjects(project, projects), [project, projects]);
+  const context    = useMemo(() => stateContext(project, projects), [project, projects]);
+
+  const copyLink = async () => {
+    if (await onCopyLink()) setCopied(true);
+  };
+
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:16, padding:'16px', animation:'slideIn 0.3s ease' }), width:330, maxHeight:'100%', display:'flex', flexDirection:'column' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', gap:8 }}>
+        <div style={{ minWidth:0 }}>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Project Detail</div>
+          <div style={{ fontSize:15, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1.2 }}>{p.title || 'Untitled project'}</div>
+        </div>
+        <button onClick={onClose} title="Close" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
+      </div>
+
+      <div style={{ display:'flex', alignItems:'center', gap:6, margin:'10px 0 4px' }}>
+        <span style={{ background:STATUS_COLORS[p.status] || '#778CA3', color:'#fff', padding:'3px 10px', borderRadius:4, fontSize:10, fontWeight:700, letterSpacing:0.5, textTransform:'uppercase' }}>
+          {p.status || 'Unknown'}
+        </span>
+        <div style={{ marginLeft:'auto', display:'flex', gap:6 }}>
+          <button onClick={onVerify} title="Record a site visit" style={smallButton(theme)}>Verify</button>
+          <button onClick={copyLink} style={smallButton(theme)}>{copied ? 'Copied' : 'Copy link'}</button>
+          <button onClick={() => onExportPDF({ project: p, nearby, sameContractor: sameFirm, context })} style={smallButton(theme, true)}>PDF</button>
+        </div>
+      </div>
+
+      <div style={{ overflowY:'auto', minHeight:0, flex:1, marginTop:6 }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <tbody>
+            {fields.slice(1).map(([label, value]) => (
+              <tr key={label}>
+                <td style={{ padding:'4px 6px 4px 0', fontSize:10, color:theme.textMuted, verticalAlign:'top', whiteSpace:'nowrap', borderTop:`1px solid ${theme.divider}` }}>{label}</td>
+                <td style={{ padding:'4px 0', fontSize:11, color:theme.textPrimary, wordBreak:'break-word', borderTop:`1px solid ${theme.divider}` }}>{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {verifications.length > 0 && (
+          <>
+            <div style={sectionLabel(theme)}>Site visits · {verifications.length}</div>
+            {verifications.map(v => (
+              <div key={v.id} style={{ padding:'5px 4px', borderTop:`1px solid ${theme.divider}` }}>
+                <div style={{ display:'flex', alignItems:'center', gap:7, fontSize:11, color:theme.textPrimary }}>
+                  <span style={{ width:7, height:7, borderRadius:'50%', background:VERIFY_OUTCOMES[outcomeOf(v)].color, flexShrink:0 }} />
+                  <span style={{ flex:1, fontWeight:700 }}>{v.observed_status}</span>
+                  <span style={{ fontSize:10, color:theme.textMuted }}>
+                    {new Date(v.created_at).toLocaleDateString()}{v.distance_km !== null && ` · ${formatOffset(v.distance_km)} off`}
+                  </span>
+                </div>
+                {v.comment && <div style={{ fontSize:10, color:theme.textSecond, margin:'2px 0 0 14px', wordBreak:'break-word' }}>{v.comment}</div>}
+              </div>
+            ))}
+          </>
+        )}
+
+        <div style={sectionLabel(theme)}>{displayStateName(context.state || 'Unknown state')}</div>
+        <div style={{ display:'flex', gap:8 }}>
+          <StatCard label="Projects"   value={context.total}               color={REA_GREEN} theme={theme} />
+          <StatCard label="Completion" value={`${context.pct_completed}%`} color="#00C48C"  theme={theme} />
+          <StatCard label="Same type"  value={context.same_type}           color="#1E90FF"  theme={theme} />
+        </div>
+        <div style={{ fontSize:10, color:theme.textMuted, marginTop:6 }}>
+          Average distance to grid in the state: {formatKm(context.avg_grid_km)}
+        </div>
+
+        <div style={sectionLabel(theme)}>Nearest projects</div>
+        {nearby.map(({ feature, km }) => (
+          <ProjectRow key={feature.properties.project_id} feature={feature} theme={theme} onSelect={onSelect}
+            detail={formatKm(Math.round(km * 10) / 10)} />
+        ))}
+        {!nearby.length && <div style={{ fontSize:11, color:theme.textMuted }}>No other projects recorded.</div>}
+
+        <div style={sectionLabel(theme)}>
+          Same contractor{sameFirm.length ? ` · ${sameFirm.length} other project${sameFirm.length === 1 ? '' : 's'}` : ''}
+        </div>
+        {(showAll ? sameFirm : sameFirm.slice(0, CONTRACTOR_SHOWN)).map(f => (
+          <ProjectRow key={f.properties.project_id} feature={f} theme={theme} onSelect={onSelect}
+            detail={[f.properties.state && displayStateName(f.properties.state), f.properties.year].filter(Boolean).join(' · ')} />
+        ))}
+        {!sameFirm.length && (
+          <div style={{ fontSize:11, color:theme.textMuted }}>
+            {p.contractor ? 'No other projects by this contractor.' : 'No contractor recorded.'}
+          </div>
+        )}
+        {!showAll && sameFirm.length > CONTRACTOR_SHOWN && (
+          <button onClick={() => setShowAll(true)} style={{ ...smallButton(theme), width:'100%', marginTop:8 }}>
+            Show all {sameFirm.length}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectDrawer;
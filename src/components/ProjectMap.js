@@ -1,73 +1,140 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import generateStateReport from '../utils/generateStateReport';
+import generateNationalReport from '../utils/generateNationalReport';
+import generateContractorScorecard from '../utils/generateContractorScorecard';
+import generateProjectReport from '../utils/generateProjectReport';
+import generateRegionReport from '../utils/generateRegionReport';
+import generateComparisonReport from '../utils/generateComparisonReport';
+import { readWorkbookRows } from '../utils/convertExcelToGeoJSON';
+import { assignStates, filterProjects, aggregateByState, summarize, emptyStats, compareStates, yearTrend, timelineCounts, typeParts, addTypeParts, projectFilterExpression } from '../utils/aggregateProjects';
+import { buildFacets, facetCounts, UNKNOWN_LABEL } from '../utils/filterFacets';
+import { auditLocations, LOCATION_ISSUES } from '../utils/auditLocations';
+import downloadCSV from '../utils/downloadCSV';
+import exportProjects from '../utils/exportProjects';
+import { addContractorKeys, aggregateByContractor } from '../utils/contractorStats';
+import { addGridDistance, formatKm, GRID_DISTANCE_BANDS, GRID_NEAR_KM } from '../utils/gridDistance';
+import { addProjectIds } from '../utils/projectDetails';
+import { prepareLgas, assignLgas, aggregateByLga, LGA_CHECKS } from '../utils/lgaBoundaries';
+import { ALL_TECHNOLOGIES, TECH_CATEGORIES, addTechnologies, techColorExpression } from '../utils/technologyTaxonomy';
+import { CLOSE_PX, radiusRegion, polygonRegion, describeRegion, projectsInRegion, summarizeRegion } from '../utils/regionSelection';
+import { STALL_RULES, DEFAULT_STALL_YEARS, findStalled, exportWatchlist } from '../utils/stalledProjects';
+import { parseUrlState, serializeUrlState, sameUrlState } from '../utils/urlState';
+import { VERIFY_OUTCOMES, outcomeOf, latestByProject, pendingOf } from '../utils/fieldVerification';
+import { DATA_SOURCE, DATASETS, loadDataset, reloadDatasets } from '../utils/dataProvider';
+import { rememberOfflineStyle, mapStyleFor } from '../utils/offlineMap';
+import { CLUSTER_PROPERTIES, DONUT_HOLE, clusterBreakdown, donutSize, donutSegments } from '../utils/clusterStats';
 import mapboxgl from 'mapbox-gl';
 import * as turf from '@turf/turf';
 import 'mapbox-gl/dist/mapbox-gl.css';
+import { REA_GREEN, REA_DARK, ACCENT_GOLD, SHADOW, THEMES, STATUS_COLORS, glassStyle } from './theme';
+import ImportWizard from './ImportWizard';
+import ProjectSearch from './ProjectSearch';
+import { PieChart, StatCard, Chip } from './widgets';
+import ContractorPanel from './ContractorPanel';
+import TimelineBar from './TimelineBar';
+import ProjectDrawer from './ProjectDrawer';
+import RegionPanel from './RegionPanel';
+import ExportMenu from './ExportMenu';
+import ComparePanel from './ComparePanel';
+import YearTrend from './YearTrend';
+import WatchlistPanel from './WatchlistPanel';
+import ToolsMenu from './ToolsMenu';
+import useOfflineMap from '../hooks/useOfflineMap';
+import useFieldVerifications from '../hooks/useFieldVerifications';
+import VerifyForm from './VerifyForm';
+import VerificationPanel from './VerificationPanel';
 
 mapboxgl.accessToken = process.env.REACT_APP_MAPBOX_TOKEN;
 
-/* ── Design tokens ────────────────────────────────────────────────────────── */
-const REA_GREEN   = '#00843D';
-const REA_DARK    = '#005C2B';
-const ACCENT_GOLD = '#F5A623';
-const SHADOW      = '0 8px 32px rgba(0,0,0,0.22)';
-
-/* ── Theme definitions ────────────────────────────────────────────────────── */
-const THEMES = {
-  dark: {
-    mapStyle:    'mapbox://styles/mapbox/dark-v11',
-    glassBg:     'rgba(10,30,18,0.88)',
-    glassBlur:   'blur(14px)',
-    panelBorder: '1px solid rgba(0,180,80,0.18)',
-    textPrimary: '#e8f5ee',
-    textSecond:  '#7dcea0',
-    textMuted:   '#3d7055',
-    chipBorder:  '#1e4a32',
-    chipText:    '#6aad86',
-    divider:     'rgba(255,255,255,0.07)',
-    pointStroke: 'rgba(255,255,255,0.20)',
-  },
-  light: {
-    mapStyle:    'mapbox://styles/mapbox/light-v11',
-    glassBg:     'rgba(255,255,255,0.92)',
-    glassBlur:   'blur(12px)',
-    panelBorder: '1px solid rgba(0,0,0,0.07)',
-    textPrimary: '#111',
-    textSecond:  REA_DARK,
-    textMuted:   '#888',
-    chipBorder:  '#e0e0e0',
-    chipText:    '#666',
-    divider:     '#f0f0f0',
-    pointStroke: 'rgba(255,255,255,0.70)',
-  },
-};
-
 /* ── Constants ────────────────────────────────────────────────────────────── */
 const VIEWS = [
   { id: 'coverage',    label: 'COVERAGE',    icon: '◉' },
   { id: 'performance', label: 'PERFORMANCE', icon: '◈' },
   { id: 'technology',  label: 'TECHNOLOGY',  icon: '◆' },
+  { id: 'contractor',  label: 'CONTRACTORS', icon: '▣' },
 ];
+const VIEW_IDS = VIEWS.map(v => v.id);
+
+// Most states the comparison panel and its one-page PDF can lay side by side
+const MAX_COMPARE = 4;
+
+// Project data is either the provider's dataset (null) or an in-memory FeatureCollection (after import)
+const asGeoJSON = (data, options) => (data ? Promise.resolve(data) : loadDataset('projects', options));
+
+const EMPTY_FC = { type: 'FeatureCollection', features: [] };
+
+// Map sources are added empty and filled once the data provider has the dataset (straight away after a style change)
+const fillSource = (m, sourceId, dataset) => loadDataset(dataset).then(fc => {
+  const source = m.getSource(sourceId);
+  if (source) source.setData(fc);
+});
+
+/* ── Choropleth ramp: stops scale with the busiest state under the current filters ── */
+const CHOROPLETH_COLORS = ['#c8e6c9', '#66bb6a', '#2e7d32', '#1b5e20', '#0a3d17'];
+const CHOROPLETH_STEPS  = [0, 0.2, 0.4, 0.7, 1];
 
-const YEARS    = ['2019','2020','2021','2022','2023','2024','2025'];
-const STATUSES = ['COMPLETED','ONGOING','YET TO MOBILIZE'];
-const TYPES    = [
-  'GRID','SOLAR STREET LIGHT','SOLAR MINI GRID','SOLAR HOME SYSTEM',
-  'SOLAR BOREHOLE','SOLAR WATER PUMP','SOLAR PUMPING MACHINE',
-  'SOLAR IRRIGATION PUMP','INJECTION SUBSTATION','TRAINING',
-  'ELECTRIC VEHICLE','COUNTERPART FUNDING','VEHICLE PURCHASE','HQRTS',
-  'GRID/SOLAR STREET LIGHT','GRID/SOLAR HOME SYSTEM','GRID/SOLAR MINI GRID',
-  'SOLAR MINI GRID/SOLAR STREET LIGHT','SOLAR STREET LIGHT/SOLAR HOME SYSTEM',
+/* ── TCN transmission backbone, styled by voltage ── */
+const GRID_VOLTAGES = [
+  { kv: 330, color: '#E056FD', width: 2.6 },
+  { kv: 132, color: '#22A6B3', width: 1.5 },
 ];
 
-const STATUS_COLORS = {
-  'COMPLETED':       '#00C48C',
-  'ONGOING':         '#FFB800',
-  'YET TO MOBILIZE': '#FF4757',
-  '':                '#2F3542',
+const pct = (n, t) => t ? Math.round((n / t) * 100) : 0;
+
+/* ── Point paint per view: status colours, or technology colours with a ring in the second technology ── */
+const STATUS_POINT_COLOR = ['match', ['get', 'status'],
+  'COMPLETED','#00C48C', 'ONGOING','#FFB800', 'YET TO MOBILIZE','#FF4757', '#2F3542'];
+const COMBINED_TYPE = ['!=', ['coalesce', ['get', 'technology_2'], ''], ''];
+const pointPaint = (technology, pointStroke) => (technology
+  ? {
+      'circle-color':        techColorExpression('technology'),
+      'circle-stroke-color': ['case', COMBINED_TYPE, techColorExpression('technology_2'), pointStroke],
+      'circle-stroke-width': ['interpolate', ['linear'], ['zoom'],
+        4, ['case', COMBINED_TYPE, 1, 0], 7, ['case', COMBINED_TYPE, 1.6, 0.6], 10, ['case', COMBINED_TYPE, 2.4, 1.4],
+      ],
+    }
+  : {
+      'circle-color':        STATUS_POINT_COLOR,
+      'circle-stroke-color': pointStroke,
+      'circle-stroke-width': ['interpolate', ['linear'], ['zoom'], 4, 0, 7, 0.6, 10, 1.4],
+    });
+const setPointPaint = (m, technology, pointStroke) =>
+  Object.entries(pointPaint(technology, pointStroke)).forEach(([prop, value]) => m.setPaintProperty('project-points', prop, value));
+
+// Current viewport in the shape serializeUrlState expects
+const cameraOf = (m) => ({ center: m.getCenter().toArray(), zoom: m.getZoom() });
+
+/* ── Cluster donut marker, coloured by status (counts and geometry from clusterStats) ── */
+const clusterDonut = (props) => {
+  const { total, parts } = clusterBreakdown(props);
+  const size = donutSize(total);
+  const r = size / 2, r0 = r * DONUT_HOLE;
+  const arcs = donutSegments(parts, total, size).map(({ status, path }) => `<path d="${path}" fill="${STATUS_COLORS[status]}"/>`);
+
+  const el = document.createElement('div');
+  el.style.cursor = 'pointer';
+  el.title = `${total} projects — ${parts.filter(p => p.status).map(p => `${p.n} ${p.status.toLowerCase()}`).join(', ')}`;
+  el.innerHTML = `
+    <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" style="display:block;filter:drop-shadow(0 2px 4px rgba(0,0,0,0.35))">
+      ${arcs.join('')}
+      <circle cx="${r}" cy="${r}" r="${r0}" fill="rgba(17,24,39,0.85)"/>
+      <text x="${r}" y="${r}" dy="0.35em" text-anchor="middle" fill="#fff" font-size="${size >= 46 ? 12 : 10}" font-weight="700" font-family="'Barlow Condensed',sans-serif">${total.toLocaleString()}</text>
+    </svg>`;
+  return el;
 };
 
-const pct = (n, t) => t ? Math.round((n / t) * 100) : 0;
+/* ── Grid-line hover label; built from text nodes because line names can come from the data API ── */
+const gridLineLabel = (g) => {
+  const el = document.createElement('div');
+  el.style.fontFamily = "'Barlow',sans-serif";
+  const name = el.appendChild(document.createElement('div'));
+  name.style.cssText = "font-family:'Barlow Condensed',sans-serif;font-size:14px;font-weight:700;color:#111";
+  name.textContent = g.name;
+  const detail = el.appendChild(document.createElement('div'));
+  detail.style.cssText = 'font-size:11px;color:#555';
+  detail.textContent = `${g.voltage_kv} kV ${g.type || 'line'} · ${g.operator || 'N/A'}`;
+  return el;
+};
 
 const FONT_URL = "https://fonts.googleapis.com/css2?family=Barlow+Condensed:wght@400;600;700;800&family=Barlow:wght@400;500;600&display=swap";
 const FontLink = () => <link href={FONT_URL} rel="stylesheet" />;
@@ -91,69 +158,43 @@ const SunIcon = () => (
     <line x1="18.36" y1="5.64"  x2="19.78" y2="4.22"/>
   </svg>
 );
-/* ?? SVG Pie ???????????????????????????????????????????????????????????????? */
-const PieChart = ({ data, size = 100 }) => {
-  const total = data.reduce((s, d) => s + d.value, 0);
-  if (!total) return null;
-  const r = size / 2 - 6, cx = size / 2, cy = size / 2;
-  let a = -Math.PI / 2;
-  const slices = data.filter(d => d.value > 0).map(d => {
-    const sweep = (d.value / total) * 2 * Math.PI;
-    const x1 = cx + r * Math.cos(a), y1 = cy + r * Math.sin(a);
-    a += sweep;
-    const x2 = cx + r * Math.cos(a), y2 = cy + r * Math.sin(a);
-    return { path: `M${cx},${cy} L${x1},${y1} A${r},${r} 0 ${sweep > Math.PI ? 1 : 0},1 ${x2},${y2} Z`, color: d.color };
-  });
-  return (
-    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} style={{ filter: 'drop-shadow(0 2px 6px rgba(0,0,0,0.15))' }}>
-      {slices.map((s, i) => <path key={i} d={s.path} fill={s.color} stroke="#fff" strokeWidth={2} />)}
-    </svg>
-  );
-};
-/* ── StatCard ─────────────────────────────────────────────────────────────── */
-const StatCard = ({ label, value, color, theme }) => (
-  <div style={{
-    flex: 1, borderRadius: 10, padding: '12px 10px', textAlign: 'center',
-    background: `linear-gradient(135deg, ${color}22, ${color}08)`,
-    border: `1px solid ${color}35`,
-    position: 'relative', overflow: 'hidden',
-  }}>
-    <div style={{ position: 'absolute', top: 0, left: 0, right: 0, height: 3, background: color, borderRadius: '10px 10px 0 0' }} />
-    <div style={{ fontSize: 26, fontWeight: 800, color, fontFamily: "'Barlow Condensed', sans-serif", lineHeight: 1.1 }}>{value}</div>
-    <div style={{ fontSize: 10, color: theme.textMuted, marginTop: 3, fontFamily: "'Barlow', sans-serif", fontWeight: 500, textTransform: 'uppercase', letterSpacing: 0.5 }}>{label}</div>
-  </div>
-);
-
-/* ── Chip ─────────────────────────────────────────────────────────────────── */
-const Chip = ({ label, active, color, theme, onClick }) => (
-  <button onClick={onClick} style={{
-    padding: '5px 11px', borderRadius: 6, fontSize: 10, fontWeight: 700,
-    cursor: 'pointer',
-    border: `1.5px solid ${active ? color : theme.chipBorder}`,
-    background: active ? color : 'transparent',
-    color: active ? '#fff' : theme.chipText,
-    transition: 'all 0.15s', whiteSpace: 'nowrap',
-    fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: 0.5,
-    textTransform: 'uppercase',
-  }}>
-    {label}
-  </button>
-);
-
 /* ── Main ─────────────────────────────────────────────────────────────────── */
 const ProjectMap = () => {
   const mapContainer = useRef(null);
   const map          = useRef(null);
 
-  const [isDark,         setIsDark]         = useState(true);
+  // Deep link: state to restore once the map is ready, and the state the current history entry holds
+  const initialUrl   = useRef(null);
+  if (!initialUrl.current) initialUrl.current = parseUrlState(window.location.search, VIEW_IDS);
+  const pendingUrl   = useRef(initialUrl.current);
+  const lastUrlState = useRef(initialUrl.current);
+  const restoring    = useRef(true);
+
+  const [isDark,         setIsDark]         = useState(initialUrl.current.dark);
   const [view,           setView]           = useState('coverage');
   const [panelOpen,      setPanelOpen]      = useState(false);
   const [selectedYears,  setSelectedYears]  = useState([]);
   const [selectedStatus, setSelectedStatus] = useState([]);
   const [selectedTypes,  setSelectedTypes]  = useState([]);
+  const [selectedDistance, setSelectedDistance] = useState([]);
+  const [selectedContractor, setSelectedContractor] = useState(null);
+  const [timelineYear,   setTimelineYear]   = useState(null);
+  const [isPlaying,      setIsPlaying]      = useState(false);
+  const [isClustered,    setIsClustered]    = useState(true);
   const [activeState,    setActiveState]    = useState(null);
+  const [selectedProject, setSelectedProject] = useState(null);
+  const [lgaBoundaries,  setLgaBoundaries]  = useState(null);
+  const [lgaError,       setLgaError]       = useState(null);
+  const [activeLga,      setActiveLga]      = useState(null);
+  const [drawMode,       setDrawMode]       = useState(null);
+  const [drawDraft,      setDrawDraft]      = useState(null);
+  const [region,         setRegion]         = useState(null);
+  const [pinnedStates,   setPinnedStates]   = useState([]);
+  const [trendOpen,      setTrendOpen]      = useState(true);
+  const [showWatchlist,  setShowWatchlist]  = useState(false);
+  const [stallYears,     setStallYears]     = useState(DEFAULT_STALL_YEARS);
   const [stateData,      setStateData]      = useState(null);
-  const [pointCount,     setPointCount]     = useState(null);
+  const [projects,       setProjects]       = useState(null);
   const [mapReady,       setMapReady]       = useState(false);
   const [sidePanelIn,    setSidePanelIn]    = useState(false);
 
@@ -162,67 +203,172 @@ const ProjectMap = () => {
   const [isHeatmap,    setIsHeatmap]    = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [isExporting,  setIsExporting]  = useState(false);
+  const [isImporting,  setIsImporting]  = useState(false);
+  const [importInfo,   setImportInfo]   = useState(null);
+  const [importDraft,  setImportDraft]  = useState(null);
+  const [showSuspects, setShowSuspects] = useState(false);
+  const [suspects,     setSuspects]     = useState(null);
+  const [showGrid,     setShowGrid]     = useState(false);
+  const [dataError,    setDataError]    = useState(null);
+  const [dataProgress, setDataProgress] = useState(null);
+  const [showVerifications, setShowVerifications] = useState(false);
+  const [verifying,    setVerifying]    = useState(false);
 
-  /* ── Recalculate choropleth live from filtered source features ── */
-  const recalcChoropleth = useCallback((years, statuses, types, stateName) => {
-    if (!map.current || !map.current.getSource('projects')) return;
+  // Current data behind the 'projects' source — null until the provider's data is loaded or a workbook is imported
+  const projectsData = useRef(null);
+  const fileInput    = useRef(null);
 
-    // querySourceFeatures pulls ALL tiles in source regardless of zoom/viewport
-    const allFeatures = map.current.querySourceFeatures('projects');
+  // Donut markers for the clusters currently on screen, keyed by cluster_id
+  const clusterMarkers = useRef({});
 
-    // Count per state after applying the same filters in JS
-    const counts = {};
-    allFeatures.forEach(f => {
-      const p = f.properties;
-      if (stateName    && p.state  !== stateName)       return;
-      if (years.length    && !years.includes(p.year))   return;
-      if (statuses.length && !statuses.includes(p.status)) return;
-      if (types.length    && !types.includes(p.type))   return;
-      counts[p.state] = (counts[p.state] || 0) + 1;
-    });
+  // Read by the map's own click/hover handlers, which must stand down while a region is drawn
+  const drawing = useRef(null);
 
-    const maxCount = Math.max(...Object.values(counts), 1);
+  /* ── Filtered project set and the per-state statistics derived from it ── */
+  const filters = useMemo(() => ({
+    years: selectedYears, statuses: selectedStatus, types: selectedTypes, distances: selectedDistance,
+    contractor: selectedContractor, throughYear: timelineYear,
+  }), [selectedYears, selectedStatus, selectedTypes, selectedDistance, selectedContractor, timelineYear]);
+
+  const filteredProjects = useMemo(
+    () => (projects ? filterProjects(projects, filters) : []),
+    [projects, filters]
+  );
+  const stateStats = useMemo(() => aggregateByState(filteredProjects), [filteredProjects]);
+  const maxStateCount = useMemo(
+    () => Math.max(...Object.values(stateStats).map(st => st.total), 1),
+    [stateStats]
+  );
+
+  /* ── Timeline: the same filters without the year cut-off, for per-year counts and a fixed scale ── */
+  const timelineYears = useMemo(() => (projects
+    ? [...new Set(projects.map(f => Number(f.properties.year)).filter(y => y > 0))].sort((a, b) => a - b)
+    : []), [projects]);
+  const timelineBase = useMemo(
+    () => (projects && timelineYear ? filterProjects(projects, { ...filters, throughYear: null }) : null),
+    [projects, filters, timelineYear]
+  );
+  // While the timeline runs the choropleth keeps the end-of-programme scale, so states visibly fill in
+  const choroplethMax = useMemo(() => (timelineBase
+    ? Math.max(...Object.values(aggregateByState(timelineBase)).map(st => st.total), 1)
+    : maxStateCount), [timelineBase, maxStateCount]);
+  const timelineTotals = useMemo(
+    () => (timelineBase
+      ? timelineCounts(activeState ? timelineBase.filter(f => f.properties.state === activeState) : timelineBase, timelineYear)
+      : { cumulative: 0, perYear: 0 }),
+    [timelineBase, timelineYear, activeState]
+  );
+
+  // Contractor view: every contractor in the filtered set (ignoring the contractor pick itself)
+  const contractors = useMemo(() => (projects && view === 'contractor'
+    ? aggregateByContractor(filterProjects(projects, { ...filters, contractor: null, state: activeState }))
+    : []), [projects, view, filters, activeState]);
+
+  // Reports and exports name the picked contractor as the data spells it, not by its key
+  const reportFilters = useMemo(() => {
+    const [picked] = projects && filters.contractor
+      ? aggregateByContractor(projects.filter(f => f.properties.contractor_key === filters.contractor))
+      : [];
+    return { ...filters, contractorName: picked ? picked.name : null };
+  }, [projects, filters]);
+
+  /* ── LGA drill-down: the selected state's LGAs and their filtered statistics ── */
+  const lgaStats  = useMemo(() => (lgaBoundaries ? aggregateByLga(filteredProjects) : {}), [lgaBoundaries, filteredProjects]);
+  const stateLgas = useMemo(() => (lgaBoundaries && activeState
+    ? lgaBoundaries.features.filter(f => f.properties.lga_state === activeState)
+    : []), [lgaBoundaries, activeState]);
+  const activeLgaFeature = activeLga ? stateLgas.find(f => f.properties.lga_id === activeLga) || null : null;
+
+  // Another state (or none) starts again at the state level
+  useEffect(() => { setActiveLga(null); }, [activeState]);
+
+  // Side panel + PDF: the clicked state's (or LGA's) properties with live statistics on top
+  const activeStats = useMemo(() => {
+    if (!stateData || !activeState) return null;
+    if (activeLgaFeature) return {
+      ...stateData, shapeName: activeLgaFeature.properties.lga,
+      ...(lgaStats[activeLga] || { ...emptyStats(), checks: null }),
+    };
+    return { ...stateData, ...(stateStats[activeState] || emptyStats()) };
+  }, [stateData, activeState, stateStats, activeLga, activeLgaFeature, lgaStats]);
+
+  /* ── Filter panel: options from the loaded data, counts within the selected state / LGA ── */
+  const facets = useMemo(() => buildFacets(projects || []), [projects]);
+  // Technologies in the loaded data, for the technology legend
+  const presentTechs = useMemo(() => new Set((projects || []).flatMap(f =>
+    [f.properties.technology, f.properties.technology_2].filter(Boolean))), [projects]);
+  const counts = useMemo(() => (projects
+    ? facetCounts(activeLga ? projects.filter(f => f.properties.lga_id === activeLga) : projects, { ...filters, state: activeState })
+    : null), [projects, filters, activeState, activeLga]);
+
+  const pointCount = projects
+    ? (activeLga ? (lgaStats[activeLga] || emptyStats()).total
+      : activeState ? (stateStats[activeState] || emptyStats()).total : filteredProjects.length)
+    : null;
+
+  /* ── Projects per award year, nationally and for the selected state / LGA, on the full year axis ── */
+  const nationalTrend = useMemo(() => yearTrend(filteredProjects, timelineYears), [filteredProjects, timelineYears]);
+  const activeTrend   = useMemo(() => (activeState
+    ? yearTrend(filteredProjects.filter(f => f.properties.state === activeState && (!activeLga || f.properties.lga_id === activeLga)), timelineYears)
+    : nationalTrend), [filteredProjects, activeState, activeLga, timelineYears, nationalTrend]);
+
+  /* ── Repaint the choropleth from the filtered per-state counts ── */
+  const recalcChoropleth = useCallback((byState, maxCount) => {
+    if (!map.current || !map.current.getLayer('state-choropleth')) return;
 
     // Build a match expression: ['match', stateExpr, state1, count1, ..., 0]
     const matchExpr = ['match', ['upcase', ['get', 'shapeName']]];
-    Object.entries(counts).forEach(([state, count]) => {
-      matchExpr.push(state, count);
+    Object.entries(byState).forEach(([state, st]) => {
+      matchExpr.push(state, st.total);
     });
     matchExpr.push(0); // default for states with no matches
 
-    if (map.current.getLayer('state-choropleth')) {
-      map.current.setPaintProperty('state-choropleth', 'fill-color', [
-        'interpolate', ['linear'], matchExpr,
-        0,            '#c8e6c9',
-        maxCount*0.2, '#66bb6a',
-        maxCount*0.4, '#2e7d32',
-        maxCount*0.7, '#1b5e20',
-        maxCount,     '#0a3d17',
-      ]);
-    }
+    map.current.setPaintProperty('state-choropleth', 'fill-color', [
+      'interpolate', ['linear'], matchExpr,
+      ...CHOROPLETH_STEPS.flatMap((step, i) => [maxCount * step, CHOROPLETH_COLORS[i]]),
+    ]);
   }, []);
 
+  useEffect(() => {
+    if (!mapReady || !projects || view !== 'coverage') return;
+    recalcChoropleth(stateStats, choroplethMax);
+  }, [mapReady, projects, view, stateStats, choroplethMax, recalcChoropleth]);
+
+  /* ── LGA layer: the selected state's LGAs, shaded by filtered project count in coverage view ── */
+  useEffect(() => {
+    if (!mapReady || !map.current.getSource('lgas')) return;
+    map.current.getSource('lgas').setData({ type: 'FeatureCollection', features: stateLgas });
+    map.current.setLayoutProperty('lga-choropleth', 'visibility', view === 'coverage' && stateLgas.length ? 'visible' : 'none');
+    if (!stateLgas.length) return;
+    const counts  = stateLgas.map(f => [f.properties.lga_id, (lgaStats[f.properties.lga_id] || emptyStats()).total]);
+    const maxCount = Math.max(...counts.map(([, n]) => n), 1);
+    map.current.setPaintProperty('lga-choropleth', 'fill-color', [
+      'interpolate', ['linear'], ['match', ['get', 'lga_id'], ...counts.flat(), 0],
+      ...CHOROPLETH_STEPS.flatMap((step, i) => [maxCount * step, CHOROPLETH_COLORS[i]]),
+    ]);
+  }, [mapReady, stateLgas, lgaStats, view]);
+
+  useEffect(() => {
+    if (!mapReady || !map.current.getLayer('lga-border-active')) return;
+    map.current.setFilter('lga-border-active', ['==', ['get', 'lga_id'], activeLga || '']);
+  }, [mapReady, activeLga]);
+
+  const selectLga = useCallback((feature) => {
+    setActiveLga(feature ? feature.properties.lga_id : null);
+    const target = feature || (stateLgas.length ? { type: 'FeatureCollection', features: stateLgas } : null);
+    if (target && map.current) map.current.fitBounds(turf.bbox(target), { padding: 60 });
+  }, [stateLgas]);
+
   /* ── Filter ── */
-  const applyFilter = useCallback((years, statuses, types, stateName) => {
+  const applyFilter = useCallback((filters, stateName, lgaId) => {
     if (!map.current || !map.current.getLayer('project-points')) return;
-    const conds = [];
-    if (stateName)       conds.push(['==', ['get', 'state'], stateName]);
-    if (years.length)    conds.push(['in', ['get', 'year'],   ['literal', years]]);
-    if (statuses.length) conds.push(['in', ['get', 'status'], ['literal', statuses]]);
-    if (types.length)    conds.push(['in', ['get', 'type'],   ['literal', types]]);
-    map.current.setFilter('project-points',
-      conds.length === 0 ? null : conds.length === 1 ? conds[0] : ['all', ...conds]
-    );
-    setTimeout(() => {
-      if (!map.current) return;
-      setPointCount(map.current.queryRenderedFeatures({ layers: ['project-points'] }).length);
-      // In coverage view, repaint choropleth to reflect filtered counts
-      setView(v => {
-        if (v === 'coverage') recalcChoropleth(years, statuses, types, stateName);
-        return v;
-      });
-    }, 350);
-  }, [recalcChoropleth]);
+    map.current.setFilter('project-points', projectFilterExpression({ ...filters, state: stateName, lga: lgaId }));
+  }, []);
+
+  // The points always follow the filter panel and selected state or LGA, including after a style reload
+  useEffect(() => {
+    if (mapReady) applyFilter(filters, activeState, activeLga);
+  }, [mapReady, filters, activeState, activeLga, applyFilter]);
 
   /* ── Coverage fade: dim all states except selected ── */
   const applyCoverageFade = useCallback((stateName) => {
@@ -255,11 +401,12 @@ const ProjectMap = () => {
   const addLayers = useCallback((pointStrokeColor) => {
     map.current.addSource('states', {
       type: 'geojson',
-      data: require('../data/nigeria-states-enriched.geojson'),
+      data: EMPTY_FC,
     });
+    fillSource(map.current, 'states', 'states').catch(e => setDataError(e.message));
     map.current.addSource('projects', {
       type: 'geojson',
-      data: require('../data/projects-final.geojson'),
+      data: projectsData.current || EMPTY_FC,
     });
     map.current.addLayer({
       id: 'state-choropleth', type: 'fill', source: 'states',
@@ -283,12 +430,64 @@ const ProjectMap = () => {
       id: 'state-border', type: 'line', source: 'states',
       paint: { 'line-color': REA_GREEN, 'line-width': 0.9, 'line-opacity': 0.6 },
     });
+
+    // ── LGAs of the selected state (second drill-down level) ──
+    map.current.addSource('lgas', { type: 'geojson', data: EMPTY_FC });
+    map.current.addLayer({
+      id: 'lga-choropleth', type: 'fill', source: 'lgas',
+      layout: { visibility: 'none' },
+      paint: { 'fill-color': CHOROPLETH_COLORS[0], 'fill-opacity': 0.85 },
+    });
+    map.current.addLayer({
+      id: 'lga-fill', type: 'fill', source: 'lgas',
+      paint: { 'fill-color': REA_GREEN, 'fill-opacity': 0 },
+    });
+    map.current.addLayer({
+      id: 'lga-hover', type: 'fill', source: 'lgas',
+      paint: { 'fill-color': REA_GREEN, 'fill-opacity': 0.22 },
+      filter: ['==', ['get', 'lga_id'], ''],
+    });
+    map.current.addLayer({
+      id: 'lga-border', type: 'line', source: 'lgas',
+      paint: { 'line-color': '#fff', 'line-width': 0.8, 'line-opacity': 0.7 },
+    });
+    map.current.addLayer({
+      id: 'lga-border-active', type: 'line', source: 'lgas',
+      paint: { 'line-color': ACCENT_GOLD, 'line-width': 2, 'line-opacity': 1 },
+      filter: ['==', ['get', 'lga_id'], ''],
+    });
+
     map.current.addLayer({
       id: 'state-border-active', type: 'line', source: 'states',
       paint: { 'line-color': ACCENT_GOLD, 'line-width': 2.5, 'line-opacity': 1 },
       filter: ['==', 'shapeName', ''],
     });
-    
+
+    // ── Grid transmission lines (analysis layer, drawn under the projects) ──
+    map.current.addSource('grid-lines', { type: 'geojson', data: EMPTY_FC });
+    // A failed grid load surfaces through the project load, which needs the grid too
+    fillSource(map.current, 'grid-lines', 'grid').catch(() => {});
+    map.current.addLayer({
+      id: 'grid-lines', type: 'line', source: 'grid-lines',
+      layout: { visibility: 'none', 'line-cap': 'round', 'line-join': 'round' },
+      paint: {
+        'line-color': ['match', ['get', 'voltage_kv'],
+          ...GRID_VOLTAGES.flatMap(({ kv, color }) => [kv, color]), '#778CA3'],
+        'line-width': ['interpolate', ['linear'], ['zoom'],
+          5, ['match', ['get', 'voltage_kv'], ...GRID_VOLTAGES.flatMap(({ kv, width }) => [kv, width]), 1],
+          10, ['match', ['get', 'voltage_kv'], ...GRID_VOLTAGES.flatMap(({ kv, width }) => [kv, width * 2]), 2],
+        ],
+        'line-dasharray': ['match', ['get', 'voltage_kv'], 132, ['literal', [2, 1.5]], ['literal', [1, 0]]],
+        'line-opacity': 0.9,
+      },
+    });
+    map.current.addLayer({
+      id: 'grid-lines-hover', type: 'line', source: 'grid-lines',
+      layout: { visibility: 'none', 'line-cap': 'round' },
+      paint: { 'line-color': ACCENT_GOLD, 'line-width': 5, 'line-opacity': 0.8 },
+      filter: ['==', 'name', ''],
+    });
+
     // ── Heatmap layer ──
     map.current.addLayer({
       id: 'project-heatmap', type: 'heatmap', source: 'projects',
@@ -331,6 +530,112 @@ const ProjectMap = () => {
         ],
       },
     });
+
+    // ── Clustered copy of the filtered projects: hit areas for the donut markers + unclustered points ──
+    map.current.addSource('project-clusters', {
+      type: 'geojson', data: EMPTY_FC,
+      cluster: true, clusterRadius: 48, clusterMaxZoom: 10,
+      clusterProperties: CLUSTER_PROPERTIES,
+    });
+    map.current.addLayer({
+      id: 'project-clusters', type: 'circle', source: 'project-clusters',
+      filter: ['has', 'point_count'],
+      layout: { visibility: 'none' },
+      paint: { 'circle-radius': 20, 'circle-opacity': 0 },
+    });
+    map.current.addLayer({
+      id: 'cluster-points', type: 'circle', source: 'project-clusters',
+      filter: ['!', ['has', 'point_count']],
+      layout: { visibility: 'none' },
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 3, 8, 4.5, 11, 7.0],
+        'circle-color': ['match', ['get', 'status'],
+          'COMPLETED','#00C48C', 'ONGOING','#FFB800', 'YET TO MOBILIZE','#FF4757', '#2F3542'],
+        'circle-stroke-width': 1,
+        'circle-stroke-color': pointStrokeColor,
+        'circle-opacity': 0.9,
+      },
+    });
+
+    // ── Suspect locations (data-quality audit) — rings drawn over the points ──
+    map.current.addSource('suspects', { type: 'geojson', data: EMPTY_FC });
+    map.current.addLayer({
+      id: 'suspect-points', type: 'circle', source: 'suspects',
+      layout: { visibility: 'none' },
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 4, 8, 7, 11, 11],
+        'circle-color': 'rgba(0,0,0,0)',
+        'circle-stroke-width': 2,
+        'circle-stroke-color': ['match', ['get', 'issue'],
+          ...Object.entries(LOCATION_ISSUES).flatMap(([id, { color }]) => [id, color]),
+          '#FF4757'],
+      },
+    });
+
+    // ── Stalled-project watchlist — heavy status-coloured rings with a soft halo ──
+    map.current.addSource('stalled', { type: 'geojson', data: EMPTY_FC });
+    map.current.addLayer({
+      id: 'stalled-points', type: 'circle', source: 'stalled',
+      layout: { visibility: 'none' },
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 5, 8, 9, 11, 13],
+        'circle-color': ['match', ['get', 'status'],
+          ...Object.entries(STALL_RULES).flatMap(([status, { color }]) => [status, color]),
+          '#FF4757'],
+        'circle-opacity': 0.18,
+        'circle-stroke-width': 2.5,
+        'circle-stroke-color': ['match', ['get', 'status'],
+          ...Object.entries(STALL_RULES).flatMap(([status, { color }]) => [status, color]),
+          '#FF4757'],
+      },
+    });
+
+    // ── Field verification badges — a small dot on the upper right of each visited project ──
+    map.current.addSource('verified', { type: 'geojson', data: EMPTY_FC });
+    map.current.addLayer({
+      id: 'verified-points', type: 'circle', source: 'verified',
+      layout: { visibility: 'none' },
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 2, 8, 3.5, 11, 5],
+        'circle-color': ['match', ['get', 'outcome'],
+          ...Object.entries(VERIFY_OUTCOMES).flatMap(([id, { color }]) => [id, color]),
+          '#778CA3'],
+        'circle-stroke-width': 1.2,
+        'circle-stroke-color': '#fff',
+        'circle-translate': ['interpolate', ['linear'], ['zoom'], 4, ['literal', [2, -2]], 11, ['literal', [6, -6]]],
+      },
+    });
+
+    // ── Drawn selection region (and the outline being drawn) ──
+    map.current.addSource('draw-region', { type: 'geojson', data: EMPTY_FC });
+    map.current.addLayer({
+      id: 'draw-fill', type: 'fill', source: 'draw-region',
+      filter: ['==', ['geometry-type'], 'Polygon'],
+      paint: { 'fill-color': REA_GREEN, 'fill-opacity': 0.1 },
+    });
+    map.current.addLayer({
+      id: 'draw-line', type: 'line', source: 'draw-region',
+      filter: ['!=', ['geometry-type'], 'Point'],
+      layout: { 'line-join': 'round', 'line-cap': 'round' },
+      paint: { 'line-color': REA_GREEN, 'line-width': 2.2, 'line-dasharray': [2, 1.5] },
+    });
+    map.current.addLayer({
+      id: 'draw-vertices', type: 'circle', source: 'draw-region',
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: { 'circle-radius': 4, 'circle-color': '#fff', 'circle-stroke-width': 2, 'circle-stroke-color': REA_GREEN },
+    });
+
+    // ── Ring around the project open in the detail drawer ──
+    map.current.addLayer({
+      id: 'project-selected', type: 'circle', source: 'projects',
+      filter: ['==', ['get', 'project_id'], ''],
+      paint: {
+        'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 7, 8, 9, 11, 13],
+        'circle-color': 'rgba(0,0,0,0)',
+        'circle-stroke-width': 3,
+        'circle-stroke-color': REA_GREEN,
+      },
+    });
   }, []);
 
   /* ── View switch ── */
@@ -338,6 +643,7 @@ const ProjectMap = () => {
     if (!map.current || !mapReady) return;
     setView(newView);
     setActiveState(null); setStateData(null); setSidePanelIn(false);
+    if (newView !== 'contractor') setSelectedContractor(null);
     applyCoverageFade(null);
     if (map.current.getLayer('state-border-active')) {
       map.current.setFilter('state-border-active', ['==', 'shapeName', '']);
@@ -354,31 +660,8 @@ const ProjectMap = () => {
       map.current.setLayoutProperty('state-choropleth', 'visibility', isCov ? 'visible' : 'none');
     if (map.current.getLayer('state-fill'))
       map.current.setPaintProperty('state-fill', 'fill-opacity', isCov ? 0 : 0.06);
-    // On entering coverage, recalc choropleth with any active filters
-    if (isCov) {
-      setSelectedYears(y => { setSelectedStatus(s => { setSelectedTypes(t => {
-        recalcChoropleth(y, s, t, null);
-        return t; }); return s; }); return y;
-      });
-    }
-
-    if (newView === 'performance' && map.current.getLayer('project-points')) {
-      map.current.setPaintProperty('project-points', 'circle-color', [
-        'match', ['get', 'status'],
-        'COMPLETED','#00C48C', 'ONGOING','#FFB800', 'YET TO MOBILIZE','#FF4757', '#2F3542',
-      ]);
-    }
-    if (newView === 'technology' && map.current.getLayer('project-points')) {
-      map.current.setPaintProperty('project-points', 'circle-color', [
-        'case',
-        ['all', ['in', 'SOLAR STREET LIGHT', ['get', 'type']], ['!', ['in', 'MINI GRID', ['get', 'type']]]], '#FFB800',
-        ['in', 'MINI GRID',  ['get', 'type']], '#1E90FF',
-        ['in', 'SOLAR HOME', ['get', 'type']], '#A855F7',
-        ['in', 'GRID',       ['get', 'type']], '#FF4757',
-        '#778CA3',
-      ]);
-    }
-  }, [mapReady, applyCoverageFade, recalcChoropleth]);
+    if (!isCov && map.current.getLayer('project-points')) setPointPaint(map.current, newView === 'technology', theme.pointStroke);
+  }, [mapReady, applyCoverageFade, theme]);
 
   /* ── Dark/light toggle ── */
   const toggleTheme = useCallback(() => {
@@ -387,9 +670,10 @@ const ProjectMap = () => {
     const nextTheme = nextDark ? THEMES.dark : THEMES.light;
     setIsDark(nextDark);
     setMapReady(false);
-    map.current.setStyle(nextTheme.mapStyle);
+    map.current.setStyle(mapStyleFor(nextTheme));
     map.current.once('style.load', () => {
       addLayers(nextTheme.pointStroke);
+      rememberOfflineStyle(nextTheme.mapStyle);
       // Restore current view
       setView(v => {
         const isCov = v === 'coverage';
@@ -397,50 +681,89 @@ const ProjectMap = () => {
         map.current.setPaintProperty('project-points', 'circle-stroke-opacity', isCov ? 0 : 1);
         map.current.setLayoutProperty('state-choropleth', 'visibility', isCov ? 'visible' : 'none');
         map.current.setPaintProperty('state-fill', 'fill-opacity', isCov ? 0 : 0.06);
-        if (v === 'coverage') {
-          setSelectedYears(y => { setSelectedStatus(s => { setSelectedTypes(t => {
-            recalcChoropleth(y, s, t, null); return t; }); return s; }); return y;
-          });
-        }
-        if (v === 'technology') {
-          map.current.setPaintProperty('project-points', 'circle-color', [
-            'case',
-            ['all', ['in', 'SOLAR STREET LIGHT', ['get', 'type']], ['!', ['in', 'MINI GRID', ['get', 'type']]]], '#FFB800',
-            ['in', 'MINI GRID',  ['get', 'type']], '#1E90FF',
-            ['in', 'SOLAR HOME', ['get', 'type']], '#A855F7',
-            ['in', 'GRID',       ['get', 'type']], '#FF4757',
-            '#778CA3',
-          ]);
-        }
+        if (v === 'technology') setPointPaint(map.current, true, nextTheme.pointStroke);
         return v;
       });
       setMapReady(true);
     });
-  }, [isDark, addLayers, recalcChoropleth]);
+  }, [isDark, addLayers]);
+
+  /* ── Heatmap on/off; individual points stay hidden in heatmap mode and in coverage ── */
+  const showHeatmap = useCallback((on, v) => {
+    if (map.current.getLayer('project-heatmap'))
+      map.current.setLayoutProperty('project-heatmap', 'visibility', on ? 'visible' : 'none');
+    if (map.current.getLayer('project-points')) {
+      const hidden = on || v === 'coverage';
+      map.current.setPaintProperty('project-points', 'circle-opacity',
+        hidden ? 0 : ['interpolate',['linear'],['zoom'],4,0.45,6,0.68,9,0.88]);
+      map.current.setPaintProperty('project-points', 'circle-stroke-opacity', hidden ? 0 : 1);
+      map.current.setLayoutProperty('project-points', 'visibility', hidden ? 'none' : 'visible');
+    }
+  }, []);
 
   /* ── Heatmap toggle ── */
   const toggleHeatmap = useCallback(() => {
     if (!map.current || !mapReady) return;
     setIsHeatmap(prev => {
       const next = !prev;
-      if (map.current.getLayer('project-heatmap'))
-        map.current.setLayoutProperty('project-heatmap', 'visibility', next ? 'visible' : 'none');
-      // In heatmap mode hide individual points
-      if (map.current.getLayer('project-points')) {
-        setView(v => {
-          const inCoverage = v === 'coverage';
-          map.current.setPaintProperty('project-points', 'circle-opacity',
-            (next || inCoverage) ? 0 : ['interpolate',['linear'],['zoom'],4,0.45,6,0.68,9,0.88]);
-          map.current.setPaintProperty('project-points', 'circle-stroke-opacity',
-            (next || inCoverage) ? 0 : 1);
-          map.current.setLayoutProperty('project-points', 'visibility',
-            (next || inCoverage) ? 'none' : 'visible');
-          return v;
-        });
-      }
+      showHeatmap(next, view);
       return next;
     });
-  }, [mapReady]);
+  }, [mapReady, view, showHeatmap]);
+
+  /* ── Clustering: replaces the individual points outside coverage view and heatmap mode ── */
+  const clustersOn = isClustered && view !== 'coverage' && !isHeatmap;
+
+  // The clustered source holds exactly what the point filter would show
+  useEffect(() => {
+    if (!mapReady || !clustersOn || !map.current.getSource('project-clusters')) return;
+    const features = activeState
+      ? filteredProjects.filter(f => f.properties.state === activeState && (!activeLga || f.properties.lga_id === activeLga))
+      : filteredProjects;
+    // cluster_ids are reused between loads, so cached markers would show stale counts
+    Object.values(clusterMarkers.current).forEach(m => m.remove());
+    clusterMarkers.current = {};
+    map.current.getSource('project-clusters').setData({ type: 'FeatureCollection', features });
+  }, [mapReady, clustersOn, filteredProjects, activeState, activeLga]);
+
+  useEffect(() => {
+    if (!mapReady || !map.current.getLayer('cluster-points')) return;
+    ['project-clusters', 'cluster-points'].forEach(l =>
+      map.current.setLayoutProperty(l, 'visibility', clustersOn ? 'visible' : 'none'));
+    if (clustersOn) {
+      map.current.setLayoutProperty('project-points', 'visibility', 'none');
+      ['circle-color', 'circle-stroke-color'].forEach(prop =>
+        map.current.setPaintProperty('cluster-points', prop, map.current.getPaintProperty('project-points', prop)));
+    } else {
+      showHeatmap(isHeatmap, view);
+      Object.values(clusterMarkers.current).forEach(m => m.remove());
+      clusterMarkers.current = {};
+    }
+  }, [mapReady, clustersOn, isHeatmap, view, showHeatmap]);
+
+  /* ── Timeline playback: step one year at a time, stop on the last ── */
+  useEffect(() => {
+    if (!isPlaying) return;
+    const i = timelineYears.indexOf(timelineYear);
+    if (i >= timelineYears.length - 1) { setIsPlaying(false); return; }
+    const t = setTimeout(() => setTimelineYear(timelineYears[i + 1]), 1200);
+    return () => clearTimeout(t);
+  }, [isPlaying, timelineYear, timelineYears]);
+
+  const toggleTimeline = useCallback(() => {
+    setIsPlaying(false);
+    setTimelineYear(y => (y || !timelineYears.length ? null : timelineYears[0]));
+  }, [timelineYears]);
+
+  const togglePlay = useCallback(() => {
+    // Pressing play on the last year starts over
+    if (!isPlaying && timelineYear === timelineYears[timelineYears.length - 1]) setTimelineYear(timelineYears[0]);
+    setIsPlaying(p => !p);
+  }, [isPlaying, timelineYear, timelineYears]);
+
+  /* ── Offline field mode: connection state and the downloadable tile pack ── */
+  const offline = useOfflineMap(map);
+  const { isOnline, tilePack } = offline;
 
   /* ── Fullscreen toggle ── */
   const toggleFullscreen = useCallback(() => {
@@ -475,46 +798,447 @@ const ProjectMap = () => {
 
   /* ── Generate state PDF report ── */
   const exportStatePDF = useCallback(() => {
-    if (!stateData) return;
+    if (!activeStats) return;
     const canvas = map.current ? map.current.getCanvas() : null;
+    const rows = filteredProjects
+      .filter(f => f.properties.state === activeState && (!activeLga || f.properties.lga_id === activeLga))
+      .map(f => f.properties)
+      .sort((a, b) => String(a.year).localeCompare(String(b.year)) || String(a.title).localeCompare(String(b.title)));
     generateStateReport({
-      stateData,
+      stateData: activeStats,
       mapCanvas: canvas,
       isDark,
+      projects: rows,
+      filters:  reportFilters,
+      trend:    activeTrend,
+    });
+  }, [activeStats, activeState, activeLga, filteredProjects, reportFilters, isDark, activeTrend]);
+
+  /* ── Record export: exactly the filtered projects in the selected state / LGA ── */
+  const exportScope = activeState
+    ? [activeLgaFeature && `${activeLgaFeature.properties.lga} LGA`, activeState].filter(Boolean).join(', ')
+    : null;
+
+  const exportData = useCallback((format) => {
+    const features = filteredProjects.filter(f =>
+      (!activeState || f.properties.state === activeState) && (!activeLga || f.properties.lga_id === activeLga));
+    try {
+      exportProjects(format, { features, filters: reportFilters, scope: exportScope, source: importInfo ? importInfo.name : null });
+    } catch(e) {
+      alert(`Export failed: ${e.message}`);
+    }
+  }, [filteredProjects, activeState, activeLga, reportFilters, exportScope, importInfo]);
+
+  /* ── Generate national summary PDF (all states, active filters) ── */
+  const exportNationalPDF = useCallback(async () => {
+    if (!projects || isExporting) return;
+    setIsExporting(true);
+    try {
+      const boundaries = await loadDataset('states');
+      generateNationalReport({
+        stateNames: boundaries.features.map(f => f.properties.shapeName),
+        byState:    stateStats,
+        national:   summarize(filteredProjects),
+        filters:    reportFilters,
+        trend:      nationalTrend,
+      });
+    } catch(e) {
+      alert(`Report failed: ${e.message}`);
+    }
+    setIsExporting(false);
+  }, [projects, isExporting, stateStats, filteredProjects, reportFilters, nationalTrend]);
+
+  /* ── Contractor pick: filter the map to their projects and frame them ── */
+  const selectContractor = useCallback((key) => {
+    setSelectedContractor(key);
+    if (!key || !map.current || !projects) return;
+    const own = filterProjects(projects, { ...filters, contractor: key, state: activeState });
+    if (own.length) {
+      map.current.fitBounds(turf.bbox({ type: 'FeatureCollection', features: own }), { padding: 80, maxZoom: 9 });
+    }
+  }, [projects, filters, activeState]);
+
+  const contractorRows = useCallback((c) => filteredProjects
+    .filter(f => f.properties.contractor_key === c.key && (!activeState || f.properties.state === activeState))
+    .map(f => f.properties)
+    .sort((a, b) => String(a.year).localeCompare(String(b.year)) || String(a.title).localeCompare(String(b.title))),
+  [filteredProjects, activeState]);
+
+  /* ── Contractor scorecard exports ── */
+  const exportContractorPDF = useCallback((c) => {
+    generateContractorScorecard({ contractor: c, projects: contractorRows(c), filters: reportFilters });
+  }, [contractorRows, reportFilters]);
+
+  const exportContractorCSV = useCallback((c) => {
+    const slug = c.name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    downloadCSV(`REA-Contractor-${slug}-${new Date().toISOString().slice(0,10)}.csv`, contractorRows(c), [
+      { key: 'title',    label: 'Project Title' },
+      { key: 'lot',      label: 'Lot No.' },
+      { key: 'state',    label: 'State' },
+      { key: 'location', label: 'Location' },
+      { key: 'type',     label: 'Type' },
+      { key: 'year',     label: 'Year' },
+      { key: 'status',   label: 'Status' },
+    ]);
+  }, [contractorRows]);
+
+  /* ── Drawn region: projects inside it under the current filters, and its exports ── */
+  const regionProjects = useMemo(() => projectsInRegion(filteredProjects, region), [filteredProjects, region]);
+  const regionStats    = useMemo(() => (region ? summarizeRegion(regionProjects) : null), [region, regionProjects]);
+
+  const regionRows = useCallback(() => regionProjects
+    .map(f => f.properties)
+    .sort((a, b) => String(a.state).localeCompare(String(b.state)) || String(a.year).localeCompare(String(b.year)) || String(a.title).localeCompare(String(b.title))),
+  [regionProjects]);
+
+  const exportRegionPDF = useCallback(() => {
+    if (!region) return;
+    generateRegionReport({
+      stats:       regionStats,
+      description: describeRegion(region),
+      mapCanvas:   map.current ? map.current.getCanvas() : null,
+      projects:    regionRows(),
+      filters:     reportFilters,
     });
-  }, [stateData, isDark]);
+  }, [region, regionStats, regionRows, reportFilters]);
+
+  const exportRegionCSV = useCallback(() => {
+    downloadCSV(`REA-Region-Projects-${new Date().toISOString().slice(0,10)}.csv`, regionRows(), [
+      { key: 'title',      label: 'Project Title' },
+      { key: 'lot',        label: 'Lot No.' },
+      { key: 'state',      label: 'State' },
+      { key: 'location',   label: 'Location' },
+      { key: 'type',       label: 'Type' },
+      { key: 'year',       label: 'Year' },
+      { key: 'status',     label: 'Status' },
+      { key: 'contractor', label: 'Contractor' },
+      { key: 'grid_km',    label: 'Distance to Grid (km)' },
+    ]);
+  }, [regionRows]);
+
+  /* ── Compare mode: up to MAX_COMPARE pinned states, under the current filters ── */
+  const comparison = useMemo(
+    () => (pinnedStates.length ? compareStates(filteredProjects, pinnedStates) : null),
+    [filteredProjects, pinnedStates]
+  );
+
+  const togglePin = useCallback((name) => {
+    setPinnedStates(pinned => (pinned.includes(name)
+      ? pinned.filter(n => n !== name)
+      : pinned.length < MAX_COMPARE ? [...pinned, name] : pinned));
+  }, []);
+
+  const exportComparisonPDF = useCallback(() => {
+    if (!comparison || comparison.states.length < 2) return;
+    generateComparisonReport({ comparison, filters: reportFilters });
+  }, [comparison, reportFilters]);
+
+  // LGA boundaries load once, when the build has them; a missing or unreadable file leaves the
+  // drill-down at state level, with the reason in lgaError for the side panel
+  const lgaLoad = useRef(null);
+  const loadLgas = useCallback(() => {
+    if (!DATASETS.includes('lgas')) return Promise.resolve(null);
+    if (!lgaLoad.current) {
+      setLgaError(null);
+      lgaLoad.current = Promise.all([loadDataset('lgas'), loadDataset('states')])
+        .then(([lgas, states]) => prepareLgas(lgas, states))
+        .catch(e => { setLgaError(e.message); return null; });
+    }
+    return lgaLoad.current;
+  }, []);
+
+  /* ── Load project features into memory, each with its distance to the nearest grid line and its LGA when those load ── */
+  const loadProjects = useCallback((data) => {
+    setDataError(null);
+    const onProgress = (loaded, total) => setDataProgress({ loaded, total });
+    // Without the grid lines the projects still load, just without grid_km, as they do without LGAs
+    const loadGrid = loadDataset('grid').catch(() => null);
+    Promise.all([asGeoJSON(data, { onProgress }), loadGrid, loadLgas()])
+      .then(([fc, grid, lgas]) => {
+        if (projectsData.current !== data) return;
+        let features = addProjectIds(addTypeParts(addTechnologies(addContractorKeys(grid ? addGridDistance(fc.features, grid) : fc.features))));
+        if (lgas) features = assignLgas(features, lgas);
+        const enriched = { ...fc, features };
+        // The map source carries grid_km, technology, type_parts, project_id and lga_id too, for the point filter, tech colours and the selected-project ring
+        projectsData.current = enriched;
+        if (map.current && map.current.getSource('projects')) map.current.getSource('projects').setData(enriched);
+        setProjects(enriched.features);
+        setLgaBoundaries(lgas);
+      })
+      .catch(e => { if (projectsData.current === data) setDataError(e.message); })
+      .finally(() => setDataProgress(null));
+  }, [loadLgas]);
+
+  useEffect(() => { loadProjects(projectsData.current); }, [loadProjects]);
+
+  /* ── Ask the backend again after a failed load: the projects (unless imported), states, grid and LGAs ── */
+  const retryData = useCallback(() => {
+    reloadDatasets();
+    lgaLoad.current = null;
+    if (map.current && map.current.getSource('states')) {
+      fillSource(map.current, 'states', 'states').catch(e => setDataError(e.message));
+      fillSource(map.current, 'grid-lines', 'grid').catch(() => {});
+    }
+    loadProjects(projectsData.current);
+  }, [loadProjects]);
+
+  /* ── Swap the project source, then re-run filters on the new data (null: back to the provider's) ── */
+  const replaceData = useCallback((data) => {
+    projectsData.current = data;
+    map.current.getSource('projects').setData(data || EMPTY_FC);
+    loadProjects(data);
+    setActiveState(null); setStateData(null); setSidePanelIn(false);
+    map.current.setFilter('state-border-active', ['==', 'shapeName', '']);
+    applyCoverageFade(null);
+    setSuspects(null);
+    setSelectedProject(null);
+  }, [applyCoverageFade, loadProjects]);
+
+  /* ── Read an REA workbook and hand its rows to the mapping/validation wizard ── */
+  const openWorkbook = useCallback(async (file) => {
+    if (!file || !map.current || !mapReady || isImporting) return;
+    setIsImporting(true);
+    try {
+      const { headers, rows } = await readWorkbookRows(file);
+      if (!rows.length) throw new Error('The first sheet has no data rows.');
+      setImportDraft({ fileName: file.name, headers, rows });
+    } catch(e) {
+      alert(`Import failed: ${e.message}`);
+    }
+    setIsImporting(false);
+  }, [mapReady, isImporting]);
+
+  /* ── Validated rows from the wizard: resolve states and swap the project source ── */
+  const importProjects = useCallback(async (collection) => {
+    const fileName = importDraft ? importDraft.fileName : 'workbook';
+    setImportDraft(null);
+    setIsImporting(true);
+    try {
+      const boundaries = await loadDataset('states');
+      const projects   = assignStates(collection, boundaries);
+      replaceData(projects);
+      setImportInfo({ name: fileName, count: projects.features.length });
+    } catch(e) {
+      alert(`Import failed: ${e.message}`);
+    }
+    setIsImporting(false);
+  }, [importDraft, replaceData]);
+
+  /* ── Drop the imported workbook and go back to the data provider's projects ── */
+  const resetImport = useCallback(() => {
+    if (!map.current || !mapReady) return;
+    replaceData(null);
+    setImportInfo(null);
+  }, [mapReady, replaceData]);
+
+  /* ── Suspect locations: audit current data on demand, re-run after each import ── */
+  useEffect(() => {
+    if (!showSuspects || suspects) return;
+    let cancelled = false;
+    Promise.all([asGeoJSON(projectsData.current), loadDataset('states')])
+      .then(([projects, states]) => { if (!cancelled) setSuspects(auditLocations(projects, states)); })
+      .catch(e => {
+        if (cancelled) return;
+        alert(`Location audit failed: ${e.message}`);
+        setShowSuspects(false);
+      });
+    return () => { cancelled = true; };
+  }, [showSuspects, suspects]);
+
+  // Re-applied whenever the style reloads (mapReady flips back to true)
+  useEffect(() => {
+    if (!map.current || !mapReady || !map.current.getLayer('suspect-points')) return;
+    map.current.getSource('suspects').setData(suspects || EMPTY_FC);
+    map.current.setLayoutProperty('suspect-points', 'visibility', showSuspects ? 'visible' : 'none');
+  }, [showSuspects, suspects, mapReady]);
+
+  /* ── Stalled-project watchlist: the current filters with any status, then the age thresholds ── */
+  const stalled = useMemo(
+    () => (projects ? findStalled(filterProjects(projects, { ...filters, statuses: [] }), stallYears) : []),
+    [projects, filters, stallYears]
+  );
+
+  useEffect(() => {
+    if (!map.current || !mapReady || !map.current.getLayer('stalled-points')) return;
+    map.current.getSource('stalled').setData(showWatchlist ? { type: 'FeatureCollection', features: stalled } : EMPTY_FC);
+    map.current.setLayoutProperty('stalled-points', 'visibility', showWatchlist ? 'visible' : 'none');
+  }, [showWatchlist, stalled, mapReady]);
+
+  const downloadWatchlist = useCallback((format) => {
+    try {
+      exportWatchlist(format, { stalled, thresholds: stallYears, filters: reportFilters });
+    } catch(e) {
+      alert(`Export failed: ${e.message}`);
+    }
+  }, [stalled, stallYears, reportFilters]);
+
+  /* ── Field verifications stored on the device; the latest visit badges each project point ── */
+  const {
+    verifications, endpoint: verifyEndpoint, isSyncing,
+    saveSiteVisit, removeVerification, syncSiteVisits, downloadVerifications, changeEndpoint,
+  } = useFieldVerifications();
+
+  const verifiedPoints = useMemo(() => {
+    const latest = latestByProject(verifications);
+    return filteredProjects
+      .filter(f => latest[f.properties.project_id])
+      .map(f => ({ type: 'Feature', geometry: f.geometry, properties: { project_id: f.properties.project_id, outcome: outcomeOf(latest[f.properties.project_id]) } }));
+  }, [verifications, filteredProjects]);
+
+  useEffect(() => {
+    if (!map.current || !mapReady || !map.current.getLayer('verified-points')) return;
+    map.current.getSource('verified').setData({ type: 'FeatureCollection', features: verifiedPoints });
+    map.current.setLayoutProperty('verified-points', 'visibility', view !== 'coverage' && verifiedPoints.length ? 'visible' : 'none');
+  }, [verifiedPoints, view, mapReady]);
+
+  /* ── Selected project ring: re-applied whenever the style reloads ── */
+  useEffect(() => {
+    if (!map.current || !mapReady || !map.current.getLayer('project-selected')) return;
+    map.current.setFilter('project-selected', ['==', ['get', 'project_id'], selectedProject || '']);
+  }, [selectedProject, mapReady]);
+
+  /* ── Region drawing: lasso (click vertices) or radius (click centre, click edge) ── */
+  useEffect(() => {
+    drawing.current = drawMode;
+    if (!mapReady || !drawMode) return;
+    const m = map.current;
+    const vertices = [];
+    let center = null;
+
+    const finish = (shape) => {
+      setDrawDraft(null);
+      setDrawMode(null);
+      if (shape) setRegion(shape);
+    };
+    const lassoDraft = (cursor) => {
+      const path = cursor ? [...vertices, cursor] : vertices;
+      return {
+        type: 'FeatureCollection',
+        features: [
+          ...vertices.map(v => turf.point(v)),
+          ...(path.length > 1 ? [turf.lineString(path)] : []),
+        ],
+      };
+    };
+
+    const onClick = (e) => {
+      const pt = e.lngLat.toArray();
+      if (drawMode === 'radius') {
+        if (!center) { center = pt; setDrawDraft({ type: 'FeatureCollection', features: [turf.point(pt)] }); return; }
+        const km = turf.distance(center, pt, { units: 'kilometers' });
+        if (km > 0) finish(radiusRegion(center, km));
+        return;
+      }
+      // Clicking the first vertex again closes the lasso
+      if (vertices.length >= 3 && m.project(vertices[0]).dist(e.point) < CLOSE_PX) {
+        finish(polygonRegion(vertices));
+        return;
+      }
+      vertices.push(pt);
+      setDrawDraft(lassoDraft());
+    };
+    const onMove = (e) => {
+      const pt = e.lngLat.toArray();
+      if (drawMode === 'radius') {
+        if (!center) return;
+        const km = turf.distance(center, pt, { units: 'kilometers' });
+        if (km > 0) setDrawDraft({ type: 'FeatureCollection', features: [turf.point(center), radiusRegion(center, km)] });
+      } else if (vertices.length) {
+        setDrawDraft(lassoDraft(pt));
+      }
+    };
+    // A double-click lands two clicks first; drop the vertices they stacked on top of each other
+    const onDblClick = (e) => {
+      if (drawMode !== 'polygon') return;
+      e.preventDefault();
+      const kept = vertices.filter((v, i) => i === 0 || m.project(v).dist(m.project(vertices[i - 1])) >= CLOSE_PX);
+      if (kept.length >= 3) finish(polygonRegion(kept));
+    };
+
+    m.doubleClickZoom.disable();
+    m.getCanvas().style.cursor = 'crosshair';
+    m.on('click', onClick);
+    m.on('mousemove', onMove);
+    m.on('dblclick', onDblClick);
+    return () => {
+      m.off('click', onClick);
+      m.off('mousemove', onMove);
+      m.off('dblclick', onDblClick);
+      m.getCanvas().style.cursor = '';
+      // Re-enabled after the dblclick that finished the lasso has been handled
+      setTimeout(() => m.doubleClickZoom.enable(), 0);
+    };
+  }, [mapReady, drawMode]);
+
+  // Re-applied whenever the style reloads
+  useEffect(() => {
+    if (!map.current || !mapReady || !map.current.getSource('draw-region')) return;
+    map.current.getSource('draw-region').setData(drawDraft || (region ? { type: 'FeatureCollection', features: [region] } : EMPTY_FC));
+  }, [drawDraft, region, mapReady]);
+
+  const startDrawing = useCallback((mode) => {
+    setDrawDraft(null);
+    setDrawMode(m => (m === mode ? null : mode));
+    if (mode) setRegion(null);
+  }, []);
+
+  /* ── Grid transmission lines: re-applied whenever the style reloads ── */
+  useEffect(() => {
+    if (!map.current || !mapReady || !map.current.getLayer('grid-lines')) return;
+    ['grid-lines', 'grid-lines-hover'].forEach(l =>
+      map.current.setLayoutProperty(l, 'visibility', showGrid ? 'visible' : 'none'));
+  }, [showGrid, mapReady]);
+
+  const downloadSuspects = useCallback(() => {
+    if (!suspects) return;
+    const rows = suspects.features.map(({ properties: p, geometry }) => ({
+      ...p,
+      issue:     LOCATION_ISSUES[p.issue].label,
+      longitude: geometry.coordinates[0],
+      latitude:  geometry.coordinates[1],
+    }));
+    downloadCSV(`REA-Suspect-Locations-${new Date().toISOString().slice(0,10)}.csv`, rows, [
+      { key: 'issue',          label: 'Issue' },
+      { key: 'title',          label: 'Project Title' },
+      { key: 'lot',            label: 'Lot No.' },
+      { key: 'contractor',     label: 'Contractor' },
+      { key: 'year',           label: 'Year' },
+      { key: 'status',         label: 'Status' },
+      { key: 'declared_state', label: 'Declared State' },
+      { key: 'found_state',    label: 'Located In' },
+      { key: 'longitude',      label: 'Longitude' },
+      { key: 'latitude',       label: 'Latitude' },
+    ]);
+  }, [suspects]);
 
   /* ── Escape key to deselect ── */
   useEffect(() => {
     const onKey = (e) => {
       if (e.key === 'Escape') {
+        // Drawing cancels first, then the drawer closes; a further Escape clears the state
+        if (drawMode) { setDrawMode(null); setDrawDraft(null); return; }
+        if (selectedProject) { setSelectedProject(null); return; }
         setActiveState(null); setStateData(null); setSidePanelIn(false);
         setPanelOpen(false);
         if (map.current) {
           map.current.setFilter('state-border-active', ['==','shapeName','']);
           applyCoverageFade(null);
         }
-        setSelectedYears(y => {
-          setSelectedStatus(s => {
-            setSelectedTypes(t => { applyFilter(y,s,t,null); return t; });
-            return s;
-          });
-          return y;
-        });
       }
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [applyFilter, applyCoverageFade]);
+  }, [applyCoverageFade, selectedProject, drawMode]);
 
-  const toggleYear   = (y) => { const n = selectedYears.includes(y)   ? selectedYears.filter(v=>v!==y)   : [...selectedYears,y];   setSelectedYears(n);   applyFilter(n, selectedStatus, selectedTypes, activeState); };
-  const toggleStatus = (s) => { const n = selectedStatus.includes(s)  ? selectedStatus.filter(v=>v!==s)  : [...selectedStatus,s];  setSelectedStatus(n);  applyFilter(selectedYears, n, selectedTypes, activeState); };
-  const toggleType   = (t) => { const n = selectedTypes.includes(t)   ? selectedTypes.filter(v=>v!==t)   : [...selectedTypes,t];   setSelectedTypes(n);   applyFilter(selectedYears, selectedStatus, n, activeState); };
+  const toggleYear     = (y) => setSelectedYears(sel    => sel.includes(y) ? sel.filter(v => v !== y) : [...sel, y]);
+  const toggleStatus   = (s) => setSelectedStatus(sel   => sel.includes(s) ? sel.filter(v => v !== s) : [...sel, s]);
+  const toggleType     = (t) => setSelectedTypes(sel    => sel.includes(t) ? sel.filter(v => v !== t) : [...sel, t]);
+  const toggleDistance = (d) => setSelectedDistance(sel => sel.includes(d) ? sel.filter(v => v !== d) : [...sel, d]);
 
   const clearAll = () => {
-    setSelectedYears([]); setSelectedStatus([]); setSelectedTypes([]);
+    setSelectedYears([]); setSelectedStatus([]); setSelectedTypes([]); setSelectedDistance([]);
+    setSelectedContractor(null);
     setActiveState(null); setStateData(null); setSidePanelIn(false);
-    applyFilter([], [], [], null);
     applyCoverageFade(null);
     if (map.current) {
       map.current.setFilter('state-border-active', ['==', 'shapeName', '']);
@@ -522,45 +1246,193 @@ const ProjectMap = () => {
     }
   };
 
-  const activeFilterCount = selectedYears.length + selectedStatus.length + selectedTypes.length;
+  /* ── Search result or drawer link: fly to the project and open it in the drawer ── */
+  const selectProject = useCallback((feature) => {
+    if (!map.current) return;
+    map.current.flyTo({ center: feature.geometry.coordinates, zoom: Math.max(map.current.getZoom(), 11) });
+    setSelectedProject(feature.properties.project_id);
+  }, []);
+
+  const selectedFeature = useMemo(
+    () => (projects && selectedProject ? projects.find(f => f.properties.project_id === selectedProject) || null : null),
+    [projects, selectedProject]
+  );
+
+  const selectedVisits = useMemo(
+    () => verifications.filter(v => v.project_id === selectedProject),
+    [verifications, selectedProject]
+  );
+
+  // A form left open belongs to the project it was started on
+  useEffect(() => setVerifying(false), [selectedProject]);
+
+  // Entries outlive the data they were made against, e.g. after a workbook import
+  const openVisitedProject = useCallback((id) => {
+    const feature = projects && projects.find(f => f.properties.project_id === id);
+    if (feature) selectProject(feature);
+    else alert('That project is not in the data currently loaded.');
+  }, [projects, selectProject]);
+
+  // A deep link to a project that is not in the loaded data opens nothing
+  useEffect(() => {
+    if (projects && selectedProject && !selectedFeature) setSelectedProject(null);
+  }, [projects, selectedProject, selectedFeature]);
+
+  // The URL already carries the open project, so the link is the current address
+  const copyProjectLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      return true;
+    } catch(e) {
+      alert(`Could not copy the link: ${e.message}`);
+      return false;
+    }
+  }, []);
+
+  /* ── Deep links: restore a parsed URL state onto the map ── */
+  const applyUrlState = useCallback(async (s) => {
+    if (!map.current) return;
+    restoring.current = true;
+    // A theme change reloads the style; the rest is applied once the map is ready again
+    if (s.dark !== isDark) {
+      pendingUrl.current = s;
+      toggleTheme();
+      return;
+    }
+
+    let boundary = null;
+    if (s.state) {
+      try {
+        const boundaries = await loadDataset('states');
+        boundary = boundaries.features.find(f => f.properties.shapeName.toUpperCase() === s.state) || null;
+      } catch(e) {
+        alert(`Could not restore the selected state: ${e.message}`);
+      }
+    }
+
+    const next = {
+      ...s,
+      // Vocabularies come from the data, which may not have loaded yet, so only the shape is checked;
+      // links made before combined types were grouped select each of their base types
+      years:    s.years.filter(y => y === '' || /^\d{4}$/.test(y)),
+      statuses: s.statuses,
+      types:    [...new Set(s.types.flatMap(t => typeParts(t)))],
+      distances: s.distances.filter(d => GRID_DISTANCE_BANDS.some(b => b.id === d)),
+      state:    boundary ? s.state : null,
+    };
+    setSelectedYears(next.years); setSelectedStatus(next.statuses); setSelectedTypes(next.types);
+    setSelectedDistance(next.distances);
+    setSelectedContractor(next.view === 'contractor' ? next.contractor : null);
+    setSelectedProject(next.project);
+    switchView(next.view);
+    setIsHeatmap(next.heatmap);
+    showHeatmap(next.heatmap, next.view);
+    if (boundary) {
+      setActiveState(next.state);
+      setStateData(boundary.properties);
+      map.current.setFilter('state-border-active', ['==', 'shapeName', boundary.properties.shapeName]);
+      if (next.view === 'coverage') applyCoverageFade(next.state);
+      if (!next.center) map.current.fitBounds(turf.bbox(boundary), { padding: 60 });
+      setTimeout(() => setSidePanelIn(true), 100);
+    }
+    if (next.center) map.current.jumpTo({ center: next.center, zoom: next.zoom ?? map.current.getZoom() });
+
+    lastUrlState.current = next;
+    window.history.replaceState(null, '', serializeUrlState(next, cameraOf(map.current)));
+    restoring.current = false;
+  }, [isDark, toggleTheme, switchView, showHeatmap, applyCoverageFade]);
+
+  // Initial URL on first load, or the remainder of a restore that needed a theme change
+  useEffect(() => {
+    if (!mapReady || !pendingUrl.current) return;
+    const s = pendingUrl.current;
+    pendingUrl.current = null;
+    applyUrlState(s);
+  }, [mapReady, applyUrlState]);
+
+  // Each change of view, filters, selected state or project, heatmap or theme becomes a history entry
+  useEffect(() => {
+    if (!mapReady || restoring.current) return;
+    const current = {
+      view, years: selectedYears, statuses: selectedStatus, types: selectedTypes, distances: selectedDistance,
+      contractor: selectedContractor,
+      state: activeState, project: selectedProject, heatmap: isHeatmap, dark: isDark,
+    };
+    if (sameUrlState(current, lastUrlState.current)) return;
+    lastUrlState.current = current;
+    window.history.pushState(null, '', serializeUrlState(current, cameraOf(map.current)));
+  }, [mapReady, view, selectedYears, selectedStatus, selectedTypes, selectedDistance, selectedContractor, activeState, selectedProject, isHeatmap, isDark]);
+
+  // Back / forward steps through filter history
+  useEffect(() => {
+    const onPopState = () => applyUrlState(parseUrlState(window.location.search, VIEW_IDS));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, [applyUrlState]);
+
+  const activeFilterCount = selectedYears.length + selectedStatus.length + selectedTypes.length + selectedDistance.length
+    + (selectedContractor ? 1 : 0);
 
   /* ── Map init ── */
   useEffect(() => {
     if (map.current) return;
+    const { dark, center, zoom } = initialUrl.current;
+    const startTheme = dark ? THEMES.dark : THEMES.light;
     map.current = new mapboxgl.Map({
       container: mapContainer.current,
-      style: THEMES.dark.mapStyle,
-      center: [8.6753, 9.0820], zoom: 5.8,
+      style: mapStyleFor(startTheme),
+      center: center || [8.6753, 9.0820], zoom: zoom ?? 5.8,
       preserveDrawingBuffer: true,
     });
     map.current.addControl(new mapboxgl.NavigationControl({ showCompass: false }), 'bottom-right');
 
+    // Panning and zooming only update the current history entry
+    map.current.on('moveend', () => {
+      window.history.replaceState(null, '', serializeUrlState(lastUrlState.current, cameraOf(map.current)));
+    });
+
     map.current.on('load', () => {
-      addLayers(THEMES.dark.pointStroke);
+      addLayers(startTheme.pointStroke);
+      rememberOfflineStyle(startTheme.mapStyle);
       map.current.setLayoutProperty('state-choropleth', 'visibility', 'visible');
-    map.current.setPaintProperty('project-points', 'circle-opacity', 0);
-    map.current.setPaintProperty('project-points', 'circle-stroke-opacity', 0);
-    map.current.setLayoutProperty('project-points', 'visibility', 'none');
-    map.current.setPaintProperty('state-fill', 'fill-opacity', 0);
-      setTimeout(() => {
-        setPointCount(map.current.queryRenderedFeatures({ layers: ['project-points'] }).length);
-        setMapReady(true);
-      }, 600);
+      map.current.setPaintProperty('project-points', 'circle-opacity', 0);
+      map.current.setPaintProperty('project-points', 'circle-stroke-opacity', 0);
+      map.current.setLayoutProperty('project-points', 'visibility', 'none');
+      map.current.setPaintProperty('state-fill', 'fill-opacity', 0);
+      setMapReady(true);
 
       // Hover on states
       ['state-fill','state-choropleth'].forEach(l => {
         map.current.on('mousemove', l, (e) => {
+          if (drawing.current) return;
           map.current.setFilter('state-hover', ['==', 'shapeName', e.features[0].properties.shapeName]);
           map.current.getCanvas().style.cursor = 'pointer';
         });
         map.current.on('mouseleave', l, () => {
           map.current.setFilter('state-hover', ['==', 'shapeName', '']);
-          map.current.getCanvas().style.cursor = '';
+          if (!drawing.current) map.current.getCanvas().style.cursor = '';
         });
       });
 
+      // Hover / click on the selected state's LGAs
+      map.current.on('mousemove', 'lga-fill', (e) => {
+        if (drawing.current) return;
+        map.current.setFilter('lga-hover', ['==', ['get', 'lga_id'], e.features[0].properties.lga_id]);
+      });
+      map.current.on('mouseleave', 'lga-fill', () => {
+        map.current.setFilter('lga-hover', ['==', ['get', 'lga_id'], '']);
+      });
+      map.current.on('click', 'lga-fill', (e) => {
+        if (drawing.current) return;
+        setActiveLga(e.features[0].properties.lga_id);
+        map.current.fitBounds(turf.bbox(e.features[0]), { padding: 60 });
+      });
+
       // State click
       const onStateClick = (e) => {
+        if (drawing.current) return;
+        // Inside the selected state the LGA layer takes the click
+        if (map.current.queryRenderedFeatures(e.point, { layers: ['lga-fill'] }).length) return;
         const props     = e.features[0].properties;
         const stateName = props.shapeName.toUpperCase();
         setActiveState(stateName);
@@ -574,68 +1446,102 @@ const ProjectMap = () => {
           if (v === 'coverage') applyCoverageFade(stateName);
           return v;
         });
-
-        setSelectedYears(y => {
-          setSelectedStatus(s => {
-            setSelectedTypes(t => { applyFilter(y, s, t, stateName); return t; });
-            return s;
-          });
-          return y;
-        });
       };
       map.current.on('click', 'state-fill',       onStateClick);
       map.current.on('click', 'state-choropleth', onStateClick);
 
       // Click empty area — deselect
       map.current.on('click', (e) => {
+        if (drawing.current) return;
         const hits = map.current.queryRenderedFeatures(e.point, {
-          layers: ['state-fill','state-choropleth','project-points'],
+          layers: ['state-fill','state-choropleth','project-points','cluster-points','stalled-points'],
         });
         if (!hits.length) {
           setActiveState(null); setStateData(null); setSidePanelIn(false);
           map.current.setFilter('state-border-active', ['==', 'shapeName', '']);
           applyCoverageFade(null);
-          setSelectedYears(y => {
-            setSelectedStatus(s => {
-              setSelectedTypes(t => { applyFilter(y, s, t, null); return t; });
-              return s;
-            });
-            return y;
-          });
         }
+        // Like a popup, the drawer closes when the click lands off any project
+        if (!hits.some(f => ['project-points', 'cluster-points', 'stalled-points'].includes(f.layer.id))) setSelectedProject(null);
       });
 
-      // Point popup
+      // Point click opens the detail drawer
       map.current.on('click', 'project-points', (e) => {
-        const p = e.features[0].properties;
-        const c = STATUS_COLORS[p.status] || '#778CA3';
-        new mapboxgl.Popup({ maxWidth: '300px', offset: 12, className: 'rea-popup' })
-          .setLngLat(e.lngLat)
-          .setHTML(`
-            <div style="font-family:'Barlow',sans-serif;padding:4px 0">
-              <div style="font-family:'Barlow Condensed',sans-serif;font-size:15px;font-weight:700;color:#111;line-height:1.3;margin-bottom:8px">${p.title}</div>
-              <span style="background:${c};color:#fff;padding:3px 10px;border-radius:4px;font-size:10px;font-weight:700;letter-spacing:0.5px;text-transform:uppercase">${p.status || 'UNKNOWN'}</span>
-              <div style="margin-top:10px;font-size:12px;color:#555;line-height:1.8">
-                <div>📍 <strong>${p.location || '--'}</strong>, ${p.state}</div>
-                <div>⚡ ${p.type || '--'}</div>
-                <div>🏗 ${p.contractor || 'N/A'}</div>
-                <div>📅 ${p.year}</div>
-              </div>
-            </div>
-          `)
-          .addTo(map.current);
+        if (drawing.current) return;
+        setSelectedProject(e.features[0].properties.project_id);
+      });
+      // Grid line hover details
+      const gridPopup = new mapboxgl.Popup({ closeButton: false, closeOnClick: false, offset: 8, className: 'rea-popup' });
+      map.current.on('mousemove', 'grid-lines', (e) => {
+        const g = e.features[0].properties;
+        map.current.setFilter('grid-lines-hover', ['==', 'name', g.name]);
+        gridPopup.setLngLat(e.lngLat).setDOMContent(gridLineLabel(g)).addTo(map.current);
+      });
+      map.current.on('mouseleave', 'grid-lines', () => {
+        map.current.setFilter('grid-lines-hover', ['==', 'name', '']);
+        gridPopup.remove();
+      });
+
+      map.current.on('mouseenter', 'project-points', () => { if (!drawing.current) map.current.getCanvas().style.cursor = 'pointer'; });
+      map.current.on('mouseleave', 'project-points', () => { if (!drawing.current) map.current.getCanvas().style.cursor = ''; });
+      map.current.on('click', 'cluster-points', (e) => {
+        if (drawing.current) return;
+        setSelectedProject(e.features[0].properties.project_id);
+      });
+      map.current.on('mouseenter', 'cluster-points', () => { if (!drawing.current) map.current.getCanvas().style.cursor = 'pointer'; });
+      map.current.on('mouseleave', 'cluster-points', () => { if (!drawing.current) map.current.getCanvas().style.cursor = ''; });
+      // Watchlist rings stay clickable while their points sit inside a cluster
+      map.current.on('click', 'stalled-points', (e) => {
+        if (drawing.current) return;
+        setSelectedProject(e.features[0].properties.project_id);
+      });
+      map.current.on('mouseenter', 'stalled-points', () => { if (!drawing.current) map.current.getCanvas().style.cursor = 'pointer'; });
+      map.current.on('mouseleave', 'stalled-points', () => { if (!drawing.current) map.current.getCanvas().style.cursor = ''; });
+
+      // Cluster donuts: keep one HTML marker per visible cluster, expand on click
+      map.current.on('render', () => {
+        const m = map.current;
+        if (!m.getLayer('project-clusters') || m.getLayoutProperty('project-clusters', 'visibility') !== 'visible') return;
+        const onScreen = {};
+        m.querySourceFeatures('project-clusters').forEach(f => {
+          if (!f.properties.cluster) return;
+          const id = f.properties.cluster_id;
+          if (onScreen[id]) return;
+          let marker = clusterMarkers.current[id];
+          if (!marker) {
+            const el = clusterDonut(f.properties);
+            el.addEventListener('click', (ev) => {
+              ev.stopPropagation();
+              m.getSource('project-clusters').getClusterExpansionZoom(id, (err, zoom) => {
+                if (!err) m.easeTo({ center: f.geometry.coordinates, zoom });
+              });
+            });
+            marker = new mapboxgl.Marker({ element: el }).setLngLat(f.geometry.coordinates);
+          }
+          onScreen[id] = marker;
+          if (!clusterMarkers.current[id]) marker.addTo(m);
+        });
+        Object.entries(clusterMarkers.current).forEach(([id, marker]) => { if (!onScreen[id]) marker.remove(); });
+        clusterMarkers.current = onScreen;
       });
-      map.current.on('mouseenter', 'project-points', () => { map.current.getCanvas().style.cursor = 'pointer'; });
-      map.current.on('mouseleave', 'project-points', () => { map.current.getCanvas().style.cursor = ''; });
     });
-  }, [applyFilter, applyCoverageFade, addLayers]);
+  }, [applyCoverageFade, addLayers]);
 
   /* ── Side panel content ── */
-  const displayName = activeState === 'ABUJA FEDERAL CAPITAL TERRITORY' ? 'FCT - Abuja' : activeState;
+  const stateName   = activeState === 'ABUJA FEDERAL CAPITAL TERRITORY' ? 'FCT - Abuja' : activeState;
+  const displayName = activeLgaFeature ? activeLgaFeature.properties.lga : stateName;
+  const isPinned    = !!stateData && pinnedStates.includes(stateData.shapeName);
+  const pinFull     = !isPinned && pinnedStates.length >= MAX_COMPARE;
+
+  const clearState = () => {
+    setActiveState(null); setStateData(null); setSidePanelIn(false);
+    applyCoverageFade(null);
+    map.current.setFilter('state-border-active', ['==', 'shapeName', '']);
+  };
 
   const renderSideContent = () => {
-    if (!stateData) return null;
-    const d = stateData;
+    if (!activeStats) return null;
+    const d = activeStats;
     if (view === 'coverage') return (
       <div>
         <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
@@ -654,13 +1560,7 @@ const ProjectMap = () => {
       </div>
     );
     if (view === 'technology') {
-      const techData = [
-        { label: 'Solar Street Light', value: Number(d.solar_street_light), color: '#FFB800' },
-        { label: 'Grid Extension',     value: Number(d.grid),               color: '#FF4757' },
-        { label: 'Solar Mini Grid',    value: Number(d.solar_mini_grid),    color: '#1E90FF' },
-        { label: 'Solar Home System',  value: Number(d.solar_home_system),  color: '#A855F7' },
-        { label: 'Other',              value: Number(d.other_type),         color: '#778CA3' },
-      ];
+      const techData = ALL_TECHNOLOGIES.map(t => ({ label: t.label, value: Number(d[t.key]) || 0, color: t.color })).filter(td => td.value > 0);
       return (
         <div>
           <div style={{ display: 'flex', alignItems: 'center', gap: 16, marginBottom: 16 }}>
@@ -680,8 +1580,17 @@ const ProjectMap = () => {
               ))}
             </div>
           </div>
+          <div style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+            {TECH_CATEGORIES.map(c => (
+              <div key={c.key} style={{ flex: 1, textAlign: 'center', borderRadius: 8, padding: '5px 4px', border: `1px solid ${theme.chipBorder}` }}>
+                <div style={{ fontSize: 15, fontWeight: 800, color: theme.textPrimary, fontFamily: "'Barlow Condensed', sans-serif" }}>{Number(d[c.key]) || 0}</div>
+                <div style={{ fontSize: 9, color: theme.textMuted, textTransform: 'uppercase', letterSpacing: 0.5, fontFamily: "'Barlow Condensed', sans-serif" }}>{c.label}</div>
+              </div>
+            ))}
+          </div>
           <div style={{ textAlign: 'center', fontSize: 10, color: theme.textMuted, borderTop: `1px solid ${theme.divider}`, paddingTop: 10, fontFamily: "'Barlow', sans-serif" }}>
             {d.total} total projects
+            {d.multi_technology > 0 && ` · ${d.multi_technology} combined type${d.multi_technology === 1 ? '' : 's'} counted under each technology`}
           </div>
         </div>
       );
@@ -689,13 +1598,96 @@ const ProjectMap = () => {
     return null;
   };
 
+  /* ── Grid access summary under the side panel content ── */
+  const renderGridAccess = () => {
+    if (!activeStats || activeStats.avg_grid_km === null) return null;
+    const d = activeStats;
+    const rows = [
+      ['Average distance to grid',                     formatKm(d.avg_grid_km),  theme.textPrimary],
+      [`Off-grid solar within ${GRID_NEAR_KM} km`,     d.offgrid_near_grid,      '#22A6B3'],
+      [`Grid projects over ${GRID_NEAR_KM} km away`,   d.grid_far_from_grid,     '#FF4757'],
+    ];
+    return (
+      <div style={{ marginTop: 14, borderTop: `1px solid ${theme.divider}`, paddingTop: 10 }}>
+        <div style={{ fontSize: 9, fontWeight: 700, color: REA_GREEN, letterSpacing: 2, textTransform: 'uppercase', fontFamily: "'Barlow Condensed', sans-serif", marginBottom: 6 }}>Grid Access</div>
+        {rows.map(([label, value, color]) => (
+          <div key={label} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 5 }}>
+            <span style={{ fontSize: 11, color: theme.textSecond, fontFamily: "'Barlow', sans-serif" }}>{label}</span>
+            <span style={{ fontSize: 13, fontWeight: 700, color, fontFamily: "'Barlow Condensed', sans-serif" }}>{value}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  /* ── LGA drill-down under the side panel: the state's busiest LGAs, or the selected LGA's title check ── */
+  const renderLgas = () => {
+    const heading = (text, color = REA_GREEN) => (
+      <div style={{ fontSize: 9, fontWeight: 700, color, letterSpacing: 2, textTransform: 'uppercase', fontFamily: "'Barlow Condensed', sans-serif", marginBottom: 6 }}>{text}</div>
+    );
+    if (activeStats && lgaError) {
+      return (
+        <div style={{ marginTop: 14, borderTop: `1px solid ${theme.divider}`, paddingTop: 10 }}>
+          {heading('LGA boundaries unavailable', ACCENT_GOLD)}
+          <div style={{ fontSize: 11, color: theme.textSecond, lineHeight: 1.4, fontFamily: "'Barlow', sans-serif" }}>
+            The drill-down stops at state level: the LGA boundary file could not be loaded from {DATA_SOURCE.label}.
+          </div>
+          <div style={{ fontSize: 10, color: theme.textMuted, marginTop: 4, wordBreak: 'break-word', fontFamily: "'Barlow', sans-serif" }}>{lgaError}</div>
+          <button onClick={retryData}
+            style={{ marginTop: 8, background: 'none', border: `1px solid ${REA_GREEN}50`, borderRadius: 6, padding: '3px 10px', fontSize: 10, cursor: 'pointer', color: REA_GREEN, fontWeight: 700, fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: 0.5 }}>
+            RETRY
+          </button>
+        </div>
+      );
+    }
+    if (!activeStats || !stateLgas.length) return null;
+    if (activeLga) {
+      const checks = activeStats.checks;
+      if (!checks) return null;
+      return (
+        <div style={{ marginTop: 14, borderTop: `1px solid ${theme.divider}`, paddingTop: 10 }}>
+          {heading('Title Cross-check')}
+          {Object.entries(LGA_CHECKS).filter(([id]) => checks[id]).map(([id, { label, color }]) => (
+            <div key={id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 5 }}>
+              <span style={{ fontSize: 11, color: theme.textSecond, fontFamily: "'Barlow', sans-serif" }}><span style={{ color }}>●</span> {label}</span>
+              <span style={{ fontSize: 13, fontWeight: 700, color, fontFamily: "'Barlow Condensed', sans-serif" }}>{checks[id]}</span>
+            </div>
+          ))}
+        </div>
+      );
+    }
+    const ranked = stateLgas
+      .map(f => ({ f, total: (lgaStats[f.properties.lga_id] || emptyStats()).total }))
+      .sort((a, b) => b.total - a.total || a.f.properties.lga.localeCompare(b.f.properties.lga));
+    const withProjects = ranked.filter(r => r.total > 0).length;
+    return (
+      <div style={{ marginTop: 14, borderTop: `1px solid ${theme.divider}`, paddingTop: 10 }}>
+        {heading(`${ranked.length} LGAs · ${withProjects} with projects`)}
+        {ranked.slice(0, 8).map(({ f, total }) => (
+          <div key={f.properties.lga_id} onClick={() => selectLga(f)}
+            style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4, cursor: 'pointer' }}>
+            <span style={{ fontSize: 11, color: theme.textPrimary, fontFamily: "'Barlow', sans-serif" }}>{f.properties.lga}</span>
+            <span style={{ fontSize: 12, fontWeight: 700, color: total ? REA_GREEN : theme.textMuted, fontFamily: "'Barlow Condensed', sans-serif" }}>{total}</span>
+          </div>
+        ))}
+        <div style={{ fontSize: 10, color: theme.textMuted, marginTop: 4, fontFamily: "'Barlow', sans-serif" }}>Click an LGA on the map or above to drill down</div>
+      </div>
+    );
+  };
+
   /* ── Legend ── */
   const renderLegend = () => {
+    if (view === 'technology') return renderTechLegend();
+    const stop = (i) => Math.round(choroplethMax * CHOROPLETH_STEPS[i]);
     const entries = view === 'coverage'
-      ? [['#0a3d17','120+ projects'],['#1b5e20','80-120'],['#2e7d32','40-80'],['#66bb6a','Under 40'],['#c8e6c9','0-few']]
-      : view === 'performance'
-      ? [['#00C48C','Completed'],['#FFB800','Ongoing'],['#FF4757','Yet to Mobilize'],['#2F3542','Other']]
-      : [['#FFB800','Solar Street Light'],['#FF4757','Grid Extension'],['#1E90FF','Solar Mini Grid'],['#A855F7','Solar Home System'],['#778CA3','Other']];
+      ? [
+          [CHOROPLETH_COLORS[4], `${stop(3)}–${stop(4)} projects`],
+          [CHOROPLETH_COLORS[3], `${stop(2)}–${stop(3)}`],
+          [CHOROPLETH_COLORS[2], `${stop(1)}–${stop(2)}`],
+          [CHOROPLETH_COLORS[1], `1–${stop(1)}`],
+          [CHOROPLETH_COLORS[0], 'None'],
+        ]
+      : [['#00C48C','Completed'],['#FFB800','Ongoing'],['#FF4757','Yet to Mobilize'],['#2F3542','Other']];
     const isSquare = view === 'coverage';
     return entries.map(([color, label]) => (
       <div key={label} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 5 }}>
@@ -708,17 +1700,43 @@ const ProjectMap = () => {
     ));
   };
 
-  const showSide = activeState && stateData && view !== 'performance';
+  /* ── Technology legend: the technologies in the loaded data, grouped by category ── */
+  const renderTechLegend = () => {
+    const row = (t) => (
+      <div key={t.key} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4 }}>
+        <span style={{ color: t.color, fontSize: 16, lineHeight: 1, flexShrink: 0 }}>●</span>
+        <span style={{ fontSize: 11, color: theme.textPrimary, fontFamily: "'Barlow', sans-serif" }}>{t.label}</span>
+      </div>
+    );
+    const heading = { fontSize: 9, color: theme.textMuted, letterSpacing: 1, textTransform: 'uppercase', fontFamily: "'Barlow Condensed', sans-serif", margin: '6px 0 3px' };
+    return (
+      <>
+        {TECH_CATEGORIES.map(c => {
+          const techs = ALL_TECHNOLOGIES.filter(t => t.category === c.key && presentTechs.has(t.key));
+          return techs.length > 0 && (
+            <div key={c.key}>
+              <div style={heading}>{c.label}</div>
+              {techs.map(row)}
+            </div>
+          );
+        })}
+        {ALL_TECHNOLOGIES.filter(t => !t.category && presentTechs.has(t.key)).map(row)}
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6 }}>
+          <span style={{ width: 9, height: 9, borderRadius: '50%', border: `2px solid ${theme.textMuted}`, display: 'inline-block', flexShrink: 0 }} />
+          <span style={{ fontSize: 10, color: theme.textMuted, fontFamily: "'Barlow', sans-serif" }}>Ring: second technology</span>
+        </div>
+      </>
+    );
+  };
+
+  // The right-hand slot: project drawer, then drawn region, then watchlist or verifications, then the view's own panel
+  const rightSlotFree = !selectedFeature && !regionStats && !showWatchlist && !showVerifications;
+  const showSide = activeStats && view !== 'performance' && view !== 'contractor' && rightSlotFree;
+  // With no state selected the same slot carries the national trend
+  const showNationalTrend = projects && !activeStats && view !== 'performance' && view !== 'contractor' && rightSlotFree;
 
   /* ── Shared glass panel style ── */
-  const glass = (extra = {}) => ({
-    background:           theme.glassBg,
-    backdropFilter:       theme.glassBlur,
-    WebkitBackdropFilter: theme.glassBlur,
-    border:               theme.panelBorder,
-    boxShadow:            SHADOW,
-    ...extra,
-  });
+  const glass = (extra = {}) => glassStyle(theme, extra);
 
   return (
     <>
@@ -759,6 +1777,11 @@ const ProjectMap = () => {
           ))}
         </div>
 
+        {/* ── Project search ── */}
+        <div style={{ position:'absolute', top:16, left:68, zIndex:25 }}>
+          <ProjectSearch projects={projects} theme={theme} onSelect={selectProject} />
+        </div>
+
         {/* ── Top-left controls ── */}
         <div style={{ position:'absolute', top:16, left:16, zIndex:20, display:'flex', flexDirection:'column', gap:8 }}>
           {/* Filter toggle */}
@@ -785,9 +1808,76 @@ const ProjectMap = () => {
               </div>
             </div>
           )}
+          {/* Project data on its way from the data provider, or failed to arrive */}
+          {!projects && !dataError && (
+            <div style={{ ...glass({ borderRadius:10, padding:'8px 12px', maxWidth:200, animation:'fadeUp 0.3s ease' }) }}>
+              <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:1, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>Loading projects…</div>
+              <div title={DATA_SOURCE.label} style={{ fontSize:10, color:theme.textMuted, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                {dataProgress
+                  ? `${dataProgress.loaded.toLocaleString()}${dataProgress.total ? ` of ${dataProgress.total.toLocaleString()}` : ''} received`
+                  : DATA_SOURCE.label}
+              </div>
+            </div>
+          )}
+          {dataError && (
+            <div style={{ ...glass({ borderRadius:10, padding:'8px 12px', maxWidth:200, animation:'fadeUp 0.3s ease' }) }}>
+              <div style={{ fontSize:9, fontWeight:700, color:'#FF4757', letterSpacing:1, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>Data not loaded</div>
+              <div style={{ fontSize:10, color:theme.textMuted, lineHeight:1.4, wordBreak:'break-word' }}>{dataError}</div>
+              <button onClick={retryData}
+                style={{ marginTop:8, width:'100%', background:'none', border:`1px solid ${REA_GREEN}50`, borderRadius:6, padding:'3px 10px', fontSize:10, cursor:'pointer', color:REA_GREEN, fontWeight:700, fontFamily:"'Barlow Condensed', sans-serif", letterSpacing:0.5 }}>
+                RETRY
+              </button>
+            </div>
+          )}
+          {/* No connection: everything on screen comes from the device */}
+          {!isOnline && (
+            <div style={{ ...glass({ borderRadius:10, padding:'8px 12px', maxWidth:200, animation:'fadeUp 0.3s ease' }) }}>
+              <div style={{ fontSize:9, fontWeight:700, color:'#FF4757', letterSpacing:1, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>Offline</div>
+              <div style={{ fontSize:10, color:theme.textMuted, lineHeight:1.4 }}>
+                {tilePack ? `Basemap from the downloaded map (${tilePack.states.length === 1 ? tilePack.states[0] : `${tilePack.states.length} states`})` : 'Basemap limited to areas viewed online'}
+              </div>
+            </div>
+          )}
+          {/* Suspect locations */}
+          {showSuspects && (
+            <div style={{ ...glass({ borderRadius:10, padding:'8px 12px', width:180, animation:'fadeUp 0.3s ease' }) }}>
+              <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:1, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:4 }}>Suspect locations</div>
+              {!suspects
+                ? <div style={{ fontSize:11, color:theme.textMuted }}>Auditing…</div>
+                : (
+                  <>
+                    <div style={{ fontSize:20, fontWeight:800, color:'#FF4757', fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1 }}>{suspects.features.length.toLocaleString()}</div>
+                    {Object.entries(LOCATION_ISSUES).map(([id, { label, color }]) => (
+                      <div key={id} style={{ display:'flex', justifyContent:'space-between', alignItems:'center', fontSize:10, color:theme.textPrimary, marginTop:3 }}>
+                        <span style={{ display:'flex', alignItems:'center', gap:5 }}>
+                          <span style={{ width:8, height:8, borderRadius:'50%', border:`2px solid ${color}`, display:'inline-block' }} />{label}
+                        </span>
+                        <span style={{ color:theme.textMuted }}>{suspects.features.filter(f => f.properties.issue === id).length}</span>
+                      </div>
+                    ))}
+                    <button onClick={downloadSuspects} disabled={!suspects.features.length}
+                      style={{ marginTop:8, width:'100%', background:'none', border:`1px solid ${REA_GREEN}50`, borderRadius:6, padding:'3px 10px', fontSize:10, cursor:'pointer', color:REA_GREEN, fontWeight:700, fontFamily:"'Barlow Condensed', sans-serif", letterSpacing:0.5 }}>
+                      DOWNLOAD LIST
+                    </button>
+                  </>
+                )}
+            </div>
+          )}
+          {/* Imported workbook */}
+          {importInfo && (
+            <div style={{ ...glass({ borderRadius:10, padding:'8px 12px', maxWidth:200, animation:'fadeUp 0.3s ease' }), display:'flex', alignItems:'flex-start', gap:8 }}>
+              <div style={{ minWidth:0 }}>
+                <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:1, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>Imported workbook</div>
+                <div style={{ fontSize:11, color:theme.textPrimary, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{importInfo.name}</div>
+                <div style={{ fontSize:9, color:theme.textMuted }}>{importInfo.count.toLocaleString()} projects</div>
+              </div>
+              <button onClick={resetImport} title="Revert to the original data"
+                style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:12, padding:0 }}>✕</button>
+            </div>
+          )}
         </div>
 
-        {/* ── Bottom-left toolbar: heatmap / fullscreen / export / theme ── */}
+        {/* ── Bottom-left toolbar: map layers, timeline, import, export and tools menus, fullscreen, theme ── */}
         <div style={{ position:'absolute', bottom:30, left:16, zIndex:20, display:'flex', flexDirection:'column', gap:8 }}>
 
           {/* Heatmap toggle */}
@@ -805,22 +1895,102 @@ const ProjectMap = () => {
             </svg>
           </button>
 
-          {/* Export PNG */}
-          <button onClick={exportMap} title="Export map as PNG"
+          {/* Suspect locations toggle */}
+          <button onClick={() => setShowSuspects(v => !v)} title="Toggle suspect locations"
             style={{
               ...glass({ borderRadius:10, width:42, height:42 }),
-              border:'none', cursor: isExporting ? 'wait' : 'pointer',
+              background: showSuspects ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : theme.glassBg,
+              border:'none', cursor:'pointer',
               display:'flex', alignItems:'center', justifyContent:'center',
-              color: theme.textPrimary, opacity: isExporting ? 0.5 : 1,
+              color: showSuspects ? '#fff' : theme.textPrimary,
+            }}>
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M12 21s-7-6.2-7-12a7 7 0 0114 0c0 5.8-7 12-7 12z"/>
+              <line x1="12" y1="6" x2="12" y2="10"/>
+              <line x1="12" y1="13" x2="12" y2="13.01"/>
+            </svg>
+          </button>
+
+          {/* Grid transmission lines toggle */}
+          <button onClick={() => setShowGrid(v => !v)} title="Toggle grid transmission lines"
+            style={{
+              ...glass({ borderRadius:10, width:42, height:42 }),
+              background: showGrid ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : theme.glassBg,
+              border:'none', cursor:'pointer',
+              display:'flex', alignItems:'center', justifyContent:'center',
+              color: showGrid ? '#fff' : theme.textPrimary,
+            }}>
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M12 2l-5 20M12 2l5 20"/>
+              <line x1="5" y1="7" x2="19" y2="7"/>
+              <line x1="7" y1="13" x2="17" y2="13"/>
+              <line x1="9" y1="7" x2="15" y2="13"/>
+            </svg>
+          </button>
+
+          {/* Point clustering */}
+          <button onClick={() => setIsClustered(v => !v)} title="Toggle point clustering"
+            style={{
+              ...glass({ borderRadius:10, width:42, height:42 }),
+              background: isClustered ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : theme.glassBg,
+              border:'none', cursor:'pointer',
+              display:'flex', alignItems:'center', justifyContent:'center',
+              color: isClustered ? '#fff' : theme.textPrimary,
+            }}>
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="8" cy="8" r="4"/>
+              <circle cx="17" cy="10" r="3"/>
+              <circle cx="10" cy="17" r="3"/>
+            </svg>
+          </button>
+
+          {/* Timeline playback */}
+          <button onClick={toggleTimeline} title="Toggle timeline playback"
+            style={{
+              ...glass({ borderRadius:10, width:42, height:42 }),
+              background: timelineYear ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : theme.glassBg,
+              border:'none', cursor: projects ? 'pointer' : 'wait',
+              display:'flex', alignItems:'center', justifyContent:'center',
+              color: timelineYear ? '#fff' : theme.textPrimary,
+            }}>
+            <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <circle cx="12" cy="12" r="9"/>
+              <polyline points="12 7 12 12 15 14"/>
+            </svg>
+          </button>
+
+          {/* Import projects: workbook, CSV or GeoJSON */}
+          <input ref={fileInput} type="file" accept=".xlsx,.xls,.csv,.geojson,.json" style={{ display:'none' }}
+            onChange={(e) => { openWorkbook(e.target.files[0]); e.target.value = ''; }} />
+          <button onClick={() => fileInput.current && fileInput.current.click()} title="Import projects (.xlsx, .xls, .csv, .geojson, .json)"
+            style={{
+              ...glass({ borderRadius:10, width:42, height:42 }),
+              border:'none', cursor: isImporting ? 'wait' : 'pointer',
+              display:'flex', alignItems:'center', justifyContent:'center',
+              color: theme.textPrimary, opacity: isImporting ? 0.5 : 1,
             }}>
             <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
               <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
-              <polyline points="7 10 12 15 17 10"/>
-              <line x1="12" y1="15" x2="12" y2="3"/>
+              <polyline points="17 8 12 3 7 8"/>
+              <line x1="12" y1="3" x2="12" y2="15"/>
             </svg>
           </button>
 
-         {/* Fullscreen */}
+          {/* Export: PNG of the map, or the filtered records as CSV / XLSX / GeoJSON */}
+          <ExportMenu theme={theme} count={pointCount} scope={exportScope} busy={isExporting}
+            onExportImage={exportMap} onExportReport={exportNationalPDF} onExportData={exportData} />
+
+          {/* Region select, compare, watchlist, field verifications and offline maps */}
+          <ToolsMenu theme={theme} drawMode={drawMode} onDraw={startDrawing}
+            currentState={stateData ? stateData.shapeName : null} pinned={pinnedStates} maxPinned={MAX_COMPARE}
+            onTogglePin={togglePin} onClearPins={() => setPinnedStates([])}
+            stalledCount={projects ? stalled.length : 0} showWatchlist={showWatchlist}
+            onWatchlist={() => { setShowWatchlist(v => !v); setShowVerifications(false); }}
+            pendingCount={pendingOf(verifications).length} showVerifications={showVerifications}
+            onVerifications={() => { setShowVerifications(v => !v); setShowWatchlist(false); }}
+            offline={offline} offlineStates={activeState ? [activeState] : pinnedStates.map(n => n.toUpperCase())} />
+
+          {/* Fullscreen */}
           <button onClick={toggleFullscreen} title="Toggle Fullscreen"
             style={{
               ...glass({ borderRadius:10, width:42, height:42 }),
@@ -870,22 +2040,24 @@ const ProjectMap = () => {
                   setActiveState(null); setStateData(null); setSidePanelIn(false);
                   map.current.setFilter('state-border-active', ['==','shapeName','']);
                   applyCoverageFade(null);
-                  applyFilter(selectedYears, selectedStatus, selectedTypes, null);
                   map.current.flyTo({ center:[8.6753,9.0820], zoom:5.8 });
                 }} style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
               </div>
             )}
             {[
-              { label:'YEAR',         items:YEARS,    sel:selectedYears,  fn:toggleYear,   color:'#4a90d9' },
-              { label:'STATUS',       items:STATUSES, sel:selectedStatus, fn:toggleStatus, color:null },
-              { label:'PROJECT TYPE', items:TYPES,    sel:selectedTypes,  fn:toggleType,   color:'#7c4dff' },
-            ].map(({ label, items, sel, fn, color }) => (
+              { label:'YEAR',         items:facets.years,    sel:selectedYears,  fn:toggleYear,   color:'#4a90d9', counts:counts && counts.years },
+              { label:'STATUS',       items:facets.statuses, sel:selectedStatus, fn:toggleStatus, color:null,      counts:counts && counts.statuses },
+              { label:'PROJECT TYPE', items:facets.types,    sel:selectedTypes,  fn:toggleType,   color:'#7c4dff', counts:counts && counts.types,
+                titles:Object.fromEntries(Object.entries(facets.combined).map(([t, list]) => [t, `Includes ${list.join(', ')}`])) },
+              { label:'DISTANCE TO GRID', items:GRID_DISTANCE_BANDS.map(b => b.id), sel:selectedDistance, fn:toggleDistance, color:'#22A6B3',
+                labels:Object.fromEntries(GRID_DISTANCE_BANDS.map(b => [b.id, b.label])) },
+            ].map(({ label, items, sel, fn, color, counts: n = null, labels = {}, titles = {} }) => (
               <div key={label} style={{ marginBottom:16 }}>
                 <div style={{ fontSize:10, fontWeight:800, color:theme.textMuted, letterSpacing:1.5, marginBottom:8, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" }}>{label}</div>
                 <div style={{ display:'flex', flexWrap:'wrap', gap:5 }}>
                   {items.map(item => (
-                    <Chip key={item} label={item} active={sel.includes(item)}
-                      color={color || STATUS_COLORS[item] || '#888'}
+                    <Chip key={item} label={item === '' ? UNKNOWN_LABEL : labels[item] || item} active={sel.includes(item)}
+                      color={color || STATUS_COLORS[item] || '#888'} count={n ? n[item] || 0 : null} title={titles[item]}
                       theme={theme} onClick={() => fn(item)}
                     />
                   ))}
@@ -900,12 +2072,23 @@ const ProjectMap = () => {
           <div style={{
             ...glass({ borderRadius:16, padding:'20px 18px', animation: sidePanelIn ? 'slideIn 0.3s ease' : 'none' }),
             position:'absolute', top:'50%', right:16, transform:'translateY(-50%)', width:270, zIndex:20,
+            maxHeight:'calc(100vh - 200px)', overflowY:'auto',
           }}>
+            {/* Breadcrumbs: national › state › LGA */}
+            {stateLgas.length > 0 && (
+              <div style={{ display:'flex', alignItems:'center', gap:5, fontSize:10, color:theme.textMuted, marginBottom:8, fontFamily:"'Barlow', sans-serif" }}>
+                <span onClick={() => { clearState(); map.current.flyTo({ center: [8.6753, 9.0820], zoom: 5.8 }); }} style={{ cursor:'pointer', color:REA_GREEN }}>Nigeria</span>
+                <span>›</span>
+                <span onClick={activeLga ? () => selectLga(null) : undefined}
+                  style={{ cursor: activeLga ? 'pointer' : 'default', color: activeLga ? REA_GREEN : theme.textPrimary }}>{stateName}</span>
+                {activeLgaFeature && <><span>›</span><span style={{ color:theme.textPrimary }}>{activeLgaFeature.properties.lga}</span></>}
+              </div>
+            )}
             <div style={{ marginBottom:16 }}>
               <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start' }}>
                 <div>
                   <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>
-                    {view === 'coverage' ? 'Coverage Summary' : 'Technology Mix'}
+                    {view === 'coverage' ? 'Coverage Summary' : 'Technology Mix'}{activeLga ? ' · LGA' : ''}
                   </div>
                   <div style={{ fontSize:16, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1.2 }}>{displayName}</div>
                 </div>
@@ -919,28 +2102,147 @@ const ProjectMap = () => {
                     </svg>
                     PDF
                   </button>
-                <button onClick={() => {
-                  setActiveState(null); setStateData(null); setSidePanelIn(false);
-                  applyCoverageFade(null);
-                  map.current.setFilter('state-border-active',['==','shapeName','']);
-                }} style={{ background:'none', border:`1px solid ${theme.chipBorder}`, borderRadius:6, cursor:'pointer', color:theme.textMuted, fontSize:12, padding:'3px 7px' }}>✕</button>
+                  <button onClick={() => togglePin(stateData.shapeName)} disabled={pinFull}
+                    title={isPinned ? 'Remove from comparison' : pinFull ? `Up to ${MAX_COMPARE} states can be compared` : 'Pin to compare with other states'}
+                    style={{ background: isPinned ? REA_GREEN : 'none', border:`1px solid ${REA_GREEN}50`, borderRadius:6, cursor: pinFull ? 'default' : 'pointer', color: isPinned ? '#fff' : REA_GREEN, opacity: pinFull ? 0.4 : 1, fontSize:10, padding:'3px 9px', fontFamily:"'Barlow Condensed',sans-serif", fontWeight:700, letterSpacing:0.5 }}>
+                    {isPinned ? 'PINNED' : 'PIN'}
+                  </button>
+                <button onClick={clearState} style={{ background:'none', border:`1px solid ${theme.chipBorder}`, borderRadius:6, cursor:'pointer', color:theme.textMuted, fontSize:12, padding:'3px 7px' }}>✕</button>
               </div>
             </div>
               <div style={{ marginTop:10, height:2, borderRadius:2, background:`linear-gradient(90deg, ${REA_GREEN}, transparent)` }} />
             </div>
             {renderSideContent()}
+            <div style={{ borderTop:`1px solid ${theme.divider}`, marginTop:14, paddingTop:10 }}>
+              <YearTrend rows={activeTrend} theme={theme} />
+            </div>
+            {renderGridAccess()}
+            {renderLgas()}
+          </div>
+        )}
+
+        {/* ── National trend by year ── */}
+        {showNationalTrend && (
+          <div style={{
+            ...glass({ borderRadius:16, padding: trendOpen ? '16px 18px' : '10px 18px', animation:'slideIn 0.3s ease' }),
+            position:'absolute', top:'50%', right:16, transform:'translateY(-50%)', width:270, zIndex:20,
+          }}>
+            <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom: trendOpen ? 12 : 0 }}>
+              <div style={{ fontSize:14, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif" }}>National Trend</div>
+              <button onClick={() => setTrendOpen(o => !o)} title={trendOpen ? 'Collapse' : 'Expand'}
+                style={{ background:'none', border:`1px solid ${theme.chipBorder}`, borderRadius:6, cursor:'pointer', color:theme.textMuted, fontSize:10, padding:'2px 7px' }}>
+                {trendOpen ? '▾' : '▸'}
+              </button>
+            </div>
+            {trendOpen && <YearTrend rows={nationalTrend} theme={theme} />}
+          </div>
+        )}
+
+        {/* ── Project detail drawer (takes the right-hand slot while open) ── */}
+        {selectedFeature && (
+          <div style={{ position:'absolute', top:88, right:16, bottom:190, zIndex:25, display:'flex', flexDirection:'column', justifyContent:'flex-start' }}>
+            {verifying
+              ? <VerifyForm project={selectedFeature} theme={theme} onSave={entry => saveSiteVisit(entry).then(() => setVerifying(false))} onCancel={() => setVerifying(false)} />
+              : <ProjectDrawer project={selectedFeature} projects={projects} verifications={selectedVisits} theme={theme}
+                  onSelect={selectProject} onClose={() => setSelectedProject(null)}
+                  onCopyLink={copyProjectLink} onExportPDF={generateProjectReport} onVerify={() => setVerifying(true)} />}
+          </div>
+        )}
+
+        {/* ── Drawn region statistics ── */}
+        {regionStats && !selectedFeature && (
+          <div style={{ position:'absolute', top:88, right:16, bottom:190, zIndex:20, display:'flex', flexDirection:'column', justifyContent:'flex-start' }}>
+            <RegionPanel stats={regionStats} description={describeRegion(region)} theme={theme}
+              onClear={() => setRegion(null)} onExportPDF={exportRegionPDF} onExportCSV={exportRegionCSV} />
           </div>
         )}
 
+        {/* ── Pinned state comparison ── */}
+        {comparison && (
+          <div style={{ position:'absolute', bottom: timelineYear ? 130 : 30, left:76, right:300, top:88, zIndex:19, display:'flex', flexDirection:'column', justifyContent:'flex-end', alignItems:'center', pointerEvents:'none' }}>
+            <div style={{ pointerEvents:'auto', maxWidth:'100%', maxHeight:'100%', display:'flex' }}>
+              <ComparePanel comparison={comparison} max={MAX_COMPARE} theme={theme}
+                onRemove={togglePin} onClear={() => setPinnedStates([])} onExportPDF={exportComparisonPDF} />
+            </div>
+          </div>
+        )}
+
+        {/* ── Stalled-project watchlist ── */}
+        {showWatchlist && projects && !selectedFeature && !regionStats && (
+          <div style={{ position:'absolute', top:88, right:16, bottom:190, zIndex:20, display:'flex', flexDirection:'column', justifyContent:'flex-start' }}>
+            <WatchlistPanel stalled={stalled} thresholds={stallYears} theme={theme}
+              onThresholds={setStallYears} onSelectProject={selectProject}
+              onExport={downloadWatchlist} onClose={() => setShowWatchlist(false)} />
+          </div>
+        )}
+
+        {/* ── Field verifications on this device ── */}
+        {showVerifications && !selectedFeature && !regionStats && !showWatchlist && (
+          <div style={{ position:'absolute', top:88, right:16, bottom:190, zIndex:20, display:'flex', flexDirection:'column', justifyContent:'flex-start' }}>
+            <VerificationPanel entries={verifications} theme={theme} online={isOnline}
+              endpoint={verifyEndpoint} syncing={isSyncing} onEndpoint={changeEndpoint}
+              onSync={syncSiteVisits} onExport={downloadVerifications} onDelete={removeVerification}
+              onSelectProject={openVisitedProject}
+              onClose={() => setShowVerifications(false)} />
+          </div>
+        )}
+
+        {/* ── Drawing hint ── */}
+        {drawMode && (
+          <div style={{ ...glass({ borderRadius:10, padding:'8px 14px', animation:'fadeUp 0.2s ease' }), position:'absolute', top:88, left:'50%', transform:'translateX(-50%)', zIndex:20, fontSize:11, color:theme.textPrimary, whiteSpace:'nowrap' }}>
+            {drawMode === 'polygon'
+              ? 'Click to add points · double-click or click the first point to finish'
+              : 'Click the centre, then click again to set the radius'}
+            <span style={{ color:theme.textMuted }}> · Esc to cancel</span>
+          </div>
+        )}
+
+        {/* ── Contractor ranking / scorecard ── */}
+        {view === 'contractor' && projects && rightSlotFree && (
+          <div style={{ position:'absolute', top:88, right:16, bottom:190, zIndex:20, display:'flex', flexDirection:'column', justifyContent:'flex-start' }}>
+            <ContractorPanel contractors={contractors} selected={selectedContractor} theme={theme}
+              onSelect={selectContractor} onExportPDF={exportContractorPDF} onExportCSV={exportContractorCSV} />
+          </div>
+        )}
+
+        {/* ── Timeline ── */}
+        {timelineYear && (
+          <div style={{ position:'absolute', bottom:30, left:'50%', transform:'translateX(-50%)', zIndex:20 }}>
+            <TimelineBar years={timelineYears} year={timelineYear} playing={isPlaying} theme={theme}
+              cumulative={timelineTotals.cumulative} perYear={timelineTotals.perYear}
+              onChange={(y) => { setIsPlaying(false); setTimelineYear(y); }}
+              onTogglePlay={togglePlay} onClose={toggleTimeline} />
+          </div>
+        )}
+
+        {/* ── Import wizard ── */}
+        {importDraft && (
+          <ImportWizard draft={importDraft} theme={theme}
+            onCancel={() => setImportDraft(null)} onImport={importProjects} />
+        )}
+
         {/* ── Legend ── */}
         <div style={{
           ...glass({ borderRadius:12, padding:'12px 16px', minWidth:160 }),
           position:'absolute', bottom:30, right:16, zIndex:20,
         }}>
           <div style={{ fontSize:10, fontWeight:800, color:theme.textSecond, letterSpacing:1.5, textTransform:'uppercase', marginBottom:10, fontFamily:"'Barlow Condensed', sans-serif" }}>
-            {view === 'coverage' ? 'Project Density' : view === 'performance' ? 'Project Status' : 'Technology Type'}
+            {view === 'coverage' ? 'Project Density' : view === 'technology' ? 'Technology Type' : 'Project Status'}
           </div>
           {renderLegend()}
+          {showGrid && (
+            <div style={{ borderTop:`1px solid ${theme.divider}`, marginTop:8, paddingTop:8 }}>
+              <div style={{ fontSize:10, fontWeight:800, color:theme.textSecond, letterSpacing:1.5, textTransform:'uppercase', marginBottom:8, fontFamily:"'Barlow Condensed', sans-serif" }}>
+                Transmission Grid
+              </div>
+              {GRID_VOLTAGES.map(({ kv, color, width }) => (
+                <div key={kv} style={{ display:'flex', alignItems:'center', gap:8, marginBottom:5 }}>
+                  <span style={{ width:16, height:0, borderTop:`${Math.round(width)}px ${kv === 132 ? 'dashed' : 'solid'} ${color}`, flexShrink:0 }} />
+                  <span style={{ fontSize:11, color:theme.textPrimary, fontFamily:"'Barlow', sans-serif" }}>{kv} kV line</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
       </div>
@@ -0,0 +1,125 @@
+import React, { useDeferredValue, useEffect, useMemo, useRef, useState } from 'react';
+import { REA_GREEN, STATUS_COLORS, glassStyle } from './theme';
+import { buildSearchIndex, searchProjects } from '../utils/searchProjects';
+
+const MIN_QUERY = 2;
+
+const FIELD_LABELS = { title: 'Title', location: 'Location', contractor: 'Contractor', lot: 'Lot' };
+
+/* ── Search box + keyboard-navigable result list ──────────────────────────── */
+const ProjectSearch = ({ projects, theme, onSelect }) => {
+  const [query,  setQuery]  = useState('');
+  const [open,   setOpen]   = useState(false);
+  const [cursor, setCursor] = useState(0);
+  const listRef = useRef(null);
+
+  const index    = useMemo(() => buildSearchIndex(projects || []), [projects]);
+  const deferred = useDeferredValue(query);
+  const results  = useMemo(
+    () => (deferred.trim().length >= MIN_QUERY ? searchProjects(index, deferred) : []),
+    [index, deferred]
+  );
+
+  useEffect(() => { setCursor(0); }, [results]);
+
+  // Keep the highlighted row in view while arrowing through the list
+  useEffect(() => {
+    const row = listRef.current && listRef.current.children[cursor];
+    if (row) row.scrollIntoView({ block: 'nearest' });
+  }, [cursor]);
+
+  const choose = (r) => {
+    if (!r) return;
+    onSelect(r.feature);
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setCursor(c => Math.max(0, Math.min(c + 1, results.length - 1)));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setCursor(c => Math.max(c - 1, 0));
+    } else if (e.key === 'Enter') {
+      choose(results[cursor]);
+    } else if (e.key === 'Escape') {
+      // Don't let the map-wide Escape handler clear the selected state
+      e.stopPropagation();
+      if (open && query) setOpen(false);
+      else { setQuery(''); e.target.blur(); }
+    }
+  };
+
+  const showList = open && query.trim().length >= MIN_QUERY;
+
+  return (
+    <div style={{ position:'relative', width:300 }}>
+      <div style={{ ...glassStyle(theme, { borderRadius:10, height:42, padding:'0 12px' }), display:'flex', alignItems:'center', gap:8 }}>
+        <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke={theme.textMuted} strokeWidth="2.2" strokeLinecap="round">
+          <circle cx="11" cy="11" r="7"/><line x1="21" y1="21" x2="16.65" y2="16.65"/>
+        </svg>
+        <input
+          value={query}
+          placeholder={projects ? 'Search title, location, contractor, lot…' : 'Loading projects…'}
+          disabled={!projects}
+          onChange={e => { setQuery(e.target.value); setOpen(true); }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={onKeyDown}
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls="project-search-results"
+          aria-activedescendant={showList && results[cursor] ? `project-search-${cursor}` : undefined}
+          style={{ flex:1, minWidth:0, border:'none', outline:'none', background:'transparent', color:theme.textPrimary, fontSize:12, fontFamily:"'Barlow', sans-serif" }}
+        />
+        {query && (
+          <button onMouseDown={e => e.preventDefault()} onClick={() => setQuery('')} title="Clear search"
+            style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:13, padding:0 }}>✕</button>
+        )}
+      </div>
+
+      {showList && (
+        <div style={{ ...glassStyle(theme, { borderRadius:10, animation:'fadeUp 0.15s ease' }), position:'absolute', top:48, left:0, right:0, maxHeight:360, overflowY:'auto' }}>
+          {results.length === 0
+            ? <div style={{ padding:'10px 12px', fontSize:11, color:theme.textMuted }}>No matching projects</div>
+            : (
+              <div ref={listRef} id="project-search-results" role="listbox">
+                {results.map((r, i) => {
+                  const p = r.feature.properties;
+                  return (
+                    <div key={i} id={`project-search-${i}`} role="option" aria-selected={i === cursor}
+                      onMouseDown={e => e.preventDefault()}
+                      onMouseEnter={() => setCursor(i)}
+                      onClick={() => choose(r)}
+                      style={{
+                        padding:'8px 12px', cursor:'pointer', borderBottom:`1px solid ${theme.divider}`,
+                        background: i === cursor ? `${REA_GREEN}22` : 'transparent',
+                      }}>
+                      <div style={{ fontSize:12, fontWeight:600, color:theme.textPrimary, lineHeight:1.3, overflow:'hidden', textOverflow:'ellipsis', display:'-webkit-box', WebkitLineClamp:2, WebkitBoxOrient:'vertical' }}>
+                        {p.title}
+                      </div>
+                      <div style={{ display:'flex', alignItems:'center', gap:6, marginTop:3, fontSize:10, color:theme.textMuted }}>
+                        <span style={{ width:7, height:7, borderRadius:'50%', background:STATUS_COLORS[p.status] || '#778CA3', flexShrink:0 }} />
+                        <span style={{ overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>
+                          {[r.field === 'contractor' ? p.contractor : p.location, p.state, p.lot, p.year].filter(Boolean).join(' · ')}
+                        </span>
+                        {r.field && r.field !== 'title' && (
+                          <span style={{ marginLeft:'auto', flexShrink:0, border:`1px solid ${theme.chipBorder}`, borderRadius:4, padding:'0 5px', fontSize:9, textTransform:'uppercase' }}>
+                            {FIELD_LABELS[r.field]}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectSearch;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { REA_GREEN, REA_DARK, glassStyle } from './theme';
+import { PieChart, StatCard } from './widgets';
+import { displayStateName } from '../utils/reportDrawing';
+import { ALL_TECHNOLOGIES } from '../utils/technologyTaxonomy';
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+/* ── Stats for a drawn region: same cards and breakdowns as the state panel ── */
+const RegionPanel = ({ stats, description, theme, onClear, onExportPDF, onExportCSV }) => {
+  const d = stats;
+  const statusBar = [
+    ['#00C48C', d.completed], ['#FFB800', d.ongoing], ['#FF4757', d.yet_to_mobilize], ['#2F3542', d.unknown_status],
+  ];
+  const techData = ALL_TECHNOLOGIES.map(t => ({ ...t, value: d[t.key] })).filter(t => t.value > 0);
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:16, padding:'16px', animation:'slideIn 0.3s ease' }), width:290, maxHeight:'100%', overflowY:'auto' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', gap:8, marginBottom:12 }}>
+        <div>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Drawn Region</div>
+          <div style={{ fontSize:14, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1.2 }}>{description}</div>
+        </div>
+        <button onClick={onClear} title="Clear region" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
+      </div>
+
+      <div style={{ display:'flex', gap:8, marginBottom:8 }}>
+        <StatCard label="Total Projects"  value={d.total}                color={REA_GREEN} theme={theme} />
+        <StatCard label="Completion Rate" value={`${d.pct_completed}%`} color="#00C48C"  theme={theme} />
+      </div>
+      <div style={{ display:'flex', gap:8 }}>
+        <StatCard label="Completed"       value={d.completed}       color="#00C48C" theme={theme} />
+        <StatCard label="Ongoing"         value={d.ongoing}         color="#FFB800" theme={theme} />
+        <StatCard label="Yet to Mobilize" value={d.yet_to_mobilize} color="#FF4757" theme={theme} />
+      </div>
+
+      <div style={{ display:'flex', height:8, borderRadius:8, overflow:'hidden', background:theme.divider, margin:'12px 0 4px' }}>
+        {d.total > 0 && statusBar.map(([color, n]) => n > 0 && <div key={color} style={{ width:`${(n / d.total) * 100}%`, background:color }} />)}
+      </div>
+      <div style={{ fontSize:10, color:theme.textMuted, marginBottom:12 }}>{d.pct_completed}% of projects completed</div>
+
+      <div style={{ display:'flex', alignItems:'center', gap:12, marginBottom:12 }}>
+        <PieChart data={techData} size={84} />
+        <div style={{ flex:1 }}>
+          {techData.map(t => (
+            <div key={t.key} style={{ display:'flex', justifyContent:'space-between', fontSize:11, color:theme.textPrimary, marginBottom:3 }}>
+              <span><span style={{ color:t.color }}>●</span> {t.label}</span>
+              <span style={{ color:theme.textMuted }}>{t.value}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ fontSize:10, fontWeight:800, color:theme.textMuted, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:5 }}>
+        {d.states.length} state{d.states.length === 1 ? '' : 's'} in the region
+      </div>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:4, marginBottom:14 }}>
+        {d.states.map(s => (
+          <span key={s} style={{ fontSize:10, color:theme.chipText, border:`1px solid ${theme.chipBorder}`, borderRadius:4, padding:'1px 6px' }}>{displayStateName(s)}</span>
+        ))}
+      </div>
+
+      <div style={{ display:'flex', gap:6, justifyContent:'flex-end' }}>
+        <button onClick={onExportCSV} disabled={!d.total} style={smallButton(theme)}>CSV</button>
+        <button onClick={onExportPDF} disabled={!d.total} style={smallButton(theme, true)}>Region PDF</button>
+      </div>
+    </div>
+  );
+};
+
+export default RegionPanel;
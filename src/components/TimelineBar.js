@@ -0,0 +1,46 @@
+import React from 'react';
+import { REA_GREEN, REA_DARK, glassStyle } from './theme';
+
+/* ── Year slider with play/pause and running totals ───────────────────────── */
+const TimelineBar = ({ years, year, playing, cumulative, perYear, theme, onChange, onTogglePlay, onClose }) => {
+  const index = Math.max(0, years.indexOf(year));
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:14, padding:'10px 16px', animation:'fadeUp 0.2s ease' }), width:460, display:'flex', alignItems:'center', gap:14 }}>
+      <button onClick={onTogglePlay} title={playing ? 'Pause' : 'Play'}
+        style={{
+          width:36, height:36, borderRadius:'50%', border:'none', cursor:'pointer', flexShrink:0,
+          background:`linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})`, color:'#fff',
+          display:'flex', alignItems:'center', justifyContent:'center',
+        }}>
+        {playing
+          ? <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>
+          : <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><polygon points="7 4 20 12 7 20 7 4"/></svg>}
+      </button>
+
+      <div style={{ flex:1 }}>
+        <input type="range" min={0} max={years.length - 1} step={1} value={index}
+          onChange={e => onChange(years[Number(e.target.value)])}
+          style={{ width:'100%', accentColor:REA_GREEN, cursor:'pointer' }} />
+        <div style={{ display:'flex', justifyContent:'space-between', fontSize:9, color:theme.textMuted, fontFamily:"'Barlow Condensed', sans-serif", letterSpacing:0.5 }}>
+          {years.map(y => (
+            <span key={y} style={{ fontWeight: y === year ? 800 : 500, color: y === year ? REA_GREEN : theme.textMuted }}>{y}</span>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ textAlign:'right', minWidth:92 }}>
+        <div style={{ fontSize:22, fontWeight:800, color:REA_GREEN, fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1 }}>
+          {cumulative.toLocaleString()}
+        </div>
+        <div style={{ fontSize:9, color:theme.textMuted, textTransform:'uppercase', letterSpacing:0.5 }}>
+          by {year} · +{perYear.toLocaleString()} that year
+        </div>
+      </div>
+
+      <button onClick={onClose} title="Close timeline"
+        style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:13, alignSelf:'flex-start' }}>✕</button>
+    </div>
+  );
+};
+
+export default TimelineBar;
@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { REA_GREEN, REA_DARK, ACCENT_GOLD, glassStyle } from './theme';
+import OfflinePanel from './OfflinePanel';
+
+const REGION_TOOLS = [
+  { mode: 'polygon', label: 'Draw a region' },
+  { mode: 'radius',  label: 'Radius around a point' },
+];
+
+const countBadge = (n, color) => (
+  <span style={{ marginLeft:'auto', background:color, color:'#fff', borderRadius:9, minWidth:18, height:16, padding:'0 5px', fontSize:9, fontWeight:800, display:'inline-flex', alignItems:'center', justifyContent:'center' }}>
+    {n.toLocaleString()}
+  </span>
+);
+
+/* ── Toolbar button with the analysis and field tools: region selection, state comparison,
+   the stalled-project watchlist, field verifications and offline maps ──
+   offline: the useOfflineMap state and actions; currentState: shapeName of the open state, or null */
+const ToolsMenu = ({
+  theme, drawMode, onDraw,
+  currentState, pinned, maxPinned, onTogglePin, onClearPins,
+  stalledCount, showWatchlist, onWatchlist,
+  pendingCount, showVerifications, onVerifications,
+  offline, offlineStates,
+}) => {
+  const [open, setOpen] = useState(false);
+  const [page, setPage] = useState('tools');
+  const ref = useRef(null);
+
+  // Close on any click outside the menu
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    window.addEventListener('mousedown', onDown);
+    return () => window.removeEventListener('mousedown', onDown);
+  }, [open]);
+
+  const toggle = () => {
+    if (!open) setPage('tools');
+    setOpen(o => !o);
+  };
+  const choose = (fn) => { setOpen(false); fn(); };
+
+  const { isOnline, stateBounds, tilePack, packProgress, downloadPack, cancelPack, removePack } = offline;
+  const active  = Boolean(drawMode || showWatchlist || showVerifications);
+  const isPinned = currentState && pinned.includes(currentState);
+  const pinFull  = !isPinned && pinned.length >= maxPinned;
+
+  const heading = { padding:'2px 12px 4px', fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif" };
+  const item = (on, enabled = true) => ({
+    display:'flex', alignItems:'center', gap:8, width:'100%', textAlign:'left', background:'none', border:'none',
+    cursor: enabled ? 'pointer' : 'default', opacity: enabled ? 1 : 0.4,
+    padding:'7px 12px', fontSize:12, color: on ? REA_GREEN : theme.textPrimary, fontWeight: on ? 700 : 400, fontFamily:"'Barlow', sans-serif",
+  });
+  const hover = {
+    onMouseEnter: e => { if (!e.currentTarget.disabled) e.currentTarget.style.background = `${REA_GREEN}18`; },
+    onMouseLeave: e => { e.currentTarget.style.background = 'none'; },
+  };
+  const divider = <div style={{ borderTop:`1px solid ${theme.divider}`, margin:'4px 0' }} />;
+  const tick = (on) => <span style={{ width:10, fontSize:10 }}>{on ? '✓' : ''}</span>;
+
+  return (
+    <div ref={ref} style={{ position:'relative' }}>
+      <button onClick={toggle} title={isOnline ? 'Tools: region, compare, watchlist, field and offline' : 'Tools — offline, working from cached data'}
+        style={{
+          ...glassStyle(theme, { borderRadius:10, width:42, height:42 }),
+          background: active ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : theme.glassBg,
+          border:'none', cursor:'pointer', position:'relative',
+          display:'flex', alignItems:'center', justifyContent:'center',
+          color: active ? '#fff' : theme.textPrimary,
+        }}>
+        <svg width="17" height="17" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <rect x="3" y="3" width="7" height="7" rx="1"/>
+          <rect x="14" y="3" width="7" height="7" rx="1"/>
+          <rect x="3" y="14" width="7" height="7" rx="1"/>
+          <rect x="14" y="14" width="7" height="7" rx="1"/>
+        </svg>
+        {pendingCount > 0 && (
+          <span title="Verifications not yet synced" style={{ position:'absolute', top:-5, right:-5, background:ACCENT_GOLD, color:'#fff', borderRadius:8, minWidth:16, height:16, padding:'0 4px', fontSize:9, display:'flex', alignItems:'center', justifyContent:'center', fontWeight:800 }}>
+            {pendingCount.toLocaleString()}
+          </span>
+        )}
+        {!isOnline && (
+          <span title="Offline" style={{ position:'absolute', bottom:-3, right:-3, width:10, height:10, borderRadius:'50%', background:'#FF4757', border:'2px solid #fff' }} />
+        )}
+        {packProgress && (
+          <span style={{ position:'absolute', left:6, right:6, bottom:5, height:3, borderRadius:2, background:theme.divider }}>
+            <span style={{ display:'block', height:'100%', borderRadius:2, background:REA_GREEN, width:`${(packProgress.done / packProgress.total) * 100}%` }} />
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div style={{ ...glassStyle(theme, { borderRadius:10, padding: page === 'offline' ? '10px 0' : '6px 0', animation:'fadeUp 0.15s ease' }), position:'absolute', left:52, bottom:0, width: page === 'offline' ? 260 : 240 }}>
+          {page === 'offline'
+            ? <OfflinePanel theme={theme} online={isOnline} states={stateBounds} defaultStates={offlineStates}
+                pack={tilePack} progress={packProgress}
+                onDownload={downloadPack} onCancel={cancelPack} onDelete={removePack} onBack={() => setPage('tools')} />
+            : (
+              <>
+                <div style={heading}>Select region</div>
+                {REGION_TOOLS.map(t => (
+                  <button key={t.mode} style={item(drawMode === t.mode)} {...hover} onClick={() => choose(() => onDraw(t.mode))}>
+                    {tick(drawMode === t.mode)}{t.label}
+                  </button>
+                ))}
+
+                {divider}
+                <div style={heading}>Compare states · {pinned.length}/{maxPinned}</div>
+                {currentState
+                  ? (
+                    <button style={item(isPinned, !pinFull)} {...hover} disabled={pinFull}
+                      title={pinFull ? `Up to ${maxPinned} states can be compared` : undefined}
+                      onClick={() => onTogglePin(currentState)}>
+                      {tick(isPinned)}{isPinned ? `Unpin ${currentState}` : `Pin ${currentState}`}
+                    </button>
+                  )
+                  : <div style={{ padding:'2px 12px 6px', fontSize:10, color:theme.textMuted }}>Open a state to pin it for comparison</div>}
+                {pinned.length > 0 && (
+                  <button style={item(false)} {...hover} onClick={() => choose(onClearPins)}>
+                    {tick(false)}Clear comparison
+                  </button>
+                )}
+
+                {divider}
+                <div style={heading}>Monitoring</div>
+                <button style={item(showWatchlist)} {...hover} onClick={() => choose(onWatchlist)}>
+                  {tick(showWatchlist)}Stalled-project watchlist
+                  {stalledCount > 0 && countBadge(stalledCount, '#FF4757')}
+                </button>
+                <button style={item(showVerifications)} {...hover} onClick={() => choose(onVerifications)}>
+                  {tick(showVerifications)}Field verifications
+                  {pendingCount > 0 && countBadge(pendingCount, ACCENT_GOLD)}
+                </button>
+
+                {divider}
+                <button style={item(false)} {...hover} onClick={() => setPage('offline')}>
+                  <span style={{ width:10, height:10, display:'flex', alignItems:'center' }}>
+                    <span style={{ width:7, height:7, borderRadius:'50%', background: isOnline ? '#00C48C' : '#FF4757' }} />
+                  </span>
+                  Offline maps{tilePack ? ' · downloaded' : ''}
+                  <span style={{ marginLeft:'auto', color:theme.textMuted }}>›</span>
+                </button>
+              </>
+            )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ToolsMenu;
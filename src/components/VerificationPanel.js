@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { REA_GREEN, REA_DARK, STATUS_COLORS, glassStyle } from './theme';
+import { VERIFY_OUTCOMES, outcomeOf, pendingOf, formatOffset } from '../utils/fieldVerification';
+import { displayStateName } from '../utils/reportDrawing';
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+/* ── Field verifications stored on this device: list, sync endpoint, batch sync and export ── */
+const VerificationPanel = ({ entries, theme, online, endpoint, syncing, onEndpoint, onSync, onExport, onDelete, onSelectProject, onClose }) => {
+  const [draftEndpoint, setDraftEndpoint] = useState(endpoint);
+  useEffect(() => setDraftEndpoint(endpoint), [endpoint]);
+
+  const pending = pendingOf(entries);
+  const canSync = online && endpoint && pending.length > 0 && !syncing;
+
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:16, padding:'16px', animation:'slideIn 0.3s ease' }), width:330, display:'flex', flexDirection:'column', maxHeight:'100%' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', gap:8, marginBottom:10 }}>
+        <div>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Field Verifications</div>
+          <div style={{ fontSize:11, color:theme.textMuted }}>
+            {entries.length.toLocaleString()} on this device · {pending.length.toLocaleString()} not yet synced
+          </div>
+        </div>
+        <button onClick={onClose} title="Close verifications" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
+      </div>
+
+      {/* Badge legend, matching the marks on the map */}
+      <div style={{ display:'flex', flexWrap:'wrap', gap:'4px 10px', marginBottom:8 }}>
+        {Object.entries(VERIFY_OUTCOMES).map(([id, o]) => (
+          <span key={id} style={{ display:'flex', alignItems:'center', gap:5, fontSize:10, color:theme.textPrimary }}>
+            <span style={{ width:8, height:8, borderRadius:'50%', background:o.color, border:'1.5px solid #fff', display:'inline-block' }} />
+            {o.label}
+          </span>
+        ))}
+      </div>
+
+      <div style={{ overflowY:'auto', minHeight:0, flex:1 }}>
+        {entries.map(e => (
+          <div key={e.id} style={{ display:'flex', alignItems:'flex-start', gap:8, padding:'6px 2px', borderTop:`1px solid ${theme.divider}` }}>
+            <span title={VERIFY_OUTCOMES[outcomeOf(e)].label}
+              style={{ width:8, height:8, borderRadius:'50%', background:VERIFY_OUTCOMES[outcomeOf(e)].color, marginTop:4, flexShrink:0 }} />
+            <div onClick={() => onSelectProject(e.project_id)} style={{ flex:1, minWidth:0, cursor:'pointer' }}>
+              <div title={e.title} style={{ fontSize:11, color:theme.textPrimary, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{e.title || 'Untitled project'}</div>
+              <div style={{ fontSize:10, color:theme.textMuted }}>
+                <span style={{ color:STATUS_COLORS[e.observed_status] || '#778CA3', fontWeight:700 }}>{e.observed_status}</span>
+                {e.observed_status !== e.recorded_status && ` (was ${e.recorded_status || 'blank'})`}
+                {' · '}{displayStateName(e.state) || 'Unknown state'}
+              </div>
+              <div style={{ fontSize:10, color:theme.textMuted }}>
+                {new Date(e.created_at).toLocaleString()}
+                {e.distance_km !== null && ` · ${formatOffset(e.distance_km)} off`}
+                {e.photos.length > 0 && ` · ${e.photos.length} photo${e.photos.length === 1 ? '' : 's'}`}
+              </div>
+            </div>
+            <span title={e.synced_at ? `Synced ${new Date(e.synced_at).toLocaleString()}` : 'Not yet synced'}
+              style={{ fontSize:9, fontWeight:700, color: e.synced_at ? '#00C48C' : '#FFB800', whiteSpace:'nowrap', marginTop:2 }}>
+              {e.synced_at ? 'SYNCED' : 'PENDING'}
+            </span>
+            <button onClick={() => onDelete(e)} title="Delete from this device"
+              style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:11, padding:0 }}>✕</button>
+          </div>
+        ))}
+        {!entries.length && (
+          <div style={{ fontSize:11, color:theme.textMuted, padding:'8px 0' }}>
+            No verifications yet. Open a project and choose Verify to record a site visit.
+          </div>
+        )}
+      </div>
+
+      <div style={{ fontSize:10, fontWeight:800, color:theme.textMuted, letterSpacing:1.5, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", margin:'10px 0 4px' }}>Sync endpoint</div>
+      <div style={{ display:'flex', gap:6 }}>
+        <input value={draftEndpoint} onChange={e => setDraftEndpoint(e.target.value)} placeholder="https://…/verifications"
+          style={{ flex:1, minWidth:0, background:'transparent', color:theme.textPrimary, border:`1px solid ${theme.chipBorder}`, borderRadius:6, padding:'4px 8px', fontSize:11 }} />
+        <button onClick={() => onEndpoint(draftEndpoint.trim())} disabled={draftEndpoint.trim() === endpoint} style={{ ...smallButton(theme), opacity: draftEndpoint.trim() === endpoint ? 0.4 : 1 }}>Save</button>
+      </div>
+
+      <div style={{ display:'flex', gap:6, justifyContent:'flex-end', alignItems:'center', marginTop:10 }}>
+        {!online && <span style={{ flex:1, fontSize:10, color:'#FF4757' }}>Offline — sync when back in signal</span>}
+        <button onClick={onExport} disabled={!entries.length} style={smallButton(theme)}>Export JSON</button>
+        <button onClick={onSync} disabled={!canSync} style={{ ...smallButton(theme, true), opacity: canSync ? 1 : 0.4, cursor: canSync ? 'pointer' : 'default' }}>
+          {syncing ? 'Syncing…' : `Sync ${pending.length || ''}`.trim()}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerificationPanel;
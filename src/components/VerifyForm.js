@@ -0,0 +1,149 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { REA_GREEN, REA_DARK, STATUS_COLORS, glassStyle } from './theme';
+import { OBSERVED_STATUSES, FAR_FROM_RECORD_KM, currentPosition, distanceFromRecord, shrinkPhoto, newVerification, formatOffset } from '../utils/fieldVerification';
+
+const MAX_PHOTOS = 6;
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+const sectionLabel = (theme) => ({
+  fontSize:10, fontWeight:800, color:theme.textMuted, letterSpacing:1.5, textTransform:'uppercase',
+  fontFamily:"'Barlow Condensed', sans-serif", margin:'14px 0 6px',
+});
+
+/* ── Site visit form: observed status, comment, device position and photos ── */
+const VerifyForm = ({ project, theme, onSave, onCancel }) => {
+  const p = project.properties;
+  const [observed,  setObserved]  = useState(OBSERVED_STATUSES.includes(p.status) ? p.status : '');
+  const [comment,   setComment]   = useState('');
+  const [position,  setPosition]  = useState(null);
+  const [locating,  setLocating]  = useState(false);
+  const [locError,  setLocError]  = useState(null);
+  const [photos,    setPhotos]    = useState([]);
+  const [reading,   setReading]   = useState(false);
+  const [saving,    setSaving]    = useState(false);
+
+  const locate = useCallback(() => {
+    setLocating(true);
+    setLocError(null);
+    currentPosition()
+      .then(setPosition)
+      .catch(e => setLocError(e.message))
+      .finally(() => setLocating(false));
+  }, []);
+
+  // Ask for the position as soon as the form opens; the officer is presumably on site
+  useEffect(() => { locate(); }, [locate]);
+
+  const distance = useMemo(() => distanceFromRecord(project, position), [project, position]);
+  const previews = useMemo(() => photos.map(ph => URL.createObjectURL(ph.blob)), [photos]);
+  useEffect(() => () => previews.forEach(url => URL.revokeObjectURL(url)), [previews]);
+
+  const addPhotos = async (files) => {
+    setReading(true);
+    try {
+      const added = await Promise.all([...files].slice(0, MAX_PHOTOS - photos.length).map(shrinkPhoto));
+      setPhotos(list => [...list, ...added]);
+    } catch(e) {
+      alert(`Could not add the photo: ${e.message}`);
+    }
+    setReading(false);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await onSave(newVerification(project, { observed_status: observed, comment, position, photos }));
+    } catch(e) {
+      alert(`Could not save the verification: ${e.message}`);
+      setSaving(false);
+    }
+  };
+
+  const far = distance !== null && distance > FAR_FROM_RECORD_KM;
+
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:16, padding:'16px', animation:'slideIn 0.3s ease' }), width:330, maxHeight:'100%', display:'flex', flexDirection:'column' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', gap:8 }}>
+        <div style={{ minWidth:0 }}>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Verify Project</div>
+          <div style={{ fontSize:15, fontWeight:800, color:theme.textPrimary, fontFamily:"'Barlow Condensed', sans-serif", lineHeight:1.2 }}>{p.title || 'Untitled project'}</div>
+          <div style={{ fontSize:10, color:theme.textMuted, marginTop:2 }}>Recorded as {p.status || 'no status'}</div>
+        </div>
+        <button onClick={onCancel} title="Cancel" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
+      </div>
+
+      <div style={{ overflowY:'auto', minHeight:0, flex:1 }}>
+        <div style={sectionLabel(theme)}>Status on site</div>
+        <div style={{ display:'flex', flexWrap:'wrap', gap:6 }}>
+          {OBSERVED_STATUSES.map(s => {
+            const color = STATUS_COLORS[s] || '#778CA3';
+            return (
+              <button key={s} onClick={() => setObserved(s)} style={{
+                background: observed === s ? color : 'none', color: observed === s ? '#fff' : theme.textPrimary,
+                border:`1px solid ${observed === s ? color : theme.chipBorder}`, borderRadius:4, cursor:'pointer',
+                padding:'4px 9px', fontSize:10, fontWeight:700, letterSpacing:0.5,
+              }}>{s}</button>
+            );
+          })}
+        </div>
+
+        <div style={sectionLabel(theme)}>Comment</div>
+        <textarea value={comment} onChange={e => setComment(e.target.value)} rows={3}
+          placeholder="What was found: equipment installed, works in progress, access, community remarks…"
+          style={{ width:'100%', boxSizing:'border-box', resize:'vertical', background:'transparent', color:theme.textPrimary, border:`1px solid ${theme.chipBorder}`, borderRadius:6, padding:'6px 8px', fontSize:11, fontFamily:"'Barlow', sans-serif" }} />
+
+        <div style={sectionLabel(theme)}>Device position</div>
+        <div style={{ display:'flex', alignItems:'flex-start', gap:8 }}>
+          <div style={{ flex:1, fontSize:11, color:theme.textPrimary, lineHeight:1.4 }}>
+            {locating && <span style={{ color:theme.textMuted }}>Finding position…</span>}
+            {!locating && position && (
+              <>
+                {position.lat.toFixed(5)}, {position.lng.toFixed(5)} <span style={{ color:theme.textMuted }}>±{position.accuracy_m} m</span>
+                <div style={{ fontSize:10, color: far ? '#FF4757' : theme.textMuted }}>
+                  {distance === null ? 'Project has no recorded coordinates' : `${formatOffset(distance)} from the recorded location`}
+                  {far && ' — are you at the right site?'}
+                </div>
+              </>
+            )}
+            {!locating && !position && <span style={{ color:'#FF4757', fontSize:10 }}>{locError || 'No position'}</span>}
+          </div>
+          <button onClick={locate} disabled={locating} style={smallButton(theme)}>{position ? 'Refresh' : 'Retry'}</button>
+        </div>
+
+        <div style={sectionLabel(theme)}>Photos · {photos.length}/{MAX_PHOTOS}</div>
+        <div style={{ display:'flex', flexWrap:'wrap', gap:6 }}>
+          {previews.map((url, i) => (
+            <div key={url} style={{ position:'relative', width:64, height:64, borderRadius:6, overflow:'hidden', border:`1px solid ${theme.chipBorder}` }}>
+              <img src={url} alt={photos[i].name} style={{ width:'100%', height:'100%', objectFit:'cover' }} />
+              <button onClick={() => setPhotos(list => list.filter((_, j) => j !== i))} title="Remove photo"
+                style={{ position:'absolute', top:2, right:2, background:'rgba(0,0,0,0.55)', color:'#fff', border:'none', borderRadius:'50%', width:16, height:16, fontSize:9, cursor:'pointer', padding:0 }}>✕</button>
+            </div>
+          ))}
+          {photos.length < MAX_PHOTOS && (
+            <label style={{ width:64, height:64, borderRadius:6, border:`1px dashed ${REA_GREEN}80`, display:'flex', alignItems:'center', justifyContent:'center', color:REA_GREEN, fontSize:10, fontWeight:700, cursor: reading ? 'wait' : 'pointer', textAlign:'center' }}>
+              {reading ? '…' : '+ Photo'}
+              <input type="file" accept="image/*" capture="environment" multiple style={{ display:'none' }} disabled={reading}
+                onChange={e => { addPhotos(e.target.files); e.target.value = ''; }} />
+            </label>
+          )}
+        </div>
+      </div>
+
+      <div style={{ display:'flex', gap:6, justifyContent:'flex-end', marginTop:12 }}>
+        <button onClick={onCancel} style={smallButton(theme)}>Cancel</button>
+        <button onClick={save} disabled={!observed || saving || reading}
+          style={{ ...smallButton(theme, true), opacity: observed && !saving && !reading ? 1 : 0.4, cursor: observed && !saving ? 'pointer' : 'default' }}>
+          {saving ? 'Saving…' : 'Save on device'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyForm;
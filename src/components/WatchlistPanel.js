@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { REA_GREEN, REA_DARK, glassStyle } from './theme';
+import { STALL_RULES, groupStalled } from '../utils/stalledProjects';
+import { displayStateName } from '../utils/reportDrawing';
+
+const MAX_YEARS = 6;
+
+const smallButton = (theme, primary) => ({
+  background: primary ? `linear-gradient(135deg, ${REA_GREEN}, ${REA_DARK})` : 'none',
+  border: primary ? 'none' : `1px solid ${REA_GREEN}50`, borderRadius:6, cursor:'pointer',
+  color: primary ? '#fff' : REA_GREEN, fontSize:10, padding:'4px 10px',
+  fontFamily:"'Barlow Condensed', sans-serif", fontWeight:700, letterSpacing:0.5, textTransform:'uppercase',
+});
+
+/* ── Stalled-project watchlist: thresholds, groups by state or contractor, and exports ── */
+const WatchlistPanel = ({ stalled, thresholds, theme, onThresholds, onSelectProject, onExport, onClose }) => {
+  const [groupBy, setGroupBy] = useState('state');
+  const [open,    setOpen]    = useState(null);
+
+  const groups = useMemo(() => (groupBy === 'state'
+    ? groupStalled(stalled, 'state', f => displayStateName(f.properties.state))
+    : groupStalled(stalled, 'contractor_key', f => f.properties.contractor)), [stalled, groupBy]);
+  const openProjects = open === null ? [] : stalled.filter(f => (f.properties[groupBy === 'state' ? 'state' : 'contractor_key'] || '') === open);
+
+  const step = (key, delta) => onThresholds({ ...thresholds, [key]: Math.min(MAX_YEARS, Math.max(1, thresholds[key] + delta)) });
+  const stepper = { background:'none', border:`1px solid ${theme.chipBorder}`, borderRadius:4, cursor:'pointer', color:theme.textPrimary, width:18, height:18, fontSize:11, lineHeight:1, padding:0 };
+  const tab = (id, label) => (
+    <button key={id} onClick={() => { setGroupBy(id); setOpen(null); }} style={{
+      ...smallButton(theme, groupBy === id), flex:1, padding:'3px 8px',
+    }}>{label}</button>
+  );
+
+  return (
+    <div style={{ ...glassStyle(theme, { borderRadius:16, padding:'16px', animation:'slideIn 0.3s ease' }), width:330, display:'flex', flexDirection:'column', maxHeight:'100%' }}>
+      <div style={{ display:'flex', justifyContent:'space-between', alignItems:'flex-start', gap:8, marginBottom:10 }}>
+        <div>
+          <div style={{ fontSize:9, fontWeight:700, color:REA_GREEN, letterSpacing:2, textTransform:'uppercase', fontFamily:"'Barlow Condensed', sans-serif", marginBottom:2 }}>Stalled Projects</div>
+          <div style={{ fontSize:11, color:theme.textMuted }}>Status unchanged long after award · current filters, any status</div>
+        </div>
+        <button onClick={onClose} title="Close watchlist" style={{ background:'none', border:'none', cursor:'pointer', color:theme.textMuted, fontSize:14 }}>✕</button>
+      </div>
+
+      {Object.entries(STALL_RULES).map(([status, r]) => (
+        <div key={r.key} style={{ display:'flex', alignItems:'center', justifyContent:'space-between', gap:6, fontSize:11, color:theme.textPrimary, marginBottom:5 }}>
+          <span style={{ display:'flex', alignItems:'center', gap:6 }}>
+            <span style={{ width:9, height:9, borderRadius:'50%', border:`2px solid ${r.color}`, display:'inline-block' }} />
+            {r.label} after
+            <button onClick={() => step(r.key, -1)} style={stepper}>−</button>
+            <b>{thresholds[r.key]}</b>
+            <button onClick={() => step(r.key, 1)} style={stepper}>+</button>
+            yr{thresholds[r.key] === 1 ? '' : 's'}
+          </span>
+          <span style={{ fontSize:15, fontWeight:800, color:r.color, fontFamily:"'Barlow Condensed', sans-serif" }}>
+            {stalled.filter(f => f.properties.status === status).length}
+          </span>
+        </div>
+      ))}
+
+      <div style={{ display:'flex', gap:6, margin:'8px 0' }}>
+        {tab('state', 'By state')}
+        {tab('contractor', 'By contractor')}
+      </div>
+
+      <div style={{ overflowY:'auto', minHeight:0, flex:1 }}>
+        {groups.map(g => (
+          <div key={g.key}>
+            <div onClick={() => setOpen(o => (o === g.key ? null : g.key))}
+              style={{ display:'flex', alignItems:'center', gap:8, padding:'5px 2px', borderTop:`1px solid ${theme.divider}`, cursor:'pointer' }}
+              onMouseEnter={e => { e.currentTarget.style.background = `${REA_GREEN}18`; }}
+              onMouseLeave={e => { e.currentTarget.style.background = 'transparent'; }}>
+              <span style={{ fontSize:9, color:theme.textMuted, width:8 }}>{open === g.key ? '▾' : '▸'}</span>
+              <span title={g.label} style={{ flex:1, fontSize:11, color:theme.textPrimary, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{g.label}</span>
+              <span style={{ display:'flex', width:48, height:6, borderRadius:6, overflow:'hidden', background:theme.divider }}>
+                <span style={{ width:`${(g.yet_to_mobilize / g.total) * 100}%`, background:STALL_RULES['YET TO MOBILIZE'].color }} />
+                <span style={{ width:`${(g.ongoing / g.total) * 100}%`, background:STALL_RULES['ONGOING'].color }} />
+              </span>
+              <span title="Oldest award" style={{ fontSize:10, color:theme.textMuted, width:30, textAlign:'right' }}>{g.oldest}</span>
+              <span style={{ fontSize:12, fontWeight:700, color:theme.textPrimary, width:26, textAlign:'right' }}>{g.total}</span>
+            </div>
+            {open === g.key && openProjects.map(f => (
+              <div key={f.properties.project_id} onClick={() => onSelectProject(f)}
+                style={{ display:'flex', gap:6, padding:'3px 2px 3px 16px', fontSize:10, color:theme.textSecond, cursor:'pointer' }}>
+                <span style={{ color:STALL_RULES[f.properties.status].color }}>●</span>
+                <span style={{ flex:1, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }} title={f.properties.title}>{f.properties.title}</span>
+                <span style={{ color:theme.textMuted, whiteSpace:'nowrap' }}>{f.properties.year} · {f.properties.years_since_award}y</span>
+              </div>
+            ))}
+          </div>
+        ))}
+        {!groups.length && <div style={{ fontSize:11, color:theme.textMuted, padding:'8px 0' }}>No stalled projects at these thresholds.</div>}
+      </div>
+
+      <div style={{ display:'flex', gap:6, justifyContent:'flex-end', marginTop:10 }}>
+        <button onClick={() => onExport('csv')}  disabled={!stalled.length} style={smallButton(theme)}>CSV</button>
+        <button onClick={() => onExport('xlsx')} disabled={!stalled.length} style={smallButton(theme, true)}>Excel for follow-up</button>
+      </div>
+    </div>
+  );
+};
+
+export default WatchlistPanel;
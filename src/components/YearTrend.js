@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { REA_GREEN, STATUS_COLORS } from './theme';
+import { StackedColumns } from './widgets';
+import { trendSentence } from '../utils/reportDrawing';
+import { ALL_TECHNOLOGIES } from '../utils/technologyTaxonomy';
+
+// Technology series are the taxonomy's, narrowed to those present in the rows
+const TREND_SERIES = {
+  type: ALL_TECHNOLOGIES.map(t => ({ key: t.key, label: t.short, color: t.color })),
+  status: [
+    { key: 'completed',       label: 'Completed',       color: STATUS_COLORS['COMPLETED'] },
+    { key: 'ongoing',         label: 'Ongoing',         color: STATUS_COLORS['ONGOING'] },
+    { key: 'yet_to_mobilize', label: 'Yet to Mobilize', color: STATUS_COLORS['YET TO MOBILIZE'] },
+    { key: 'unknown_status',  label: 'Unknown',         color: STATUS_COLORS[''] },
+  ],
+};
+
+/* ── Projects per year of award (yearTrend rows), stacked by technology or by status ── */
+const YearTrend = ({ rows, theme }) => {
+  const [by, setBy] = useState('type');
+  const series = by === 'type' ? TREND_SERIES.type.filter(t => rows.some(r => r[t.key] > 0)) : TREND_SERIES.status;
+  const tab = (id, label) => (
+    <button onClick={() => setBy(id)} style={{
+      background: by === id ? REA_GREEN : 'none', color: by === id ? '#fff' : theme.chipText,
+      border: `1px solid ${by === id ? REA_GREEN : theme.chipBorder}`, borderRadius: 5, cursor: 'pointer',
+      fontSize: 9, fontWeight: 700, padding: '2px 7px', letterSpacing: 0.5, textTransform: 'uppercase',
+      fontFamily: "'Barlow Condensed', sans-serif",
+    }}>{label}</button>
+  );
+
+  if (!rows.length) return null;
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+        <div style={{ fontSize: 9, fontWeight: 700, color: REA_GREEN, letterSpacing: 2, textTransform: 'uppercase', fontFamily: "'Barlow Condensed', sans-serif" }}>
+          Projects by Year
+        </div>
+        <div style={{ display: 'flex', gap: 4 }}>
+          {tab('type', 'Type')}
+          {tab('status', 'Status')}
+        </div>
+      </div>
+      <StackedColumns rows={rows} series={series} theme={theme} />
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px 10px', marginTop: 6 }}>
+        {series.map(s => (
+          <span key={s.key} style={{ fontSize: 10, color: theme.textPrimary }}><span style={{ color: s.color }}>●</span> {s.label}</span>
+        ))}
+      </div>
+      <div style={{ fontSize: 10, color: theme.textMuted, marginTop: 6, fontFamily: "'Barlow', sans-serif" }}>{trendSentence(rows)}</div>
+    </div>
+  );
+};
+
+export default YearTrend;
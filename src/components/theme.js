@@ -0,0 +1,54 @@
+/* ── Design tokens ────────────────────────────────────────────────────────── */
+export const REA_GREEN   = '#00843D';
+export const REA_DARK    = '#005C2B';
+export const ACCENT_GOLD = '#F5A623';
+export const SHADOW      = '0 8px 32px rgba(0,0,0,0.22)';
+
+/* ── Theme definitions ────────────────────────────────────────────────────── */
+export const THEMES = {
+  dark: {
+    mapStyle:    'mapbox://styles/mapbox/dark-v11',
+    glassBg:     'rgba(10,30,18,0.88)',
+    glassBlur:   'blur(14px)',
+    panelBorder: '1px solid rgba(0,180,80,0.18)',
+    textPrimary: '#e8f5ee',
+    textSecond:  '#7dcea0',
+    textMuted:   '#3d7055',
+    chipBorder:  '#1e4a32',
+    chipText:    '#6aad86',
+    divider:     'rgba(255,255,255,0.07)',
+    pointStroke: 'rgba(255,255,255,0.20)',
+    offlineBackground: '#1b2420',
+  },
+  light: {
+    mapStyle:    'mapbox://styles/mapbox/light-v11',
+    glassBg:     'rgba(255,255,255,0.92)',
+    glassBlur:   'blur(12px)',
+    panelBorder: '1px solid rgba(0,0,0,0.07)',
+    textPrimary: '#111',
+    textSecond:  REA_DARK,
+    textMuted:   '#888',
+    chipBorder:  '#e0e0e0',
+    chipText:    '#666',
+    divider:     '#f0f0f0',
+    pointStroke: 'rgba(255,255,255,0.70)',
+    offlineBackground: '#eef1ee',
+  },
+};
+
+export const STATUS_COLORS = {
+  'COMPLETED':       '#00C48C',
+  'ONGOING':         '#FFB800',
+  'YET TO MOBILIZE': '#FF4757',
+  '':                '#2F3542',
+};
+
+/* ── Shared glass panel style ─────────────────────────────────────────────── */
+export const glassStyle = (theme, extra = {}) => ({
+  background:           theme.glassBg,
+  backdropFilter:       theme.glassBlur,
+  WebkitBackdropFilter: theme.glassBlur,
+  border:               theme.panelBorder,
+  boxShadow:            SHADOW,
+  ...extra,
+});
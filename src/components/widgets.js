@@ -0,0 +1,76 @@
+import React from 'react';
+
+// Small presentational pieces shared by the map, its panels and overlays
+
+/* ── SVG Pie ──────────────────────────────────────────────────────────────── */
+export const PieChart = ({ data, size = 100 }) => {
+  const total = data.reduce((s, d) => s + d.value, 0);
+  if (!total) return null;
+  const r = size / 2 - 6, cx = size / 2, cy = size / 2;
+  let a = -Math.PI / 2;
+  const slices = data.filter(d => d.value > 0).map(d => {
+    const sweep = (d.value / total) * 2 * Math.PI;
+    const x1 = cx + r * Math.cos(a), y1 = cy + r * Math.sin(a);
+    a += sweep;
+    const x2 = cx + r * Math.cos(a), y2 = cy + r * Math.sin(a);
+    return { path: `M${cx},${cy} L${x1},${y1} A${r},${r} 0 ${sweep > Math.PI ? 1 : 0},1 ${x2},${y2} Z`, color: d.color };
+  });
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} style={{ filter: 'drop-shadow(0 2px 6px rgba(0,0,0,0.15))' }}>
+      {slices.map((s, i) => <path key={i} d={s.path} fill={s.color} stroke="#fff" strokeWidth={2} />)}
+    </svg>
+  );
+};
+/* ── StatCard ─────────────────────────────────────────────────────────────── */
+export const StatCard = ({ label, value, color, theme }) => (
+  <div style={{
+    flex: 1, borderRadius: 10, padding: '12px 10px', textAlign: 'center',
+    background: `linear-gradient(135deg, ${color}22, ${color}08)`,
+    border: `1px solid ${color}35`,
+    position: 'relative', overflow: 'hidden',
+  }}>
+    <div style={{ position: 'absolute', top: 0, left: 0, right: 0, height: 3, background: color, borderRadius: '10px 10px 0 0' }} />
+    <div style={{ fontSize: 26, fontWeight: 800, color, fontFamily: "'Barlow Condensed', sans-serif", lineHeight: 1.1 }}>{value}</div>
+    <div style={{ fontSize: 10, color: theme.textMuted, marginTop: 3, fontFamily: "'Barlow', sans-serif", fontWeight: 500, textTransform: 'uppercase', letterSpacing: 0.5 }}>{label}</div>
+  </div>
+);
+
+/* ── Chip ─────────────────────────────────────────────────────────────────── */
+// `count` (optional) is the live number of matching projects; chips with none are dimmed
+export const Chip = ({ label, active, color, theme, onClick, count = null, title }) => (
+  <button onClick={onClick} title={title} style={{
+    padding: '5px 11px', borderRadius: 6, fontSize: 10, fontWeight: 700,
+    cursor: 'pointer',
+    border: `1.5px solid ${active ? color : theme.chipBorder}`,
+    background: active ? color : 'transparent',
+    color: active ? '#fff' : theme.chipText,
+    opacity: count === 0 && !active ? 0.45 : 1,
+    transition: 'all 0.15s', whiteSpace: 'nowrap',
+    fontFamily: "'Barlow Condensed', sans-serif", letterSpacing: 0.5,
+    textTransform: 'uppercase',
+  }}>
+    {label}
+    {count !== null && <span style={{ marginLeft: 5, fontWeight: 500, opacity: 0.75 }}>{count.toLocaleString()}</span>}
+  </button>
+);
+
+/* ── Stacked columns: one per year row, `series` stacked bottom-up ───────── */
+export const StackedColumns = ({ rows, series, theme, height = 80 }) => {
+  const max = Math.max(1, ...rows.map(r => r.total));
+  // Series can overlap (a combined-type project counts under each technology), so segments share the column
+  const stackOf = (r) => series.reduce((n, s) => n + (r[s.key] || 0), 0);
+  return (
+    <div style={{ display: 'flex', alignItems: 'flex-end', gap: 4 }}>
+      {rows.map(r => (
+        <div key={r.year} title={`${r.year}: ${r.total} project${r.total === 1 ? '' : 's'}`}
+          style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-end', height: height + 28 }}>
+          <div style={{ fontSize: 9, color: theme.textMuted, marginBottom: 2 }}>{r.total || ''}</div>
+          <div style={{ width: '72%', height: (r.total / max) * height, display: 'flex', flexDirection: 'column-reverse', borderRadius: '3px 3px 0 0', overflow: 'hidden', transition: 'height 0.4s ease' }}>
+            {r.total > 0 && series.map(s => r[s.key] > 0 && <div key={s.key} style={{ height: `${(r[s.key] / stackOf(r)) * 100}%`, background: s.color }} />)}
+          </div>
+          <div style={{ fontSize: 9, color: theme.textMuted, marginTop: 3, fontFamily: "'Barlow Condensed', sans-serif" }}>’{String(r.year).slice(-2)}</div>
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,59 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// useFieldVerifications.js
+// Site visits stored on this device (see utils/fieldVerification.js), kept in
+// React state alongside the sync endpoint, with the save / delete / sync /
+// export actions the panels call.
+// Usage: const field = useFieldVerifications();
+//        <VerificationPanel entries={field.verifications} onSync={field.syncSiteVisits} … />
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { useCallback, useEffect, useState } from 'react';
+import { listVerifications, saveVerification, deleteVerification, pendingOf, loadEndpoint, saveEndpoint, exportVerifications, syncVerifications } from '../utils/fieldVerification';
+
+const useFieldVerifications = () => {
+  const [verifications, setVerifications] = useState([]);
+  const [endpoint,      setEndpoint]      = useState(loadEndpoint);
+  const [isSyncing,     setIsSyncing]     = useState(false);
+
+  useEffect(() => {
+    listVerifications().then(setVerifications).catch(() => setVerifications([]));
+  }, []);
+
+  /* ── Rejects when the entry could not be stored, so the form can stay open ── */
+  const saveSiteVisit = useCallback(async (entry) => {
+    await saveVerification(entry);
+    setVerifications(list => [entry, ...list]);
+  }, []);
+
+  const removeVerification = useCallback((entry) => {
+    const note = entry.synced_at ? '' : ' It has not been synced and will be lost.';
+    if (!window.confirm(`Delete this verification from the device?${note}`)) return;
+    deleteVerification(entry.id)
+      .then(() => setVerifications(list => list.filter(v => v.id !== entry.id)))
+      .catch(e => alert(`Could not delete the verification: ${e.message}`));
+  }, []);
+
+  const syncSiteVisits = useCallback(async () => {
+    setIsSyncing(true);
+    try {
+      await syncVerifications(pendingOf(verifications), endpoint);
+      setVerifications(await listVerifications());
+    } catch(e) {
+      alert(`Sync failed: ${e.message}. The verifications are still on this device.`);
+    }
+    setIsSyncing(false);
+  }, [verifications, endpoint]);
+
+  const downloadVerifications = useCallback(() => {
+    exportVerifications(verifications).catch(e => alert(`Export failed: ${e.message}`));
+  }, [verifications]);
+
+  const changeEndpoint = useCallback((url) => {
+    saveEndpoint(url);
+    setEndpoint(loadEndpoint());
+  }, []);
+
+  return { verifications, endpoint, isSyncing, saveSiteVisit, removeVerification, syncSiteVisits, downloadVerifications, changeEndpoint };
+};
+
+export default useFieldVerifications;
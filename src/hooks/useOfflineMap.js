@@ -0,0 +1,95 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// useOfflineMap.js
+// Offline field mode state for the map: whether the device is online, the
+// state outlines offered for download, and the tile pack on the device.
+// Usage: const offline = useOfflineMap(map);   // map: ref to the mapboxgl.Map
+//        offline.downloadPack(['KANO'], 'overview');
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import mapboxgl from 'mapbox-gl';
+import * as turf from '@turf/turf';
+import { STATIC_URLS, DATA_SOURCE, loadDataset } from '../utils/dataProvider';
+import { PACK_DETAILS, MAX_PACK_TILES, tilesForBounds, tileTemplates, downloadTilePack, loadPackInfo, savePackInfo, deleteTilePack } from '../utils/offlineMap';
+
+const useOfflineMap = (map) => {
+  const [isOnline,     setIsOnline]     = useState(navigator.onLine);
+  const [stateBounds,  setStateBounds]  = useState(null);
+  const [tilePack,     setTilePack]     = useState(loadPackInfo);
+  const [packProgress, setPackProgress] = useState(null);
+
+  // Cancels a tile pack download in progress
+  const packAbort = useRef(null);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  /* ── States offered for download: [{ name, label, bbox }] ── */
+  useEffect(() => {
+    loadDataset('states')
+      .then(boundaries => setStateBounds(boundaries.features
+        .map(f => ({ name: f.properties.shapeName.toUpperCase(), label: f.properties.shapeName, bbox: turf.bbox(f) }))
+        .sort((a, b) => a.label.localeCompare(b.label))))
+      .catch(() => setStateBounds([]));
+  }, []);
+
+  const downloadPack = useCallback(async (names, detail) => {
+    if (!map.current || packAbort.current) return;
+    const templates = tileTemplates(map.current);
+    if (!templates.length) {
+      alert('The basemap is not loaded from Mapbox, so there are no tiles to download. Reconnect and try again.');
+      return;
+    }
+    const bboxes = stateBounds.filter(s => names.includes(s.name)).map(s => s.bbox);
+    const { maxZoom } = PACK_DETAILS.find(d => d.id === detail);
+    if (tilesForBounds(bboxes, maxZoom).length * templates.length > MAX_PACK_TILES) {
+      alert('That map is too large to download. Choose fewer states or the Overview detail.');
+      return;
+    }
+
+    const controller = new AbortController();
+    packAbort.current = controller;
+    setPackProgress({ done: 0, total: 1 });
+    try {
+      const result = await downloadTilePack({
+        templates, bboxes, maxZoom, token: mapboxgl.accessToken, signal: controller.signal,
+        extraUrls: [...(DATA_SOURCE.kind === 'static' && STATIC_URLS.lgas ? [STATIC_URLS.lgas] : []), `${process.env.PUBLIC_URL}/realogo.PNG`],
+        onProgress: (done, total) => setPackProgress({ done, total }),
+      });
+      const info = {
+        states: names.map(n => stateBounds.find(s => s.name === n).label), detail,
+        tiles: result.tiles, failed: result.failed, complete: !result.cancelled && !result.failed,
+        date: new Date().toISOString(),
+      };
+      savePackInfo(info);
+      setTilePack(info);
+      if (result.failed && !result.cancelled) alert(`${result.failed.toLocaleString()} map tiles could not be downloaded; those areas will be blank offline.`);
+    } catch(e) {
+      alert(`Map download failed: ${e.message}`);
+    }
+    packAbort.current = null;
+    setPackProgress(null);
+  }, [map, stateBounds]);
+
+  const cancelPack = useCallback(() => {
+    if (packAbort.current) packAbort.current.abort();
+  }, []);
+
+  const removePack = useCallback(() => {
+    if (!window.confirm('Delete the downloaded map from this device?')) return;
+    deleteTilePack()
+      .then(() => setTilePack(null))
+      .catch(e => alert(`Could not delete the downloaded map: ${e.message}`));
+  }, []);
+
+  return { isOnline, stateBounds, tilePack, packProgress, downloadPack, cancelPack, removePack };
+};
+
+export default useOfflineMap;
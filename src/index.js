@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +12,12 @@ root.render(
   </React.StrictMode>
 );
 
+// Works offline once loaded: app shell, project data and map tiles are cached by the service worker.
+// An updated worker takes over straight away instead of waiting for every tab to close; the new build shows on next launch.
+serviceWorkerRegistration.register({
+  onUpdate: registration => registration.waiting && registration.waiting.postMessage({ type: 'SKIP_WAITING' }),
+});
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
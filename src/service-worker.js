@@ -0,0 +1,70 @@
+/* eslint-disable no-restricted-globals */
+// ─────────────────────────────────────────────────────────────────────────────
+// service-worker.js
+// Built by react-scripts (Workbox InjectManifest) and registered from
+// index.js in production builds. Keeps the dashboard usable with no signal:
+//   · the app shell, bundles and bundled GeoJSON are precached at install
+//   · Mapbox styles, sprites and glyphs are kept from the last online visit
+//   · tiles come from the downloaded tile pack first, then from tiles seen
+//     while browsing online
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { CACHES, isMapboxTile, isMapboxStyleAsset, mapboxCacheKey } from './utils/offlineCache';
+
+clientsClaim();
+
+// Build output, including the project, state and grid GeoJSON bundled by the data provider
+// (pages from a REST data API are cached by the provider itself, with their ETags)
+precacheAndRoute(self.__WB_MANIFEST);
+
+/* ── App shell: navigations that don't look like a file get index.html ── */
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' && !url.pathname.startsWith('/_') && !fileExtensionRegexp.test(url.pathname),
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Same cache entry whatever session token the request carried
+const mapboxKeys = { cacheKeyWillBeUsed: async ({ request }) => mapboxCacheKey(request.url) };
+
+/* ── Mapbox tiles: the tile pack, then tiles cached while browsing ── */
+const browsedTiles = new CacheFirst({
+  cacheName: CACHES.tiles,
+  plugins: [
+    mapboxKeys,
+    new CacheableResponsePlugin({ statuses: [200] }),
+    new ExpirationPlugin({ maxEntries: 5000, purgeOnQuotaError: true }),
+  ],
+});
+registerRoute(({ url }) => isMapboxTile(url), async (options) => {
+  const packed = await caches.match(mapboxCacheKey(options.request.url), { cacheName: CACHES.tilePack });
+  return packed || browsedTiles.handle(options);
+});
+
+/* ── Mapbox style JSON, TileJSON, sprites and glyphs ── */
+registerRoute(({ url }) => isMapboxStyleAsset(url), new StaleWhileRevalidate({
+  cacheName: CACHES.style,
+  plugins: [mapboxKeys, new CacheableResponsePlugin({ statuses: [200] })],
+}));
+
+/* ── Files from public/: LGA boundaries, logo, icons ── */
+registerRoute(({ url }) => url.origin === self.location.origin && /\.(geojson|json|png|ico)$/i.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: CACHES.data }));
+
+/* ── Web fonts ── */
+registerRoute(({ url }) => url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com',
+  new StaleWhileRevalidate({
+    cacheName: CACHES.fonts,
+    plugins: [new CacheableResponsePlugin({ statuses: [0, 200] }), new ExpirationPlugin({ maxEntries: 30 })],
+  }));
+
+// Lets the page activate an updated worker: registration.waiting.postMessage({ type: 'SKIP_WAITING' })
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
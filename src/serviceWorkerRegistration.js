@@ -0,0 +1,69 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// serviceWorkerRegistration.js
+// Registers src/service-worker.js (emitted by the build as service-worker.js)
+// in production, so the app shell, project data and map tiles stay available
+// offline. In development nothing is registered, and any earlier worker on
+// localhost is only checked, never installed afresh.
+// ─────────────────────────────────────────────────────────────────────────────
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+  window.location.hostname === '[::1]' ||
+  /^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/.test(window.location.hostname)
+);
+
+const registerValidSW = (swUrl, config) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== 'installed') return;
+          // A controller already exists: new content waits until every tab is closed
+          if (navigator.serviceWorker.controller) {
+            if (config && config.onUpdate) config.onUpdate(registration);
+          } else if (config && config.onSuccess) {
+            config.onSuccess(registration);
+          }
+        };
+      };
+    })
+    .catch(error => console.error('Service worker registration failed:', error));
+};
+
+// On localhost, make sure the worker really exists before trusting it (a different app may have served the port)
+const checkValidServiceWorker = (swUrl, config) => {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then(response => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        navigator.serviceWorker.ready.then(registration => registration.unregister().then(() => window.location.reload()));
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => console.log('No internet connection found. App is running in offline mode.'));
+};
+
+/* ── config: { onSuccess(registration), onUpdate(registration) } ── */
+export const register = (config) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // The worker can't serve a PUBLIC_URL on another origin (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) checkValidServiceWorker(swUrl, config);
+    else registerValidSW(swUrl, config);
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error(error.message));
+};
@@ -0,0 +1,194 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// aggregateProjects.js
+// Single source of every per-state / national statistic shown in the side
+// panel, legend, choropleth and PDF report. Everything is derived from the
+// loaded project features and the active filters — nothing is read from the
+// totals baked into nigeria-states-enriched.geojson.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as turf from '@turf/turf';
+import { GRID_NEAR_KM, inDistanceBand, distanceBandExpression } from './gridDistance';
+import { ALL_TECHNOLOGIES, TECH_CATEGORIES, technologiesOf } from './technologyTaxonomy';
+import { normalizeType } from './projectSchema';
+
+export const emptyStats = () => ({
+  total: 0, completed: 0, ongoing: 0, yet_to_mobilize: 0, unknown_status: 0, pct_completed: 0,
+  ...Object.fromEntries(ALL_TECHNOLOGIES.map(t => [t.key, 0])),
+  ...Object.fromEntries(TECH_CATEGORIES.map(c => [c.key, 0])),
+  multi_technology: 0,
+  avg_grid_km: null, offgrid_near_grid: 0, grid_far_from_grid: 0,
+});
+
+/* ── Filter-facet values of a project; '' is the "Unknown / blank" bucket ── */
+export const facetYear   = (p) => String(p.year ?? '').trim();
+export const facetStatus = (p) => String(p.status ?? '').trim();
+// Combined types such as "GRID/SOLAR MINI GRID" belong to each of their base technologies;
+// parts are normalised, so "SOLAR BORE HOLE" and "Solar borehole" are the same type
+export const typeParts   = (type) => {
+  const parts = normalizeType(type).split('/').filter(Boolean);
+  return parts.length ? parts : [''];
+};
+
+/* ── Copy of the features with `type_parts`, their type parts as "/A/B/" ("//" when blank), for the map's type filter ── */
+export const addTypeParts = (features) => features.map(f => ({
+  ...f,
+  properties: { ...f.properties, type_parts: `/${typeParts(f.properties.type).join('/')}/` },
+}));
+
+/* ── Same semantics as projectFilterExpression, which filters the points on the map ── */
+export const matchesFilters = (p, {
+  years = [], statuses = [], types = [], distances = [], contractor = null, throughYear = null, state = null, lga = null,
+} = {}) => {
+  if (state           && p.state !== state)             return false;
+  if (lga             && p.lga_id !== lga)              return false;
+  if (throughYear     && !(Number(p.year) > 0 && Number(p.year) <= throughYear)) return false;
+  if (contractor      && p.contractor_key !== contractor) return false;
+  if (years.length    && !years.includes(facetYear(p)))      return false;
+  if (statuses.length && !statuses.includes(facetStatus(p))) return false;
+  if (types.length    && !typeParts(p.type).some(t => types.includes(t))) return false;
+  if (distances.length && !distances.some(id => inDistanceBand(p.grid_km, id))) return false;
+  return true;
+};
+
+/* ── matchesFilters as a Mapbox filter expression for the project-points layer; null when nothing is filtered ──
+   Type filters read `type_parts`, so the layer's features must have been through addTypeParts. */
+export const projectFilterExpression = ({
+  years = [], statuses = [], types = [], distances = [], contractor = null, throughYear = null, state = null, lga = null,
+} = {}) => {
+  const conds = [];
+  if (state)           conds.push(['==', ['get', 'state'], state]);
+  if (lga)             conds.push(['==', ['get', 'lga_id'], lga]);
+  // Missing values compare as '', the "Unknown / blank" bucket
+  if (years.length)    conds.push(['in', ['to-string', ['coalesce', ['get', 'year'], '']], ['literal', years]]);
+  if (statuses.length) conds.push(['in', ['coalesce', ['get', 'status'], ''], ['literal', statuses]]);
+  // A base type matches any combined type containing it: "/GRID/" is in "/GRID/SOLAR MINI GRID/", and "//" is the blank type
+  if (types.length)    conds.push(['any', ...types.map(t => ['in', `/${t}/`, ['coalesce', ['get', 'type_parts'], '//']])]);
+  if (contractor)      conds.push(['==', ['get', 'contractor_key'], contractor]);
+  if (throughYear) {
+    const year = ['to-number', ['get', 'year'], 0];
+    conds.push(['all', ['>', year, 0], ['<=', year, throughYear]]);
+  }
+  if (distances.length) conds.push(distanceBandExpression(distances));
+  return conds.length === 0 ? null : conds.length === 1 ? conds[0] : ['all', ...conds];
+};
+
+export const filterProjects = (features, filters) =>
+  features.filter(f => matchesFilters(f.properties, filters));
+
+/* ── Status, technology and grid-distance figures for any set of project features ──
+   A combined-type project counts once under each of its technologies and categories,
+   so those counts can add up to more than `total`. */
+export const summarize = (features) => {
+  const s = emptyStats();
+  let kmSum = 0, kmCount = 0;
+  features.forEach(({ properties: p }) => {
+    s.total += 1;
+    if      (p.status === 'COMPLETED')       s.completed       += 1;
+    else if (p.status === 'ONGOING')         s.ongoing         += 1;
+    else if (p.status === 'YET TO MOBILIZE') s.yet_to_mobilize += 1;
+    else                                     s.unknown_status  += 1;
+    const techs = technologiesOf(p.type);
+    techs.forEach(t => { s[t.key] += 1; });
+    new Set(techs.map(t => t.category).filter(Boolean)).forEach(c => { s[c] += 1; });
+    if (techs.length > 1) s.multi_technology += 1;
+    if (typeof p.grid_km === 'number') {
+      kmSum += p.grid_km; kmCount += 1;
+      if (techs.some(t => t.offGrid) && p.grid_km <= GRID_NEAR_KM) s.offgrid_near_grid  += 1;
+      if (techs.some(t => t.onGrid)  && p.grid_km >  GRID_NEAR_KM) s.grid_far_from_grid += 1;
+    }
+  });
+  s.pct_completed = s.total ? Math.round((s.completed / s.total) * 100) : 0;
+  s.avg_grid_km   = kmCount ? Math.round((kmSum / kmCount) * 10) / 10 : null;
+  return s;
+};
+
+/* ── { STATE NAME: stats } for every state that has at least one project ── */
+export const aggregateByState = (features) => {
+  const groups = {};
+  features.forEach(f => {
+    const state = f.properties.state;
+    if (!state) return;
+    (groups[state] || (groups[state] = [])).push(f);
+  });
+  const byState = {};
+  Object.entries(groups).forEach(([state, list]) => { byState[state] = summarize(list); });
+  return byState;
+};
+
+/* ── { year: count } by award year; projects without a usable year are left out ── */
+export const countByYear = (features) => {
+  const byYear = {};
+  features.forEach(({ properties: p }) => {
+    const year = Number(p.year);
+    if (year > 0) byYear[year] = (byYear[year] || 0) + 1;
+  });
+  return byYear;
+};
+
+/* ── Timeline totals at `year`: projects awarded up to and including it, and in that year alone ── */
+export const timelineCounts = (features, year) => {
+  let cumulative = 0, perYear = 0;
+  features.forEach(({ properties: p }) => {
+    const y = Number(p.year);
+    if (!(y > 0 && y <= year)) return;
+    cumulative++;
+    if (y === year) perYear++;
+  });
+  return { cumulative, perYear };
+};
+
+/* ── One summarize record per award year, on the given year axis (empty years included) ── */
+export const yearTrend = (features, years) => {
+  const groups = {};
+  features.forEach(f => {
+    const year = Number(f.properties.year);
+    (groups[year] || (groups[year] = [])).push(f);
+  });
+  return years.map(year => ({ year, ...summarize(groups[year] || []) }));
+};
+
+/* ── Pinned states side by side: stats and per-year counts on one shared year axis ── */
+export const compareStates = (features, names) => {
+  const states = names.map(name => {
+    const list = features.filter(f => f.properties.state === name.toUpperCase());
+    return { name, stats: summarize(list), byYear: countByYear(list) };
+  });
+  const years = [...new Set(states.flatMap(s => Object.keys(s.byYear).map(Number)))].sort((a, b) => a - b);
+  return { states, years };
+};
+
+/* ── Point → upper-cased state name (or null), bbox-prefiltered point-in-polygon ── */
+export const createStateLocator = (states) => {
+  const polygons = states.features.map(s => ({
+    name: s.properties.shapeName.toUpperCase(),
+    bbox: turf.bbox(s),
+    feature: s,
+  }));
+  return ([lng, lat]) => {
+    const hit = polygons.find(({ bbox, feature }) =>
+      lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3] &&
+      turf.booleanPointInPolygon([lng, lat], feature)
+    );
+    return hit ? hit.name : null;
+  };
+};
+
+/* ── Resolve each project's state by point-in-polygon against the state boundaries ──
+   Points that fall outside every polygon keep whatever state the sheet declared. */
+export const assignStates = (projects, states) => {
+  const locate = createStateLocator(states);
+
+  const features = projects.features.map(f => {
+    const found = locate(f.geometry.coordinates);
+    return {
+      ...f,
+      properties: {
+        ...f.properties,
+        state_raw: f.properties.state || '',
+        state:     found || f.properties.state || '',
+      },
+    };
+  });
+
+  return { ...projects, features };
+};
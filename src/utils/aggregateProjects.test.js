@@ -0,0 +1,229 @@
+import * as turf from '@turf/turf';
+import { featureFilter } from 'mapbox-gl/dist/style-spec/index.cjs';
+import {
+  matchesFilters, filterProjects, projectFilterExpression, addTypeParts, summarize, aggregateByState, countByYear, timelineCounts, yearTrend, compareStates, createStateLocator, assignStates,
+} from './aggregateProjects';
+
+const project = (properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [7, 9] }, properties });
+
+const PROJECTS = [
+  { state: 'KANO',  lga_id: 'NG-KN-1', year: '2019', status: 'COMPLETED',       type: 'SOLAR MINI GRID',        contractor_key: 'acme',  grid_km: 2.4 },
+  { state: 'KANO',  lga_id: 'NG-KN-2', year: 2021,   status: 'ONGOING',         type: 'GRID/SOLAR MINI GRID',   contractor_key: 'acme',  grid_km: 5 },
+  { state: 'LAGOS', lga_id: 'NG-LA-1', year: '2021', status: 'YET TO MOBILIZE', type: 'GRID',                   contractor_key: 'delta', grid_km: 19.9 },
+  { state: 'LAGOS', lga_id: 'NG-LA-2', year: '',     status: '',                type: '',                       contractor_key: 'delta', grid_km: 20 },
+  { state: 'OYO',   lga_id: 'NG-OY-1', year: '2023', status: 'COMPLETED',       type: 'SOLAR STREET LIGHT',     contractor_key: 'acme',  grid_km: 42.7 },
+  { state: 'OYO',   year: null,        status: null,  type: null,                                                                    grid_km: null },
+  { state: 'OYO' },
+];
+
+const FILTERS = [
+  {},
+  { state: 'KANO' },
+  { state: 'LAGOS', lga: 'NG-LA-2' },
+  { years: ['2021'] },
+  { years: [''] },
+  { years: ['2019', ''] },
+  { statuses: ['COMPLETED'] },
+  { statuses: ['', 'ONGOING'] },
+  { types: ['GRID'] },
+  { types: ['SOLAR MINI GRID'] },
+  { types: [''] },
+  { types: ['SOLAR STREET LIGHT', ''] },
+  { contractor: 'acme' },
+  { throughYear: 2021 },
+  { distances: ['lt5'] },
+  { distances: ['5-20'] },
+  { distances: ['gt20'] },
+  { distances: ['lt5', 'gt20'] },
+  { state: 'KANO', years: ['2021'], statuses: ['ONGOING'], types: ['GRID'], contractor: 'acme', distances: ['5-20'], throughYear: 2022 },
+];
+
+// What the project-points layer shows for the filter, as evaluated by Mapbox's own expression engine;
+// the layer holds the features as loaded, with type_parts added
+const mapShows = (filters, projects = PROJECTS) => {
+  const expression = projectFilterExpression(filters);
+  if (expression === null) return projects.map(() => true);
+  const { filter } = featureFilter(expression);
+  return addTypeParts(projects.map(project)).map(({ properties }) => filter({ zoom: 6 }, { type: 1, properties, geometry: [] }));
+};
+
+describe('matchesFilters', () => {
+  test.each(FILTERS.map(f => [JSON.stringify(f), f]))('agrees with the map filter expression for %s', (_, filters) => {
+    expect(PROJECTS.map(p => matchesFilters(p, filters))).toEqual(mapShows(filters));
+  });
+
+  test('matches everything without filters', () => {
+    expect(PROJECTS.every(p => matchesFilters(p))).toBe(true);
+    expect(projectFilterExpression({})).toBeNull();
+  });
+
+  test('treats blank and missing values as the unknown bucket', () => {
+    expect(PROJECTS.filter(p => matchesFilters(p, { years: [''] }))).toHaveLength(3);
+    expect(PROJECTS.filter(p => matchesFilters(p, { statuses: [''] }))).toHaveLength(3);
+  });
+
+  test('matches a combined type under each of its base types', () => {
+    const combined = PROJECTS[1];
+    expect(matchesFilters(combined, { types: ['GRID'] })).toBe(true);
+    expect(matchesFilters(combined, { types: ['SOLAR MINI GRID'] })).toBe(true);
+    expect(matchesFilters(combined, { types: ['MINI GRID'] })).toBe(false);
+  });
+
+  test('matches every spelling of a type, as the map does', () => {
+    const spellings = [{ type: 'SOLAR BOREHOLE' }, { type: 'solar bore hole' }, { type: 'GRID / Solar Bore Hole' }, { type: 'SMG' }, { type: ' ' }];
+    [['SOLAR BOREHOLE'], ['GRID'], ['SOLAR MINI GRID'], [''], ['SOLAR BORE HOLE']].forEach(types => {
+      expect(spellings.map(p => matchesFilters(p, { types }))).toEqual(mapShows({ types }, spellings));
+    });
+    expect(spellings.filter(p => matchesFilters(p, { types: ['SOLAR BOREHOLE'] }))).toHaveLength(3);
+    expect(spellings.filter(p => matchesFilters(p, { types: [''] }))).toEqual([{ type: ' ' }]);
+  });
+
+  test('leaves projects without a grid distance out of every band', () => {
+    expect(matchesFilters(PROJECTS[5], { distances: ['lt5', '5-20', 'gt20'] })).toBe(false);
+  });
+
+  test('filterProjects keeps the matching features', () => {
+    const features = PROJECTS.map(project);
+    expect(filterProjects(features, { contractor: 'delta' }).map(f => f.properties.lga_id)).toEqual(['NG-LA-1', 'NG-LA-2']);
+  });
+});
+
+describe('timeline cut-off (throughYear)', () => {
+  const YEARS = [2018, 2019, 2020, 2021, 2022, 2023];
+  const DATED = [...PROJECTS, { year: '2020 ' }, { year: 'n/a' }, { year: '0' }, { year: -2021 }];
+
+  test('keeps projects awarded up to and including the year, and none without a usable year', () => {
+    expect(matchesFilters({ year: '2021' }, { throughYear: 2021 })).toBe(true);
+    expect(matchesFilters({ year: 2019 },   { throughYear: 2021 })).toBe(true);
+    expect(matchesFilters({ year: '2022' }, { throughYear: 2021 })).toBe(false);
+    [{ year: '' }, { year: null }, {}, { year: 'n/a' }, { year: '0' }].forEach(p => expect(matchesFilters(p, { throughYear: 2021 })).toBe(false));
+  });
+
+  test('narrows the other filters rather than replacing them', () => {
+    expect(PROJECTS.filter(p => matchesFilters(p, { throughYear: 2021, state: 'LAGOS' }))).toEqual([PROJECTS[2]]);
+    expect(PROJECTS.filter(p => matchesFilters(p, { throughYear: 2021, years: ['2023'] }))).toEqual([]);
+  });
+
+  test.each(YEARS)('agrees with the map filter expression through %i', (year) => {
+    const { filter } = featureFilter(projectFilterExpression({ throughYear: year }));
+    expect(DATED.map(p => filter({ zoom: 6 }, { type: 1, properties: p, geometry: [] })))
+      .toEqual(DATED.map(p => matchesFilters(p, { throughYear: year })));
+  });
+
+  test('counts the running total and that year\'s awards the timeline shows', () => {
+    const features = PROJECTS.map(project);
+    expect(YEARS.map(year => timelineCounts(features, year))).toEqual([
+      { cumulative: 0, perYear: 0 },
+      { cumulative: 1, perYear: 1 },
+      { cumulative: 1, perYear: 0 },
+      { cumulative: 3, perYear: 2 },
+      { cumulative: 3, perYear: 0 },
+      { cumulative: 4, perYear: 1 },
+    ]);
+  });
+
+  test('gives the same running total as filtering through the year', () => {
+    const features = PROJECTS.map(project);
+    YEARS.forEach(year => expect(timelineCounts(features, year).cumulative).toBe(filterProjects(features, { throughYear: year }).length));
+  });
+});
+
+describe('summarize', () => {
+  const features = [
+    { status: 'COMPLETED',       type: 'SOLAR MINI GRID',      grid_km: 3 },
+    { status: 'COMPLETED',       type: 'GRID/SOLAR MINI GRID', grid_km: 40 },
+    { status: 'ONGOING',         type: 'SOLAR WATER PUMP',     grid_km: 11 },
+    { status: 'YET TO MOBILIZE', type: 'TRAINING' },
+    { status: '',                type: 'WIND TURBINE',         grid_km: null },
+  ].map(project);
+
+  test('counts statuses, with anything else as unknown', () => {
+    expect(summarize(features)).toMatchObject({ total: 5, completed: 2, ongoing: 1, yet_to_mobilize: 1, unknown_status: 1, pct_completed: 40 });
+  });
+
+  test('counts a combined type once under each technology and category', () => {
+    expect(summarize(features)).toMatchObject({
+      solar_mini_grid: 2, grid: 1, solar_water_pump: 1, support: 1, other_type: 1, multi_technology: 1,
+      generation: 2, productive_use: 1, non_infrastructure: 1,
+    });
+  });
+
+  test('averages the known grid distances and checks siting', () => {
+    expect(summarize(features)).toMatchObject({ avg_grid_km: 18, offgrid_near_grid: 1, grid_far_from_grid: 1 });
+  });
+
+  test('returns empty figures for no projects', () => {
+    expect(summarize([])).toMatchObject({ total: 0, pct_completed: 0, avg_grid_km: null });
+  });
+});
+
+const STATES = turf.featureCollection([
+  turf.bboxPolygon([7, 9, 8, 10], { properties: { shapeName: 'Kaduna' } }),
+  turf.bboxPolygon([8, 9, 9, 10], { properties: { shapeName: 'Plateau' } }),
+]);
+
+describe('aggregateByState', () => {
+  test('summarises each state and skips projects without one', () => {
+    const byState = aggregateByState([
+      { state: 'KANO', status: 'COMPLETED' }, { state: 'KANO', status: 'ONGOING' }, { state: 'OYO', status: 'ONGOING' }, { state: '' },
+    ].map(project));
+    expect(Object.keys(byState)).toEqual(['KANO', 'OYO']);
+    expect(byState.KANO).toMatchObject({ total: 2, completed: 1, pct_completed: 50 });
+  });
+});
+
+describe('countByYear', () => {
+  test('counts numeric and string years alike and leaves out unusable ones', () => {
+    expect(countByYear(PROJECTS.map(project))).toEqual({ 2019: 1, 2021: 2, 2023: 1 });
+  });
+});
+
+describe('yearTrend', () => {
+  test('summarises each year on the given axis, empty years included', () => {
+    const trend = yearTrend(PROJECTS.map(project), [2019, 2020, 2021]);
+    expect(trend.map(r => [r.year, r.total, r.completed, r.ongoing, r.yet_to_mobilize])).toEqual([
+      [2019, 1, 1, 0, 0], [2020, 0, 0, 0, 0], [2021, 2, 0, 1, 1],
+    ]);
+    expect(trend[2]).toMatchObject({ grid: 2, solar_mini_grid: 1 });
+  });
+});
+
+describe('compareStates', () => {
+  test('summarises each pinned state by its shapeName, in pin order', () => {
+    const { states } = compareStates(PROJECTS.map(project), ['Oyo', 'Kano']);
+    expect(states.map(s => [s.name, s.stats.total, s.stats.completed])).toEqual([['Oyo', 3, 1], ['Kano', 2, 1]]);
+    expect(states[1].byYear).toEqual({ 2019: 1, 2021: 1 });
+  });
+
+  test('puts every state on one sorted year axis', () => {
+    expect(compareStates(PROJECTS.map(project), ['Oyo', 'Lagos', 'Kano']).years).toEqual([2019, 2021, 2023]);
+  });
+
+  test('gives a state without projects empty figures', () => {
+    const { states, years } = compareStates(PROJECTS.map(project), ['Ekiti']);
+    expect(states[0]).toMatchObject({ name: 'Ekiti', stats: { total: 0 }, byYear: {} });
+    expect(years).toEqual([]);
+  });
+});
+
+describe('createStateLocator', () => {
+  test('finds the upper-cased state under a point, or null', () => {
+    const locate = createStateLocator(STATES);
+    expect(locate([7.5, 9.5])).toBe('KADUNA');
+    expect(locate([8.5, 9.2])).toBe('PLATEAU');
+    expect(locate([3, 6])).toBeNull();
+  });
+});
+
+describe('assignStates', () => {
+  test('takes the state from the point and keeps the declared one in state_raw', () => {
+    const collection = turf.featureCollection([
+      turf.point([8.5, 9.5], { state: 'KADUNA' }),
+      turf.point([3, 6],     { state: 'LAGOS' }),
+      turf.point([3, 6],     {}),
+    ]);
+    const { type, features } = assignStates(collection, STATES);
+    expect(type).toBe('FeatureCollection');
+    expect(features.map(f => [f.properties.state, f.properties.state_raw])).toEqual([['PLATEAU', 'KADUNA'], ['LAGOS', 'LAGOS'], ['', '']]);
+  });
+});
@@ -0,0 +1,39 @@
+import { createStateLocator } from './aggregateProjects';
+
+export const LOCATION_ISSUES = {
+  wrong_state:     { label: 'Different state',  color: '#FF4757' },
+  outside_nigeria: { label: 'Outside Nigeria',  color: '#A855F7' },
+  swapped:         { label: 'Swapped lat/lon',  color: '#F5A623' },
+};
+
+/* ── Point-in-polygon audit of each project against its declared state ──
+   Returns only the suspect features, each tagged with `issue`, `declared_state`
+   and `found_state` (where the point actually lands, '' if nowhere). */
+export const auditLocations = (projects, states) => {
+  const locate = createStateLocator(states);
+  const suspects = [];
+
+  projects.features.forEach(f => {
+    const declared = (f.properties.state || '').toUpperCase();
+    const [lng, lat] = f.geometry.coordinates;
+    const found    = locate([lng, lat]);
+    if (found && (!declared || found === declared)) return;
+
+    // Would the point land in the declared state (or anywhere, if none) with lat/lon swapped?
+    const flipped = locate([lat, lng]);
+    let issue = found ? 'wrong_state' : 'outside_nigeria';
+    if (flipped && (flipped === declared || (!found && !declared))) issue = 'swapped';
+
+    suspects.push({
+      ...f,
+      properties: {
+        ...f.properties,
+        issue,
+        declared_state: declared,
+        found_state:    found || '',
+      },
+    });
+  });
+
+  return { type: 'FeatureCollection', features: suspects };
+};
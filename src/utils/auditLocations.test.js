@@ -0,0 +1,43 @@
+import * as turf from '@turf/turf';
+import { auditLocations } from './auditLocations';
+
+const STATES = turf.featureCollection([
+  turf.bboxPolygon([7, 9, 8, 10], { properties: { shapeName: 'Kaduna' } }),
+  turf.bboxPolygon([8, 9, 9, 10], { properties: { shapeName: 'Plateau' } }),
+]);
+
+const projects = (...list) => turf.featureCollection(list.map(([coords, state]) => turf.point(coords, { title: `${state} project`, state })));
+
+const issues = (result) => result.features.map(f => [f.properties.issue, f.properties.declared_state, f.properties.found_state]);
+
+describe('auditLocations', () => {
+  test('passes points inside their declared state', () => {
+    expect(auditLocations(projects([[7.5, 9.5], 'Kaduna'], [[8.5, 9.5], 'PLATEAU']), STATES).features).toEqual([]);
+  });
+
+  test('flags a point that lands in another state', () => {
+    expect(issues(auditLocations(projects([[8.5, 9.5], 'kaduna']), STATES))).toEqual([['wrong_state', 'KADUNA', 'PLATEAU']]);
+  });
+
+  test('flags a point outside every state', () => {
+    expect(issues(auditLocations(projects([[3, 6], 'Kaduna']), STATES))).toEqual([['outside_nigeria', 'KADUNA', '']]);
+  });
+
+  test('recognises swapped latitude and longitude', () => {
+    expect(issues(auditLocations(projects([[9.5, 7.5], 'Kaduna']), STATES))).toEqual([['swapped', 'KADUNA', '']]);
+  });
+
+  test('flags a swapped point with no declared state when the swap lands anywhere', () => {
+    expect(issues(auditLocations(projects([[9.5, 7.5], '']), STATES))).toEqual([['swapped', '', '']]);
+  });
+
+  test('passes a point with no declared state that lands in a state', () => {
+    expect(auditLocations(projects([[7.5, 9.5], '']), STATES).features).toEqual([]);
+  });
+
+  test('keeps the original properties on flagged features', () => {
+    const [flagged] = auditLocations(projects([[3, 6], 'Kaduna']), STATES).features;
+    expect(flagged.properties.title).toBe('Kaduna project');
+    expect(flagged.geometry.coordinates).toEqual([3, 6]);
+  });
+});
@@ -0,0 +1,51 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// clusterStats.js
+// Per-status counts for the clustered project source and the donut drawn for
+// each cluster. Mapbox sums CLUSTER_PROPERTIES over the points of a cluster;
+// clusterBreakdown reads them back (anything else is the unknown status) and
+// donutSegments turns the breakdown into SVG ring paths.
+// Usage: map.addSource(id, { cluster: true, clusterProperties: CLUSTER_PROPERTIES, … });
+//        const { total, parts } = clusterBreakdown(feature.properties);
+// ─────────────────────────────────────────────────────────────────────────────
+
+/* ── Statuses counted per cluster; the rest of point_count is '' (unknown) ── */
+export const CLUSTER_STATUSES = [
+  { key: 'completed',       status: 'COMPLETED'       },
+  { key: 'ongoing',         status: 'ONGOING'         },
+  { key: 'yet_to_mobilize', status: 'YET TO MOBILIZE' },
+];
+
+/* ── clusterProperties for the clustered source: one running sum per status ── */
+export const CLUSTER_PROPERTIES = Object.fromEntries(CLUSTER_STATUSES.map(({ key, status }) => (
+  [key, ['+', ['case', ['==', ['get', 'status'], status], 1, 0]]]
+)));
+
+/* ── { total, parts: [{ status, n }] } for a cluster's properties, the unknown status last ── */
+export const clusterBreakdown = (props) => {
+  const total = Number(props.point_count) || 0;
+  const parts = CLUSTER_STATUSES.map(({ key, status }) => ({ status, n: Number(props[key]) || 0 }));
+  const known = parts.reduce((t, p) => t + p.n, 0);
+  parts.push({ status: '', n: Math.max(0, total - known) });
+  return { total, parts };
+};
+
+/* ── Donut diameter in px, stepped by cluster size ── */
+export const donutSize = (total) => (total >= 500 ? 56 : total >= 100 ? 46 : total >= 20 ? 38 : 30);
+
+// Inner radius of the ring, as a share of the outer one
+export const DONUT_HOLE = 0.62;
+
+/* ── SVG ring segments, clockwise from 12 o'clock: [{ status, n, path }] for the non-empty parts ── */
+export const donutSegments = (parts, total, size, hole = DONUT_HOLE) => {
+  const r = size / 2, r0 = r * hole;
+  const pt = (rad, a) => `${r + rad * Math.cos(a)} ${r + rad * Math.sin(a)}`;
+  let angle = -Math.PI / 2;
+  return parts.filter(p => p.n > 0).map(({ status, n }) => {
+    // A full ring can't be drawn as one arc, so a lone status stops just short of closing it
+    const sweep = Math.min((n / total) * 2 * Math.PI, 2 * Math.PI - 1e-4);
+    const a0 = angle, a1 = angle + sweep;
+    angle = a1;
+    const large = sweep > Math.PI ? 1 : 0;
+    return { status, n, path: `M ${pt(r, a0)} A ${r} ${r} 0 ${large} 1 ${pt(r, a1)} L ${pt(r0, a1)} A ${r0} ${r0} 0 ${large} 0 ${pt(r0, a0)} Z` };
+  });
+};
@@ -0,0 +1,74 @@
+import { expression } from 'mapbox-gl/dist/style-spec/index.cjs';
+import { CLUSTER_PROPERTIES, clusterBreakdown, donutSize, donutSegments } from './clusterStats';
+import { summarize } from './aggregateProjects';
+
+const STATUSES = ['COMPLETED', 'COMPLETED', 'ONGOING', 'YET TO MOBILIZE', '', null, 'SUSPENDED'];
+const FEATURES = STATUSES.map(status => ({ type: 'Feature', geometry: null, properties: { status } }));
+
+// The cluster's properties as Mapbox builds them: each map expression evaluated per point, then summed
+const clusterOf = (features) => {
+  const props = { cluster: true, point_count: features.length };
+  Object.entries(CLUSTER_PROPERTIES).forEach(([key, [operator, map]]) => {
+    expect(operator).toBe('+');
+    const { value } = expression.createExpression(map);
+    props[key] = features.reduce((sum, f) => sum + value.evaluate({ zoom: 6 }, { properties: f.properties }), 0);
+  });
+  return props;
+};
+
+// Start angle, end angle and large-arc flag of a segment's outer arc, in degrees clockwise from 12 o'clock
+const arcOf = (path, r) => {
+  const [, x0, y0, large, x1, y1] = path.match(/^M (\S+) (\S+) A \S+ \S+ 0 (\d) 1 (\S+) (\S+)/).map(Number);
+  const deg = (x, y) => ((Math.atan2(y - r, x - r) * 180) / Math.PI + 90 + 360) % 360;
+  return { from: deg(x0, y0), to: deg(x1, y1), large };
+};
+
+describe('clusterBreakdown', () => {
+  test('counts each status of the clustered points, with every other status as unknown', () => {
+    const { total, parts } = clusterBreakdown(clusterOf(FEATURES));
+    const stats = summarize(FEATURES);
+    expect(total).toBe(stats.total);
+    expect(parts).toEqual([
+      { status: 'COMPLETED',       n: stats.completed },
+      { status: 'ONGOING',         n: stats.ongoing },
+      { status: 'YET TO MOBILIZE', n: stats.yet_to_mobilize },
+      { status: '',                n: stats.unknown_status },
+    ]);
+    expect(parts.reduce((t, p) => t + p.n, 0)).toBe(total);
+  });
+
+  test('reads missing counts as zero and never reports a negative unknown', () => {
+    expect(clusterBreakdown({ point_count: 4 }).parts.map(p => p.n)).toEqual([0, 0, 0, 4]);
+    expect(clusterBreakdown({ point_count: 1, completed: 2 }).parts[3].n).toBe(0);
+  });
+});
+
+describe('donutSize', () => {
+  test('steps the diameter up with the cluster size', () => {
+    expect([2, 20, 100, 500, 5000].map(donutSize)).toEqual([30, 38, 46, 56, 56]);
+  });
+});
+
+describe('donutSegments', () => {
+  test('splits the ring in proportion to the counts, clockwise from the top, skipping empty statuses', () => {
+    const { total, parts } = clusterBreakdown({ point_count: 4, completed: 2, ongoing: 1, yet_to_mobilize: 0 });
+    const segments = donutSegments(parts, total, 30);
+    expect(segments.map(s => [s.status, s.n])).toEqual([['COMPLETED', 2], ['ONGOING', 1], ['', 1]]);
+    const arcs = segments.map(s => arcOf(s.path, 15));
+    expect(arcs[0].from).toBeCloseTo(0);
+    expect(arcs[0].to).toBeCloseTo(180);
+    expect(arcs[1].from).toBeCloseTo(180);
+    expect(arcs[1].to).toBeCloseTo(270);
+    expect(arcs[2].from).toBeCloseTo(270);
+    expect(arcs.map(a => a.large)).toEqual([0, 0, 0]);
+  });
+
+  test('draws a single-status cluster as a near-full ring', () => {
+    const { total, parts } = clusterBreakdown({ point_count: 3, completed: 3 });
+    const [segment, ...rest] = donutSegments(parts, total, 30);
+    expect(rest).toEqual([]);
+    const arc = arcOf(segment.path, 15);
+    expect(arc.large).toBe(1);
+    expect(arc.to).toBeGreaterThan(359.9);
+  });
+});
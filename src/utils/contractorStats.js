@@ -0,0 +1,81 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// contractorStats.js
+// Per-contractor track record for the contractor view and scorecards.
+// Contractor names are typed by hand in the source sheets, so spelling
+// variants ("… NIG. LTD." / "… NIGERIA LIMITED") are folded onto one key.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { summarize } from './aggregateProjects';
+
+// Rates are only ranked for contractors with at least this many projects
+export const MIN_RATED_PROJECTS = 3;
+
+const ABBREVIATIONS = {
+  LTD: 'LIMITED', NIG: 'NIGERIA', INTL: 'INTERNATIONAL', CO: 'COMPANY', ENGR: 'ENGINEERING',
+};
+
+/* ── Raw contractor name → comparison key ('' when blank) ── */
+export const contractorKey = (name) => String(name ?? '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9&]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map(w => ABBREVIATIONS[w] || w)
+  .join(' ');
+
+/* ── Copy of the features with `contractor_key` on each, for map filtering ── */
+export const addContractorKeys = (features) => features.map(f => ({
+  ...f,
+  properties: { ...f.properties, contractor_key: contractorKey(f.properties.contractor) },
+}));
+
+/* ── Ranking columns: `value` reads the sort figure from a contractor record ── */
+export const CONTRACTOR_SORTS = [
+  { id: 'total',      label: 'Projects',        value: c => c.total,               rated: false },
+  { id: 'completion', label: 'Completion',      value: c => c.pct_completed,       rated: true  },
+  { id: 'mobilize',   label: 'Yet to mobilize', value: c => c.pct_yet_to_mobilize, rated: true  },
+  { id: 'states',     label: 'States',          value: c => c.states.length,       rated: false },
+  { id: 'years',      label: 'Years active',    value: c => c.years_active,        rated: false },
+];
+
+/* ── One record per contractor key, most projects first ── */
+export const aggregateByContractor = (features) => {
+  const groups = new Map();
+  features.forEach(f => {
+    const key = f.properties.contractor_key ?? contractorKey(f.properties.contractor);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  });
+
+  return [...groups.entries()].map(([key, list]) => {
+    // Display the spelling used most often
+    const spellings = {};
+    list.forEach(({ properties: p }) => { spellings[p.contractor] = (spellings[p.contractor] || 0) + 1; });
+    const name = Object.entries(spellings).sort((a, b) => b[1] - a[1])[0][0].replace(/\s+/g, ' ').trim();
+
+    const stats  = summarize(list);
+    const states = [...new Set(list.map(f => f.properties.state).filter(Boolean))].sort();
+    const years  = [...new Set(list.map(f => Number(f.properties.year)).filter(Boolean))].sort((a, b) => a - b);
+    return {
+      key, name, ...stats,
+      pct_yet_to_mobilize: stats.total ? Math.round((stats.yet_to_mobilize / stats.total) * 100) : 0,
+      states,
+      years,
+      first_year:   years[0] || null,
+      last_year:    years[years.length - 1] || null,
+      years_active: years.length ? years[years.length - 1] - years[0] + 1 : 0,
+    };
+  }).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+};
+
+/* ── Sorted copy for the ranking table; rate sorts skip contractors with too few projects ── */
+export const rankContractors = (contractors, sortId, descending = true) => {
+  const sort = CONTRACTOR_SORTS.find(s => s.id === sortId) || CONTRACTOR_SORTS[0];
+  const pool = sort.rated ? contractors.filter(c => c.total >= MIN_RATED_PROJECTS) : contractors;
+  return [...pool].sort((a, b) =>
+    (descending ? sort.value(b) - sort.value(a) : sort.value(a) - sort.value(b)) ||
+    b.total - a.total || a.name.localeCompare(b.name)
+  );
+};
@@ -0,0 +1,75 @@
+import { contractorKey, addContractorKeys, aggregateByContractor, rankContractors, MIN_RATED_PROJECTS } from './contractorStats';
+
+const project = (properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [7, 9] }, properties });
+
+const FEATURES = addContractorKeys([
+  { contractor: 'Acme Nig. Ltd.',      state: 'KANO',  year: '2019', status: 'COMPLETED' },
+  { contractor: 'ACME NIGERIA LIMITED', state: 'KANO', year: '2021', status: 'COMPLETED' },
+  { contractor: 'Acme  Nig Ltd',       state: 'OYO',   year: '2022', status: 'ONGOING' },
+  { contractor: 'Acme Nig. Ltd.',      state: 'OYO',   year: '',     status: 'YET TO MOBILIZE' },
+  { contractor: 'Delta & Sons',        state: 'LAGOS', year: '2020', status: 'COMPLETED' },
+  { contractor: 'Zenith Power',        state: 'EKITI', year: '2020', status: 'COMPLETED' },
+  { contractor: 'Zenith Power',        state: 'EKITI', year: '2021', status: 'COMPLETED' },
+  { contractor: 'Zenith Power',        state: '',      year: '2021', status: 'ONGOING' },
+  { contractor: '   ',                 state: 'KANO',  year: '2021', status: 'ONGOING' },
+].map(project));
+
+describe('contractorKey', () => {
+  test('folds case, punctuation and common abbreviations', () => {
+    expect(contractorKey('Acme Nig. Ltd.')).toBe('ACME NIGERIA LIMITED');
+    expect(contractorKey(' acme-nigeria  limited ')).toBe('ACME NIGERIA LIMITED');
+    expect(contractorKey('Delta & Sons Intl Co')).toBe('DELTA & SONS INTERNATIONAL COMPANY');
+  });
+
+  test('gives an empty key for a blank name', () => {
+    expect(contractorKey(null)).toBe('');
+    expect(contractorKey(' - ')).toBe('');
+  });
+});
+
+describe('aggregateByContractor', () => {
+  const contractors = aggregateByContractor(FEATURES);
+
+  test('groups spelling variants and skips blank contractors, most projects first', () => {
+    expect(contractors.map(c => [c.key, c.total])).toEqual([
+      ['ACME NIGERIA LIMITED', 4], ['ZENITH POWER', 3], ['DELTA & SONS', 1],
+    ]);
+  });
+
+  test('shows the most common spelling', () => {
+    expect(contractors[0].name).toBe('Acme Nig. Ltd.');
+  });
+
+  test('collects rates, states and active years', () => {
+    expect(contractors[0]).toMatchObject({
+      completed: 2, pct_completed: 50, pct_yet_to_mobilize: 25,
+      states: ['KANO', 'OYO'], years: [2019, 2021, 2022], first_year: 2019, last_year: 2022, years_active: 4,
+    });
+    expect(contractors[1].states).toEqual(['EKITI']);
+  });
+
+  test('falls back to keying the raw name when contractor_key is missing', () => {
+    const [c] = aggregateByContractor([project({ contractor: 'Acme Nig Ltd', status: 'COMPLETED' })]);
+    expect(c.key).toBe('ACME NIGERIA LIMITED');
+  });
+});
+
+describe('rankContractors', () => {
+  const contractors = aggregateByContractor(FEATURES);
+
+  test('ranks by a rate only among contractors with enough projects', () => {
+    const ranked = rankContractors(contractors, 'completion');
+    expect(ranked.every(c => c.total >= MIN_RATED_PROJECTS)).toBe(true);
+    expect(ranked.map(c => c.key)).toEqual(['ZENITH POWER', 'ACME NIGERIA LIMITED']);
+  });
+
+  test('sorts ascending on request and falls back to project count', () => {
+    expect(rankContractors(contractors, 'total', false).map(c => c.total)).toEqual([1, 3, 4]);
+    expect(rankContractors(contractors, 'unknown').map(c => c.total)).toEqual([4, 3, 1]);
+  });
+
+  test('leaves the input order alone', () => {
+    rankContractors(contractors, 'total', false);
+    expect(contractors[0].key).toBe('ACME NIGERIA LIMITED');
+  });
+});
@@ -1,35 +1,51 @@
 import * as XLSX from "xlsx";
+import { guessColumnMapping, validateRows } from "./projectSchema";
+
+// Accepts a File/Blob from an <input type="file">, an ArrayBuffer, or a URL
+const readArrayBuffer = async source => {
+  if (source instanceof ArrayBuffer) return source;
+  if (typeof Blob !== "undefined" && source instanceof Blob) return source.arrayBuffer();
+  const response = await fetch(source);
+  return response.arrayBuffer();
+};
+
+const isGeoJSON = source => /\.(geo)?json$/i.test(source.name || (typeof source === "string" ? source : ""));
+
+// GeoJSON exports carry coordinates in the geometry rather than in columns
+const geoJSONToRows = collection => collection.features.map(f => ({
+  ...f.properties,
+  LONGITUDE: f.geometry ? f.geometry.coordinates[0] : "",
+  LATITUDE:  f.geometry ? f.geometry.coordinates[1] : "",
+}));
+
+/* ── Read the first sheet (or a GeoJSON export) into raw rows + header list ── */
+export async function readWorkbookRows(source) {
+  const arrayBuffer = await readArrayBuffer(source);
+
+  if (isGeoJSON(source)) {
+    const rows = geoJSONToRows(JSON.parse(new TextDecoder().decode(arrayBuffer)));
+    const headers = [...new Set(rows.flatMap(Object.keys))];
+    return { headers, rows };
+  }
 
-export async function convertExcelToGeoJSON(filePath) {
-  const response = await fetch(filePath);
-  const arrayBuffer = await response.arrayBuffer();
   const workbook = XLSX.read(arrayBuffer, { type: "array" });
 
   const sheetName = workbook.SheetNames[0];
   const sheet = workbook.Sheets[sheetName];
 
-  const data = XLSX.utils.sheet_to_json(sheet);
-
-  console.log("First row of Excel data:", data[0]); // Check column names here
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  const [headers = []] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
 
-  const features = data
-    .filter(row => row.LONGITUDE && row.LATITUDE) // adjust name if needed
-    .map(row => ({
-      type: "Feature",
-      geometry: {
-        type: "Point",
-        coordinates: [
-          Number(String(row.LONGITUDE).replace(',', '.')), // convert to number
-          Number(String(row.LATITUDE).replace(',', '.'))
-        ]
-      },
-      properties: row
-    }));
+  return { headers: headers.map(String), rows };
+}
 
-  console.log("Feature count:", features.length); // sanity check
+/* ── One-shot conversion; rows that fail validation are dropped ── */
+export async function convertExcelToGeoJSON(source, mapping) {
+  const { headers, rows } = await readWorkbookRows(source);
+  const { features } = validateRows(rows, mapping || guessColumnMapping(headers));
 
   return {
     type: "FeatureCollection",
     features
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,42 @@
+import * as XLSX from 'xlsx';
+import { readWorkbookRows, convertExcelToGeoJSON } from './convertExcelToGeoJSON';
+
+const workbook = (rows) => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.json_to_sheet(rows), 'Projects');
+  return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+};
+
+const ROWS = [
+  { 'PROJECT/ PROGRAMME TITLE': 'Solar mini grid at Gada', YEAR: 2021, 'PROJECT TYPE': 'smg', STATUS: 'Completed', STATE: 'Kano', LONGITUDE: 8.52, LATITUDE: 12.0 },
+  { 'PROJECT/ PROGRAMME TITLE': 'Street lights at Ikeja',  YEAR: 2022, 'PROJECT TYPE': 'SSL', STATUS: 'on going',  STATE: 'Lagos', LONGITUDE: '3,34', LATITUDE: '6,6' },
+  { 'PROJECT/ PROGRAMME TITLE': '',                        YEAR: 2022, 'PROJECT TYPE': 'SHS', STATUS: '',          STATE: 'Oyo',   LONGITUDE: 3.9, LATITUDE: 7.4 },
+];
+
+describe('readWorkbookRows', () => {
+  test('reads the header row and every data row of the first sheet', async () => {
+    const { headers, rows } = await readWorkbookRows(workbook(ROWS));
+    expect(headers).toEqual(Object.keys(ROWS[0]));
+    expect(rows).toHaveLength(3);
+    expect(rows[0].YEAR).toBe(2021);
+  });
+});
+
+describe('convertExcelToGeoJSON', () => {
+  test('keeps the valid rows as normalised point features', async () => {
+    const { type, features } = await convertExcelToGeoJSON(workbook(ROWS));
+    expect(type).toBe('FeatureCollection');
+    expect(features).toHaveLength(1);
+    expect(features[0].geometry).toEqual({ type: 'Point', coordinates: [8.52, 12] });
+    expect(features[0].properties).toMatchObject({
+      title: 'Solar mini grid at Gada', year: '2021', type: 'SOLAR MINI GRID', type2: 'SMG', status: 'COMPLETED', state: 'KANO',
+    });
+  });
+
+  test('uses the given column mapping instead of guessing', async () => {
+    const rows = [{ Name: 'Borehole', When: 2020, Kind: 'Solar borehole', X: 7.1, Y: 9.2 }];
+    const mapping = { title: 'Name', year: 'When', type: 'Kind', longitude: 'X', latitude: 'Y' };
+    const { features } = await convertExcelToGeoJSON(workbook(rows), mapping);
+    expect(features[0].properties).toMatchObject({ title: 'Borehole', year: '2020', type: 'SOLAR BOREHOLE', status: '' });
+  });
+});
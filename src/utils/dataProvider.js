@@ -0,0 +1,106 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// dataProvider.js
+// Where the map's datasets come from. By default they are the GeoJSON files
+// shipped with the app; with REACT_APP_DATA_API set at build time they are
+// read from that REST API instead, so a data fix no longer needs a rebuild.
+// Usage: const states = await loadDataset('states');
+//
+// LGA (ADM2) boundaries are not in the repository: set REACT_APP_LGA_BOUNDARIES
+// to the boundary file's path under public/ (e.g. data/nigeria-lgas.geojson)
+// once it is deployed, or to any value when the data API serves `lgas`.
+// Unset, there is no `lgas` dataset and the map stops at state level.
+//
+// API contract (see server/dataServer.js for the reference implementation):
+//   GET {api}/datasets/{name}?limit=N  →  FeatureCollection + { total, next }
+//   `next` is the following page relative to the API root (or an absolute
+//   URL), or null on the last one. Pages carry an ETag; the last copy of each
+//   is kept in Cache Storage and revalidated with If-None-Match, and is used
+//   as-is when the API is down.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { CACHES } from './offlineCache';
+
+const LGA_FILE = (process.env.REACT_APP_LGA_BOUNDARIES || '').replace(/^\/+/, '');
+
+/* ── Files shipped with the app (CRA emits .geojson files as static assets, so these are URLs) ── */
+export const STATIC_URLS = {
+  projects: require('../data/projects-final.geojson'),
+  states:   require('../data/nigeria-states-enriched.geojson'),
+  grid:     require('../data/nigeria-grid-lines.geojson'),
+  // ADM2 boundaries are served from public/ rather than bundled, and only when configured
+  ...(LGA_FILE ? { lgas: `${process.env.PUBLIC_URL}/${LGA_FILE}` } : {}),
+};
+
+export const DATASETS = Object.keys(STATIC_URLS);
+
+const API_URL   = (process.env.REACT_APP_DATA_API || '').replace(/\/+$/, '');
+const PAGE_SIZE = 2000;
+
+/* ── The active backend, for display: { kind: 'static' | 'api', label } ── */
+export const DATA_SOURCE = API_URL
+  ? { kind: 'api', label: API_URL }
+  : { kind: 'static', label: 'Bundled data files' };
+
+/* ── Static files ── */
+const fetchGeoJSON = (url) => fetch(url).then(r => {
+  if (!r.ok) throw new Error(`Could not load ${url} (${r.status})`);
+  // A missing file under public/ comes back as the app's index.html from the dev server and the service worker
+  return r.json().catch(() => { throw new Error(`${url} is missing or is not GeoJSON`); });
+});
+
+/* ── REST API: one page, revalidated against the cached copy by ETag ── */
+const openApiCache = () => (window.caches ? window.caches.open(CACHES.api).catch(() => null) : Promise.resolve(null));
+
+const fetchPage = async (url) => {
+  const cache  = await openApiCache();
+  const cached = cache && await cache.match(url);
+  const etag   = cached && cached.headers.get('ETag');
+
+  let response;
+  try {
+    // The HTTP cache is bypassed; revalidation is done here so the copy in Cache Storage stays the one in use
+    response = await fetch(url, { cache: 'no-store', headers: etag ? { 'If-None-Match': etag } : {} });
+  } catch (e) {
+    if (cached) return cached.json();
+    throw new Error(`Could not reach the data API at ${API_URL}`);
+  }
+  if (response.status === 304 && cached) return cached.json();
+  if (!response.ok) throw new Error(`The data API answered ${response.status} for ${url}`);
+  if (cache && response.headers.get('ETag')) await cache.put(url, response.clone()).catch(() => {});
+  return response.json();
+};
+
+/* ── URL of the `next` page: absolute URLs as they are, paths under the API root, even when API_URL has a path or is relative ── */
+const pageUrl = (next) => (/^[a-z][a-z\d+.-]*:/i.test(next) ? next : `${API_URL}/${next.replace(/^\/+/, '')}`);
+
+/* ── REST API: every page of a dataset, joined into one FeatureCollection ── */
+const fetchPaged = async (name, onProgress) => {
+  let url = `${API_URL}/datasets/${encodeURIComponent(name)}?limit=${PAGE_SIZE}`;
+  let collection = null;
+  while (url) {
+    const { features, next, total, ...rest } = await fetchPage(url);
+    if (!Array.isArray(features)) throw new Error(`The data API sent no features for ${name}`);
+    collection = collection
+      ? { ...collection, features: collection.features.concat(features) }
+      : { ...rest, type: 'FeatureCollection', features };
+    if (onProgress) onProgress(collection.features.length, total ?? null);
+    url = next ? pageUrl(next) : null;
+  }
+  return collection;
+};
+
+// One load per dataset per session; a failed load is forgotten so it can be retried
+const loads = {};
+
+/* ── A dataset as a FeatureCollection; onProgress(loaded, total) is called per API page ── */
+export const loadDataset = (name, { onProgress } = {}) => {
+  if (!STATIC_URLS[name]) return Promise.reject(new Error(`Unknown dataset "${name}"`));
+  if (!loads[name]) {
+    loads[name] = (API_URL ? fetchPaged(name, onProgress) : fetchGeoJSON(STATIC_URLS[name]))
+      .catch(e => { delete loads[name]; throw e; });
+  }
+  return loads[name];
+};
+
+/* ── Forget loaded datasets, so the next loadDataset asks the backend again ── */
+export const reloadDatasets = () => DATASETS.forEach(name => { delete loads[name]; });
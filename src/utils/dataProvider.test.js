@@ -0,0 +1,183 @@
+// API_URL is read when the module loads, so each test loads its own copy with REACT_APP_DATA_API set
+const loadProvider = (api) => {
+  let provider;
+  process.env.REACT_APP_DATA_API = api;
+  jest.isolateModules(() => { provider = require('./dataProvider'); });
+  return provider;
+};
+
+const FEATURES = [1, 2, 3, 4, 5].map(n => ({ type: 'Feature', geometry: null, properties: { n } }));
+
+const response = (status, body, etag = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (h) => (h === 'ETag' ? etag : null) },
+  json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+  clone() { return this; },
+});
+
+/* ── Mock data API: two features a page, `next` in the given form, one ETag per page ──
+   nextStyle: 'relative' (datasets/…), 'rooted' (/datasets/…) or 'absolute' (https://…) */
+const mockApi = ({ nextStyle = 'relative', answer = null } = {}) => jest.fn(async (url, init = {}) => {
+  if (answer) return answer(url, init);
+  const { searchParams } = new URL(url, 'http://localhost');
+  const offset = Number(searchParams.get('offset')) || 0;
+  const end    = Math.min(FEATURES.length, offset + 2);
+  const path   = `datasets/projects?offset=${end}&limit=2`;
+  const next   = end >= FEATURES.length ? null
+    : nextStyle === 'rooted' ? `/${path}` : nextStyle === 'absolute' ? `https://mirror.example.org/${path}` : path;
+  const etag = `"page-${offset}"`;
+  if (init.headers && init.headers['If-None-Match'] === etag) return response(304, null, etag);
+  return response(200, { type: 'FeatureCollection', name: 'projects', features: FEATURES.slice(offset, end), total: FEATURES.length, next }, etag);
+});
+
+// Cache Storage kept in memory, one store shared by every cache name
+const fakeCaches = () => {
+  const store = new Map();
+  return { store, open: async () => ({ match: async (url) => store.get(url), put: async (url, r) => { store.set(url, r); } }) };
+};
+
+const requestedUrls = () => global.fetch.mock.calls.map(([url]) => url);
+
+beforeEach(() => { window.caches = fakeCaches(); });
+
+afterEach(() => {
+  delete process.env.REACT_APP_DATA_API;
+  delete process.env.REACT_APP_LGA_BOUNDARIES;
+  delete window.caches;
+  delete global.fetch;
+});
+
+describe('REST API', () => {
+  test('joins every page into one collection and reports progress', async () => {
+    global.fetch = mockApi();
+    const { loadDataset, DATA_SOURCE } = loadProvider('https://data.example.org/rea/v1/');
+    const onProgress = jest.fn();
+    const fc = await loadDataset('projects', { onProgress });
+
+    expect(DATA_SOURCE).toEqual({ kind: 'api', label: 'https://data.example.org/rea/v1' });
+    expect(fc).toEqual({ type: 'FeatureCollection', name: 'projects', features: FEATURES });
+    expect(onProgress.mock.calls).toEqual([[2, 5], [4, 5], [5, 5]]);
+  });
+
+  test('keeps following pages under the API path', async () => {
+    global.fetch = mockApi({ nextStyle: 'rooted' });
+    await loadProvider('https://data.example.org/rea/v1').loadDataset('projects');
+    expect(requestedUrls()).toEqual([
+      'https://data.example.org/rea/v1/datasets/projects?limit=2000',
+      'https://data.example.org/rea/v1/datasets/projects?offset=2&limit=2',
+      'https://data.example.org/rea/v1/datasets/projects?offset=4&limit=2',
+    ]);
+  });
+
+  test('works with an API on the app\'s own origin', async () => {
+    global.fetch = mockApi();
+    const fc = await loadProvider('/api').loadDataset('projects');
+    expect(fc.features).toHaveLength(5);
+    expect(requestedUrls()).toEqual(['/api/datasets/projects?limit=2000', '/api/datasets/projects?offset=2&limit=2', '/api/datasets/projects?offset=4&limit=2']);
+  });
+
+  test('follows an absolute next URL as it is', async () => {
+    global.fetch = mockApi({ nextStyle: 'absolute' });
+    await loadProvider('/api').loadDataset('projects');
+    expect(requestedUrls()[1]).toBe('https://mirror.example.org/datasets/projects?offset=2&limit=2');
+  });
+
+  test('loads each dataset once until reloaded', async () => {
+    global.fetch = mockApi();
+    const { loadDataset, reloadDatasets } = loadProvider('/api');
+    await Promise.all([loadDataset('projects'), loadDataset('projects')]);
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    reloadDatasets();
+    await loadDataset('projects');
+    expect(global.fetch).toHaveBeenCalledTimes(6);
+  });
+});
+
+describe('ETag cache', () => {
+  test('revalidates each page and reuses the cached copy on 304', async () => {
+    global.fetch = mockApi();
+    const { loadDataset, reloadDatasets } = loadProvider('/api');
+    const first = await loadDataset('projects');
+    expect(window.caches.store.size).toBe(3);
+
+    reloadDatasets();
+    const second = await loadDataset('projects');
+    const revalidations = global.fetch.mock.calls.slice(3);
+    expect(revalidations.map(([, init]) => init.headers['If-None-Match'])).toEqual(['"page-0"', '"page-2"', '"page-4"']);
+    revalidations.forEach(([, init]) => expect(init.cache).toBe('no-store'));
+    expect(second).toEqual(first);
+  });
+
+  test('uses the cached pages when the API cannot be reached', async () => {
+    global.fetch = mockApi();
+    const { loadDataset, reloadDatasets } = loadProvider('/api');
+    const first = await loadDataset('projects');
+
+    reloadDatasets();
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    expect(await loadDataset('projects')).toEqual(first);
+  });
+});
+
+describe('errors', () => {
+  test('says the API cannot be reached when nothing is cached, and can be retried', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const { loadDataset } = loadProvider('https://data.example.org/rea/v1');
+    await expect(loadDataset('states')).rejects.toThrow('Could not reach the data API at https://data.example.org/rea/v1');
+
+    global.fetch = mockApi();
+    await expect(loadDataset('states')).resolves.toMatchObject({ features: FEATURES });
+  });
+
+  test('reports an error answer with its status and URL', async () => {
+    global.fetch = mockApi({ answer: () => response(503, {}) });
+    await expect(loadProvider('/api').loadDataset('grid')).rejects.toThrow('The data API answered 503 for /api/datasets/grid?limit=2000');
+  });
+
+  test('rejects a page without features', async () => {
+    global.fetch = mockApi({ answer: () => response(200, { type: 'FeatureCollection', total: 0, next: null }) });
+    await expect(loadProvider('/api').loadDataset('grid')).rejects.toThrow('The data API sent no features for grid');
+  });
+
+  test('rejects an unknown dataset without a request', async () => {
+    global.fetch = mockApi();
+    await expect(loadProvider('/api').loadDataset('roads')).rejects.toThrow('Unknown dataset "roads"');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('bundled files', () => {
+  test('fetches the file shipped with the app when no API is set', async () => {
+    const { loadDataset, STATIC_URLS, DATA_SOURCE } = loadProvider('');
+    global.fetch = jest.fn(async () => response(200, { type: 'FeatureCollection', features: FEATURES }));
+    expect(DATA_SOURCE.kind).toBe('static');
+    await expect(loadDataset('states')).resolves.toMatchObject({ features: FEATURES });
+    expect(requestedUrls()).toEqual([STATIC_URLS.states]);
+  });
+
+  test('has no LGA dataset, and asks for none, unless a boundary file is configured', async () => {
+    const { loadDataset, DATASETS, STATIC_URLS } = loadProvider('');
+    global.fetch = jest.fn();
+    expect(DATASETS).not.toContain('lgas');
+    expect(STATIC_URLS.lgas).toBeUndefined();
+    await expect(loadDataset('lgas')).rejects.toThrow('Unknown dataset "lgas"');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('serves a configured LGA file from public/', () => {
+    process.env.REACT_APP_LGA_BOUNDARIES = '/data/nigeria-lgas.geojson';
+    const { DATASETS, STATIC_URLS } = loadProvider('');
+    expect(DATASETS).toContain('lgas');
+    expect(STATIC_URLS.lgas).toBe(`${process.env.PUBLIC_URL || ''}/data/nigeria-lgas.geojson`);
+  });
+
+  test('names a missing file rather than failing to parse the page served in its place', async () => {
+    process.env.REACT_APP_LGA_BOUNDARIES = 'data/nigeria-lgas.geojson';
+    const { loadDataset, STATIC_URLS } = loadProvider('');
+    global.fetch = jest.fn(async () => response(200, '<!doctype html>'));
+    await expect(loadDataset('lgas')).rejects.toThrow(`${STATIC_URLS.lgas} is missing or is not GeoJSON`);
+    global.fetch = jest.fn(async () => response(404, ''));
+    await expect(loadDataset('lgas')).rejects.toThrow(`Could not load ${STATIC_URLS.lgas} (404)`);
+  });
+});
@@ -0,0 +1,27 @@
+// Quote a cell only when it needs it (commas, quotes, newlines)
+const csvCell = (value) => {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/* ── Rows of plain objects → CSV text; columns is [{ key, label }] ── */
+export const toCSV = (rows, columns) => [
+  columns.map(c => csvCell(c.label)).join(','),
+  ...rows.map(r => columns.map(c => csvCell(r[c.key])).join(',')),
+].join('\r\n');
+
+/* ── Trigger a browser download of a Blob ── */
+export const downloadBlob = (blob, fileName) => {
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href     = URL.createObjectURL(blob);
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+const downloadCSV = (fileName, rows, columns) => {
+  // BOM so Excel opens UTF-8 contractor names correctly
+  downloadBlob(new Blob(['\uFEFF' + toCSV(rows, columns)], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+export default downloadCSV;
@@ -0,0 +1,60 @@
+import downloadCSV, { toCSV, downloadBlob } from './downloadCSV';
+
+const COLUMNS = [{ key: 'name', label: 'Name' }, { key: 'note', label: 'Note, if any' }];
+
+// Readable through FileReader, as jsdom's Blob has no text()
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload  = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(blob);
+});
+
+describe('toCSV', () => {
+  test('writes a header row and one row per object with CRLF line ends', () => {
+    expect(toCSV([{ name: 'Kano', note: 'ok' }, { name: 'Oyo' }], COLUMNS)).toBe('Name,"Note, if any"\r\nKano,ok\r\nOyo,');
+  });
+
+  test('quotes only the cells that need it', () => {
+    expect(toCSV([{ name: 'Acme "Nig" Ltd', note: 'line one\nline two' }], COLUMNS).split('\r\n')[1])
+      .toBe('"Acme ""Nig"" Ltd","line one\nline two"');
+    expect(toCSV([{ name: 0, note: null }], COLUMNS).split('\r\n')[1]).toBe('0,');
+  });
+});
+
+describe('downloadBlob', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => 'blob:report');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    jest.restoreAllMocks();
+  });
+
+  test('clicks a download link for the blob and releases its URL afterwards', () => {
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      expect(this.download).toBe('report.csv');
+      expect(this.href).toBe('blob:report');
+    });
+    downloadBlob(new Blob(['x']), 'report.csv');
+    expect(click).toHaveBeenCalledTimes(1);
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+  });
+
+  test('downloadCSV starts the file with a byte-order mark for Excel', async () => {
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    downloadCSV('states.csv', [{ name: 'Kano' }], COLUMNS);
+    const [blob] = URL.createObjectURL.mock.calls[0];
+    expect(blob.type).toBe('text/csv;charset=utf-8');
+    // readAsText drops the BOM while decoding, so the byte length shows it is there
+    expect(blob.size).toBe(3 + 'Name,"Note, if any"\r\nKano,'.length);
+    expect(await readBlob(blob)).toMatch(/Kano,$/);
+  });
+});
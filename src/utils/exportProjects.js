@@ -0,0 +1,71 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// exportProjects.js
+// Usage: import exportProjects from '../utils/exportProjects';
+//        exportProjects('xlsx', { features, filters, scope, source });
+//
+// Writes exactly the given project features as CSV, XLSX or GeoJSON using
+// the canonical property names from projectSchema. Every file carries the
+// filters, scope and export time: '#' header lines in CSV, an "Export Info"
+// sheet in XLSX and a top-level `metadata` member in GeoJSON.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as XLSX from 'xlsx';
+import { CANONICAL_FIELDS } from './projectSchema';
+import { filterSummary } from './reportDrawing';
+import { toCSV, downloadBlob } from './downloadCSV';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv',     label: 'CSV',     ext: 'csv'     },
+  { id: 'xlsx',    label: 'Excel',   ext: 'xlsx'    },
+  { id: 'geojson', label: 'GeoJSON', ext: 'geojson' },
+];
+
+// Coordinates come from the geometry, so GeoJSON properties leave them out
+const PROPERTY_FIELDS = CANONICAL_FIELDS.filter(f => f.key !== 'longitude' && f.key !== 'latitude');
+
+/* ── Feature → flat record with the canonical keys (and coordinates) ── */
+const toRecord = (f) => {
+  const record = {};
+  PROPERTY_FIELDS.forEach(({ key }) => { record[key] = f.properties[key] ?? ''; });
+  const [lng, lat] = f.geometry ? f.geometry.coordinates : ['', ''];
+  return { ...record, longitude: lng, latitude: lat };
+};
+
+/* ── [label, value] rows describing the export ── */
+export const exportMetadata = ({ filters, scope, source, count, exportedAt }) => [
+  ['Exported',  exportedAt.toISOString()],
+  ['Projects',  String(count)],
+  ['Scope',     scope || 'All states'],
+  ...filterSummary(filters),
+  ['Source',    source || 'Bundled project data'],
+];
+
+const exportProjects = (format, { features, filters, scope, source }) => {
+  const exportedAt = new Date();
+  const meta = exportMetadata({ filters, scope, source, count: features.length, exportedAt });
+  const fileName = `REA-Projects-${(scope || 'National').replace(/[^A-Za-z0-9]+/g, '-')}-${exportedAt.toISOString().slice(0,10)}`;
+  const columns  = CANONICAL_FIELDS.map(({ key }) => ({ key, label: key }));
+
+  if (format === 'csv') {
+    const header = meta.map(([label, value]) => `# ${label}: ${value}`).join('\r\n');
+    downloadBlob(new Blob(['\uFEFF' + header + '\r\n' + toCSV(features.map(toRecord), columns)], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+  } else if (format === 'xlsx') {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(features.map(toRecord), { header: columns.map(c => c.key) }), 'Projects');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Field', 'Value'], ...meta]), 'Export Info');
+    const data = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${fileName}.xlsx`);
+  } else if (format === 'geojson') {
+    const fc = {
+      type: 'FeatureCollection',
+      metadata: Object.fromEntries(meta.map(([label, value]) => [label.toLowerCase().replace(/\s+/g, '_'), value])),
+      features: features.map(f => {
+        const { longitude, latitude, ...properties } = toRecord(f);
+        return { type: 'Feature', geometry: f.geometry, properties };
+      }),
+    };
+    downloadBlob(new Blob([JSON.stringify(fc)], { type: 'application/geo+json' }), `${fileName}.geojson`);
+  }
+};
+
+export default exportProjects;
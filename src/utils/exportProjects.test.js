@@ -0,0 +1,83 @@
+import * as XLSX from 'xlsx';
+import exportProjects, { exportMetadata } from './exportProjects';
+import { downloadBlob } from './downloadCSV';
+
+jest.mock('./downloadCSV', () => ({ ...jest.requireActual('./downloadCSV'), downloadBlob: jest.fn() }));
+
+const FEATURES = [
+  { type: 'Feature', geometry: { type: 'Point', coordinates: [7.49, 9.06] },
+    properties: { title: 'Solar mini grid, "Phase 2"', year: '2021', type: 'SOLAR MINI GRID', status: 'COMPLETED', state: 'KADUNA', contractor: 'Acme Nig. Ltd.', grid_km: 12 } },
+  { type: 'Feature', geometry: null, properties: { title: 'Borehole', year: '', type: 'SOLAR BOREHOLE', status: 'ONGOING', state: 'KANO' } },
+];
+const FILTERS = { years: ['2021'], statuses: ['COMPLETED'], types: [], distances: [] };
+
+// jsdom's Blob has no text() / arrayBuffer(), so it is read back through FileReader
+const readBlob = (blob, as) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload  = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  if (as === 'buffer') reader.readAsArrayBuffer(blob);
+  else reader.readAsText(blob);
+});
+
+const exported = (format, options) => {
+  downloadBlob.mockClear();
+  exportProjects(format, { features: FEATURES, filters: FILTERS, ...options });
+  expect(downloadBlob).toHaveBeenCalledTimes(1);
+  const [blob, fileName] = downloadBlob.mock.calls[0];
+  return { blob, fileName };
+};
+
+describe('exportMetadata', () => {
+  test('lists the export time, count, scope, filters and source', () => {
+    const meta = exportMetadata({ filters: FILTERS, scope: null, source: null, count: 2, exportedAt: new Date('2024-05-01T10:00:00Z') });
+    expect(meta).toEqual([
+      ['Exported', '2024-05-01T10:00:00.000Z'],
+      ['Projects', '2'],
+      ['Scope',    'All states'],
+      ['Years',    '2021'],
+      ['Status',   'COMPLETED'],
+      ['Types',    'All project types'],
+      ['Source',   'Bundled project data'],
+    ]);
+  });
+});
+
+describe('exportProjects', () => {
+  test('names the file after the scope and date', () => {
+    expect(exported('csv', { scope: 'Zaria LGA, KADUNA' }).fileName).toMatch(/^REA-Projects-Zaria-LGA-KADUNA-\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(exported('geojson', {}).fileName).toMatch(/^REA-Projects-National-\d{4}-\d{2}-\d{2}\.geojson$/);
+  });
+
+  test('writes CSV with "#" metadata lines, then the canonical columns with coordinates', async () => {
+    const text = await readBlob(exported('csv', { scope: 'KADUNA' }).blob);
+    const lines = text.replace(/^\uFEFF/, '').split('\r\n');
+    expect(lines.slice(0, 3)).toEqual([expect.stringMatching(/^# Exported: /), '# Projects: 2', '# Scope: KADUNA']);
+    const header = lines.findIndex(l => !l.startsWith('#'));
+    expect(lines.slice(header)).toEqual([
+      'title,year,type,status,location,contractor,lot,state,longitude,latitude',
+      '"Solar mini grid, ""Phase 2""",2021,SOLAR MINI GRID,COMPLETED,,Acme Nig. Ltd.,,KADUNA,7.49,9.06',
+      'Borehole,,SOLAR BOREHOLE,ONGOING,,,,KANO,,',
+    ]);
+  });
+
+  test('writes XLSX with a Projects sheet and an Export Info sheet', async () => {
+    const wb = XLSX.read(await readBlob(exported('xlsx', { source: 'upload.xlsx' }).blob, 'buffer'), { type: 'array' });
+    expect(wb.SheetNames).toEqual(['Projects', 'Export Info']);
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets.Projects, { defval: '' });
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ title: 'Solar mini grid, "Phase 2"', state: 'KADUNA', longitude: 7.49, latitude: 9.06 });
+    expect(Object.keys(rows[0])).not.toContain('grid_km');
+    const info = XLSX.utils.sheet_to_json(wb.Sheets['Export Info'], { header: 1 });
+    expect(info).toContainEqual(['Source', 'upload.xlsx']);
+  });
+
+  test('writes GeoJSON with the metadata on top and coordinates only in the geometry', async () => {
+    const fc = JSON.parse(await readBlob(exported('geojson', { scope: 'KADUNA' }).blob));
+    expect(fc.metadata).toMatchObject({ projects: '2', scope: 'KADUNA', years: '2021', source: 'Bundled project data' });
+    expect(fc.features[0].geometry).toEqual(FEATURES[0].geometry);
+    expect(fc.features[0].properties).not.toHaveProperty('longitude');
+    expect(fc.features[0].properties).not.toHaveProperty('grid_km');
+    expect(fc.features[1]).toMatchObject({ geometry: null, properties: { title: 'Borehole', contractor: '' } });
+  });
+});
@@ -0,0 +1,200 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// fieldVerification.js
+// Site visits recorded by field officers: the status they observed, a comment,
+// the device position and photos. Entries live in IndexedDB on the device,
+// so they survive reloads and work offline, and leave it as one JSON batch,
+// either downloaded or POSTed to the verification endpoint.
+// Usage: await saveVerification(newVerification(feature, form));
+//        await syncVerifications(pendingOf(await listVerifications()), endpoint);
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as turf from '@turf/turf';
+import { downloadBlob } from './downloadCSV';
+import { formatKm } from './gridDistance';
+
+/* ── What an officer can record; NOT FOUND means nothing was at the site ── */
+export const OBSERVED_STATUSES = ['COMPLETED', 'ONGOING', 'YET TO MOBILIZE', 'NOT FOUND'];
+
+/* ── Outcome of the latest visit, as shown by the badge on the project point ── */
+export const VERIFY_OUTCOMES = {
+  confirmed: { label: 'Status confirmed', color: '#00C48C' },
+  changed:   { label: 'Status differs',   color: '#1E90FF' },
+  not_found: { label: 'Not found on site', color: '#FF4757' },
+};
+
+export const outcomeOf = (entry) => {
+  if (entry.observed_status === 'NOT FOUND') return 'not_found';
+  return entry.observed_status === entry.recorded_status ? 'confirmed' : 'changed';
+};
+
+// Beyond this the officer is asked whether they are really at the project
+export const FAR_FROM_RECORD_KM = 2;
+
+// Photos are scaled down before saving; phone cameras produce 4-12 MB images
+const PHOTO_MAX_PX  = 1600;
+const PHOTO_QUALITY = 0.8;
+
+const DB_NAME    = 'rea-field';
+const DB_VERSION = 1;
+const STORE      = 'verifications';
+
+const ENDPOINT_KEY = 'rea-verify-endpoint';
+
+/* ── IndexedDB ── */
+const promised = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror   = () => reject(req.error);
+});
+
+let dbPromise = null;
+const openDb = () => {
+  if (!dbPromise) {
+    if (!window.indexedDB) return Promise.reject(new Error('This browser cannot store data on the device'));
+    const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('project_id', 'project_id');
+    };
+    dbPromise = promised(req).catch(e => { dbPromise = null; throw e; });
+  }
+  return dbPromise;
+};
+
+const withStore = (mode, fn) => openDb().then(db => {
+  const tx = db.transaction(STORE, mode);
+  const result = fn(tx.objectStore(STORE));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(result);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error || new Error('Storage transaction aborted'));
+  });
+});
+
+/* ── Every stored entry, newest first ── */
+export const listVerifications = () => openDb()
+  .then(db => promised(db.transaction(STORE).objectStore(STORE).getAll()))
+  .then(list => list.sort((a, b) => b.created_at.localeCompare(a.created_at)));
+
+export const saveVerification = (entry) => withStore('readwrite', store => store.put(entry)).then(() => entry);
+
+export const deleteVerification = (id) => withStore('readwrite', store => store.delete(id));
+
+const markSynced = (entries, syncedAt) => withStore('readwrite', store =>
+  entries.forEach(e => store.put({ ...e, synced_at: syncedAt })));
+
+export const pendingOf = (entries) => entries.filter(e => !e.synced_at);
+
+/* ── Latest entry per project_id ── */
+export const latestByProject = (entries) => {
+  const latest = {};
+  entries.forEach(e => {
+    if (!latest[e.project_id] || e.created_at > latest[e.project_id].created_at) latest[e.project_id] = e;
+  });
+  return latest;
+};
+
+/* ── Device position as { lng, lat, accuracy_m, at } ── */
+export const currentPosition = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) { reject(new Error('This device has no location service')); return; }
+  navigator.geolocation.getCurrentPosition(
+    ({ coords, timestamp }) => resolve({
+      lng: coords.longitude, lat: coords.latitude,
+      accuracy_m: Math.round(coords.accuracy), at: new Date(timestamp).toISOString(),
+    }),
+    (e) => reject(new Error(e.code === 1 ? 'Location permission was refused' : 'The device position could not be found')),
+    { enableHighAccuracy: true, timeout: 20000, maximumAge: 60000 }
+  );
+});
+
+/* ── Kilometres between a position and the project's recorded coordinates; null when either is missing ── */
+export const distanceFromRecord = (feature, position) => (feature.geometry && position
+  ? Math.round(turf.distance(feature.geometry.coordinates, [position.lng, position.lat], { units: 'kilometers' }) * 100) / 100
+  : null);
+
+/* ── Short distance for display: metres under a kilometre ── */
+export const formatOffset = (km) => (km === null ? '--' : km < 1 ? `${Math.round(km * 1000)} m` : formatKm(km));
+
+/* ── A camera photo as a JPEG Blob no larger than PHOTO_MAX_PX on its long side ── */
+export const shrinkPhoto = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const scale  = Math.min(1, PHOTO_MAX_PX / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width  = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', PHOTO_QUALITY));
+  if (!blob) throw new Error(`Could not read ${file.name}`);
+  return { name: file.name.replace(/\.\w+$/, '') + '.jpg', type: 'image/jpeg', blob };
+};
+
+/* ── A new entry for a project from the form: { observed_status, comment, position, photos } ── */
+export const newVerification = (feature, { observed_status, comment, position, photos }) => {
+  const p   = feature.properties;
+  const now = new Date().toISOString();
+  return {
+    id:              `${p.project_id}-${Date.now().toString(36)}`,
+    project_id:      p.project_id,
+    title:           p.title || '',
+    state:           p.state || '',
+    lga:             p.lga || '',
+    contractor:      p.contractor || '',
+    recorded_status: p.status || '',
+    recorded_lng:    feature.geometry ? feature.geometry.coordinates[0] : null,
+    recorded_lat:    feature.geometry ? feature.geometry.coordinates[1] : null,
+    observed_status,
+    comment:         comment.trim(),
+    position,
+    distance_km:     distanceFromRecord(feature, position),
+    photos,
+    created_at:      now,
+    synced_at:       null,
+  };
+};
+
+/* ── Sync endpoint: the one saved on this device, else the build's REACT_APP_VERIFICATION_ENDPOINT ── */
+export const loadEndpoint = () => localStorage.getItem(ENDPOINT_KEY) || process.env.REACT_APP_VERIFICATION_ENDPOINT || '';
+
+export const saveEndpoint = (url) => {
+  if (url) localStorage.setItem(ENDPOINT_KEY, url);
+  else localStorage.removeItem(ENDPOINT_KEY);
+};
+
+const dataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload  = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/* ── The JSON batch sent to the endpoint and written by the export; photos become data URLs ── */
+export const verificationBatch = async (entries) => ({
+  source:      'REA Project Map',
+  exported_at: new Date().toISOString(),
+  count:       entries.length,
+  verifications: await Promise.all(entries.map(async ({ synced_at, ...e }) => ({
+    ...e,
+    outcome: outcomeOf(e),
+    photos:  await Promise.all(e.photos.map(async ph => ({ name: ph.name, type: ph.type, data: await dataUrl(ph.blob) }))),
+  }))),
+});
+
+export const exportVerifications = async (entries) => {
+  const batch = await verificationBatch(entries);
+  downloadBlob(new Blob([JSON.stringify(batch, null, 2)], { type: 'application/json' }),
+    `REA-Field-Verifications-${batch.exported_at.slice(0, 10)}.json`);
+};
+
+/* ── POST the entries as one batch; any 2xx marks them all synced. Resolves to the sync time. ── */
+export const syncVerifications = async (entries, endpoint) => {
+  if (!endpoint) throw new Error('No sync endpoint is set');
+  const response = await fetch(endpoint, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body:    JSON.stringify(await verificationBatch(entries)),
+  });
+  if (!response.ok) throw new Error(`The server answered ${response.status} ${response.statusText}`.trim());
+  const syncedAt = new Date().toISOString();
+  await markSynced(entries, syncedAt);
+  return syncedAt;
+};
@@ -0,0 +1,154 @@
+import 'fake-indexeddb/auto';
+import {
+  newVerification, saveVerification, listVerifications, deleteVerification, pendingOf, latestByProject, outcomeOf,
+  verificationBatch, syncVerifications, loadEndpoint, saveEndpoint,
+} from './fieldVerification';
+
+const ENDPOINT = 'https://field.example.org/verifications';
+
+const FEATURE = {
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [7.49, 9.06] },
+  properties: { project_id: 'p-1', title: 'Solar mini grid', state: 'KADUNA', lga: 'ZARIA', contractor: 'Acme', status: 'ONGOING' },
+};
+
+const entry = (id, created_at, fields = {}) => ({
+  ...newVerification(FEATURE, { observed_status: 'COMPLETED', comment: ' Running ', position: null, photos: [] }),
+  id, created_at, ...fields,
+});
+
+/* ── Mock endpoint: records each POSTed batch and answers with `reply` (a status, or 'offline') ── */
+let requests;
+let reply;
+beforeEach(() => {
+  requests = [];
+  reply = 201;
+  global.fetch = jest.fn(async (url, init) => {
+    requests.push({ url, method: init.method, headers: init.headers, batch: JSON.parse(init.body) });
+    if (reply === 'offline') throw new TypeError('Failed to fetch');
+    return { ok: reply >= 200 && reply < 300, status: reply, statusText: reply === 500 ? 'Internal Server Error' : '' };
+  });
+});
+
+afterEach(async () => {
+  delete global.fetch;
+  localStorage.clear();
+  await Promise.all((await listVerifications()).map(e => deleteVerification(e.id)));
+});
+
+describe('device storage', () => {
+  test('saves entries and lists them newest first', async () => {
+    await saveVerification(entry('a', '2024-05-01T08:00:00.000Z'));
+    await saveVerification(entry('b', '2024-05-02T08:00:00.000Z'));
+    expect((await listVerifications()).map(e => e.id)).toEqual(['b', 'a']);
+  });
+
+  test('replaces an entry saved again under the same id', async () => {
+    await saveVerification(entry('a', '2024-05-01T08:00:00.000Z'));
+    await saveVerification(entry('a', '2024-05-01T08:00:00.000Z', { comment: 'Edited' }));
+    const list = await listVerifications();
+    expect(list).toHaveLength(1);
+    expect(list[0].comment).toBe('Edited');
+  });
+
+  test('deletes an entry', async () => {
+    await saveVerification(entry('a', '2024-05-01T08:00:00.000Z'));
+    await saveVerification(entry('b', '2024-05-02T08:00:00.000Z'));
+    await deleteVerification('a');
+    expect((await listVerifications()).map(e => e.id)).toEqual(['b']);
+  });
+});
+
+describe('newVerification', () => {
+  test('copies the recorded project and measures the offset from the device position', () => {
+    const position = { lng: 7.49, lat: 9.07, accuracy_m: 8, at: '2024-05-01T08:00:00.000Z' };
+    const v = newVerification(FEATURE, { observed_status: 'ONGOING', comment: '  Panels installed ', position, photos: [] });
+    expect(v).toMatchObject({
+      project_id: 'p-1', state: 'KADUNA', lga: 'ZARIA', recorded_status: 'ONGOING', recorded_lng: 7.49, recorded_lat: 9.06,
+      observed_status: 'ONGOING', comment: 'Panels installed', synced_at: null,
+    });
+    expect(v.id).toMatch(/^p-1-/);
+    expect(v.distance_km).toBeCloseTo(1.11, 1);
+  });
+});
+
+describe('outcomes', () => {
+  test('compare the observed status with the recorded one', () => {
+    expect(outcomeOf({ recorded_status: 'ONGOING', observed_status: 'ONGOING' })).toBe('confirmed');
+    expect(outcomeOf({ recorded_status: 'ONGOING', observed_status: 'COMPLETED' })).toBe('changed');
+    expect(outcomeOf({ recorded_status: 'ONGOING', observed_status: 'NOT FOUND' })).toBe('not_found');
+  });
+
+  test('latestByProject keeps the newest visit of each project', () => {
+    const latest = latestByProject([
+      entry('a', '2024-05-01T08:00:00.000Z'), entry('b', '2024-05-03T08:00:00.000Z'),
+      entry('c', '2024-05-02T08:00:00.000Z', { project_id: 'p-2' }),
+    ]);
+    expect(Object.fromEntries(Object.entries(latest).map(([id, e]) => [id, e.id]))).toEqual({ 'p-1': 'b', 'p-2': 'c' });
+  });
+});
+
+describe('verificationBatch', () => {
+  test('carries each entry with its outcome and photos as data URLs, without the sync time', async () => {
+    const photo = { name: 'site.jpg', type: 'image/jpeg', blob: new Blob(['jpeg'], { type: 'image/jpeg' }) };
+    const batch = await verificationBatch([entry('a', '2024-05-01T08:00:00.000Z', { photos: [photo], synced_at: '2024-05-01T09:00:00.000Z' })]);
+    expect(batch).toMatchObject({ source: 'REA Project Map', count: 1 });
+    expect(batch.exported_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    const [v] = batch.verifications;
+    expect(v).toMatchObject({ id: 'a', project_id: 'p-1', outcome: 'changed', comment: 'Running' });
+    expect(v).not.toHaveProperty('synced_at');
+    expect(v.photos).toEqual([{ name: 'site.jpg', type: 'image/jpeg', data: 'data:image/jpeg;base64,anBlZw==' }]);
+  });
+});
+
+describe('syncVerifications', () => {
+  const stored = async () => {
+    const entries = [entry('a', '2024-05-01T08:00:00.000Z'), entry('b', '2024-05-02T08:00:00.000Z')];
+    await Promise.all(entries.map(saveVerification));
+    return entries;
+  };
+
+  test('POSTs the pending entries as one JSON batch', async () => {
+    await syncVerifications(await stored(), ENDPOINT);
+    expect(requests).toHaveLength(1);
+    const [request] = requests;
+    expect(request).toMatchObject({ url: ENDPOINT, method: 'POST', headers: { 'Content-Type': 'application/json' } });
+    expect(request.batch).toMatchObject({ source: 'REA Project Map', count: 2 });
+    expect(request.batch.verifications.map(v => v.id)).toEqual(['a', 'b']);
+  });
+
+  test('marks every entry synced on a 2xx answer', async () => {
+    reply = 200;
+    const syncedAt = await syncVerifications(await stored(), ENDPOINT);
+    const list = await listVerifications();
+    expect(list.map(e => e.synced_at)).toEqual([syncedAt, syncedAt]);
+    expect(pendingOf(list)).toEqual([]);
+  });
+
+  test('leaves the entries unsynced when the server answers with an error', async () => {
+    reply = 500;
+    await expect(syncVerifications(await stored(), ENDPOINT)).rejects.toThrow('The server answered 500 Internal Server Error');
+    expect(pendingOf(await listVerifications()).map(e => e.id)).toEqual(['b', 'a']);
+  });
+
+  test('leaves the entries unsynced when the endpoint cannot be reached', async () => {
+    reply = 'offline';
+    await expect(syncVerifications(await stored(), ENDPOINT)).rejects.toThrow('Failed to fetch');
+    expect(pendingOf(await listVerifications())).toHaveLength(2);
+  });
+
+  test('refuses to sync without an endpoint', async () => {
+    await expect(syncVerifications(await stored(), '')).rejects.toThrow('No sync endpoint is set');
+    expect(requests).toEqual([]);
+  });
+});
+
+describe('sync endpoint', () => {
+  test('is kept on the device and cleared with an empty value', () => {
+    expect(loadEndpoint()).toBe('');
+    saveEndpoint(ENDPOINT);
+    expect(loadEndpoint()).toBe(ENDPOINT);
+    saveEndpoint('');
+    expect(loadEndpoint()).toBe('');
+  });
+});
@@ -0,0 +1,60 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// filterFacets.js
+// Filter-panel vocabularies built from the loaded projects rather than typed
+// in by hand, so a new year, status or type is selectable the moment it
+// appears in the data. Blank values get their own "Unknown / blank" bucket
+// ('') and combined types are listed under each of their base technologies.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { matchesFilters, facetYear, facetStatus, typeParts } from './aggregateProjects';
+
+export const UNKNOWN_LABEL = 'Unknown / blank';
+
+// Known statuses keep their pipeline order; anything else follows alphabetically
+const STATUS_ORDER = ['COMPLETED', 'ONGOING', 'YET TO MOBILIZE'];
+
+// Which facet each filter key reads, as a list of values per project
+const FACETS = {
+  years:    (p) => [facetYear(p)],
+  statuses: (p) => [facetStatus(p)],
+  types:    (p) => typeParts(p.type),
+};
+
+// '' (unknown) always sorts last
+const blankLast = (compare) => (a, b) => (a === '') - (b === '') || compare(a, b);
+
+/* ── { years, statuses, types } option lists, plus the combined types grouped under each base type ── */
+export const buildFacets = (features) => {
+  const seen = { years: {}, statuses: {}, types: {} };
+  const combined = {};
+  features.forEach(({ properties: p }) => {
+    Object.entries(FACETS).forEach(([key, values]) => {
+      values(p).forEach(v => { seen[key][v] = (seen[key][v] || 0) + 1; });
+    });
+    const parts = typeParts(p.type);
+    if (parts.length > 1) parts.forEach(t => {
+      const list = combined[t] || (combined[t] = []);
+      if (!list.includes(p.type)) list.push(p.type);
+    });
+  });
+  const statusRank = (s) => (STATUS_ORDER.includes(s) ? STATUS_ORDER.indexOf(s) : STATUS_ORDER.length);
+  return {
+    years:    Object.keys(seen.years).sort(blankLast((a, b) => a.localeCompare(b))),
+    statuses: Object.keys(seen.statuses).sort(blankLast((a, b) => statusRank(a) - statusRank(b) || a.localeCompare(b))),
+    types:    Object.keys(seen.types).sort(blankLast((a, b) => seen.types[b] - seen.types[a] || a.localeCompare(b))),
+    combined,
+  };
+};
+
+/* ── Live chip counts: each facet counted under every other active filter, but not its own ── */
+export const facetCounts = (features, filters) => {
+  const counts = { years: {}, statuses: {}, types: {} };
+  Object.entries(FACETS).forEach(([key, values]) => {
+    const others = { ...filters, [key]: [] };
+    features.forEach(({ properties: p }) => {
+      if (!matchesFilters(p, others)) return;
+      values(p).forEach(v => { counts[key][v] = (counts[key][v] || 0) + 1; });
+    });
+  });
+  return counts;
+};
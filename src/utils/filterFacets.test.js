@@ -0,0 +1,78 @@
+import { buildFacets, facetCounts } from './filterFacets';
+
+const project = (properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [7, 9] }, properties });
+
+const FEATURES = [
+  { year: '2021', status: 'ONGOING',         type: 'GRID' },
+  { year: 2019,   status: 'COMPLETED',       type: 'GRID/SOLAR MINI GRID' },
+  { year: '2021', status: 'ABANDONED',       type: 'SOLAR MINI GRID' },
+  { year: '',     status: ' ',               type: 'SOLAR MINI GRID / SOLAR STREET LIGHT' },
+  { year: null,   status: 'YET TO MOBILIZE', type: null },
+  { year: '2023', status: 'COMPLETED',       type: 'GRID/SOLAR MINI GRID' },
+].map(project);
+
+describe('buildFacets', () => {
+  const facets = buildFacets(FEATURES);
+
+  test('lists the years in the data with the blank bucket last', () => {
+    expect(facets.years).toEqual(['2019', '2021', '2023', '']);
+  });
+
+  test('keeps the known statuses in pipeline order, then others alphabetically, then blank', () => {
+    expect(facets.statuses).toEqual(['COMPLETED', 'ONGOING', 'YET TO MOBILIZE', 'ABANDONED', '']);
+  });
+
+  test('lists base types by how many projects use them, splitting combined types', () => {
+    expect(facets.types).toEqual(['SOLAR MINI GRID', 'GRID', 'SOLAR STREET LIGHT', '']);
+  });
+
+  test('groups each combined type under its base types once', () => {
+    expect(facets.combined).toEqual({
+      'GRID':               ['GRID/SOLAR MINI GRID'],
+      'SOLAR MINI GRID':    ['GRID/SOLAR MINI GRID', 'SOLAR MINI GRID / SOLAR STREET LIGHT'],
+      'SOLAR STREET LIGHT': ['SOLAR MINI GRID / SOLAR STREET LIGHT'],
+    });
+  });
+});
+
+describe('type aliases', () => {
+  const ALIASED = [
+    { type: 'SOLAR BOREHOLE' },
+    { type: 'SOLAR BORE HOLE' },
+    { type: 'Solar  borehole' },
+    { type: 'GRID / solar bore hole' },
+  ].map(project);
+
+  test('list an aliased type as one chip under its canonical name', () => {
+    const facets = buildFacets(ALIASED);
+    expect(facets.types).toEqual(['SOLAR BOREHOLE', 'GRID']);
+    expect(facets.combined).toEqual({ 'GRID': ['GRID / solar bore hole'], 'SOLAR BOREHOLE': ['GRID / solar bore hole'] });
+  });
+
+  test('count every spelling of the type on its chip', () => {
+    expect(facetCounts(ALIASED, {}).types).toEqual({ 'SOLAR BOREHOLE': 4, 'GRID': 1 });
+    expect(facetCounts(ALIASED, { types: ['GRID'] }).years).toEqual({ '': 1 });
+  });
+});
+
+describe('facetCounts', () => {
+  test('counts every value when nothing is filtered', () => {
+    const counts = facetCounts(FEATURES, {});
+    expect(counts.years).toEqual({ 2019: 1, 2021: 2, 2023: 1, '': 2 });
+    expect(counts.types).toEqual({ 'GRID': 3, 'SOLAR MINI GRID': 4, 'SOLAR STREET LIGHT': 1, '': 1 });
+  });
+
+  test('counts each facet under the other active filters but not its own', () => {
+    const counts = facetCounts(FEATURES, { years: ['2021'], statuses: ['COMPLETED'] });
+    // Years ignore the year filter but respect the status filter
+    expect(counts.years).toEqual({ 2019: 1, 2023: 1 });
+    // Statuses ignore the status filter but respect the year filter
+    expect(counts.statuses).toEqual({ ONGOING: 1, ABANDONED: 1 });
+    // Types respect both, and nothing matches 2021 + COMPLETED
+    expect(counts.types).toEqual({});
+  });
+
+  test('counts the blank bucket as a selectable value', () => {
+    expect(facetCounts(FEATURES, { statuses: [''] }).types).toEqual({ 'SOLAR MINI GRID': 1, 'SOLAR STREET LIGHT': 1 });
+  });
+});
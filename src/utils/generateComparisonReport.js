@@ -0,0 +1,142 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// generateComparisonReport.js
+// Usage: import generateComparisonReport from '../utils/generateComparisonReport';
+//        generateComparisonReport({ comparison, filters });
+//
+// `comparison` is the compareStates record ({ states, years }) for two to
+// four pinned states. Everything fits on a single page, one column per state.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { jsPDF } from 'jspdf';
+import {
+  REA_GREEN, REA_DARK, WHITE, LIGHT_BG, GREY_TEXT, DARK_TEXT, STATUS_ITEMS, presentTechItems,
+  roundRect, progressBar, statBlock, filterSummary, pageFooter, displayStateName, sectionTitle,
+} from './reportDrawing';
+
+const generateComparisonReport = ({ comparison, filters }) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const W   = 210;
+  const now = new Date();
+  const dateStr = now.toLocaleDateString('en-GB', { day:'numeric', month:'long', year:'numeric' });
+
+  const { states, years } = comparison;
+  const names = states.map(s => displayStateName(s.name));
+  const GAP   = 5;
+  const colW  = (W - 28 - GAP * (states.length - 1)) / states.length;
+  const colX  = (i) => 14 + i * (colW + GAP);
+
+  // Header strip
+  doc.setFillColor(...REA_GREEN);
+  doc.rect(0, 0, W, 38, 'F');
+  doc.setFillColor(...REA_DARK);
+  doc.rect(0, 34, W, 4, 'F');
+
+  roundRect(doc, 12, 8, 22, 22, 3, [255,255,255,0.2]);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(0, 132, 61);
+  doc.text('REA', 23, 22, { align: 'center' });
+
+  doc.setTextColor(...WHITE);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('STATE COMPARISON REPORT', 40, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text('Rural Electrification Agency  ·  Nigeria', 40, 23);
+  doc.setFontSize(8);
+  doc.text(`Generated: ${dateStr}`, 40, 30);
+
+  // States banner
+  doc.setFillColor(...LIGHT_BG);
+  doc.rect(0, 38, W, 20, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.setTextColor(...REA_DARK);
+  doc.text(names.join('  vs  '), W/2, 50, { align: 'center' });
+
+  // ── Scope ──
+  let y = 64;
+  doc.setFontSize(7.5);
+  filterSummary(filters).forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(`${label}:`, 14, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    const lines = doc.splitTextToSize(value, W - 28 - 18);
+    doc.text(lines, 32, y);
+    y += lines.length * 3.2;
+  });
+
+  // ── Key stats: one column per state ──
+  y += 4;
+  sectionTitle(doc, 'KEY STATISTICS', y, W);
+  y += 8;
+  states.forEach((s, i) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(doc.splitTextToSize(names[i], colW)[0], colX(i) + colW/2, y, { align: 'center' });
+    const half = (colW - 3) / 2;
+    statBlock(doc, colX(i),          y + 3, half, 24, s.stats.total,              'Projects',  REA_GREEN);
+    statBlock(doc, colX(i) + half+3, y + 3, half, 24, `${s.stats.pct_completed}%`, 'Completed', [0, 196, 140]);
+  });
+  y += 36;
+
+  // ── Status and technology: a labelled bar per row, each state on the same row ──
+  const barRows = (title, items, rowH = 10) => {
+    sectionTitle(doc, title, y, W);
+    y += 7;
+    items.forEach(t => {
+      states.forEach(({ stats: d }, i) => {
+        const value  = Number(d[t.key]) || 0;
+        const barPct = d.total ? (value / d.total) * 100 : 0;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(7);
+        doc.setTextColor(...DARK_TEXT);
+        doc.text(t.label, colX(i), y + 3);
+        doc.setTextColor(...GREY_TEXT);
+        doc.text(`${value} (${Math.round(barPct)}%)`, colX(i) + colW, y + 3, { align: 'right' });
+        progressBar(doc, colX(i), y + 4.5, colW, 3, barPct, t.color);
+      });
+      y += rowH;
+    });
+    y += 3;
+  };
+  barRows('STATUS', STATUS_ITEMS);
+  // Every technology any of the states has, packed tighter when there are many
+  const techItems = presentTechItems(states.map(s => s.stats));
+  barRows('TECHNOLOGY MIX', techItems, techItems.length > 5 ? 7.5 : 10);
+
+  // ── Per-year counts, bars on one scale across all states ──
+  sectionTitle(doc, 'PROJECTS BY YEAR OF AWARD', y, W);
+  y += 7;
+  const yearMax = Math.max(1, ...states.flatMap(s => Object.values(s.byYear)));
+  const rowH    = Math.max(4, Math.min(7, (276 - y) / Math.max(1, years.length)));
+  if (!years.length) {
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(8);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text('No projects with a year of award match the selected filters.', 14, y + 4);
+  }
+  years.forEach(year => {
+    states.forEach((s, i) => {
+      const n = s.byYear[year] || 0;
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      doc.setTextColor(...GREY_TEXT);
+      doc.text(String(year), colX(i), y + 3);
+      doc.setTextColor(...DARK_TEXT);
+      doc.text(String(n), colX(i) + colW, y + 3, { align: 'right' });
+      progressBar(doc, colX(i) + 9, y + 1, colW - 18, 2.5, (n / yearMax) * 100, REA_GREEN);
+    });
+    y += rowH;
+  });
+
+  pageFooter(doc, 1, 1, dateStr, W);
+
+  doc.save(`REA-State-Comparison-${states.map(s => s.name).join('-').replace(/[^A-Za-z0-9-]+/g, '-')}-${now.toISOString().slice(0,10)}.pdf`);
+};
+
+export default generateComparisonReport;
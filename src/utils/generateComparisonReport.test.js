@@ -0,0 +1,50 @@
+import { documents } from 'jspdf';
+import generateComparisonReport from './generateComparisonReport';
+import { compareStates } from './aggregateProjects';
+
+const project = (state, year, status) => ({ type: 'Feature', geometry: null, properties: { state, year, status, type: 'SOLAR MINI GRID' } });
+
+const FEATURES = [project('KANO', '2020', 'COMPLETED'), project('KANO', '2021', 'ONGOING'), project('KADUNA', '2021', 'COMPLETED')];
+
+const compare = (names) => {
+  generateComparisonReport({ comparison: compareStates(FEATURES, names), filters: {} });
+  expect(documents).toHaveLength(1);
+  return documents[0].drawn.map(d => d.text);
+};
+
+// One entry per state column: the string drawn just before / after each occurrence of `label`
+const column = (drawn, label, offset) =>
+  drawn.flatMap((t, i) => (t === label ? [drawn[i + offset]] : []));
+
+beforeEach(() => { documents.length = 0; });
+
+describe('generateComparisonReport', () => {
+  test('sets each pinned state\'s totals side by side', () => {
+    const drawn = compare(['Kano', 'Kaduna']);
+    expect(drawn).toContain('Kano  vs  Kaduna');
+    expect(column(drawn, 'PROJECTS', -1)).toEqual(['2', '1']);
+    expect(column(drawn, 'COMPLETED', -1)).toEqual(['50%', '100%']);
+    expect(column(drawn, 'Completed', 1)).toEqual(['1 (50%)', '1 (100%)']);
+    expect(column(drawn, 'Ongoing', 1)).toEqual(['1 (50%)', '0 (0%)']);
+  });
+
+  test('counts each state\'s projects per year of award, zero where it has none', () => {
+    const drawn = compare(['Kano', 'Kaduna']);
+    const byYear = drawn.slice(drawn.indexOf('PROJECTS BY YEAR OF AWARD') + 1);
+    expect(column(byYear, '2020', 1)).toEqual(['1', '0']);
+    expect(column(byYear, '2021', 1)).toEqual(['1', '1']);
+    expect(documents[0].save).toHaveBeenCalledWith(expect.stringMatching(/^REA-State-Comparison-Kano-Kaduna-\d{4}-\d{2}-\d{2}\.pdf$/));
+  });
+
+  test('shows a state without matching projects as zeros', () => {
+    const drawn = compare(['Kano', 'Ekiti']);
+    expect(column(drawn, 'PROJECTS', -1)).toEqual(['2', '0']);
+    expect(column(drawn, 'COMPLETED', -1)).toEqual(['50%', '0%']);
+    expect(column(drawn, 'Completed', 1)).toEqual(['1 (50%)', '0 (0%)']);
+    expect(drawn.join('\n')).not.toMatch(/NaN|Infinity/);
+  });
+
+  test('notes when no compared project has a year of award', () => {
+    expect(compare(['Ekiti', 'Oyo'])).toContain('No projects with a year of award match the selected filters.');
+  });
+});
@@ -0,0 +1,150 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// generateContractorScorecard.js
+// Usage: import generateContractorScorecard from '../utils/generateContractorScorecard';
+//        generateContractorScorecard({ contractor, projects, filters });
+//
+// `contractor` is one record from aggregateByContractor; `projects` are the
+// property objects of that contractor's projects, listed on the pages after
+// the scorecard. `filters` is printed as the scorecard scope.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { jsPDF } from 'jspdf';
+import {
+  REA_GREEN, REA_DARK, WHITE, LIGHT_BG, GREY_TEXT, DARK_TEXT, techBreakdown,
+  roundRect, progressBar, statBlock, filterSummary, pageFooter, displayStateName, sectionTitle, projectTable,
+} from './reportDrawing';
+
+const generateContractorScorecard = ({ contractor: c, projects = [], filters }) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const W   = 210;
+  const now = new Date();
+  const dateStr = now.toLocaleDateString('en-GB', { day:'numeric', month:'long', year:'numeric' });
+
+  /* ───────── PAGE 1: Scorecard ───────── */
+
+  // Header strip
+  doc.setFillColor(...REA_GREEN);
+  doc.rect(0, 0, W, 38, 'F');
+  doc.setFillColor(...REA_DARK);
+  doc.rect(0, 34, W, 4, 'F');
+
+  roundRect(doc, 12, 8, 22, 22, 3, [255,255,255,0.2]);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(0, 132, 61);
+  doc.text('REA', 23, 22, { align: 'center' });
+
+  doc.setTextColor(...WHITE);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('CONTRACTOR SCORECARD', 40, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text('Rural Electrification Agency  ·  Nigeria', 40, 23);
+  doc.setFontSize(8);
+  doc.text(`Generated: ${dateStr}`, 40, 30);
+
+  // Contractor name banner (long names wrap onto a second line)
+  const nameLines = doc.setFont('helvetica', 'bold').setFontSize(14).splitTextToSize(c.name, W - 28).slice(0, 2);
+  doc.setFillColor(...LIGHT_BG);
+  doc.rect(0, 38, W, 20, 'F');
+  doc.setTextColor(...REA_DARK);
+  doc.text(nameLines, W/2, nameLines.length > 1 ? 46 : 50, { align: 'center' });
+
+  // ── Scope ──
+  let y = 64;
+  doc.setFontSize(7.5);
+  filterSummary(filters).forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(`${label}:`, 14, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    const lines = doc.splitTextToSize(value, W - 28 - 18);
+    doc.text(lines, 32, y);
+    y += lines.length * 3.2;
+  });
+
+  // ── Track record ──
+  y += 4;
+  sectionTitle(doc, 'TRACK RECORD', y, W);
+  y += 7;
+  const blockW = (W - 28 - 9) / 4;
+  statBlock(doc, 14,              y, blockW, 26, c.total,                  'Projects',        REA_GREEN);
+  statBlock(doc, 14+blockW+3,     y, blockW, 26, `${c.pct_completed}%`,    'Completion Rate', [0, 196, 140]);
+  statBlock(doc, 14+(blockW+3)*2, y, blockW, 26, `${c.pct_yet_to_mobilize}%`, 'Yet to Mobilize', [255, 71, 87]);
+  statBlock(doc, 14+(blockW+3)*3, y, blockW, 26, c.states.length,          'States',          [30, 144, 255]);
+
+  y += 34;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(...DARK_TEXT);
+  const active = c.first_year
+    ? `Active ${c.first_year === c.last_year ? c.first_year : `${c.first_year}–${c.last_year}`} (${c.years_active} year${c.years_active === 1 ? '' : 's'}, awards in ${c.years.join(', ')})`
+    : 'No award years recorded';
+  doc.text(active, 14, y);
+
+  // ── Status bars ──
+  y += 8;
+  sectionTitle(doc, 'PROJECT STATUS', y, W);
+  y += 8;
+  [
+    { label: 'Completed',       value: c.completed,       color: [0, 196, 140] },
+    { label: 'Ongoing',         value: c.ongoing,         color: [255, 184, 0] },
+    { label: 'Yet to Mobilize', value: c.yet_to_mobilize, color: [255, 71, 87] },
+    { label: 'Unknown',         value: c.unknown_status,  color: [119, 140, 163] },
+  ].forEach(s => {
+    const barPct = c.total ? (s.value / c.total) * 100 : 0;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(s.label, 14, y + 3.5);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(`${s.value} (${Math.round(barPct)}%)`, W-14, y + 3.5, { align: 'right' });
+    progressBar(doc, 14, y + 5, W-28, 4, barPct, s.color);
+    y += 10;
+  });
+
+  // ── Technology mix ──
+  y += 4;
+  sectionTitle(doc, 'TECHNOLOGY MIX', y, W);
+  y = techBreakdown(doc, y + 8, c, W, 10);
+
+  // ── States served ──
+  y += 4;
+  sectionTitle(doc, 'STATES SERVED', y, W);
+  y += 7;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(...DARK_TEXT);
+  const stateLines = doc.splitTextToSize(c.states.map(displayStateName).join(', ') || '—', W - 28);
+  doc.text(stateLines.slice(0, Math.max(1, Math.floor((276 - y) / 3.6))), 14, y);
+
+  /* ───────── PAGE 2+: Project list ───────── */
+  projectTable(doc, {
+    heading:   'PROJECT HISTORY',
+    projects,
+    columns:   [
+      { label: '#',             w: 8,  key: 'n'      },
+      { label: 'Project Title', w: 78, key: 'title'  },
+      { label: 'State',         w: 26, key: 'state'  },
+      { label: 'Type',          w: 32, key: 'type'   },
+      { label: 'Year',          w: 10, key: 'year'   },
+      { label: 'Status',        w: 28, key: 'status' },
+    ],
+    emptyText: 'No projects match the selected filters.',
+    W,
+  });
+
+  // ── Footers ──
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    pageFooter(doc, page, pageCount, dateStr, W);
+  }
+
+  const slug = c.name.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  doc.save(`REA-Contractor-${slug}-${now.toISOString().slice(0,10)}.pdf`);
+};
+
+export default generateContractorScorecard;
@@ -0,0 +1,59 @@
+import { documents } from 'jspdf';
+import generateContractorScorecard from './generateContractorScorecard';
+import { addContractorKeys, aggregateByContractor } from './contractorStats';
+import { emptyStats } from './aggregateProjects';
+
+const FEATURES = addContractorKeys([
+  { title: 'Kano mini grid',   state: 'KANO', year: '2020', status: 'COMPLETED',       type: 'SOLAR MINI GRID' },
+  { title: 'Kano grid line',   state: 'KANO', year: '2022', status: 'YET TO MOBILIZE', type: 'GRID' },
+  { title: 'Oyo street light', state: 'OYO',  year: '2021', status: 'ONGOING',         type: 'SOLAR STREET LIGHT' },
+].map(p => ({ type: 'Feature', geometry: null, properties: { ...p, contractor: 'Acme Nig. Ltd.' } })));
+
+const [ACME] = aggregateByContractor(FEATURES);
+
+// Every string drawn, with the label of each stat block and bar row followed by its value
+const scorecard = (contractor, projects, filters = {}) => {
+  generateContractorScorecard({ contractor, projects, filters });
+  expect(documents).toHaveLength(1);
+  return documents[0].drawn.map(d => d.text);
+};
+const before = (texts, label) => texts[texts.indexOf(label) - 1];
+const after  = (texts, label) => texts[texts.indexOf(label) + 1];
+
+beforeEach(() => { documents.length = 0; });
+
+describe('generateContractorScorecard', () => {
+  test('scores the contractor\'s track record', () => {
+    const texts = scorecard(ACME, FEATURES.map(f => f.properties));
+    expect(before(texts, 'PROJECTS')).toBe('3');
+    expect(before(texts, 'COMPLETION RATE')).toBe('33%');
+    expect(before(texts, 'YET TO MOBILIZE')).toBe('33%');
+    expect(before(texts, 'STATES')).toBe('2');
+    expect(texts).toContain('Active 2020–2022 (3 years, awards in 2020, 2021, 2022)');
+    expect(after(texts, 'Completed')).toBe('1 (33%)');
+    expect(after(texts, 'Unknown')).toBe('0 (0%)');
+  });
+
+  test('names the contractor filter by the contractor\'s name, not its key', () => {
+    const texts = scorecard(ACME, FEATURES.map(f => f.properties), { contractor: ACME.key, contractorName: ACME.name });
+    expect(after(texts, 'Contractor:')).toBe('Acme Nig. Ltd.');
+    expect(texts).not.toContain(ACME.key);
+  });
+
+  test('lists every project in its history, and saves under the contractor\'s name', () => {
+    const texts = scorecard(ACME, FEATURES.map(f => f.properties));
+    ['Kano mini grid', 'Kano grid line', 'Oyo street light'].forEach(t => expect(texts).toContain(t));
+    expect(documents[0].save).toHaveBeenCalledWith(expect.stringMatching(/^REA-Contractor-Acme-Nig-Ltd-\d{4}-\d{2}-\d{2}\.pdf$/));
+  });
+
+  test('prints zeros, not errors, when no project matches the filters', () => {
+    const none = { key: 'ACME', name: 'Acme', ...emptyStats(), pct_yet_to_mobilize: 0, states: [], years: [], first_year: null, last_year: null, years_active: 0 };
+    const texts = scorecard(none, []);
+    expect(before(texts, 'PROJECTS')).toBe('0');
+    expect(before(texts, 'COMPLETION RATE')).toBe('0%');
+    expect(after(texts, 'Completed')).toBe('0 (0%)');
+    expect(texts).toContain('No award years recorded');
+    expect(texts).toContain('No projects match the selected filters.');
+    expect(texts.join('\n')).not.toMatch(/NaN|Infinity/);
+  });
+});
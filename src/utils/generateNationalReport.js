@@ -0,0 +1,327 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// generateNationalReport.js
+// Usage: import generateNationalReport from '../utils/generateNationalReport';
+//        generateNationalReport({ stateNames, byState, national, filters, trend });
+//
+// `stateNames` lists every state boundary (so states with no matching projects
+// still get a page), `byState` / `national` come from aggregateProjects, and
+// `filters` ({ years, statuses, types }) is printed as the report scope.
+// `trend` holds the national yearTrend rows for the year-over-year page.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { jsPDF } from 'jspdf';
+import {
+  REA_GREEN, REA_DARK, WHITE, LIGHT_BG, GREY_TEXT, DARK_TEXT, STATUS_ITEMS, presentTechItems, techCategorySentence, techBreakdown,
+  roundRect, progressBar, statBlock, filterSummary, pageFooter, displayStateName, sectionTitle, yearTrendSection,
+} from './reportDrawing';
+import { emptyStats } from './aggregateProjects';
+
+/* ── Green strip across the top of every inner page ── */
+const pageStrip = (doc, title, subtitle, W) => {
+  doc.setFillColor(...REA_GREEN);
+  doc.rect(0, 0, W, 18, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.setTextColor(...WHITE);
+  doc.text(title, 14, 12);
+  if (subtitle) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7.5);
+    doc.text(subtitle, W-14, 12, { align: 'right' });
+  }
+};
+
+/* ── Four stat blocks: total + the three statuses ── */
+const statRow = (doc, y, s, W) => {
+  const blockW = (W - 28 - 9) / 4;
+  statBlock(doc, 14, y, blockW, 26, s.total, 'Total Projects', REA_GREEN);
+  STATUS_ITEMS.forEach((st, i) => {
+    statBlock(doc, 14 + (blockW + 3) * (i + 1), y, blockW, 26, s[st.key], st.label, st.color);
+  });
+};
+
+/* ── Label + value + bar, as in the state report's technology section ── */
+const barRows = (doc, y, items, total, W) => {
+  items.forEach(t => {
+    const barPct = total > 0 ? (t.value / total) * 100 : 0;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(t.label, 14, y + 3.5);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(`${t.value} (${Math.round(barPct)}%)`, W-14, y + 3.5, { align: 'right' });
+    progressBar(doc, 14, y + 5, W-28, 4, barPct, t.color);
+    y += 13;
+  });
+  return y;
+};
+
+/* ── Column chart of the technologies present, with a 100% stacked bar underneath ── */
+const techChart = (doc, y, s, W) => {
+  const items  = presentTechItems([s]);
+  const chartH = 55;
+  const chartW = W - 28;
+  const max    = Math.max(...items.map(t => s[t.key]), 1);
+  const slot   = chartW / Math.max(1, items.length);
+  const colW   = slot * 0.5;
+
+  doc.setDrawColor(220, 228, 224);
+  doc.setLineWidth(0.2);
+  [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+    const gy = y + chartH - chartH * f;
+    doc.line(14, gy, W-14, gy);
+  });
+
+  items.forEach((t, i) => {
+    const value = s[t.key];
+    const h  = (value / max) * chartH;
+    const cx = 14 + slot * i + (slot - colW) / 2;
+    if (h > 0) {
+      doc.setFillColor(...t.color);
+      doc.rect(cx, y + chartH - h, colW, h, 'F');
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor(...t.color);
+    doc.text(String(value), cx + colW/2, y + chartH - h - 2, { align: 'center' });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(items.length > 5 ? t.short : t.label, cx + colW/2, y + chartH + 5, { align: 'center' });
+  });
+
+  // Share of all technology counts as one stacked bar (combined types count under each technology)
+  const counted = items.reduce((n, t) => n + s[t.key], 0);
+  let sy = y + chartH + 12;
+  let sx = 14;
+  items.forEach(t => {
+    const w = counted ? (s[t.key] / counted) * chartW : 0;
+    if (w <= 0) return;
+    doc.setFillColor(...t.color);
+    doc.rect(sx, sy, w, 6, 'F');
+    if (w > 12) {
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(6.5);
+      doc.setTextColor(...WHITE);
+      doc.text(`${Math.round((s[t.key] / counted) * 100)}%`, sx + w/2, sy + 4.2, { align: 'center' });
+    }
+    sx += w;
+  });
+  sy += 11;
+  doc.setFont('helvetica', 'italic');
+  doc.setFontSize(7);
+  doc.setTextColor(...GREY_TEXT);
+  doc.text(techCategorySentence(s), 14, sy);
+  return sy + 6;
+};
+
+const generateNationalReport = ({ stateNames, byState, national, filters, trend = [] }) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const W   = 210;
+  const now = new Date();
+  const dateStr = now.toLocaleDateString('en-GB', { day:'numeric', month:'long', year:'numeric' });
+
+  const states = [...stateNames]
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => ({ name, stats: byState[name.toUpperCase()] || emptyStats() }));
+  const activeStates = states.filter(s => s.stats.total > 0).length;
+
+  /* ───────── PAGE 1: Cover ───────── */
+  doc.setFillColor(...REA_GREEN);
+  doc.rect(0, 0, W, 130, 'F');
+  doc.setFillColor(...REA_DARK);
+  doc.rect(0, 126, W, 4, 'F');
+
+  roundRect(doc, W/2 - 15, 28, 30, 30, 4, WHITE);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.setTextColor(...REA_GREEN);
+  doc.text('REA', W/2, 46, { align: 'center' });
+
+  doc.setTextColor(...WHITE);
+  doc.setFontSize(24);
+  doc.text('NATIONAL PROJECT SUMMARY', W/2, 82, { align: 'center' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text('Rural Electrification Agency  ·  Nigeria', W/2, 92, { align: 'center' });
+  doc.setFontSize(9);
+  doc.text(`Generated: ${dateStr}`, W/2, 104, { align: 'center' });
+
+  let y = 148;
+  const coverW = (W - 28 - 6) / 3;
+  statBlock(doc, 14,                y, coverW, 26, national.total,            'Total Projects',  REA_GREEN);
+  statBlock(doc, 14 + coverW + 3,   y, coverW, 26, `${national.pct_completed}%`, 'Completion Rate', [0, 196, 140]);
+  statBlock(doc, 14 + (coverW+3)*2, y, coverW, 26, `${activeStates}/${states.length}`, 'States With Projects', REA_DARK);
+
+  y += 40;
+  sectionTitle(doc, 'REPORT SCOPE', y, W);
+  y += 8;
+  doc.setFontSize(8);
+  filterSummary(filters).forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(`${label}:`, 14, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    const lines = doc.splitTextToSize(value, W - 28 - 20);
+    doc.text(lines, 34, y);
+    y += lines.length * 3.6 + 1;
+  });
+
+  y += 6;
+  sectionTitle(doc, 'CONTENTS', y, W);
+  y += 8;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.setTextColor(...DARK_TEXT);
+  ['National key statistics and technology mix', 'Projects by year of award, by technology and status', 'States ranked by total projects and completion rate', `State summaries (${states.length} states)`]
+    .forEach(line => { doc.text(`•  ${line}`, 16, y); y += 5; });
+
+  /* ───────── PAGE 2: National KPIs + technology mix ───────── */
+  doc.addPage();
+  pageStrip(doc, 'NATIONAL KEY STATISTICS', `${national.total} projects`, W);
+
+  y = 28;
+  sectionTitle(doc, 'KEY STATISTICS', y, W);
+  y += 7;
+  statRow(doc, y, national, W);
+
+  y += 34;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(8);
+  doc.setTextColor(...DARK_TEXT);
+  doc.text('COMPLETION PROGRESS', 14, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(...GREY_TEXT);
+  doc.text(`${national.pct_completed}%`, W-14, y, { align: 'right' });
+  y += 4;
+  progressBar(doc, 14, y, W-28, 5, national.pct_completed, REA_GREEN);
+  if (national.unknown_status) {
+    y += 10;
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7.5);
+    doc.text(`${national.unknown_status} project${national.unknown_status === 1 ? ' has' : 's have'} no recorded status.`, 14, y);
+  }
+
+  y += 14;
+  sectionTitle(doc, 'TECHNOLOGY MIX', y, W);
+  y = techChart(doc, y + 14, national, W);
+
+  y += 12;
+  sectionTitle(doc, 'STATUS BREAKDOWN', y, W);
+  barRows(doc, y + 8, STATUS_ITEMS.map(st => ({ ...st, value: national[st.key] })), national.total, W);
+
+  /* ───────── PAGE 3: National trend by year ───────── */
+  doc.addPage();
+  pageStrip(doc, 'NATIONAL TREND BY YEAR', 'Year of award', W);
+  yearTrendSection(doc, 28, trend, W);
+
+  /* ───────── PAGE 4+: State ranking ───────── */
+  const ranked = [...states].sort((a, b) =>
+    b.stats.total - a.stats.total || b.stats.pct_completed - a.stats.pct_completed || a.name.localeCompare(b.name));
+  const completionRank = {};
+  [...states]
+    .sort((a, b) => b.stats.pct_completed - a.stats.pct_completed || b.stats.total - a.stats.total)
+    .forEach((s, i) => { completionRank[s.name] = i + 1; });
+
+  const cols = [
+    { label: '#',          w: 10 },
+    { label: 'State',      w: 50 },
+    { label: 'Total',      w: 18 },
+    { label: 'Completed',  w: 20 },
+    { label: 'Ongoing',    w: 18 },
+    { label: 'Yet to Mob.', w: 20 },
+    { label: 'Completion', w: 34 },
+    { label: 'Rank',       w: 12 },
+  ];
+  const ROW_H = 6.5;
+
+  const rankingHeader = () => {
+    doc.addPage();
+    pageStrip(doc, 'STATES RANKED BY TOTAL PROJECTS', '# by total  ·  Rank by completion rate', W);
+    const top = 24;
+    doc.setFillColor(...REA_DARK);
+    doc.rect(14, top, W-28, 8, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(...WHITE);
+    let cx = 14;
+    cols.forEach(c => { doc.text(c.label, cx + 2, top + 5.5); cx += c.w; });
+    return top + 8;
+  };
+
+  y = rankingHeader();
+  ranked.forEach((s, i) => {
+    if (y + ROW_H > 276) y = rankingHeader();
+    doc.setFillColor(...(i % 2 === 0 ? WHITE : LIGHT_BG));
+    doc.rect(14, y, W-28, ROW_H, 'F');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...DARK_TEXT);
+    const cells = [
+      String(i + 1), displayStateName(s.name), String(s.stats.total), String(s.stats.completed),
+      String(s.stats.ongoing), String(s.stats.yet_to_mobilize), '', String(completionRank[s.name]),
+    ];
+    let cx = 14;
+    cols.forEach((c, ci) => {
+      if (c.label === 'Completion') {
+        progressBar(doc, cx + 2, y + 2, c.w - 14, 2.5, s.stats.pct_completed, REA_GREEN);
+        doc.setTextColor(...GREY_TEXT);
+        doc.text(`${s.stats.pct_completed}%`, cx + c.w - 2, y + 4.4, { align: 'right' });
+        doc.setTextColor(...DARK_TEXT);
+      } else {
+        doc.text(cells[ci], cx + 2, y + 4.4);
+      }
+      cx += c.w;
+    });
+    y += ROW_H;
+  });
+
+  /* ───────── One condensed page per state ───────── */
+  states.forEach(({ name, stats }) => {
+    doc.addPage();
+    pageStrip(doc, displayStateName(name).toUpperCase(), 'STATE SUMMARY', W);
+
+    let sy = 28;
+    sectionTitle(doc, 'KEY STATISTICS', sy, W);
+    sy += 7;
+    statRow(doc, sy, stats, W);
+
+    sy += 34;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    doc.setTextColor(...DARK_TEXT);
+    doc.text('COMPLETION PROGRESS', 14, sy);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(`${stats.pct_completed}%  (national ${national.pct_completed}%)`, W-14, sy, { align: 'right' });
+    sy += 4;
+    progressBar(doc, 14, sy, W-28, 5, stats.pct_completed, REA_GREEN);
+
+    sy += 14;
+    sectionTitle(doc, 'TECHNOLOGY BREAKDOWN', sy, W);
+    sy = techBreakdown(doc, sy + 8, stats, W, 13);
+
+    sy += 4;
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7.5);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(
+      stats.total
+        ? `${Math.round((stats.total / (national.total || 1)) * 1000) / 10}% of national projects  ·  ranked #${ranked.findIndex(r => r.name === name) + 1} by total, #${completionRank[name]} by completion rate`
+        : 'No projects match the selected filters in this state.',
+      14, sy
+    );
+  });
+
+  // ── Footers, now that the page count is known ──
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    pageFooter(doc, page, pageCount, dateStr, W);
+  }
+
+  doc.save(`REA-National-Report-${now.toISOString().slice(0,10)}.pdf`);
+};
+
+export default generateNationalReport;
@@ -0,0 +1,77 @@
+import { documents } from 'jspdf';
+import generateNationalReport from './generateNationalReport';
+import { summarize, aggregateByState, yearTrend } from './aggregateProjects';
+
+const project = (state, status) => ({ type: 'Feature', geometry: null, properties: { state, status, year: '2021', type: 'SOLAR MINI GRID' } });
+
+// Kano 1 of 2 completed, Oyo 1 of 1, Ekiti none
+const FEATURES = [project('KANO', 'COMPLETED'), project('KANO', 'ONGOING'), project('OYO', 'COMPLETED')];
+const STATE_NAMES = ['Oyo', 'Kano', 'Ekiti'];
+
+const report = (features, trend) => {
+  generateNationalReport({ stateNames: STATE_NAMES, byState: aggregateByState(features), national: summarize(features), filters: {}, trend });
+  expect(documents).toHaveLength(1);
+  return documents[0];
+};
+
+// Strings drawn on the page whose title strip reads `title`
+const pageTexts = (doc, title) => {
+  const { page } = doc.drawn.find(d => d.text === title);
+  return doc.drawn.filter(d => d.page === page).map(d => d.text);
+};
+
+// Stat blocks draw the value, then the label in capitals
+const stat = (texts, label) => texts[texts.indexOf(label.toUpperCase()) - 1];
+
+beforeEach(() => { documents.length = 0; });
+
+describe('generateNationalReport', () => {
+  test('puts the national totals on the cover', () => {
+    const cover = pageTexts(report(FEATURES), 'NATIONAL PROJECT SUMMARY');
+    expect(stat(cover, 'Total Projects')).toBe('3');
+    expect(stat(cover, 'Completion Rate')).toBe('67%');
+    expect(stat(cover, 'States With Projects')).toBe('2/3');
+  });
+
+  test('ranks the states by total, with completion rates', () => {
+    const ranking = pageTexts(report(FEATURES), 'STATES RANKED BY TOTAL PROJECTS');
+    expect(ranking.filter(t => STATE_NAMES.includes(t))).toEqual(['Kano', 'Oyo', 'Ekiti']);
+    expect(ranking.filter(t => /^\d+%$/.test(t))).toEqual(['50%', '100%', '0%']);
+  });
+
+  test('charts the national trend by year of award', () => {
+    const trend = pageTexts(report(FEATURES, yearTrend(FEATURES, [2020, 2021])), 'NATIONAL TREND BY YEAR');
+    expect(trend).toContain('3 projects awarded in 2021, none in 2020.');
+  });
+
+  test('gives each state its share of the national total and its ranks', () => {
+    const kano = pageTexts(report(FEATURES), 'KANO');
+    expect(stat(kano, 'Total Projects')).toBe('2');
+    expect(stat(kano, 'Completed')).toBe('1');
+    expect(kano).toContain('50%  (national 67%)');
+    expect(kano).toContain('66.7% of national projects  ·  ranked #1 by total, #2 by completion rate');
+  });
+
+  test('gives a state without matching projects a page of zeros', () => {
+    const doc = report(FEATURES);
+    expect(doc.getNumberOfPages()).toBe(4 + STATE_NAMES.length);
+    const ekiti = pageTexts(doc, 'EKITI');
+    expect(stat(ekiti, 'Total Projects')).toBe('0');
+    expect(ekiti).toContain('0%  (national 67%)');
+    expect(ekiti).toContain('No projects match the selected filters in this state.');
+  });
+
+  test('reports zero projects when nothing matches the filters', () => {
+    const doc = report([]);
+    const cover = pageTexts(doc, 'NATIONAL PROJECT SUMMARY');
+    expect(stat(cover, 'Total Projects')).toBe('0');
+    expect(stat(cover, 'Completion Rate')).toBe('0%');
+    expect(stat(cover, 'States With Projects')).toBe('0/3');
+    expect(doc.drawn.map(d => d.text).join('\n')).not.toMatch(/NaN|Infinity/);
+  });
+
+  test('saves the file under the report date', () => {
+    const doc = report(FEATURES);
+    expect(doc.save).toHaveBeenCalledWith(expect.stringMatching(/^REA-National-Report-\d{4}-\d{2}-\d{2}\.pdf$/));
+  });
+});
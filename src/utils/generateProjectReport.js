@@ -0,0 +1,140 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// generateProjectReport.js
+// Usage: import generateProjectReport from '../utils/generateProjectReport';
+//        generateProjectReport({ project, nearby, sameContractor, context });
+//
+// `project` is the property object of one project; `nearby` is the
+// nearestProjects result ({ feature, km }); `sameContractor` the contractor's
+// other project features; `context` the stateContext record.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { jsPDF } from 'jspdf';
+import {
+  REA_GREEN, REA_DARK, WHITE, LIGHT_BG, GREY_TEXT, DARK_TEXT, STATUS_RGB,
+  roundRect, statBlock, pageFooter, displayStateName, sectionTitle, projectTable,
+} from './reportDrawing';
+import { projectFields } from './projectDetails';
+import { formatKm } from './gridDistance';
+
+const generateProjectReport = ({ project: p, nearby = [], sameContractor = [], context }) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const W   = 210;
+  const now = new Date();
+  const dateStr = now.toLocaleDateString('en-GB', { day:'numeric', month:'long', year:'numeric' });
+
+  /* ───────── PAGE 1: Project sheet ───────── */
+
+  // Header strip
+  doc.setFillColor(...REA_GREEN);
+  doc.rect(0, 0, W, 38, 'F');
+  doc.setFillColor(...REA_DARK);
+  doc.rect(0, 34, W, 4, 'F');
+
+  roundRect(doc, 12, 8, 22, 22, 3, [255,255,255,0.2]);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(0, 132, 61);
+  doc.text('REA', 23, 22, { align: 'center' });
+
+  doc.setTextColor(...WHITE);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('PROJECT DETAIL SHEET', 40, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text('Rural Electrification Agency  ·  Nigeria', 40, 23);
+  doc.setFontSize(8);
+  doc.text(`Generated: ${dateStr}`, 40, 30);
+
+  // Title banner (long titles wrap onto up to three lines)
+  const titleLines = doc.setFont('helvetica', 'bold').setFontSize(11).splitTextToSize(String(p.title || 'Untitled project'), W - 28).slice(0, 3);
+  doc.setFillColor(...LIGHT_BG);
+  doc.rect(0, 38, W, 22, 'F');
+  doc.setTextColor(...REA_DARK);
+  doc.text(titleLines, W/2, 49 - (titleLines.length - 1) * 2.2, { align: 'center' });
+
+  // Status pill
+  let y = 66;
+  const statusColor = STATUS_RGB[p.status] || [119, 140, 163];
+  const statusText  = p.status || 'UNKNOWN';
+  doc.setFontSize(8);
+  const pillW = doc.getTextWidth(statusText) + 8;
+  roundRect(doc, 14, y, pillW, 6, 2, statusColor);
+  doc.setTextColor(...WHITE);
+  doc.text(statusText, 18, y + 4.2);
+
+  // ── Every recorded property ──
+  y += 14;
+  sectionTitle(doc, 'PROJECT RECORD', y, W);
+  y += 7;
+  projectFields(p).forEach(([label, value], i) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    const lines = doc.splitTextToSize(value, W - 28 - 48).slice(0, 4);
+    const rowH  = lines.length * 3.6 + 2.4;
+    doc.setFillColor(...(i % 2 === 0 ? WHITE : LIGHT_BG));
+    doc.rect(14, y - 3.6, W - 28, rowH, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(label, 16, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(lines, 62, y);
+    y += rowH;
+  });
+
+  // ── State context ──
+  if (context) {
+    y += 6;
+    sectionTitle(doc, `${displayStateName(context.state || 'Unknown state').toUpperCase()} AT A GLANCE`, y, W);
+    y += 7;
+    const blockW = (W - 28 - 9) / 4;
+    statBlock(doc, 14,              y, blockW, 26, context.total,               'Projects in State', REA_GREEN);
+    statBlock(doc, 14+blockW+3,     y, blockW, 26, `${context.pct_completed}%`, 'Completion Rate',   [0, 196, 140]);
+    statBlock(doc, 14+(blockW+3)*2, y, blockW, 26, context.same_type,           'Of the Same Type',  [30, 144, 255]);
+    statBlock(doc, 14+(blockW+3)*3, y, blockW, 26, formatKm(context.avg_grid_km), 'Avg. to Grid',    [34, 166, 179]);
+  }
+
+  /* ───────── PAGE 2+: Surrounding and related projects ───────── */
+  projectTable(doc, {
+    heading:   'NEAREST PROJECTS',
+    projects:  nearby.map(({ feature, km }) => ({ ...feature.properties, distance: formatKm(Math.round(km * 10) / 10) })),
+    columns:   [
+      { label: '#',             w: 8,  key: 'n'        },
+      { label: 'Project Title', w: 78, key: 'title'    },
+      { label: 'Distance',      w: 18, key: 'distance' },
+      { label: 'Type',          w: 30, key: 'type'     },
+      { label: 'Year',          w: 10, key: 'year'     },
+      { label: 'Status',        w: 38, key: 'status'   },
+    ],
+    emptyText: 'No other projects recorded.',
+    W,
+  });
+
+  projectTable(doc, {
+    heading:   `OTHER PROJECTS BY ${String(p.contractor || 'THIS CONTRACTOR').replace(/\s+/g, ' ').trim().toUpperCase().slice(0, 60)}`,
+    projects:  sameContractor.map(f => f.properties),
+    columns:   [
+      { label: '#',             w: 8,  key: 'n'      },
+      { label: 'Project Title', w: 78, key: 'title'  },
+      { label: 'State',         w: 26, key: 'state'  },
+      { label: 'Type',          w: 32, key: 'type'   },
+      { label: 'Year',          w: 10, key: 'year'   },
+      { label: 'Status',        w: 28, key: 'status' },
+    ],
+    emptyText: p.contractor ? 'No other projects by this contractor.' : 'No contractor recorded for this project.',
+    W,
+  });
+
+  // ── Footers ──
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    pageFooter(doc, page, pageCount, dateStr, W);
+  }
+
+  const slug = String(p.lot || p.title || 'project').replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  doc.save(`REA-Project-${slug}-${now.toISOString().slice(0,10)}.pdf`);
+};
+
+export default generateProjectReport;
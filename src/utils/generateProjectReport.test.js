@@ -0,0 +1,61 @@
+import * as turf from '@turf/turf';
+import { documents } from 'jspdf';
+import generateProjectReport from './generateProjectReport';
+import { addProjectIds, nearestProjects, contractorProjects, stateContext } from './projectDetails';
+
+const FEATURES = addProjectIds([
+  turf.point([7.50, 9.50], { title: 'Zaria mini grid', lot: 'LOT 12', year: '2020', contractor: 'Acme', contractor_key: 'ACME', state: 'KADUNA', type: 'SOLAR MINI GRID', status: 'COMPLETED' }),
+  turf.point([7.51, 9.50], { title: 'Zaria street lights', year: '2022', contractor: 'Acme', contractor_key: 'ACME', state: 'KADUNA', type: 'SOLAR STREET LIGHT', status: 'ONGOING' }),
+  turf.point([7.60, 9.50], { title: 'Kafanchan mini grid', year: '2021', contractor: 'Delta', contractor_key: 'DELTA', state: 'KADUNA', type: 'SOLAR MINI GRID', status: 'YET TO MOBILIZE' }),
+]);
+
+const sheet = (feature, others = FEATURES) => {
+  generateProjectReport({
+    project:        feature.properties,
+    nearby:         nearestProjects(feature, others),
+    sameContractor: contractorProjects(feature, others),
+    context:        stateContext(feature, others),
+  });
+  expect(documents).toHaveLength(1);
+  return documents[0];
+};
+
+const texts = (doc) => doc.drawn.map(d => d.text);
+
+beforeEach(() => { documents.length = 0; });
+
+describe('generateProjectReport', () => {
+  test('sets the project against its state totals', () => {
+    const drawn = texts(sheet(FEATURES[0]));
+    const stat = (label) => drawn[drawn.indexOf(label) - 1];
+    expect(drawn).toContain('KADUNA AT A GLANCE');
+    expect(stat('PROJECTS IN STATE')).toBe('3');
+    expect(stat('COMPLETION RATE')).toBe('33%');
+    expect(stat('OF THE SAME TYPE')).toBe('2');
+  });
+
+  test('lists the nearest projects closest first, with their distance', () => {
+    const drawn = texts(sheet(FEATURES[0]));
+    expect(drawn.indexOf('Zaria street lights')).toBeLessThan(drawn.indexOf('Kafanchan mini grid'));
+    expect(drawn).toContain('1.1 km');
+    expect(drawn).toContain('11 km');
+  });
+
+  test('lists only the contractor\'s other projects', () => {
+    const doc  = sheet(FEATURES[0]);
+    const from = doc.drawn.findIndex(d => d.text === 'OTHER PROJECTS BY ACME');
+    const rows = doc.drawn.slice(from).map(d => d.text);
+    expect(rows).toContain('Zaria street lights');
+    expect(rows).not.toContain('Kafanchan mini grid');
+    expect(doc.save).toHaveBeenCalledWith(expect.stringMatching(/^REA-Project-LOT-12-\d{4}-\d{2}-\d{2}\.pdf$/));
+  });
+
+  test('says so when a project stands alone and has no status or contractor', () => {
+    const [lone] = addProjectIds([turf.point([3.4, 6.5], { title: 'Unassigned site', state: 'LAGOS' })]);
+    const drawn = texts(sheet(lone, [lone]));
+    expect(drawn).toContain('UNKNOWN');
+    expect(drawn).toContain('No other projects recorded.');
+    expect(drawn).toContain('No contractor recorded for this project.');
+    expect(drawn[drawn.indexOf('COMPLETION RATE') - 1]).toBe('0%');
+  });
+});
@@ -0,0 +1,139 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// generateRegionReport.js
+// Usage: import generateRegionReport from '../utils/generateRegionReport';
+//        generateRegionReport({ stats, description, mapCanvas, projects, filters });
+//
+// `stats` is the summarizeRegion record for the drawn region; `description`
+// its describeRegion text. `projects` are the property objects listed in
+// the table after the summary page.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { jsPDF } from 'jspdf';
+import {
+  REA_GREEN, REA_DARK, WHITE, LIGHT_BG, GREY_TEXT, DARK_TEXT, techBreakdown,
+  roundRect, progressBar, statBlock, filterSummary, pageFooter, displayStateName, sectionTitle, projectTable,
+} from './reportDrawing';
+
+const generateRegionReport = ({ stats: d, description, mapCanvas, projects = [], filters }) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const W   = 210;
+  const now = new Date();
+  const dateStr = now.toLocaleDateString('en-GB', { day:'numeric', month:'long', year:'numeric' });
+
+  /* ───────── PAGE 1: Region summary ───────── */
+
+  // Header strip
+  doc.setFillColor(...REA_GREEN);
+  doc.rect(0, 0, W, 38, 'F');
+  doc.setFillColor(...REA_DARK);
+  doc.rect(0, 34, W, 4, 'F');
+
+  roundRect(doc, 12, 8, 22, 22, 3, [255,255,255,0.2]);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(0, 132, 61);
+  doc.text('REA', 23, 22, { align: 'center' });
+
+  doc.setTextColor(...WHITE);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('REGION PROJECT REPORT', 40, 16);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text('Rural Electrification Agency  ·  Nigeria', 40, 23);
+  doc.setFontSize(8);
+  doc.text(`Generated: ${dateStr}`, 40, 30);
+
+  // Region banner
+  doc.setFillColor(...LIGHT_BG);
+  doc.rect(0, 38, W, 20, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.setTextColor(...REA_DARK);
+  doc.text(description, W/2, 50, { align: 'center' });
+
+  // ── Scope ──
+  let y = 64;
+  doc.setFontSize(7.5);
+  [...filterSummary(filters), ['States', d.states.map(displayStateName).join(', ') || '—']].forEach(([label, value]) => {
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(`${label}:`, 14, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    const lines = doc.splitTextToSize(value, W - 28 - 18);
+    doc.text(lines, 32, y);
+    y += lines.length * 3.2;
+  });
+
+  // ── Key stats ──
+  y += 4;
+  sectionTitle(doc, 'KEY STATISTICS', y, W);
+  y += 7;
+  const blockW = (W - 28 - 9) / 4;
+  statBlock(doc, 14,              y, blockW, 26, d.total,           'Total Projects',  REA_GREEN);
+  statBlock(doc, 14+blockW+3,     y, blockW, 26, d.completed,       'Completed',       [0, 196, 140]);
+  statBlock(doc, 14+(blockW+3)*2, y, blockW, 26, d.ongoing,         'Ongoing',         [255, 184, 0]);
+  statBlock(doc, 14+(blockW+3)*3, y, blockW, 26, d.yet_to_mobilize, 'Yet to Mobilize', [255, 71, 87]);
+
+  // ── Completion progress ──
+  y += 34;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(8);
+  doc.setTextColor(...DARK_TEXT);
+  doc.text('COMPLETION PROGRESS', 14, y);
+  doc.setFont('helvetica', 'normal');
+  doc.setTextColor(...GREY_TEXT);
+  doc.text(`${d.pct_completed}%`, W-14, y, { align: 'right' });
+  y += 4;
+  progressBar(doc, 14, y, W-28, 5, d.pct_completed, REA_GREEN);
+
+  // ── Technology breakdown ──
+  y += 14;
+  sectionTitle(doc, 'TECHNOLOGY BREAKDOWN', y, W);
+  y = techBreakdown(doc, y + 8, d, W);
+
+  // ── Map screenshot, with the region outline still drawn ──
+  if (mapCanvas && y < 230) {
+    y += 4;
+    sectionTitle(doc, 'MAP VIEW', y, W);
+    y += 6;
+    try {
+      const mapH = Math.max(30, Math.min(65, 277 - y));
+      doc.addImage(mapCanvas.toDataURL('image/png'), 'PNG', 14, y, W-28, mapH);
+      roundRect(doc, 14, y, W-28, mapH, 3, null, REA_GREEN);
+    } catch(e) {
+      doc.setFont('helvetica','italic');
+      doc.setFontSize(8);
+      doc.setTextColor(...GREY_TEXT);
+      doc.text('(Map screenshot unavailable)', 14, y+10);
+    }
+  }
+
+  /* ───────── PAGE 2+: Project table ───────── */
+  projectTable(doc, {
+    heading:   'PROJECTS IN THE REGION',
+    projects,
+    columns:   [
+      { label: '#',             w: 8,  key: 'n'      },
+      { label: 'Project Title', w: 72, key: 'title'  },
+      { label: 'State',         w: 26, key: 'state'  },
+      { label: 'Type',          w: 30, key: 'type'   },
+      { label: 'Year',          w: 10, key: 'year'   },
+      { label: 'Status',        w: 36, key: 'status' },
+    ],
+    emptyText: 'No projects in the region match the selected filters.',
+    W,
+  });
+
+  // ── Footers ──
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    pageFooter(doc, page, pageCount, dateStr, W);
+  }
+
+  doc.save(`REA-Region-Report-${now.toISOString().slice(0,10)}.pdf`);
+};
+
+export default generateRegionReport;
@@ -0,0 +1,62 @@
+import * as turf from '@turf/turf';
+import { documents } from 'jspdf';
+import generateRegionReport from './generateRegionReport';
+import { radiusRegion, describeRegion, projectsInRegion, summarizeRegion } from './regionSelection';
+
+const FEATURES = [
+  turf.point([7.50, 9.50], { title: 'Kaduna mini grid',  state: 'KADUNA',  year: '2020', type: 'SOLAR MINI GRID', status: 'COMPLETED' }),
+  turf.point([7.52, 9.48], { title: 'Plateau grid line', state: 'PLATEAU', year: '2021', type: 'GRID',            status: 'ONGOING' }),
+  turf.point([7.51, 9.51], { title: 'Kaduna boreholes',  state: 'KADUNA',  year: '2021', type: 'SOLAR BOREHOLE',  status: 'COMPLETED' }),
+  turf.point([9.00, 9.50], { title: 'Far away',          state: 'PLATEAU', year: '2019', type: 'GRID',            status: 'COMPLETED' }),
+];
+
+const REGION = radiusRegion([7.5, 9.5], 5);
+
+const regionReport = (features, mapCanvas = null) => {
+  const inRegion = projectsInRegion(features, REGION);
+  generateRegionReport({
+    stats: summarizeRegion(inRegion), description: describeRegion(REGION), mapCanvas,
+    projects: inRegion.map(f => f.properties), filters: {},
+  });
+  expect(documents).toHaveLength(1);
+  return documents[0].drawn.map(d => d.text);
+};
+
+// Value drawn above a stat block's label
+const statAbove = (drawn, label) => drawn[drawn.indexOf(label.toUpperCase()) - 1];
+
+beforeEach(() => { documents.length = 0; });
+
+describe('generateRegionReport', () => {
+  test('counts only the projects inside the region', () => {
+    const drawn = regionReport(FEATURES);
+    expect(statAbove(drawn, 'Total Projects')).toBe('3');
+    expect(statAbove(drawn, 'Completed')).toBe('2');
+    expect(statAbove(drawn, 'Ongoing')).toBe('1');
+    expect(statAbove(drawn, 'Yet to Mobilize')).toBe('0');
+    expect(drawn[drawn.indexOf('COMPLETION PROGRESS') + 1]).toBe('67%');
+    expect(drawn[drawn.indexOf('States:') + 1]).toBe('KADUNA, PLATEAU');
+  });
+
+  test('lists the region\'s projects and leaves the rest out', () => {
+    const drawn = regionReport(FEATURES);
+    expect(drawn).toContain(describeRegion(REGION));
+    ['Kaduna mini grid', 'Plateau grid line', 'Kaduna boreholes'].forEach(t => expect(drawn).toContain(t));
+    expect(drawn).not.toContain('Far away');
+    expect(documents[0].save).toHaveBeenCalledWith(expect.stringMatching(/^REA-Region-Report-\d{4}-\d{2}-\d{2}\.pdf$/));
+  });
+
+  test('reports an empty region as zeros', () => {
+    const drawn = regionReport([FEATURES[3]]);
+    expect(statAbove(drawn, 'Total Projects')).toBe('0');
+    expect(drawn[drawn.indexOf('COMPLETION PROGRESS') + 1]).toBe('0%');
+    expect(drawn[drawn.indexOf('States:') + 1]).toBe('—');
+    expect(drawn).toContain('No projects in the region match the selected filters.');
+    expect(drawn.join('\n')).not.toMatch(/NaN|Infinity/);
+  });
+
+  test('notes a map view that cannot be captured', () => {
+    const canvas = { toDataURL: () => { throw new Error('tainted canvas'); } };
+    expect(regionReport(FEATURES, canvas)).toContain('(Map screenshot unavailable)');
+  });
+});
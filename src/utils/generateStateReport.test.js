@@ -0,0 +1,51 @@
+import { documents } from 'jspdf';
+import generateStateReport from './generateStateReport';
+import { summarize, emptyStats, yearTrend } from './aggregateProjects';
+
+const project = (year, status, type = 'SOLAR MINI GRID') =>
+  ({ type: 'Feature', geometry: null, properties: { title: `${type} ${year}`, year, status, type, state: 'KANO', contractor: 'Acme' } });
+
+const FEATURES = [project('2020', 'COMPLETED'), project('2021', 'ONGOING'), project('2021', 'YET TO MOBILIZE', 'GRID')];
+
+// Every string drawn; a stat block draws its value and then its label
+const report = (stateData, options = {}) => {
+  generateStateReport({ stateData, projects: [], filters: {}, ...options });
+  expect(documents).toHaveLength(1);
+  return documents[0].drawn.map(d => d.text);
+};
+const stat = (texts, label) => texts[texts.indexOf(label) - 1];
+
+beforeEach(() => { documents.length = 0; });
+
+describe('generateStateReport', () => {
+  test('prints the state\'s totals, completion and technology shares', () => {
+    const texts = report({ shapeName: 'Kano', ...summarize(FEATURES) });
+    expect(stat(texts, 'TOTAL PROJECTS')).toBe('3');
+    expect(stat(texts, 'COMPLETED')).toBe('1');
+    expect(stat(texts, 'ONGOING')).toBe('1');
+    expect(stat(texts, 'YET TO MOBILIZE')).toBe('1');
+    expect(texts).toContain('33%');
+    expect(texts).toContain('2 (67%)');
+    expect(texts).toContain('1 (33%)');
+  });
+
+  test('reports a state with no projects as zero, not one, without NaN', () => {
+    const texts = report({ shapeName: 'Ekiti', ...emptyStats() });
+    ['TOTAL PROJECTS', 'COMPLETED', 'ONGOING', 'YET TO MOBILIZE'].forEach(label => expect(stat(texts, label)).toBe('0'));
+    expect(texts).toContain('0%');
+    expect(texts).toContain('No projects in this state match the selected filters.');
+    texts.forEach(t => expect(t).not.toMatch(/NaN|Infinity/));
+  });
+
+  test('adds the trend page only with trend rows, and saves under the state\'s name', () => {
+    const stateData = { shapeName: 'Kano', ...summarize(FEATURES) };
+    report(stateData, { projects: FEATURES.map(f => f.properties), trend: yearTrend(FEATURES, [2020, 2021]) });
+    expect(documents[0].getNumberOfPages()).toBe(3);
+    expect(documents[0].drawn.map(d => d.text)).toContain('KANO  —  TREND BY YEAR');
+    expect(documents[0].save).toHaveBeenCalledWith(expect.stringMatching(/^REA-Kano-Report-\d{4}-\d{2}-\d{2}\.pdf$/));
+
+    documents.length = 0;
+    report(stateData);
+    expect(documents[0].getNumberOfPages()).toBe(2);
+  });
+});
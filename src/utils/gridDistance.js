@@ -0,0 +1,62 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// gridDistance.js
+// Distance from each project to the nearest TCN transmission line, used to
+// check whether grid-extension and off-grid projects are sited sensibly.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as turf from '@turf/turf';
+
+// Off-grid solar this close or closer is "near the grid"; grid projects further away are "far"
+export const GRID_NEAR_KM = 20;
+
+/* ── Filter bands for the "distance to grid" chips ──
+   A band runs from just above `min` up to and including `max` (null = open), so
+   GRID_NEAR_KM itself counts as near, as it does in summarize. */
+export const GRID_DISTANCE_BANDS = [
+  { id: 'lt5',   label: '≤ 5 km',                   min: null,         max: 5 },
+  { id: '5-20',  label: `5–${GRID_NEAR_KM} km`,     min: 5,            max: GRID_NEAR_KM },
+  { id: 'gt20',  label: `> ${GRID_NEAR_KM} km`,     min: GRID_NEAR_KM, max: null },
+];
+
+export const inDistanceBand = (km, id) => {
+  const band = GRID_DISTANCE_BANDS.find(b => b.id === id);
+  if (!band || typeof km !== 'number') return false;
+  return (band.min === null || km > band.min) && (band.max === null || km <= band.max);
+};
+
+/* ── inDistanceBand for any of the band ids, as a Mapbox expression on `grid_km` ── */
+export const distanceBandExpression = (ids) => {
+  const km = ['to-number', ['get', 'grid_km'], -1];
+  return ['all',
+    // Projects without a computed distance fall outside every band
+    ['==', ['typeof', ['get', 'grid_km']], 'number'],
+    ['any', ...GRID_DISTANCE_BANDS.filter(b => ids.includes(b.id)).map(b => ['all',
+      ...(b.min === null ? [] : [['>', km, b.min]]),
+      ...(b.max === null ? [] : [['<=', km, b.max]]),
+    ])],
+  ];
+};
+
+/* ── Point → km to the nearest line (null when there are no lines) ── */
+export const createGridLocator = (lines) => {
+  const segments = lines.features.filter(f => f.geometry && f.geometry.type === 'LineString');
+  return (coords) => {
+    if (!segments.length) return null;
+    const pt = turf.point(coords);
+    return Math.min(...segments.map(l => turf.pointToLineDistance(pt, l, { units: 'kilometers' })));
+  };
+};
+
+/* ── Copy of the features with `grid_km` (one decimal) on each ── */
+export const addGridDistance = (features, lines) => {
+  const locate = createGridLocator(lines);
+  return features.map(f => {
+    const km = locate(f.geometry.coordinates);
+    return {
+      ...f,
+      properties: { ...f.properties, grid_km: km === null ? null : Math.round(km * 10) / 10 },
+    };
+  });
+};
+
+export const formatKm = (km) => (typeof km === 'number' ? `${km.toLocaleString(undefined, { maximumFractionDigits: 1 })} km` : '--');
@@ -0,0 +1,81 @@
+import * as turf from '@turf/turf';
+import { featureFilter } from 'mapbox-gl/dist/style-spec/index.cjs';
+import {
+  GRID_NEAR_KM, GRID_DISTANCE_BANDS, inDistanceBand, distanceBandExpression, createGridLocator, addGridDistance, formatKm,
+} from './gridDistance';
+import { summarize } from './aggregateProjects';
+
+const DISTANCES = [0, 0.1, 4.9, 5, 5.1, 19.9, 20, 20.1, 250, null, undefined, '12'];
+
+const mapMatches = (ids, km) => featureFilter(distanceBandExpression(ids))
+  .filter({ zoom: 6 }, { type: 1, properties: km === undefined ? {} : { grid_km: km }, geometry: [] });
+
+describe('inDistanceBand', () => {
+  test.each([
+    [5,    'lt5'],
+    [5.1,  '5-20'],
+    [20,   '5-20'],
+    [20.1, 'gt20'],
+    [0,    'lt5'],
+  ])('puts %p km in %s only', (km, id) => {
+    expect(GRID_DISTANCE_BANDS.filter(b => inDistanceBand(km, b.id)).map(b => b.id)).toEqual([id]);
+  });
+
+  test('puts a missing distance in no band', () => {
+    expect(GRID_DISTANCE_BANDS.some(b => inDistanceBand(null, b.id))).toBe(false);
+    expect(inDistanceBand(3, 'nearby')).toBe(false);
+  });
+
+  test('bands up to GRID_NEAR_KM are exactly the projects summarize counts as near the grid', () => {
+    DISTANCES.filter(km => typeof km === 'number').forEach(km => {
+      const near = summarize([turf.point([7, 9], { type: 'SOLAR MINI GRID', grid_km: km })]).offgrid_near_grid === 1;
+      expect(inDistanceBand(km, 'lt5') || inDistanceBand(km, '5-20')).toBe(near);
+      expect(inDistanceBand(km, 'gt20')).toBe(!near);
+    });
+  });
+
+  test('labels state the boundary that is applied', () => {
+    expect(GRID_DISTANCE_BANDS.map(b => b.label)).toEqual(['≤ 5 km', `5–${GRID_NEAR_KM} km`, `> ${GRID_NEAR_KM} km`]);
+  });
+});
+
+describe('distanceBandExpression', () => {
+  const combos = [['lt5'], ['5-20'], ['gt20'], ['lt5', 'gt20'], ['lt5', '5-20', 'gt20']];
+
+  test.each(combos.map(ids => [ids.join(' + '), ids]))('filters the map like inDistanceBand for %s', (_, ids) => {
+    DISTANCES.forEach(km => {
+      expect([km, mapMatches(ids, km)]).toEqual([km, ids.some(id => inDistanceBand(km, id))]);
+    });
+  });
+});
+
+describe('createGridLocator', () => {
+  const lines = turf.featureCollection([
+    turf.lineString([[7, 9], [8, 9]], { name: 'A' }),
+    turf.lineString([[7, 10], [8, 10]], { name: 'B' }),
+    turf.point([7.5, 9.5]),
+  ]);
+
+  test('measures to the nearest line, ignoring other geometries', () => {
+    const km = createGridLocator(lines)([7.5, 9.1]);
+    expect(km).toBeCloseTo(turf.distance([7.5, 9.1], [7.5, 9]), 1);
+  });
+
+  test('gives null when there are no lines', () => {
+    expect(createGridLocator(turf.featureCollection([]))([7.5, 9.1])).toBeNull();
+  });
+
+  test('addGridDistance adds grid_km to one decimal and keeps the other properties', () => {
+    const [f] = addGridDistance([turf.point([7.5, 9.1], { title: 'Site' })], lines);
+    expect(f.properties.title).toBe('Site');
+    expect(f.properties.grid_km).toBe(Math.round(turf.distance([7.5, 9.1], [7.5, 9]) * 10) / 10);
+    expect(addGridDistance([turf.point([7.5, 9.1])], turf.featureCollection([]))[0].properties.grid_km).toBeNull();
+  });
+});
+
+describe('formatKm', () => {
+  test('formats numbers and dashes anything else', () => {
+    expect(formatKm(12.34)).toMatch(/^12\.3 km$/);
+    expect(formatKm(null)).toBe('--');
+  });
+});
@@ -0,0 +1,114 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// lgaBoundaries.js
+// Local Government Areas (ADM2) as a second drill-down level below the state.
+// Projects get their LGA by point-in-polygon; the "… OKPOKWU LGA, BENUE STATE"
+// wording in titles is used only as a cross-check on that spatial join.
+// Boundaries are expected in the geoBoundaries ADM2 layout (shapeName, shapeID).
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as turf from '@turf/turf';
+import { createStateLocator, summarize } from './aggregateProjects';
+
+/* ── How a project's title compares with its spatially assigned LGA ── */
+export const LGA_CHECKS = {
+  match:    { label: 'Title names this LGA',       color: '#00C48C' },
+  mismatch: { label: 'Title names a different LGA', color: '#FF4757' },
+  untitled: { label: 'No LGA named in title',       color: '#778CA3' },
+  outside:  { label: 'Outside every LGA boundary',  color: '#FFB800' },
+};
+
+// Letters and digits only, so "ABUJA-MUNICIPAL" and "Abuja Municipal" compare equal
+const squash = (s) => String(s ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// "LGA", "L.G.A", "LG A", "LOCAL GOVERNMENT (AREA)"
+const LGA_MARKER = /\bL\.?\s?G\.?\s?A\b\.?|\bLOCAL GOVERNMENT(?:\s+AREA)?S?\b/g;
+
+/* ── The squashed text leading up to each "LGA" marker in a title ── */
+export const lgaMentions = (title) => {
+  const text = String(title ?? '').toUpperCase();
+  return [...text.matchAll(LGA_MARKER)].map(m => squash(text.slice(Math.max(0, m.index - 48), m.index)));
+};
+
+/* ── Boundary features with `lga_id`, `lga` and the state each falls in ── */
+export const prepareLgas = (lgas, states) => {
+  const locateState = createStateLocator(states);
+  return {
+    type: 'FeatureCollection',
+    features: lgas.features.map((f, i) => ({
+      ...f,
+      properties: {
+        lga_id:    String(f.properties.shapeID || `lga-${i}`),
+        lga:       String(f.properties.shapeName || '').toUpperCase(),
+        lga_state: locateState(turf.pointOnFeature(f).geometry.coordinates.map(Number)) || '',
+      },
+    })),
+  };
+};
+
+/* ── Point → LGA feature (or null), bbox-prefiltered like the state locator ── */
+const createLgaLocator = (lgas) => {
+  const polygons = lgas.features.map(f => ({ bbox: turf.bbox(f), feature: f }));
+  return ([lng, lat]) => {
+    const hit = polygons.find(({ bbox, feature }) =>
+      lng >= bbox[0] && lat >= bbox[1] && lng <= bbox[2] && lat <= bbox[3] &&
+      turf.booleanPointInPolygon([lng, lat], feature)
+    );
+    return hit ? hit.feature : null;
+  };
+};
+
+/* ── The LGA a title names: the longest candidate name right before an "LGA" marker ── */
+const titledLga = (title, candidates) => {
+  let best = null;
+  lgaMentions(title).forEach(before => {
+    candidates.forEach(c => {
+      const name = squash(c.properties.lga);
+      if (name && before.endsWith(name) && (!best || name.length > squash(best.properties.lga).length)) best = c;
+    });
+  });
+  return best;
+};
+
+/* ── Copy of the project features with lga_id, lga, lga_title and lga_check ── */
+export const assignLgas = (features, lgas) => {
+  const locate  = createLgaLocator(lgas);
+  const byState = {};
+  lgas.features.forEach(f => { (byState[f.properties.lga_state] || (byState[f.properties.lga_state] = [])).push(f); });
+
+  return features.map(f => {
+    const p     = f.properties;
+    const found = f.geometry ? locate(f.geometry.coordinates) : null;
+    // Titles are matched against the LGAs of the project's own state first
+    const named = titledLga(p.title, byState[p.state] || []) || titledLga(p.title, lgas.features);
+    const check = !found ? 'outside'
+      : !named ? 'untitled'
+      : named.properties.lga_id === found.properties.lga_id ? 'match' : 'mismatch';
+    return {
+      ...f,
+      properties: {
+        ...p,
+        lga_id:    found ? found.properties.lga_id : '',
+        lga:       found ? found.properties.lga : '',
+        lga_title: named ? named.properties.lga : '',
+        lga_check: check,
+      },
+    };
+  });
+};
+
+/* ── { lga_id: stats } with a tally of title cross-check results ── */
+export const aggregateByLga = (features) => {
+  const groups = {};
+  features.forEach(f => {
+    const id = f.properties.lga_id;
+    if (!id) return;
+    (groups[id] || (groups[id] = [])).push(f);
+  });
+  const byLga = {};
+  Object.entries(groups).forEach(([id, list]) => {
+    const checks = Object.fromEntries(Object.keys(LGA_CHECKS).map(k => [k, 0]));
+    list.forEach(f => { checks[f.properties.lga_check] += 1; });
+    byLga[id] = { ...summarize(list), checks };
+  });
+  return byLga;
+};
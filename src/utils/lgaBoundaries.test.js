@@ -0,0 +1,82 @@
+import * as turf from '@turf/turf';
+import { lgaMentions, prepareLgas, assignLgas, aggregateByLga } from './lgaBoundaries';
+
+const square = (x, y, size, properties) =>
+  turf.polygon([[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]], properties);
+
+const STATES = turf.featureCollection([
+  square(7, 9, 2, { shapeName: 'Benue' }),
+  square(9, 9, 2, { shapeName: 'Kogi' }),
+]);
+
+const LGAS = prepareLgas(turf.featureCollection([
+  square(7, 9, 1, { shapeName: 'Okpokwu', shapeID: 'NGA-1' }),
+  square(8, 9, 1, { shapeName: 'Ado',     shapeID: 'NGA-2' }),
+  square(9, 9, 1, { shapeName: 'Ado',     shapeID: 'NGA-3' }),
+  square(10, 9, 1, { shapeName: 'Ankpa' }),
+]), STATES);
+
+const project = (coordinates, properties) => ({
+  type: 'Feature', geometry: coordinates && { type: 'Point', coordinates }, properties: { status: 'COMPLETED', ...properties },
+});
+
+describe('lgaMentions', () => {
+  test('finds the text before each spelling of "LGA"', () => {
+    expect(lgaMentions('Solar at Ugbokpo, Okpokwu LGA, Benue State')).toEqual(['SOLARATUGBOKPOOKPOKWU']);
+    expect(lgaMentions('Mini grid in Ado L.G.A and Ankpa Local Government Area')).toHaveLength(2);
+    expect(lgaMentions('No marker here')).toEqual([]);
+    expect(lgaMentions(null)).toEqual([]);
+  });
+});
+
+describe('prepareLgas', () => {
+  test('adds lga_id, the upper-cased name and the state each LGA lies in', () => {
+    expect(LGAS.features.map(f => f.properties)).toEqual([
+      { lga_id: 'NGA-1', lga: 'OKPOKWU', lga_state: 'BENUE' },
+      { lga_id: 'NGA-2', lga: 'ADO',     lga_state: 'BENUE' },
+      { lga_id: 'NGA-3', lga: 'ADO',     lga_state: 'KOGI' },
+      { lga_id: 'lga-3', lga: 'ANKPA',   lga_state: 'KOGI' },
+    ]);
+  });
+});
+
+describe('assignLgas', () => {
+  const [inTitled, mismatched, untitled, outside, sameName] = assignLgas([
+    project([7.5, 9.5], { state: 'BENUE', title: 'Solar street lights, Okpokwu LGA, Benue State' }),
+    project([7.5, 9.5], { state: 'BENUE', title: 'Borehole in Ado LGA' }),
+    project([8.5, 9.5], { state: 'BENUE', title: 'Solar street lights' }),
+    project([12, 12],   { state: '',      title: 'Okpokwu LGA' }),
+    project([8.5, 9.5], { state: 'BENUE', title: 'Mini grid, Ado LGA' }),
+  ], LGAS).map(f => f.properties);
+
+  test('places each project in the LGA it falls in', () => {
+    expect([inTitled.lga_id, untitled.lga_id, outside.lga_id]).toEqual(['NGA-1', 'NGA-2', '']);
+    expect(inTitled.lga).toBe('OKPOKWU');
+  });
+
+  test('checks the LGA named in the title against the spatial one', () => {
+    expect([inTitled, mismatched, untitled, outside].map(p => p.lga_check)).toEqual(['match', 'mismatch', 'untitled', 'outside']);
+    expect(mismatched.lga_title).toBe('ADO');
+  });
+
+  test('matches a name shared across states within the project\'s own state first', () => {
+    expect(sameName).toMatchObject({ lga_id: 'NGA-2', lga_check: 'match' });
+  });
+
+  test('leaves projects without a location outside every LGA', () => {
+    const [p] = assignLgas([project(null, { state: 'BENUE', title: 'Okpokwu LGA' })], LGAS);
+    expect(p.properties).toMatchObject({ lga_id: '', lga_title: 'OKPOKWU', lga_check: 'outside' });
+  });
+});
+
+describe('aggregateByLga', () => {
+  test('counts projects per LGA with a tally of title checks, skipping unplaced ones', () => {
+    const byLga = aggregateByLga(assignLgas([
+      project([7.5, 9.5], { state: 'BENUE', title: 'Okpokwu LGA' }),
+      project([7.2, 9.2], { state: 'BENUE', title: 'Street lights', status: 'ONGOING' }),
+      project([12, 12],   { state: '' }),
+    ], LGAS));
+    expect(Object.keys(byLga)).toEqual(['NGA-1']);
+    expect(byLga['NGA-1']).toMatchObject({ total: 2, completed: 1, checks: { match: 1, mismatch: 0, untitled: 1, outside: 0 } });
+  });
+});
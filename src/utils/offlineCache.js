@@ -0,0 +1,34 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// offlineCache.js
+// Cache names and request keys shared by the service worker and the page.
+// Mapbox requests carry a per-session `sku` and the access token, so both
+// are stripped from cache keys: a tile saved in one session is then found
+// again in the next, and by either side.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const MAPBOX_API = 'https://api.mapbox.com';
+
+export const CACHES = {
+  tilePack: 'rea-tile-pack',   // tiles downloaded for chosen states; never expired
+  tiles:    'rea-map-tiles',   // tiles seen while browsing online; capped
+  style:    'rea-map-style',   // style JSON, TileJSON, sprites and glyphs
+  data:     'rea-data',        // files served from public/ (LGA boundaries, logo)
+  api:      'rea-data-api',    // pages from the REST data API, kept by the page with their ETags
+  fonts:    'rea-fonts',
+};
+
+/* ── Mapbox vector or raster tile, e.g. /v4/mapbox.mapbox-streets-v8/8/133/120.vector.pbf ── */
+export const isMapboxTile = (url) =>
+  url.origin === MAPBOX_API && /^\/(v4|raster\/v1)\/.+\/\d+\/\d+\/\d+(@2x)?\.\w+(\.\w+)?$/.test(url.pathname);
+
+/* ── Everything else a Mapbox style needs: style JSON, TileJSON, sprites, glyphs ── */
+export const isMapboxStyleAsset = (url) =>
+  url.origin === MAPBOX_API && (/^\/(styles|fonts)\/v1\//.test(url.pathname) || /^\/v4\/[^/]+\.json$/.test(url.pathname));
+
+/* ── Cache key of a Mapbox request: the URL without `sku` and `access_token` ── */
+export const mapboxCacheKey = (href) => {
+  const url = new URL(href);
+  url.searchParams.delete('sku');
+  url.searchParams.delete('access_token');
+  return url.href;
+};
@@ -0,0 +1,32 @@
+import { isMapboxTile, isMapboxStyleAsset, mapboxCacheKey } from './offlineCache';
+
+const url = (href) => new URL(href);
+
+describe('isMapboxTile', () => {
+  test('recognises vector and raster tiles on the Mapbox API', () => {
+    expect(isMapboxTile(url('https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/8/133/120.vector.pbf?sku=1'))).toBe(true);
+    expect(isMapboxTile(url('https://api.mapbox.com/raster/v1/mapbox.satellite/10/530/480@2x.webp'))).toBe(true);
+  });
+
+  test('leaves TileJSON, styles and other hosts alone', () => {
+    expect(isMapboxTile(url('https://api.mapbox.com/v4/mapbox.mapbox-streets-v8.json'))).toBe(false);
+    expect(isMapboxTile(url('https://api.mapbox.com/styles/v1/mapbox/light-v11'))).toBe(false);
+    expect(isMapboxTile(url('https://tiles.example.org/v4/x/8/133/120.pbf'))).toBe(false);
+  });
+});
+
+describe('isMapboxStyleAsset', () => {
+  test('recognises styles, glyphs and TileJSON but not tiles', () => {
+    expect(isMapboxStyleAsset(url('https://api.mapbox.com/styles/v1/mapbox/light-v11/sprite@2x.png'))).toBe(true);
+    expect(isMapboxStyleAsset(url('https://api.mapbox.com/fonts/v1/mapbox/DIN%20Pro%20Regular/0-255.pbf'))).toBe(true);
+    expect(isMapboxStyleAsset(url('https://api.mapbox.com/v4/mapbox.mapbox-streets-v8.json'))).toBe(true);
+    expect(isMapboxStyleAsset(url('https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/8/133/120.vector.pbf'))).toBe(false);
+  });
+});
+
+describe('mapboxCacheKey', () => {
+  test('drops the session sku and the access token, keeping other parameters', () => {
+    expect(mapboxCacheKey('https://api.mapbox.com/v4/a/1/2/3.pbf?sku=abc&access_token=pk.x&style=s'))
+      .toBe('https://api.mapbox.com/v4/a/1/2/3.pbf?style=s');
+  });
+});
@@ -0,0 +1,127 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// offlineMap.js
+// Field mode for the map: a tile pack of chosen states downloaded into the
+// service worker's cache, and the choice of basemap when there is no signal.
+// Usage: const info = await downloadTilePack({ templates: tileTemplates(map),
+//          token, bboxes, maxZoom, signal, onProgress });
+//
+// Without a connection the Mapbox style is only used if it was loaded while a
+// service worker was caching; otherwise the map falls back to a plain
+// background, with the bundled state, LGA and grid layers drawn on top.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { CACHES, MAPBOX_API, mapboxCacheKey } from './offlineCache';
+
+/* ── Tile pack detail levels: the deepest zoom downloaded ── */
+export const PACK_DETAILS = [
+  { id: 'overview', label: 'Overview', maxZoom: 10, note: 'main roads and towns' },
+  { id: 'detailed', label: 'Detailed', maxZoom: 12, note: 'streets and villages' },
+];
+
+// Beyond this a pack is refused: fewer states or less detail
+export const MAX_PACK_TILES = 30000;
+
+const PACK_KEY     = 'rea-offline-pack';
+const STYLES_KEY   = 'rea-offline-styles';
+const CONCURRENCY  = 6;
+
+/* ── Slippy-map tile column / row of a coordinate ── */
+const tileX = (lng, z) => Math.floor(((lng + 180) / 360) * 2 ** z);
+const tileY = (lat, z) => {
+  const r = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * 2 ** z);
+};
+
+/* ── Distinct [z, x, y] tiles covering the bboxes from zoom 0 to maxZoom ── */
+export const tilesForBounds = (bboxes, maxZoom) => {
+  const seen  = new Set();
+  const tiles = [];
+  for (let z = 0; z <= maxZoom; z++) {
+    bboxes.forEach(([w, s, e, n]) => {
+      for (let x = tileX(w, z); x <= tileX(e, z); x++) {
+        for (let y = tileY(n, z); y <= tileY(s, z); y++) {
+          const key = `${z}/${x}/${y}`;
+          if (!seen.has(key)) { seen.add(key); tiles.push([z, x, y]); }
+        }
+      }
+    });
+  }
+  return tiles;
+};
+
+/* ── Fetchable tile URL templates of the map's Mapbox vector sources ── */
+export const tileTemplates = (map) => Object.keys(map.getStyle().sources)
+  .map(id => map.getSource(id))
+  .filter(src => src && src.type === 'vector' && Array.isArray(src.tiles) && src.tiles.length)
+  .map(src => src.tiles[0].replace(/^mapbox:\/\/tiles\//, `${MAPBOX_API}/v4/`))
+  .filter(t => t.startsWith(MAPBOX_API));
+
+const tileUrl = (template, [z, x, y], token) => {
+  const url = new URL(template.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+  url.searchParams.set('access_token', token);
+  return url.href;
+};
+
+/* ── Download every tile of the bboxes into the tile-pack cache; adds to any earlier pack ──
+   Resolves to { tiles, failed, cancelled }; onProgress(done, total) after each tile. */
+export const downloadTilePack = async ({ templates, token, bboxes, maxZoom, extraUrls = [], signal, onProgress }) => {
+  const queue = tilesForBounds(bboxes, maxZoom).flatMap(t => templates.map(tpl => tileUrl(tpl, t, token)));
+  const total = queue.length;
+  const cache = await caches.open(CACHES.tilePack);
+  let done = 0, failed = 0;
+
+  const worker = async () => {
+    while (queue.length && !signal.aborted) {
+      const url = queue.pop();
+      try {
+        const response = await fetch(url, { signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await cache.put(mapboxCacheKey(url), response);
+      } catch (e) {
+        if (signal.aborted) return;
+        failed += 1;
+      }
+      done += 1;
+      onProgress(done, total);
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+
+  // Boundaries and images served from public/, so the LGA drill-down works offline too
+  if (!signal.aborted && extraUrls.length) {
+    await caches.open(CACHES.data).then(c => c.addAll(extraUrls)).catch(() => {});
+  }
+  return { tiles: done - failed, failed, cancelled: signal.aborted };
+};
+
+/* ── Pack record in localStorage: { states, detail, tiles, failed, complete, date } ── */
+export const loadPackInfo = () => {
+  try { return JSON.parse(localStorage.getItem(PACK_KEY)); } catch (e) { return null; }
+};
+
+export const savePackInfo = (info) => localStorage.setItem(PACK_KEY, JSON.stringify(info));
+
+export const deleteTilePack = () => caches.delete(CACHES.tilePack).then(() => localStorage.removeItem(PACK_KEY));
+
+/* ── Mapbox styles loaded while a service worker was caching them ── */
+const offlineStyles = () => {
+  try { return JSON.parse(localStorage.getItem(STYLES_KEY)) || []; } catch (e) { return []; }
+};
+
+export const rememberOfflineStyle = (styleUrl) => {
+  if (!navigator.onLine || !navigator.serviceWorker || !navigator.serviceWorker.controller) return;
+  const styles = offlineStyles();
+  if (!styles.includes(styleUrl)) localStorage.setItem(STYLES_KEY, JSON.stringify([...styles, styleUrl]));
+};
+
+/* ── Plain basemap: the app's own GeoJSON layers supply the states, LGAs and grid ── */
+export const offlineBasemap = (theme) => ({
+  version: 8,
+  name: 'REA offline basemap',
+  sources: {},
+  layers: [{ id: 'background', type: 'background', paint: { 'background-color': theme.offlineBackground } }],
+});
+
+/* ── The theme's Mapbox style when it can load, else the offline basemap ── */
+export const mapStyleFor = (theme, online = navigator.onLine) =>
+  (online || offlineStyles().includes(theme.mapStyle) ? theme.mapStyle : offlineBasemap(theme));
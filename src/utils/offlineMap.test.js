@@ -0,0 +1,144 @@
+import {
+  tilesForBounds, tileTemplates, downloadTilePack, loadPackInfo, savePackInfo, deleteTilePack, rememberOfflineStyle, mapStyleFor,
+} from './offlineMap';
+import { CACHES } from './offlineCache';
+
+// Cache Storage kept in memory: { cacheName: Map(key → response) }
+const fakeCaches = () => {
+  const stores = {};
+  const open = (name) => {
+    const store = stores[name] || (stores[name] = new Map());
+    return Promise.resolve({
+      put:    (key, response) => { store.set(key, response); return Promise.resolve(); },
+      addAll: (urls) => { urls.forEach(u => store.set(u, 'added')); return Promise.resolve(); },
+    });
+  };
+  return { stores, open, delete: (name) => Promise.resolve(delete stores[name]) };
+};
+
+const THEME = { mapStyle: 'mapbox://styles/mapbox/light-v11', offlineBackground: '#eef' };
+
+afterEach(() => {
+  localStorage.clear();
+  delete window.caches;
+  delete global.fetch;
+});
+
+describe('tilesForBounds', () => {
+  test('covers the bbox at every zoom from 0, each tile once', () => {
+    const tiles = tilesForBounds([[3, 4, 14, 14]], 2);
+    expect(tiles).toEqual([[0, 0, 0], [1, 1, 0], [2, 2, 1]]);
+  });
+
+  test('shares the tiles of overlapping bboxes', () => {
+    const one  = tilesForBounds([[7, 9, 8, 10]], 8);
+    const both = tilesForBounds([[7, 9, 8, 10], [7.5, 9.5, 8.5, 10.5]], 8);
+    expect(both.length).toBeGreaterThan(one.length);
+    expect(new Set(both.map(t => t.join('/'))).size).toBe(both.length);
+  });
+});
+
+describe('tileTemplates', () => {
+  test('keeps the Mapbox vector sources, with mapbox:// tiles on the v4 API', () => {
+    const sources = {
+      composite: { type: 'vector', tiles: ['mapbox://tiles/mapbox.mapbox-streets-v8/{z}/{x}/{y}.vector.pbf'] },
+      projects:  { type: 'geojson' },
+      other:     { type: 'vector', tiles: ['https://tiles.example.org/{z}/{x}/{y}.pbf'] },
+      empty:     { type: 'vector', tiles: [] },
+    };
+    const map = { getStyle: () => ({ sources }), getSource: (id) => sources[id] };
+    expect(tileTemplates(map)).toEqual(['https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/{z}/{x}/{y}.vector.pbf']);
+  });
+});
+
+describe('downloadTilePack', () => {
+  const TEMPLATE = 'https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/{z}/{x}/{y}.vector.pbf';
+
+  test('stores every tile under its token-free key, then the extra files', async () => {
+    const caches = fakeCaches();
+    window.caches = caches;
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+    const onProgress = jest.fn();
+
+    const result = await downloadTilePack({
+      templates: [TEMPLATE], token: 'pk.test', bboxes: [[3, 4, 14, 14]], maxZoom: 2,
+      extraUrls: ['/data/nigeria-lgas.geojson'], signal: new AbortController().signal, onProgress,
+    });
+
+    expect(result).toEqual({ tiles: 3, failed: 0, cancelled: false });
+    expect(global.fetch.mock.calls[0][0]).toMatch(/access_token=pk\.test/);
+    expect([...caches.stores[CACHES.tilePack].keys()].sort()).toEqual([
+      'https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/0/0/0.vector.pbf',
+      'https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/1/1/0.vector.pbf',
+      'https://api.mapbox.com/v4/mapbox.mapbox-streets-v8/2/2/1.vector.pbf',
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+    expect(caches.stores[CACHES.data].has('/data/nigeria-lgas.geojson')).toBe(true);
+  });
+
+  test('counts tiles that fail or answer with an error', async () => {
+    window.caches = fakeCaches();
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValue({ ok: true, status: 200 });
+    const result = await downloadTilePack({
+      templates: [TEMPLATE], token: 'pk.test', bboxes: [[3, 4, 14, 14]], maxZoom: 2, signal: new AbortController().signal, onProgress: () => {},
+    });
+    expect(result).toEqual({ tiles: 1, failed: 2, cancelled: false });
+  });
+
+  test('stops when cancelled and skips the extra files', async () => {
+    const caches = fakeCaches();
+    window.caches = caches;
+    const controller = new AbortController();
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+    const result = await downloadTilePack({
+      templates: [TEMPLATE], token: 'pk.test', bboxes: [[3, 4, 14, 14]], maxZoom: 8, extraUrls: ['/logo.png'],
+      signal: controller.signal, onProgress: (done) => { if (done === 2) controller.abort(); },
+    });
+    expect(result.cancelled).toBe(true);
+    expect(global.fetch.mock.calls.length).toBeLessThan(tilesForBounds([[3, 4, 14, 14]], 8).length);
+    expect(caches.stores[CACHES.data]).toBeUndefined();
+  });
+});
+
+describe('pack info', () => {
+  test('round-trips through localStorage and is cleared with the pack', async () => {
+    window.caches = fakeCaches();
+    expect(loadPackInfo()).toBeNull();
+    savePackInfo({ states: ['Kano'], detail: 'overview', tiles: 10 });
+    expect(loadPackInfo()).toEqual({ states: ['Kano'], detail: 'overview', tiles: 10 });
+    await deleteTilePack();
+    expect(loadPackInfo()).toBeNull();
+  });
+
+  test('reads a corrupt record as no pack', () => {
+    localStorage.setItem('rea-offline-pack', '{');
+    expect(loadPackInfo()).toBeNull();
+  });
+});
+
+describe('mapStyleFor', () => {
+  const withServiceWorker = (controller) => Object.defineProperty(navigator, 'serviceWorker', { value: { controller }, configurable: true });
+
+  afterEach(() => { delete navigator.serviceWorker; });
+
+  test('uses the Mapbox style online and a plain background offline', () => {
+    expect(mapStyleFor(THEME, true)).toBe(THEME.mapStyle);
+    const basemap = mapStyleFor(THEME, false);
+    expect(basemap.layers).toEqual([{ id: 'background', type: 'background', paint: { 'background-color': '#eef' } }]);
+  });
+
+  test('keeps the Mapbox style offline once it was loaded under a service worker', () => {
+    withServiceWorker(null);
+    rememberOfflineStyle(THEME.mapStyle);
+    expect(mapStyleFor(THEME, false)).not.toBe(THEME.mapStyle);
+
+    withServiceWorker({});
+    rememberOfflineStyle(THEME.mapStyle);
+    rememberOfflineStyle(THEME.mapStyle);
+    expect(JSON.parse(localStorage.getItem('rea-offline-styles'))).toEqual([THEME.mapStyle]);
+    expect(mapStyleFor(THEME, false)).toBe(THEME.mapStyle);
+  });
+});
@@ -0,0 +1,91 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// projectDetails.js
+// Lookups behind the project detail drawer: stable ids for deep links, the
+// labelled property list, nearest neighbours and the contractor's other work.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as turf from '@turf/turf';
+import { summarize } from './aggregateProjects';
+import { formatKm } from './gridDistance';
+import { LGA_CHECKS } from './lgaBoundaries';
+
+/* ── Known properties in display order; anything else is listed after them ── */
+export const PROJECT_FIELDS = [
+  { key: 'title',      label: 'Title'              },
+  { key: 'status',     label: 'Status'             },
+  { key: 'type',       label: 'Project type'       },
+  { key: 'type2',      label: 'Type code'          },
+  { key: 'year',       label: 'Award year'         },
+  { key: 'lot',        label: 'Lot no.'            },
+  { key: 'location',   label: 'Location'           },
+  { key: 'state',      label: 'State'              },
+  { key: 'state_raw',  label: 'State (as entered)' },
+  { key: 'lga',        label: 'LGA (by location)'  },
+  { key: 'lga_title',  label: 'LGA (from title)'   },
+  { key: 'lga_check',  label: 'LGA cross-check', format: c => (LGA_CHECKS[c] ? LGA_CHECKS[c].label : '--') },
+  { key: 'contractor', label: 'Contractor'         },
+  { key: 'grid_km',    label: 'Distance to grid', format: formatKm },
+];
+
+// Derived on load, not part of the source data
+const INTERNAL_KEYS = ['project_id', 'contractor_key', 'lga_id', 'technology', 'technology_2', 'type_parts'];
+
+/* ── [label, text] rows for every property of a project ── */
+export const projectFields = (p) => {
+  const known = PROJECT_FIELDS.map(({ key, label, format }) => [
+    label, format ? format(p[key]) : (p[key] === undefined || p[key] === null || p[key] === '' ? '--' : String(p[key])),
+  ]);
+  const extra = Object.keys(p)
+    .filter(k => !INTERNAL_KEYS.includes(k) && !PROJECT_FIELDS.some(f => f.key === k))
+    .map(k => [k, p[k] === null || p[k] === '' ? '--' : String(p[k])]);
+  return [...known, ...extra];
+};
+
+// Short string hash (djb2), so ids stay readable in a URL
+const hash = (str) => {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h * 33) ^ str.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+};
+
+/* ── Copy of the features with a `project_id` derived from their content ──
+   The id survives re-imports of the same sheet; exact duplicate rows get a -2, -3… suffix. */
+export const addProjectIds = (features) => {
+  const seen = {};
+  return features.map(f => {
+    const p = f.properties;
+    const base = hash([p.title, p.lot, p.year, p.contractor, ...(f.geometry ? f.geometry.coordinates : [])].join('|'));
+    seen[base] = (seen[base] || 0) + 1;
+    return { ...f, properties: { ...p, project_id: seen[base] > 1 ? `${base}-${seen[base]}` : base } };
+  });
+};
+
+/* ── The `limit` closest other projects, as { feature, km } ── */
+export const nearestProjects = (feature, features, limit = 5) => {
+  const from = feature.geometry.coordinates;
+  return features
+    .filter(f => f.geometry && f.properties.project_id !== feature.properties.project_id)
+    .map(f => ({ feature: f, km: turf.distance(from, f.geometry.coordinates, { units: 'kilometers' }) }))
+    .sort((a, b) => a.km - b.km)
+    .slice(0, limit);
+};
+
+/* ── Other projects under the same contractor key, newest first ── */
+export const contractorProjects = (feature, features) => {
+  const key = feature.properties.contractor_key;
+  if (!key) return [];
+  return features
+    .filter(f => f.properties.contractor_key === key && f.properties.project_id !== feature.properties.project_id)
+    .sort((a, b) => (Number(b.properties.year) || 0) - (Number(a.properties.year) || 0));
+};
+
+/* ── The project's state: its totals plus how many share the project's type ── */
+export const stateContext = (feature, features) => {
+  const { state, type } = feature.properties;
+  const inState = features.filter(f => f.properties.state === state);
+  return {
+    state,
+    ...summarize(inState),
+    same_type: inState.filter(f => f.properties.type === type).length,
+  };
+};
@@ -0,0 +1,77 @@
+import * as turf from '@turf/turf';
+import { PROJECT_FIELDS, projectFields, addProjectIds, nearestProjects, contractorProjects, stateContext } from './projectDetails';
+import { addTechnologies } from './technologyTaxonomy';
+
+const FEATURES = addProjectIds([
+  turf.point([7.50, 9.50], { title: 'Mini grid A', lot: '1', year: '2020', contractor: 'Acme', contractor_key: 'ACME', state: 'KADUNA', type: 'SOLAR MINI GRID', status: 'COMPLETED' }),
+  turf.point([7.51, 9.50], { title: 'Street lights', lot: '2', year: '2022', contractor: 'Acme', contractor_key: 'ACME', state: 'KADUNA', type: 'SOLAR STREET LIGHT', status: 'ONGOING' }),
+  turf.point([7.60, 9.50], { title: 'Mini grid B', lot: '3', year: '2021', contractor: 'Delta', contractor_key: 'DELTA', state: 'KADUNA', type: 'SOLAR MINI GRID', status: 'ONGOING' }),
+  turf.point([8.50, 9.50], { title: 'Borehole', lot: '4', year: '', contractor: 'Acme', contractor_key: 'ACME', state: 'PLATEAU', type: 'SOLAR BOREHOLE', status: 'COMPLETED' }),
+  { type: 'Feature', geometry: null, properties: { title: 'Unplaced', contractor_key: 'ACME', state: 'KADUNA', type: 'GRID' } },
+]);
+
+describe('addProjectIds', () => {
+  test('derives the same id from the same content', () => {
+    const again = addProjectIds([turf.point([7.50, 9.50], { ...FEATURES[0].properties, project_id: undefined, status: 'ONGOING' })]);
+    expect(again[0].properties.project_id).toBe(FEATURES[0].properties.project_id);
+  });
+
+  test('gives every project a distinct id, numbering exact duplicates', () => {
+    const ids = FEATURES.map(f => f.properties.project_id);
+    expect(new Set(ids).size).toBe(ids.length);
+    const [a, b, c] = addProjectIds([FEATURES[0], FEATURES[0], FEATURES[0]]).map(f => f.properties.project_id);
+    expect([b, c]).toEqual([`${a}-2`, `${a}-3`]);
+  });
+
+  test('leaves the input features untouched', () => {
+    const input = [turf.point([7, 9], { title: 'X' })];
+    addProjectIds(input);
+    expect(input[0].properties).not.toHaveProperty('project_id');
+  });
+});
+
+describe('projectFields', () => {
+  test('lists the known fields in order, formatted, then any extra properties', () => {
+    const rows = projectFields({ title: 'Mini grid', status: 'ONGOING', grid_km: 3.25, lga_check: 'mismatch', project_id: 'abc', contractor_key: 'ACME', source_row: 12, note: '' });
+    expect(rows.slice(0, 2)).toEqual([['Title', 'Mini grid'], ['Status', 'ONGOING']]);
+    expect(rows).toContainEqual(['Project type', '--']);
+    expect(rows).toContainEqual(['LGA cross-check', 'Title names a different LGA']);
+    expect(rows.find(([label]) => label === 'Distance to grid')[1]).toMatch(/^3\.\d+ km$/);
+    expect(rows.slice(-2)).toEqual([['source_row', '12'], ['note', '--']]);
+    const labels = rows.map(([label]) => label);
+    expect(labels).not.toContain('project_id');
+    expect(labels).not.toContain('contractor_key');
+  });
+
+  test('leaves out the technology keys added on load, listing only the source fields', () => {
+    const [feature] = addTechnologies([turf.point([7, 9], { title: 'Hybrid', type: 'SOLAR MINI GRID/GRID EXTENSION', source_row: 4 })]);
+    expect(feature.properties).toHaveProperty('technology');
+    const rows = projectFields(feature.properties);
+    expect(rows).toContainEqual(['Project type', 'SOLAR MINI GRID/GRID EXTENSION']);
+    expect(rows.slice(PROJECT_FIELDS.length)).toEqual([['source_row', '4']]);
+  });
+});
+
+describe('nearestProjects', () => {
+  test('lists the closest other located projects with their distance', () => {
+    const near = nearestProjects(FEATURES[0], FEATURES, 2);
+    expect(near.map(n => n.feature.properties.title)).toEqual(['Street lights', 'Mini grid B']);
+    expect(near[0].km).toBeCloseTo(1.1, 1);
+  });
+});
+
+describe('contractorProjects', () => {
+  test('lists the contractor\'s other projects, newest first', () => {
+    expect(contractorProjects(FEATURES[0], FEATURES).map(f => f.properties.title)).toEqual(['Street lights', 'Borehole', 'Unplaced']);
+  });
+
+  test('lists nothing without a contractor key', () => {
+    expect(contractorProjects({ properties: { contractor_key: '' } }, FEATURES)).toEqual([]);
+  });
+});
+
+describe('stateContext', () => {
+  test('summarises the project\'s state and counts projects of its type', () => {
+    expect(stateContext(FEATURES[0], FEATURES)).toMatchObject({ state: 'KADUNA', total: 4, completed: 1, same_type: 2 });
+  });
+});
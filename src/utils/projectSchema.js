@@ -0,0 +1,187 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// projectSchema.js
+// Canonical property schema for the project-points layer, plus the
+// normalisers and row validation used by the spreadsheet import wizard.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/* ── Canonical fields, with the source headers each one is guessed from ── */
+export const CANONICAL_FIELDS = [
+  { key: 'title',      label: 'Project title', required: true,  aliases: ['PROJECT/ PROGRAMME TITLE', 'PROJECT TITLE', 'PROGRAMME TITLE', 'TITLE', 'PROJECT NAME', 'PROJECT'] },
+  { key: 'year',       label: 'Year',          required: true,  aliases: ['YEAR', 'AWARD YEAR', 'PROJECT YEAR'] },
+  { key: 'type',       label: 'Project type',  required: true,  aliases: ['PROJECT TYPE', 'TYPE', 'TECHNOLOGY'] },
+  { key: 'status',     label: 'Status',        required: false, aliases: ['PROJECT STATUS', 'STATUS'] },
+  { key: 'location',   label: 'Location',      required: false, aliases: ['PRECISE LOCATION', 'LOCATION', 'COMMUNITY', 'SITE'] },
+  { key: 'contractor', label: 'Contractor',    required: false, aliases: ['CONTRACTOR', 'CONTRACTOR NAME', 'VENDOR'] },
+  { key: 'lot',        label: 'Lot no.',       required: false, aliases: ['LOT NO.', 'LOT NO', 'LOT NUMBER', 'LOT'] },
+  { key: 'state',      label: 'State',         required: false, aliases: ['RESOLVED_STATE', 'STATE', 'STATE_RAW'] },
+  { key: 'longitude',  label: 'Longitude',     required: true,  aliases: ['LONGITUDE', 'LONG', 'LON', 'LNG', 'X'] },
+  { key: 'latitude',   label: 'Latitude',      required: true,  aliases: ['LATITUDE', 'LAT', 'Y'] },
+];
+
+export const CANONICAL_STATUSES = ['COMPLETED', 'ONGOING', 'YET TO MOBILIZE'];
+
+export const YEAR_RANGE = [2015, new Date().getFullYear() + 1];
+
+export const REJECT_REASONS = {
+  missing_title:       'Missing title',
+  missing_type:        'Missing project type',
+  missing_coordinates: 'Missing coordinates',
+  comma_decimal:       'Comma-decimal or multi-value coordinates',
+  invalid_coordinates: 'Invalid coordinates',
+  unknown_status:      'Unknown status',
+  missing_year:        'Missing year',
+  year_out_of_range:   'Year out of range',
+};
+
+const STATUS_ALIASES = {
+  'COMPLETED':       'COMPLETED',
+  'COMPLETE':        'COMPLETED',
+  'COMMISSIONED':    'COMPLETED',
+  'DONE':            'COMPLETED',
+  'ONGOING':         'ONGOING',
+  'ON GOING':        'ONGOING',
+  'IN PROGRESS':     'ONGOING',
+  'YET TO MOBILIZE': 'YET TO MOBILIZE',
+  'YET TO MOBILISE': 'YET TO MOBILIZE',
+  'NOT MOBILIZED':   'YET TO MOBILIZE',
+  'NOT MOBILISED':   'YET TO MOBILIZE',
+  'NOT STARTED':     'YET TO MOBILIZE',
+};
+
+const TYPE_ALIASES = {
+  'SSL':             'SOLAR STREET LIGHT',
+  'SOLAR STREETLIGHT': 'SOLAR STREET LIGHT',
+  'SMG':             'SOLAR MINI GRID',
+  'SOLAR MINIGRID':  'SOLAR MINI GRID',
+  'SHS':             'SOLAR HOME SYSTEM',
+  'SOLAR BORE HOLE': 'SOLAR BOREHOLE',
+  'EV':              'ELECTRIC VEHICLE',
+};
+
+// Short codes carried in the `type2` property of projects-final.geojson
+const TYPE_CODES = {
+  'SOLAR STREET LIGHT':    'SSL',
+  'SOLAR MINI GRID':       'SMG',
+  'SOLAR HOME SYSTEM':     'SHS',
+  'SOLAR WATER PUMP':      'SP/IP',
+  'SOLAR PUMPING MACHINE': 'SP/IP',
+  'SOLAR IRRIGATION PUMP': 'SP/IP',
+  'SOLAR BOREHOLE':        'SP/IP',
+  'INJECTION SUBSTATION':  'INJSBXN',
+  'ELECTRIC VEHICLE':      'EV',
+};
+
+const squash   = value => String(value ?? '').trim().replace(/\s+/g, ' ');
+const headerKey = value => squash(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/* ── Best guess of source header for each canonical field ── */
+export const guessColumnMapping = (headers) => {
+  const byKey = {};
+  headers.forEach(h => { if (!byKey[headerKey(h)]) byKey[headerKey(h)] = h; });
+  const mapping = {};
+  CANONICAL_FIELDS.forEach(({ key, aliases }) => {
+    const hit = aliases.map(headerKey).find(a => byKey[a]);
+    mapping[key] = hit ? byKey[hit] : '';
+  });
+  return mapping;
+};
+
+/* ── Normalisers ── */
+export const normalizeStatus = (value) => {
+  const s = squash(value).toUpperCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ');
+  if (!s) return '';
+  return STATUS_ALIASES[s] || null;
+};
+
+export const normalizeType = (value) => squash(value)
+  .toUpperCase()
+  .split('/')
+  .map(part => squash(part))
+  .filter(Boolean)
+  .map(part => TYPE_ALIASES[part] || part)
+  .join('/');
+
+export const typeCode = (type) => type
+  .split('/')
+  .map(part => TYPE_CODES[part] || part)
+  .join('/');
+
+export const normalizeYear = (value) => {
+  const m = squash(value).match(/\b(\d{4})\b/);
+  return m ? m[1] : '';
+};
+
+const parseCoordinate = (value) => {
+  if (typeof value === 'number') return { value };
+  const s = squash(value);
+  if (!s) return { missing: true };
+  if (s.includes(',')) return { comma: true };
+  const n = Number(s);
+  return Number.isFinite(n) ? { value: n } : { invalid: true };
+};
+
+/* ── Validate one source row against the mapping ──
+   Returns { feature } when the row is usable, otherwise { reasons }. */
+export const validateRow = (row, mapping) => {
+  const get = key => (mapping[key] ? row[mapping[key]] : '');
+  const reasons = [];
+  const reject  = (code, detail) => reasons.push({ code, message: detail ? `${REJECT_REASONS[code]}: ${detail}` : REJECT_REASONS[code] });
+
+  const title = squash(get('title'));
+  if (!title) reject('missing_title');
+
+  const type = normalizeType(get('type'));
+  if (!type) reject('missing_type');
+
+  const lng = parseCoordinate(get('longitude'));
+  const lat = parseCoordinate(get('latitude'));
+  if (lng.missing || lat.missing) reject('missing_coordinates');
+  else if (lng.comma || lat.comma) reject('comma_decimal', `${squash(get('longitude'))} / ${squash(get('latitude'))}`);
+  else if (lng.invalid || lat.invalid || Math.abs(lng.value) > 180 || Math.abs(lat.value) > 90)
+    reject('invalid_coordinates', `${squash(get('longitude'))} / ${squash(get('latitude'))}`);
+
+  const status = normalizeStatus(get('status'));
+  if (status === null) reject('unknown_status', `"${squash(get('status'))}"`);
+
+  const year = normalizeYear(get('year'));
+  if (!year) reject('missing_year');
+  else if (Number(year) < YEAR_RANGE[0] || Number(year) > YEAR_RANGE[1])
+    reject('year_out_of_range', `${year} (allowed ${YEAR_RANGE[0]}–${YEAR_RANGE[1]})`);
+
+  if (reasons.length) return { reasons };
+
+  return {
+    feature: {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [lng.value, lat.value] },
+      properties: {
+        title,
+        year,
+        type,
+        type2:      typeCode(type),
+        status,
+        location:   squash(get('location')),
+        contractor: squash(get('contractor')),
+        lot:        squash(get('lot')),
+        state:      squash(get('state')).toUpperCase(),
+      },
+    },
+  };
+};
+
+/* ── Spreadsheet row number of a source row ──
+   sheet_to_json skips blank rows, so the position in `rows` is not the sheet row; it records
+   the 0-based sheet row as the non-enumerable __rowNum__. Rows without it (GeoJSON) count on from a header in row 1. */
+export const sourceRowNumber = (row, index) => (Number.isInteger(row.__rowNum__) ? row.__rowNum__ + 1 : index + 2);
+
+/* ── Validate every row; rowNumber is the spreadsheet row ── */
+export const validateRows = (rows, mapping) => {
+  const features = [];
+  const rejects  = [];
+  rows.forEach((row, index) => {
+    const { feature, reasons } = validateRow(row, mapping);
+    if (feature) features.push(feature);
+    else rejects.push({ index, rowNumber: sourceRowNumber(row, index), reasons });
+  });
+  return { features, rejects };
+};
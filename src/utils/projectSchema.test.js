@@ -0,0 +1,107 @@
+import * as XLSX from 'xlsx';
+import {
+  guessColumnMapping, normalizeStatus, normalizeType, typeCode, normalizeYear, validateRow, validateRows, YEAR_RANGE,
+} from './projectSchema';
+
+const MAPPING = {
+  title: 'TITLE', year: 'YEAR', type: 'TYPE', status: 'STATUS', location: '', contractor: '', lot: '', state: 'STATE',
+  longitude: 'LONGITUDE', latitude: 'LATITUDE',
+};
+
+const row = (overrides = {}) => ({
+  TITLE: 'Solar mini grid', YEAR: '2021', TYPE: 'SMG', STATUS: 'Completed', STATE: 'kano', LONGITUDE: '8.5', LATITUDE: '12.0',
+  ...overrides,
+});
+
+const codes = (result) => (result.reasons || []).map(r => r.code);
+
+describe('guessColumnMapping', () => {
+  test('matches aliases regardless of case, spacing and punctuation', () => {
+    const mapping = guessColumnMapping(['Project/ Programme Title', 'year', 'Project Type', 'Lot No', 'Long', 'lat']);
+    expect(mapping).toMatchObject({
+      title: 'Project/ Programme Title', year: 'year', type: 'Project Type', lot: 'Lot No', longitude: 'Long', latitude: 'lat',
+    });
+  });
+
+  test('leaves unmatched fields blank', () => {
+    expect(guessColumnMapping(['TITLE']).contractor).toBe('');
+  });
+
+  test('prefers the earlier alias when several headers match', () => {
+    expect(guessColumnMapping(['STATE', 'RESOLVED_STATE']).state).toBe('RESOLVED_STATE');
+  });
+});
+
+describe('normalisers', () => {
+  test('normalizeStatus maps aliases, keeps blanks and rejects the unknown', () => {
+    expect(normalizeStatus(' on-going ')).toBe('ONGOING');
+    expect(normalizeStatus('Yet to mobilise')).toBe('YET TO MOBILIZE');
+    expect(normalizeStatus('commissioned')).toBe('COMPLETED');
+    expect(normalizeStatus('')).toBe('');
+    expect(normalizeStatus('abandoned')).toBeNull();
+  });
+
+  test('normalizeType expands short codes in each part of a combined type', () => {
+    expect(normalizeType('ssl')).toBe('SOLAR STREET LIGHT');
+    expect(normalizeType(' grid /  smg ')).toBe('GRID/SOLAR MINI GRID');
+    expect(normalizeType('')).toBe('');
+  });
+
+  test('typeCode abbreviates known types', () => {
+    expect(typeCode('GRID/SOLAR MINI GRID')).toBe('GRID/SMG');
+    expect(typeCode('SOLAR BOREHOLE')).toBe('SP/IP');
+  });
+
+  test('normalizeYear takes the four-digit year', () => {
+    expect(normalizeYear(2021)).toBe('2021');
+    expect(normalizeYear('FY 2019/20')).toBe('2019');
+    expect(normalizeYear('n/a')).toBe('');
+  });
+});
+
+describe('validateRow', () => {
+  test('builds a point feature from a valid row', () => {
+    const { feature } = validateRow(row(), MAPPING);
+    expect(feature.geometry.coordinates).toEqual([8.5, 12]);
+    expect(feature.properties).toEqual({
+      title: 'Solar mini grid', year: '2021', type: 'SOLAR MINI GRID', type2: 'SMG', status: 'COMPLETED',
+      location: '', contractor: '', lot: '', state: 'KANO',
+    });
+  });
+
+  test.each([
+    [{ TITLE: '  ' },                          'missing_title'],
+    [{ TYPE: '' },                             'missing_type'],
+    [{ TYPE: ' / ' },                          'missing_type'],
+    [{ LONGITUDE: '' },                        'missing_coordinates'],
+    [{ LONGITUDE: '8,5' },                     'comma_decimal'],
+    [{ LATITUDE: '95' },                       'invalid_coordinates'],
+    [{ LONGITUDE: 'east' },                    'invalid_coordinates'],
+    [{ STATUS: 'abandoned' },                  'unknown_status'],
+    [{ YEAR: '' },                             'missing_year'],
+    [{ YEAR: String(YEAR_RANGE[0] - 1) },      'year_out_of_range'],
+  ])('rejects %j as %s', (overrides, code) => {
+    expect(codes(validateRow(row(overrides), MAPPING))).toEqual([code]);
+  });
+
+  test('reports every problem with a row at once', () => {
+    expect(codes(validateRow(row({ TITLE: '', TYPE: '', YEAR: '', STATUS: 'x' }), MAPPING)))
+      .toEqual(['missing_title', 'missing_type', 'unknown_status', 'missing_year']);
+  });
+});
+
+describe('validateRows', () => {
+  test('splits rows into features and rejects numbered as spreadsheet rows', () => {
+    const { features, rejects } = validateRows([row(), row({ TITLE: '' }), row()], MAPPING);
+    expect(features).toHaveLength(2);
+    expect(rejects).toEqual([{ index: 1, rowNumber: 3, reasons: [{ code: 'missing_title', message: 'Missing title' }] }]);
+  });
+
+  test('numbers rejects by their sheet row when blank rows were skipped', () => {
+    const good = Object.values(row());
+    const sheet = XLSX.utils.aoa_to_sheet([Object.keys(row()), good, [], [], Object.values(row({ TITLE: '' })), good]);
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+    expect(rows).toHaveLength(3);
+    expect(validateRows(rows, MAPPING).rejects.map(r => [r.index, r.rowNumber])).toEqual([[1, 5]]);
+  });
+});
@@ -0,0 +1,53 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// regionSelection.js
+// Hand-drawn selection regions (lasso polygon or radius circle) and the
+// projects that fall inside them, for corridors that cross state lines.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as turf from '@turf/turf';
+import { summarize } from './aggregateProjects';
+
+// Points closer than this (in pixels) to the first vertex close the lasso
+export const CLOSE_PX = 10;
+
+/* ── Circle of `km` around [lng, lat] ── */
+export const radiusRegion = (center, km) => turf.circle(center, km, {
+  steps: 72, units: 'kilometers',
+  properties: { kind: 'radius', center, radius_km: Math.round(km * 10) / 10 },
+});
+
+/* ── Closed polygon from the clicked vertices; null until it has three ── */
+export const polygonRegion = (vertices) => {
+  if (vertices.length < 3) return null;
+  return turf.polygon([[...vertices, vertices[0]]], { kind: 'polygon' });
+};
+
+/* ── Short description for panel and report headings ── */
+export const describeRegion = (region) => {
+  const p = region.properties;
+  if (p.kind === 'radius') {
+    const [lng, lat] = p.center;
+    return `${p.radius_km.toLocaleString()} km radius around ${lat.toFixed(3)}°N, ${lng.toFixed(3)}°E`;
+  }
+  const km2 = turf.area(region) / 1e6;
+  return `Drawn area of ${km2.toLocaleString(undefined, { maximumFractionDigits: km2 < 100 ? 1 : 0 })} km²`;
+};
+
+/* ── Features whose point lies inside the region ── */
+export const projectsInRegion = (features, region) => {
+  if (!region) return [];
+  const [minX, minY, maxX, maxY] = turf.bbox(region);
+  return features.filter(f => {
+    if (!f.geometry) return false;
+    const [x, y] = f.geometry.coordinates;
+    // Cheap bounding-box test first; most of the country falls outside it
+    if (x < minX || x > maxX || y < minY || y > maxY) return false;
+    return turf.booleanPointInPolygon(f.geometry.coordinates, region);
+  });
+};
+
+/* ── Summary stats for the selection, plus the states it reaches ── */
+export const summarizeRegion = (features) => ({
+  ...summarize(features),
+  states: [...new Set(features.map(f => f.properties.state).filter(Boolean))].sort(),
+});
@@ -0,0 +1,49 @@
+import * as turf from '@turf/turf';
+import { radiusRegion, polygonRegion, describeRegion, projectsInRegion, summarizeRegion } from './regionSelection';
+
+const FEATURES = [
+  turf.point([7.5, 9.5],   { state: 'KADUNA',  status: 'COMPLETED' }),
+  turf.point([7.52, 9.48], { state: 'PLATEAU', status: 'ONGOING' }),
+  turf.point([8.5, 9.5],   { state: 'PLATEAU', status: 'COMPLETED' }),
+  { type: 'Feature', geometry: null, properties: { state: 'KADUNA' } },
+];
+
+describe('polygonRegion', () => {
+  test('waits for three vertices, then closes the ring', () => {
+    expect(polygonRegion([[7, 9], [8, 9]])).toBeNull();
+    expect(polygonRegion([[7, 9], [8, 9], [8, 10]]).geometry.coordinates[0]).toEqual([[7, 9], [8, 9], [8, 10], [7, 9]]);
+  });
+});
+
+describe('projectsInRegion', () => {
+  test('keeps the points inside a drawn polygon and skips features without geometry', () => {
+    const region = polygonRegion([[7, 9], [8, 9], [8, 10], [7, 10]]);
+    expect(projectsInRegion(FEATURES, region)).toEqual([FEATURES[0], FEATURES[1]]);
+  });
+
+  test('keeps the points within the radius', () => {
+    expect(projectsInRegion(FEATURES, radiusRegion([7.5, 9.5], 5))).toEqual([FEATURES[0], FEATURES[1]]);
+    expect(projectsInRegion(FEATURES, radiusRegion([7.5, 9.5], 1))).toEqual([FEATURES[0]]);
+  });
+
+  test('selects nothing without a region', () => {
+    expect(projectsInRegion(FEATURES, null)).toEqual([]);
+  });
+});
+
+describe('describeRegion', () => {
+  test('describes a radius by its size and centre', () => {
+    expect(describeRegion(radiusRegion([7.5, 9.5], 12.34))).toBe('12.3 km radius around 9.500°N, 7.500°E');
+  });
+
+  test('describes a polygon by its area', () => {
+    expect(describeRegion(polygonRegion([[7, 9], [7.05, 9], [7.05, 9.05]]))).toMatch(/^Drawn area of [\d.]+ km²$/);
+  });
+});
+
+describe('summarizeRegion', () => {
+  test('adds the sorted states the selection reaches', () => {
+    const stats = summarizeRegion(FEATURES.slice(0, 3));
+    expect(stats).toMatchObject({ total: 3, completed: 2, states: ['KADUNA', 'PLATEAU'] });
+  });
+});
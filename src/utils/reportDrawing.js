@@ -0,0 +1,345 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// reportDrawing.js
+// Colours and jsPDF drawing helpers shared by the state and national reports.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { GRID_DISTANCE_BANDS } from './gridDistance';
+import { ALL_TECHNOLOGIES, TECH_CATEGORIES } from './technologyTaxonomy';
+
+export const REA_GREEN = [0, 132, 61];
+export const REA_DARK  = [0, 92,  43];
+export const WHITE     = [255, 255, 255];
+export const LIGHT_BG  = [245, 250, 247];
+export const GREY_TEXT = [120, 120, 120];
+export const DARK_TEXT = [30,  30,  30];
+
+/* ── Draw a rounded rectangle ── */
+export const roundRect = (doc, x, y, w, h, r, fillColor, strokeColor) => {
+  if (fillColor)   doc.setFillColor(...fillColor);
+  if (strokeColor) doc.setDrawColor(...strokeColor);
+  doc.roundedRect(x, y, w, h, r, r, fillColor ? (strokeColor ? 'FD' : 'F') : 'S');
+};
+
+/* ── Draw a horizontal progress bar ── */
+export const progressBar = (doc, x, y, w, h, pct, color) => {
+  roundRect(doc, x, y, w, h, h/2, [230, 240, 235]);
+  if (pct > 0) roundRect(doc, x, y, w * (pct/100), h, h/2, color);
+};
+
+/* ── Human-readable summary of the active filters; contractorName is the display name of the `contractor` key ── */
+export const filterSummary = ({
+  years = [], statuses = [], types = [], distances = [], contractor = null, contractorName = null, throughYear = null,
+} = {}) => [
+  ['Years',    years.length    ? [...years].sort().map(y => y || 'Unknown').join(', ') : 'All years'],
+  ['Status',   statuses.length ? statuses.map(s => s || 'Unknown').join(', ') : 'All statuses'],
+  ['Types',    types.length    ? types.map(t => t || 'Unknown').join(', ') : 'All project types'],
+  ...(distances.length
+    ? [['To grid', GRID_DISTANCE_BANDS.filter(b => distances.includes(b.id)).map(b => b.label).join(', ')]]
+    : []),
+  ...(contractor ? [['Contractor', contractorName || contractor]] : []),
+  ...(throughYear ? [['Up to', `Awarded in or before ${throughYear}`]] : []),
+];
+
+/* ── Footer on every page, numbered once the page count is known ── */
+export const pageFooter = (doc, page, pageCount, dateStr, W) => {
+  const footerY = 287;
+  doc.setFillColor(...LIGHT_BG);
+  doc.rect(0, footerY - 4, W, 14, 'F');
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.setTextColor(...GREY_TEXT);
+  doc.text('Rural Electrification Agency  ·  Project Monitoring Dashboard', 14, footerY + 2);
+  doc.text(`Page ${page} of ${pageCount}  ·  ${dateStr}`, W-14, footerY + 2, { align: 'right' });
+  doc.setDrawColor(...REA_GREEN);
+  doc.setLineWidth(0.5);
+  doc.line(14, footerY - 4, W-14, footerY - 4);
+};
+
+/* ── Stat block: colored top border, big number, small label ── */
+export const statBlock = (doc, x, y, w, h, value, label, color) => {
+  roundRect(doc, x, y, w, h, 3, WHITE);
+  doc.setFillColor(...color);
+  doc.rect(x, y, w, 2.5, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(...color);
+  doc.text(String(value), x + w/2, y + 14, { align: 'center' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(6.5);
+  doc.setTextColor(...GREY_TEXT);
+  doc.text(label.toUpperCase(), x + w/2, y + 20, { align: 'center' });
+};
+
+const hexRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+/* ── Technology breakdown rows, keyed by the aggregateProjects counts, from the taxonomy ── */
+export const TECH_ITEMS = ALL_TECHNOLOGIES.map(t => ({ key: t.key, label: t.label, short: t.short, color: hexRgb(t.color) }));
+
+/* ── TECH_ITEMS with a project in at least one of the given stats records ── */
+export const presentTechItems = (statsList) =>
+  TECH_ITEMS.filter(t => statsList.some(d => Number(d[t.key]) > 0));
+
+/* ── "Generation 120 · Productive use 4 …", noting combined types counted under each technology ── */
+export const techCategorySentence = (d) => {
+  const parts = TECH_CATEGORIES.filter(c => d[c.key] > 0).map(c => `${c.label} ${d[c.key].toLocaleString()}`);
+  if (d.multi_technology) parts.push(`${d.multi_technology.toLocaleString()} combined-type project${d.multi_technology === 1 ? '' : 's'} counted under each technology`);
+  return parts.join('  ·  ');
+};
+
+/* ── Category line, then a label + value + bar row for each technology present; returns the new y ── */
+export const techBreakdown = (doc, y, d, W, rowH = 11) => {
+  const sentence = techCategorySentence(d);
+  if (sentence) {
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(sentence, 14, y + 1);
+    y += 5;
+  }
+  presentTechItems([d]).forEach(t => {
+    const value  = Number(d[t.key]) || 0;
+    const barPct = d.total ? (value / d.total) * 100 : 0;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(t.label, 14, y + 3.5);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(`${value} (${Math.round(barPct)}%)`, W-14, y + 3.5, { align: 'right' });
+    progressBar(doc, 14, y + 5, W-28, 4, barPct, t.color);
+    y += rowH;
+  });
+  return y;
+};
+
+/* ── 'Abuja Federal Capital Territory' reads better as FCT ── */
+export const displayStateName = (name = '') =>
+  /federal capital territory/i.test(name) ? 'FCT – Abuja' : name;
+
+/* ── Green section heading with a rule underneath ── */
+export const sectionTitle = (doc, title, y, W) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(...REA_GREEN);
+  doc.text(title, 14, y);
+  doc.setDrawColor(...REA_GREEN);
+  doc.setLineWidth(0.4);
+  doc.line(14, y+2, W-14, y+2);
+};
+
+/* ── Status rows, keyed by the aggregateProjects counts ── */
+export const STATUS_ITEMS = [
+  { key: 'completed',       label: 'Completed',       color: [0, 196, 140] },
+  { key: 'ongoing',         label: 'Ongoing',         color: [255, 184, 0] },
+  { key: 'yet_to_mobilize', label: 'Yet to Mobilize', color: [255, 71, 87] },
+];
+
+/* ── Status dot colours for project tables ── */
+export const STATUS_RGB = {
+  'COMPLETED':       [0, 196, 140],
+  'ONGOING':         [255, 184, 0],
+  'YET TO MOBILIZE': [255, 71, 87],
+};
+
+/* ── Paginated project table on fresh pages, header repeated on each ──
+   `columns` are { label, w, key }; key 'n' is the row number and 'status' gets a colour dot. */
+export const projectTable = (doc, { heading, projects, columns, emptyText, W }) => {
+  const LINE_H    = 2.8;
+  const TABLE_END = 276;
+
+  const tableHeader = () => {
+    doc.addPage();
+    doc.setFillColor(...REA_GREEN);
+    doc.rect(0, 0, W, 18, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.setTextColor(...WHITE);
+    doc.text(heading, 14, 12);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7.5);
+    doc.text(`${projects.length} project${projects.length === 1 ? '' : 's'}`, W-14, 12, { align: 'right' });
+
+    const top = 24;
+    doc.setFillColor(...REA_DARK);
+    doc.rect(14, top, W-28, 8, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(...WHITE);
+    let cx = 14;
+    columns.forEach(c => {
+      doc.text(c.label, cx + 2, top + 5.5);
+      cx += c.w;
+    });
+    return top + 8;
+  };
+
+  let y = tableHeader();
+
+  if (!projects.length) {
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(8);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(emptyText, 14, y + 8);
+  }
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(6.5);
+  projects.forEach((p, i) => {
+    const cells = columns.map(c => {
+      const value = c.key === 'n' ? String(i + 1)
+        : c.key === 'status' ? (p.status || 'UNKNOWN')
+        : String(p[c.key] || '').replace(/\s+/g, ' ').trim();
+      // Status text sits after the colour dot, so it gets a little less room
+      const width = c.w - (c.key === 'status' ? 7 : 4);
+      return doc.splitTextToSize(value, width);
+    });
+    const rowH = Math.max(...cells.map(l => l.length)) * LINE_H + 3;
+
+    if (y + rowH > TABLE_END) y = tableHeader();
+
+    doc.setFillColor(...(i % 2 === 0 ? WHITE : LIGHT_BG));
+    doc.rect(14, y, W-28, rowH, 'F');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(6.5);
+    doc.setTextColor(...DARK_TEXT);
+    let cx = 14;
+    columns.forEach((c, ci) => {
+      const tx = c.key === 'status' ? cx + 5 : cx + 2;
+      doc.text(cells[ci], tx, y + 3.8, { lineHeightFactor: 1.2 });
+      if (c.key === 'status') {
+        doc.setFillColor(...(STATUS_RGB[p.status] || [47, 53, 66]));
+        doc.circle(cx + 2.8, y + 2.9, 1.2, 'F');
+      }
+      cx += c.w;
+    });
+    y += rowH;
+  });
+};
+
+// Unknown status is stacked too, so each year's column adds up to its total
+const TREND_STATUS = [...STATUS_ITEMS, { key: 'unknown_status', label: 'Unknown', color: [47, 53, 66] }];
+
+/* ── One column per year (yearTrend rows), `series` stacked bottom-up, legend underneath ── */
+export const stackedYearChart = (doc, y, rows, series, W, chartH = 48) => {
+  const x0     = 24;
+  const chartW = W - 14 - x0;
+  const max    = Math.max(1, ...rows.map(r => r.total));
+  const slot   = chartW / Math.max(1, rows.length);
+  const colW   = Math.min(slot * 0.6, 14);
+
+  doc.setDrawColor(220, 228, 224);
+  doc.setLineWidth(0.2);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(6.5);
+  doc.setTextColor(...GREY_TEXT);
+  [0, 0.5, 1].forEach(f => {
+    const gy = y + chartH - chartH * f;
+    doc.line(x0, gy, W-14, gy);
+    doc.text(String(Math.round(max * f)), x0 - 2, gy + 1, { align: 'right' });
+  });
+
+  rows.forEach((r, i) => {
+    const cx = x0 + slot * i + (slot - colW) / 2;
+    let top = y + chartH;
+    // Series can overlap (combined types count under each technology), so segments share the column
+    const stack = series.reduce((n, t) => n + (r[t.key] || 0), 0);
+    series.forEach(t => {
+      const h = stack ? (r[t.key] / stack) * (r.total / max) * chartH : 0;
+      if (h <= 0) return;
+      doc.setFillColor(...t.color);
+      doc.rect(cx, top - h, colW, h, 'F');
+      top -= h;
+    });
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(...DARK_TEXT);
+    if (r.total) doc.text(String(r.total), cx + colW/2, top - 1.5, { align: 'center' });
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(String(r.year), cx + colW/2, y + chartH + 4.5, { align: 'center' });
+  });
+
+  // Legend, wrapping onto a second line when the series are many
+  let lx = x0;
+  let ly = y + chartH + 10;
+  doc.setFontSize(6.5);
+  series.forEach(t => {
+    if (lx + 4 + doc.getTextWidth(t.label) > W - 14) { lx = x0; ly += 4; }
+    doc.setFillColor(...t.color);
+    doc.rect(lx, ly - 2.2, 2.6, 2.6, 'F');
+    doc.setTextColor(...DARK_TEXT);
+    doc.text(t.label, lx + 4, ly);
+    lx += doc.getTextWidth(t.label) + 10;
+  });
+  return ly + 4;
+};
+
+/* ── Latest year against the one before, in words: is the pipeline speeding up or stalling? ── */
+export const trendSentence = (rows) => {
+  if (rows.length < 2) return rows.length ? `${rows[0].total} projects awarded in ${rows[0].year}.` : 'No projects with a year of award.';
+  const [prev, last] = rows.slice(-2);
+  if (!prev.total) return `${last.total} projects awarded in ${last.year}, none in ${prev.year}.`;
+  const change = Math.round(((last.total - prev.total) / prev.total) * 100);
+  return `${last.total} projects awarded in ${last.year}, `
+    + (change === 0 ? `level with ${prev.year}` : `${change > 0 ? 'up' : 'down'} ${Math.abs(change)}% on ${prev.year} (${prev.total})`) + '.';
+};
+
+/* ── Per-year charts by technology and by status, the change sentence and a count table ── */
+export const yearTrendSection = (doc, y, rows, W) => {
+  sectionTitle(doc, 'PROJECTS BY YEAR OF AWARD  ·  TECHNOLOGY', y, W);
+  y = stackedYearChart(doc, y + 10, rows, presentTechItems(rows), W);
+
+  y += 8;
+  sectionTitle(doc, 'PROJECTS BY YEAR OF AWARD  ·  STATUS', y, W);
+  y = stackedYearChart(doc, y + 10, rows, TREND_STATUS, W);
+
+  y += 4;
+  doc.setFont('helvetica', 'italic');
+  doc.setFontSize(8);
+  doc.setTextColor(...DARK_TEXT);
+  doc.text(trendSentence(rows), 14, y);
+
+  // Count table: one row per year, carried over to a fresh page with its header when it runs out of room
+  const cols = [
+    { label: 'Year', w: 22 }, { label: 'Total', w: 24 }, { label: 'Completed', w: 28 }, { label: 'Ongoing', w: 26 },
+    { label: 'Yet to Mob.', w: 28 }, { label: 'Completion', w: W - 28 - 128 },
+  ];
+  const tableHeader = (top) => {
+    doc.setFillColor(...REA_DARK);
+    doc.rect(14, top, W-28, 7, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(7);
+    doc.setTextColor(...WHITE);
+    let hx = 14;
+    cols.forEach(c => { doc.text(c.label, hx + 2, top + 4.8); hx += c.w; });
+    return top + 7;
+  };
+  const continuedPage = () => {
+    doc.addPage();
+    doc.setFillColor(...REA_GREEN);
+    doc.rect(0, 0, W, 18, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.setTextColor(...WHITE);
+    doc.text('PROJECTS BY YEAR OF AWARD  (CONTINUED)', 14, 12);
+    return tableHeader(24);
+  };
+  y = tableHeader(y + 5);
+
+  const ROW_H = 5.5;
+  rows.forEach((r, i) => {
+    if (y + ROW_H > 276) y = continuedPage();
+    doc.setFillColor(...(i % 2 === 0 ? WHITE : LIGHT_BG));
+    doc.rect(14, y, W-28, ROW_H, 'F');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...DARK_TEXT);
+    const cells = [r.year, r.total, r.completed, r.ongoing, r.yet_to_mobilize].map(String);
+    let cx = 14;
+    cells.forEach((text, ci) => { doc.text(text, cx + 2, y + 3.8); cx += cols[ci].w; });
+    progressBar(doc, cx + 2, y + 1.6, cols[5].w - 16, 2.4, r.pct_completed, REA_GREEN);
+    doc.setTextColor(...GREY_TEXT);
+    doc.text(`${r.pct_completed}%`, W-16, y + 3.8, { align: 'right' });
+    y += ROW_H;
+  });
+  return y;
+};
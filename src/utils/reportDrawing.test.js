@@ -0,0 +1,80 @@
+import jsPDF from 'jspdf';
+import { yearTrendSection, trendSentence, filterSummary } from './reportDrawing';
+import { yearTrend } from './aggregateProjects';
+
+const project = (year, status, type = 'SOLAR MINI GRID') => ({ type: 'Feature', geometry: null, properties: { year, status, type } });
+
+const years = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// Every string drawn on the page, with the page it went on
+const drawnText = (doc) => {
+  const texts = [];
+  const text = doc.text.bind(doc);
+  jest.spyOn(doc, 'text').mockImplementation((value, ...rest) => {
+    [].concat(value).forEach(v => texts.push({ text: String(v), page: doc.getCurrentPageInfo().pageNumber }));
+    return text(value, ...rest);
+  });
+  return texts;
+};
+
+describe('yearTrendSection', () => {
+  const W = 210;
+
+  test('draws the charts and one table row per year on the page it starts on', () => {
+    const doc   = new jsPDF({ unit: 'mm', format: 'a4' });
+    const texts = drawnText(doc);
+    const rows  = yearTrend([project('2021', 'COMPLETED'), project('2022', 'ONGOING')], [2021, 2022]);
+    const y = yearTrendSection(doc, 28, rows, W);
+    expect(doc.getNumberOfPages()).toBe(1);
+    expect(y).toBeLessThanOrEqual(276);
+    expect(texts.filter(t => t.text === '2022').length).toBeGreaterThanOrEqual(3);
+  });
+
+  test('carries a long year table onto a new page instead of dropping years', () => {
+    const doc   = new jsPDF({ unit: 'mm', format: 'a4' });
+    const texts = drawnText(doc);
+    const axis  = years(1990, 2030);
+    const rows  = yearTrend(axis.map(y => project(String(y), 'COMPLETED')), axis);
+    yearTrendSection(doc, 28, rows, W);
+
+    expect(doc.getNumberOfPages()).toBe(2);
+    expect(texts).toContainEqual({ text: 'PROJECTS BY YEAR OF AWARD  (CONTINUED)', page: 2 });
+    expect(texts.filter(t => t.text === 'Yet to Mob.').map(t => t.page)).toEqual([1, 2]);
+    // The last year reaches the table on the continuation page
+    expect(texts).toContainEqual({ text: '2030', page: 2 });
+  });
+});
+
+describe('trendSentence', () => {
+  const row = (year, total) => ({ year, total });
+
+  test('compares the latest year with the one before', () => {
+    expect(trendSentence([row(2021, 10), row(2022, 15)])).toBe('15 projects awarded in 2022, up 50% on 2021 (10).');
+    expect(trendSentence([row(2021, 10), row(2022, 5)])).toBe('5 projects awarded in 2022, down 50% on 2021 (10).');
+    expect(trendSentence([row(2021, 4), row(2022, 4)])).toBe('4 projects awarded in 2022, level with 2021.');
+    expect(trendSentence([row(2021, 0), row(2022, 3)])).toBe('3 projects awarded in 2022, none in 2021.');
+  });
+
+  test('handles one year or none', () => {
+    expect(trendSentence([row(2022, 7)])).toBe('7 projects awarded in 2022.');
+    expect(trendSentence([])).toBe('No projects with a year of award.');
+  });
+});
+
+describe('filterSummary', () => {
+  test('names every filter, with "All …" for the empty ones', () => {
+    expect(filterSummary()).toEqual([['Years', 'All years'], ['Status', 'All statuses'], ['Types', 'All project types']]);
+    expect(filterSummary({ years: ['2022', '', '2019'], statuses: [''], distances: ['gt20', 'lt5'], contractor: 'Acme', throughYear: 2021 })).toEqual([
+      ['Years',      'Unknown, 2019, 2022'],
+      ['Status',     'Unknown'],
+      ['Types',      'All project types'],
+      ['To grid',    '≤ 5 km, > 20 km'],
+      ['Contractor', 'Acme'],
+      ['Up to',      'Awarded in or before 2021'],
+    ]);
+  });
+
+  test('prints the contractor\'s display name rather than its key', () => {
+    expect(filterSummary({ contractor: 'ACME NIG', contractorName: 'Acme Nig. Ltd.' })).toContainEqual(['Contractor', 'Acme Nig. Ltd.']);
+  });
+});
@@ -0,0 +1,94 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// searchProjects.js
+// Typo-tolerant free-text search over project title, location, contractor and
+// lot. Every query word must match some word of the project — exactly, as a
+// prefix, as a substring, or within a small edit distance — and results are
+// ranked by how closely the words matched.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const SEARCH_FIELDS = [
+  { key: 'title',      weight: 1.0 },
+  { key: 'location',   weight: 1.2 },
+  { key: 'contractor', weight: 0.9 },
+  { key: 'lot',        weight: 1.5 },
+];
+
+const normalize = (v) => String(v ?? '')
+  .toUpperCase()
+  .replace(/[^A-Z0-9]+/g, ' ')
+  .trim();
+
+const words = (v) => normalize(v).split(' ').filter(Boolean);
+
+/* ── Damerau–Levenshtein (optimal string alignment), bailing out above `max` ── */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev  = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev  = cur;
+  }
+  return prev[b.length];
+};
+
+// Allowed typos grow with word length; very short words must match exactly
+const maxTypos = (len) => (len < 3 ? 0 : len < 8 ? 1 : 2);
+
+/* ── 0…1 score for how well one query word matches one project word ── */
+const wordScore = (q, w) => {
+  if (w === q)          return 1;
+  if (w.startsWith(q))  return 0.85;
+  if (q.length >= 3 && w.includes(q)) return 0.6;
+  const typos = maxTypos(q.length);
+  if (!typos) return 0;
+  // Compare against the same-length prefix too, so a mistyped partial word still hits
+  const d = Math.min(editDistance(q, w, typos), editDistance(q, w.slice(0, q.length), typos));
+  return d <= typos ? 0.5 - d * 0.1 : 0;
+};
+
+/* ── Pre-split the searchable words once per data load ── */
+export const buildSearchIndex = (features) => features.map(feature => ({
+  feature,
+  fields: SEARCH_FIELDS.map(({ key, weight }) => ({ key, weight, words: words(feature.properties[key]) })),
+}));
+
+/* ── Ranked matches: [{ feature, score, field }] where field is the best-matching key ── */
+export const searchProjects = (index, query, limit = 20) => {
+  const terms = words(query);
+  if (!terms.length) return [];
+
+  const results = [];
+  index.forEach(({ feature, fields }) => {
+    let score = 0;
+    let bestField = null, bestFieldScore = 0;
+    for (const q of terms) {
+      let best = 0, bestKey = null;
+      for (const { key, weight, words: ws } of fields) {
+        for (const w of ws) {
+          const s = wordScore(q, w) * weight;
+          if (s > best) { best = s; bestKey = key; }
+        }
+      }
+      if (!best) return;
+      score += best;
+      if (best > bestFieldScore) { bestFieldScore = best; bestField = bestKey; }
+    }
+    results.push({ feature, score: score / terms.length, field: bestField });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || String(a.feature.properties.title).localeCompare(String(b.feature.properties.title)))
+    .slice(0, limit);
+};
@@ -0,0 +1,51 @@
+import { buildSearchIndex, searchProjects } from './searchProjects';
+
+const project = (properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: [7, 9] }, properties });
+
+const INDEX = buildSearchIndex([
+  project({ title: 'Solar mini grid at Gada',             location: 'Gada, Sokoto',   contractor: 'Acme Power Ltd', lot: 'LOT 12' }),
+  project({ title: 'Solar street lights, Ikeja',           location: 'Ikeja, Lagos',   contractor: 'Delta Energy',   lot: 'LOT 3' }),
+  project({ title: 'Grid extension to Kafin Hausa',        location: 'Kafin Hausa',    contractor: 'Acme Power Ltd', lot: '' }),
+  project({ title: 'Solar borehole in Maiduguri',          location: null,             contractor: '',               lot: 'LOT 120' }),
+]);
+
+const titles = (results) => results.map(r => r.feature.properties.title);
+
+describe('searchProjects', () => {
+  test('returns nothing for a blank query', () => {
+    expect(searchProjects(INDEX, '  ,. ')).toEqual([]);
+  });
+
+  test('requires every query word to match', () => {
+    expect(titles(searchProjects(INDEX, 'solar ikeja'))).toEqual(['Solar street lights, Ikeja']);
+    expect(searchProjects(INDEX, 'solar kano')).toEqual([]);
+  });
+
+  test('matches prefixes and substrings', () => {
+    expect(titles(searchProjects(INDEX, 'maidu'))).toEqual(['Solar borehole in Maiduguri']);
+    expect(titles(searchProjects(INDEX, 'duguri'))).toEqual(['Solar borehole in Maiduguri']);
+  });
+
+  test('tolerates typos, including swapped letters', () => {
+    expect(titles(searchProjects(INDEX, 'sokotp'))).toEqual(['Solar mini grid at Gada']);
+    expect(titles(searchProjects(INDEX, 'ikjea'))).toEqual(['Solar street lights, Ikeja']);
+    expect(titles(searchProjects(INDEX, 'maiduguiri'))).toEqual(['Solar borehole in Maiduguri']);
+  });
+
+  test('matches short words exactly only', () => {
+    expect(titles(searchProjects(INDEX, 'lot 3'))).toEqual(['Solar street lights, Ikeja']);
+  });
+
+  test('ranks exact matches above prefix matches and reports the best field', () => {
+    const [first, second] = searchProjects(INDEX, 'lot 12');
+    expect(first.feature.properties.lot).toBe('LOT 12');
+    expect(first.field).toBe('lot');
+    expect(second.feature.properties.lot).toBe('LOT 120');
+    expect(first.score).toBeGreaterThan(second.score);
+  });
+
+  test('orders equal scores by title and applies the limit', () => {
+    expect(titles(searchProjects(INDEX, 'acme'))).toEqual(['Grid extension to Kafin Hausa', 'Solar mini grid at Gada']);
+    expect(searchProjects(INDEX, 'acme', 1)).toHaveLength(1);
+  });
+});
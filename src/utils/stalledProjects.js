@@ -0,0 +1,104 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// stalledProjects.js
+// Watchlist of projects whose status has not moved on long after award:
+// still YET TO MOBILIZE, or still ONGOING, a configurable number of years
+// after their award `year`. The records carry no status dates, so the award
+// year is the only clock available.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import * as XLSX from 'xlsx';
+import { filterSummary } from './reportDrawing';
+import { toCSV, downloadBlob } from './downloadCSV';
+
+/* ── Statuses that can stall, with the default years since award before a project is flagged ── */
+export const STALL_RULES = {
+  'YET TO MOBILIZE': { key: 'yet_to_mobilize', label: 'Not mobilized', color: '#FF4757', years: 2 },
+  'ONGOING':         { key: 'ongoing',         label: 'Still ongoing', color: '#FFB800', years: 3 },
+};
+
+export const DEFAULT_STALL_YEARS = Object.fromEntries(
+  Object.values(STALL_RULES).map(r => [r.key, r.years])
+);
+
+/* ── Copies of the stalled features, each with `years_since_award` ── */
+export const findStalled = (features, thresholds, asOfYear = new Date().getFullYear()) => {
+  const stalled = [];
+  features.forEach(f => {
+    const p    = f.properties;
+    const rule = STALL_RULES[p.status];
+    const year = Number(p.year);
+    if (!rule || !(year > 0)) return;
+    const age = asOfYear - year;
+    if (age < thresholds[rule.key]) return;
+    stalled.push({ ...f, properties: { ...p, years_since_award: age } });
+  });
+  // Longest-waiting first
+  return stalled.sort((a, b) => b.properties.years_since_award - a.properties.years_since_award);
+};
+
+/* ── [{ key, label, total, yet_to_mobilize, ongoing, oldest }] grouped by one property, largest first ── */
+export const groupStalled = (stalled, by, labelOf = (f) => f.properties[by]) => {
+  const groups = {};
+  stalled.forEach(f => {
+    const key = f.properties[by] || '';
+    const g = groups[key] || (groups[key] = {
+      key, label: labelOf(f) || 'Unknown', total: 0, yet_to_mobilize: 0, ongoing: 0, oldest: null,
+    });
+    g.total += 1;
+    g[STALL_RULES[f.properties.status].key] += 1;
+    const year = Number(f.properties.year);
+    if (g.oldest === null || year < g.oldest) g.oldest = year;
+  });
+  return Object.values(groups).sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+};
+
+const WATCHLIST_COLUMNS = [
+  { key: 'contractor',        label: 'Contractor' },
+  { key: 'state',             label: 'State' },
+  { key: 'lga',               label: 'LGA' },
+  { key: 'lot',               label: 'Lot No.' },
+  { key: 'title',             label: 'Project Title' },
+  { key: 'type',              label: 'Type' },
+  { key: 'year',              label: 'Year of Award' },
+  { key: 'status',            label: 'Status' },
+  { key: 'years_since_award', label: 'Years Since Award' },
+  { key: 'longitude',         label: 'Longitude' },
+  { key: 'latitude',          label: 'Latitude' },
+];
+
+/* ── Watchlist as CSV or XLSX, sorted by contractor then state so each letter's list is contiguous ── */
+export const exportWatchlist = (format, { stalled, thresholds, filters }) => {
+  const now  = new Date();
+  const rows = stalled
+    .map(({ properties: p, geometry }) => ({
+      ...p,
+      longitude: geometry ? geometry.coordinates[0] : '',
+      latitude:  geometry ? geometry.coordinates[1] : '',
+    }))
+    .sort((a, b) => String(a.contractor_key).localeCompare(String(b.contractor_key))
+      || String(a.state).localeCompare(String(b.state)) || Number(a.year) - Number(b.year));
+  const meta = [
+    ['Exported', now.toISOString()],
+    ['Projects', String(rows.length)],
+    ...Object.entries(STALL_RULES).map(([status, r]) => [status, `${thresholds[r.key]}+ years since award`]),
+    ...filterSummary({ ...filters, statuses: [] }),
+  ];
+  const fileName = `REA-Stalled-Projects-${now.toISOString().slice(0,10)}`;
+
+  if (format === 'csv') {
+    const header = meta.map(([label, value]) => `# ${label}: ${value}`).join('\r\n');
+    downloadBlob(new Blob(['\uFEFF' + header + '\r\n' + toCSV(rows, WATCHLIST_COLUMNS)], { type: 'text/csv;charset=utf-8' }), `${fileName}.csv`);
+  } else if (format === 'xlsx') {
+    const table = (list) => list.map(r => Object.fromEntries(WATCHLIST_COLUMNS.map(c => [c.label, r[c.key] ?? ''])));
+    const groupSheet = (groups, label) => XLSX.utils.json_to_sheet(groups.map(g => ({
+      [label]: g.label, 'Stalled': g.total, 'Not mobilized': g.yet_to_mobilize, 'Still ongoing': g.ongoing, 'Oldest award': g.oldest,
+    })));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(table(rows), { header: WATCHLIST_COLUMNS.map(c => c.label) }), 'Stalled Projects');
+    XLSX.utils.book_append_sheet(wb, groupSheet(groupStalled(stalled, 'contractor_key', f => f.properties.contractor), 'Contractor'), 'By Contractor');
+    XLSX.utils.book_append_sheet(wb, groupSheet(groupStalled(stalled, 'state'), 'State'), 'By State');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Field', 'Value'], ...meta]), 'Export Info');
+    const data = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+    downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${fileName}.xlsx`);
+  }
+};
@@ -0,0 +1,91 @@
+import * as XLSX from 'xlsx';
+import { findStalled, groupStalled, exportWatchlist, DEFAULT_STALL_YEARS } from './stalledProjects';
+import { downloadBlob } from './downloadCSV';
+
+jest.mock('./downloadCSV', () => ({ ...jest.requireActual('./downloadCSV'), downloadBlob: jest.fn() }));
+
+const project = (properties, coordinates = [7, 9]) => ({ type: 'Feature', geometry: coordinates && { type: 'Point', coordinates }, properties });
+
+const FEATURES = [
+  project({ id: 'a', status: 'YET TO MOBILIZE', year: '2022', state: 'KANO',  contractor: 'Acme Ltd', contractor_key: 'ACME LIMITED' }),
+  project({ id: 'b', status: 'YET TO MOBILIZE', year: '2023', state: 'KANO',  contractor: 'Acme Ltd', contractor_key: 'ACME LIMITED' }),
+  project({ id: 'c', status: 'ONGOING',         year: 2020,   state: 'OYO',   contractor: 'Delta',    contractor_key: 'DELTA' }),
+  project({ id: 'd', status: 'ONGOING',         year: '2022', state: 'OYO',   contractor: 'Delta',    contractor_key: 'DELTA' }),
+  project({ id: 'e', status: 'COMPLETED',       year: '2015', state: 'KANO' }),
+  project({ id: 'f', status: 'YET TO MOBILIZE', year: '',     state: 'KANO' }),
+  project({ id: 'g', status: 'ONGOING',         year: '2018', state: '',      contractor: 'Acme Ltd', contractor_key: 'ACME LIMITED' }, null),
+];
+
+// Readable through FileReader, as jsdom's Blob has no text() / arrayBuffer()
+const readBlob = (blob, as) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload  = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  if (as === 'buffer') reader.readAsArrayBuffer(blob);
+  else reader.readAsText(blob);
+});
+
+describe('findStalled', () => {
+  const stalled = findStalled(FEATURES, DEFAULT_STALL_YEARS, 2024);
+
+  test('flags each status by its own threshold of years since award', () => {
+    expect(stalled.map(f => f.properties.id)).toEqual(['g', 'c', 'a']);
+    expect(stalled.map(f => f.properties.years_since_award)).toEqual([6, 4, 2]);
+  });
+
+  test('counts a project exactly at the threshold as stalled', () => {
+    expect(findStalled(FEATURES, { yet_to_mobilize: 1, ongoing: 2 }, 2024).map(f => f.properties.id)).toEqual(['g', 'c', 'a', 'd', 'b']);
+  });
+
+  test('skips other statuses and projects without a year', () => {
+    expect(findStalled(FEATURES, { yet_to_mobilize: 0, ongoing: 0 }, 2024).map(f => f.properties.id).sort()).toEqual(['a', 'b', 'c', 'd', 'g']);
+  });
+
+  test('leaves the input features untouched', () => {
+    expect(FEATURES[0].properties).not.toHaveProperty('years_since_award');
+  });
+});
+
+describe('groupStalled', () => {
+  const stalled = findStalled(FEATURES, { yet_to_mobilize: 1, ongoing: 2 }, 2024);
+
+  test('groups by a property with per-status counts and the oldest award, largest first', () => {
+    expect(groupStalled(stalled, 'contractor_key', f => f.properties.contractor)).toEqual([
+      { key: 'ACME LIMITED', label: 'Acme Ltd', total: 3, yet_to_mobilize: 2, ongoing: 1, oldest: 2018 },
+      { key: 'DELTA',        label: 'Delta',    total: 2, yet_to_mobilize: 0, ongoing: 2, oldest: 2020 },
+    ]);
+  });
+
+  test('labels a blank group "Unknown"', () => {
+    expect(groupStalled(stalled, 'state').map(g => [g.key, g.label, g.total])).toEqual([['KANO', 'KANO', 2], ['OYO', 'OYO', 2], ['', 'Unknown', 1]]);
+  });
+});
+
+describe('exportWatchlist', () => {
+  const stalled    = findStalled(FEATURES, DEFAULT_STALL_YEARS, 2024);
+  const thresholds = DEFAULT_STALL_YEARS;
+
+  beforeEach(() => downloadBlob.mockClear());
+
+  test('writes CSV with the thresholds on top, rows sorted by contractor then state', async () => {
+    exportWatchlist('csv', { stalled, thresholds, filters: { statuses: ['ONGOING'] } });
+    const [blob, fileName] = downloadBlob.mock.calls[0];
+    expect(fileName).toMatch(/^REA-Stalled-Projects-\d{4}-\d{2}-\d{2}\.csv$/);
+    const lines = (await readBlob(blob)).replace(/^\uFEFF/, '').split('\r\n');
+    expect(lines).toEqual(expect.arrayContaining(['# YET TO MOBILIZE: 2+ years since award', '# ONGOING: 3+ years since award', '# Status: All statuses']));
+    const rows = lines.filter(l => !l.startsWith('#'));
+    expect(rows[0]).toBe('Contractor,State,LGA,Lot No.,Project Title,Type,Year of Award,Status,Years Since Award,Longitude,Latitude');
+    expect(rows.slice(1).map(l => l.split(',').slice(0, 2).join(','))).toEqual(['Acme Ltd,', 'Acme Ltd,KANO', 'Delta,OYO']);
+    expect(rows[1].endsWith(',6,,')).toBe(true);
+  });
+
+  test('writes XLSX with the list, per-contractor and per-state sheets and the export info', async () => {
+    exportWatchlist('xlsx', { stalled, thresholds, filters: {} });
+    const wb = XLSX.read(await readBlob(downloadBlob.mock.calls[0][0], 'buffer'), { type: 'array' });
+    expect(wb.SheetNames).toEqual(['Stalled Projects', 'By Contractor', 'By State', 'Export Info']);
+    expect(XLSX.utils.sheet_to_json(wb.Sheets['Stalled Projects'])).toHaveLength(3);
+    expect(XLSX.utils.sheet_to_json(wb.Sheets['By Contractor'])[0]).toEqual({
+      'Contractor': 'Acme Ltd', 'Stalled': 2, 'Not mobilized': 1, 'Still ongoing': 1, 'Oldest award': 2018,
+    });
+  });
+});
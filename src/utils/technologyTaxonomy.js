@@ -0,0 +1,72 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// technologyTaxonomy.js
+// The one classification of project `type` values. Each part of a combined
+// type ("GRID/SOLAR STREET LIGHT") maps to its own technology, and every
+// technology sits in one category. Map colours, the legend, the side panel
+// pie and the PDF breakdowns all read from here.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { normalizeType } from './projectSchema';
+
+export const TECH_CATEGORIES = [
+  { key: 'generation',         label: 'Generation' },
+  { key: 'productive_use',     label: 'Productive use' },
+  { key: 'non_infrastructure', label: 'Non-infrastructure' },
+];
+
+/* ── Technologies in display order; `types` are normalised type parts ──
+   offGrid / onGrid drive the grid-distance siting checks in summarize. */
+export const TECHNOLOGIES = [
+  { key: 'solar_street_light',  label: 'Solar Street Light',   short: 'Street Light',  color: '#FFB800', category: 'generation',
+    types: ['SOLAR STREET LIGHT'] },
+  { key: 'grid',                label: 'Grid Extension',       short: 'Grid',          color: '#FF4757', category: 'generation',
+    types: ['GRID', 'INJECTION SUBSTATION'], onGrid: true },
+  { key: 'solar_mini_grid',     label: 'Solar Mini Grid',      short: 'Mini Grid',     color: '#1E90FF', category: 'generation',
+    types: ['SOLAR MINI GRID'], offGrid: true },
+  { key: 'solar_home_system',   label: 'Solar Home System',    short: 'Home System',   color: '#A855F7', category: 'generation',
+    types: ['SOLAR HOME SYSTEM'], offGrid: true },
+  { key: 'institutional_solar', label: 'Institutional Solar',  short: 'Institutional', color: '#00CEC9', category: 'generation',
+    types: ['HQRTS'] },
+  { key: 'solar_water_pump',    label: 'Solar Water Pump',     short: 'Pump',          color: '#20BF6B', category: 'productive_use',
+    types: ['SOLAR WATER PUMP', 'SOLAR PUMPING MACHINE', 'SOLAR IRRIGATION PUMP'] },
+  { key: 'solar_borehole',      label: 'Solar Borehole',       short: 'Borehole',      color: '#A0785A', category: 'productive_use',
+    types: ['SOLAR BOREHOLE'] },
+  { key: 'electric_vehicle',    label: 'Electric Vehicle',     short: 'EV',            color: '#FF7F50', category: 'productive_use',
+    types: ['ELECTRIC VEHICLE'] },
+  { key: 'support',             label: 'Training & Support',   short: 'Support',       color: '#F78FB3', category: 'non_infrastructure',
+    types: ['TRAINING', 'COUNTERPART FUNDING', 'VEHICLE PURCHASE'] },
+];
+
+// Type parts the taxonomy does not know yet, and blank types
+export const OTHER_TECH = { key: 'other_type', label: 'Other', short: 'Other', color: '#778CA3', category: null, types: [] };
+
+export const ALL_TECHNOLOGIES = [...TECHNOLOGIES, OTHER_TECH];
+
+const BY_TYPE = Object.fromEntries(TECHNOLOGIES.flatMap(t => t.types.map(type => [type, t])));
+
+/* ── Distinct technologies of a type, in the order its parts are written ── */
+export const technologiesOf = (type) => {
+  const parts = normalizeType(type).split('/').filter(Boolean);
+  const techs = [...new Set(parts.map(part => BY_TYPE[part] || OTHER_TECH))];
+  return techs.length ? techs : [OTHER_TECH];
+};
+
+/* ── Distinct category keys of a type; unknown parts belong to none ── */
+export const categoriesOf = (type) =>
+  [...new Set(technologiesOf(type).map(t => t.category).filter(Boolean))];
+
+/* ── Copy of the features with `technology` (first part) and `technology_2` (second, or '') for map styling ── */
+export const addTechnologies = (features) => features.map(f => {
+  const [first, second] = technologiesOf(f.properties.type);
+  return {
+    ...f,
+    properties: { ...f.properties, technology: first.key, technology_2: second ? second.key : '' },
+  };
+});
+
+/* ── Map colour of a technology-key property, e.g. techColorExpression('technology') ── */
+export const techColorExpression = (property, fallback = OTHER_TECH.color) => [
+  'match', ['get', property],
+  ...TECHNOLOGIES.flatMap(t => [t.key, t.color]),
+  fallback,
+];
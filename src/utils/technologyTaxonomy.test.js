@@ -0,0 +1,79 @@
+import { expression } from 'mapbox-gl/dist/style-spec/index.cjs';
+import {
+  TECHNOLOGIES, OTHER_TECH, TECH_CATEGORIES, technologiesOf, categoriesOf, addTechnologies, techColorExpression,
+} from './technologyTaxonomy';
+
+const keysOf = (type) => technologiesOf(type).map(t => t.key);
+
+describe('TECHNOLOGIES', () => {
+  test('gives every technology a unique key and a known category', () => {
+    const keys = TECHNOLOGIES.map(t => t.key);
+    expect(new Set(keys).size).toBe(keys.length);
+    const categories = TECH_CATEGORIES.map(c => c.key);
+    TECHNOLOGIES.forEach(t => expect(categories).toContain(t.category));
+  });
+
+  test('maps each type part to one technology', () => {
+    const types = TECHNOLOGIES.flatMap(t => t.types);
+    expect(new Set(types).size).toBe(types.length);
+  });
+});
+
+describe('technologiesOf', () => {
+  test('classifies each part of a combined type, in written order', () => {
+    expect(keysOf('GRID/SOLAR STREET LIGHT')).toEqual(['grid', 'solar_street_light']);
+    expect(keysOf('SOLAR STREET LIGHT/GRID')).toEqual(['solar_street_light', 'grid']);
+  });
+
+  test('normalises spacing and case first', () => {
+    expect(keysOf('  solar   mini grid ')).toEqual(['solar_mini_grid']);
+    expect(keysOf('Injection Substation / grid')).toEqual(['grid']);
+  });
+
+  test('lists a technology once when several parts map to it', () => {
+    expect(keysOf('SOLAR WATER PUMP/SOLAR IRRIGATION PUMP')).toEqual(['solar_water_pump']);
+  });
+
+  test('puts unknown and blank types under Other', () => {
+    expect(keysOf('WIND TURBINE')).toEqual([OTHER_TECH.key]);
+    expect(keysOf('GRID/WIND TURBINE')).toEqual(['grid', OTHER_TECH.key]);
+    expect(keysOf('')).toEqual([OTHER_TECH.key]);
+    expect(keysOf(null)).toEqual([OTHER_TECH.key]);
+  });
+});
+
+describe('categoriesOf', () => {
+  test('gives the distinct categories and none for unknown parts', () => {
+    expect(categoriesOf('GRID/SOLAR MINI GRID')).toEqual(['generation']);
+    expect(categoriesOf('SOLAR BOREHOLE/TRAINING/WIND TURBINE')).toEqual(['productive_use', 'non_infrastructure']);
+    expect(categoriesOf('')).toEqual([]);
+  });
+});
+
+describe('addTechnologies', () => {
+  test('adds the first and second technology keys without touching the input', () => {
+    const features = [
+      { type: 'Feature', geometry: null, properties: { type: 'GRID/SOLAR HOME SYSTEM' } },
+      { type: 'Feature', geometry: null, properties: { type: 'HQRTS' } },
+    ];
+    expect(addTechnologies(features).map(f => [f.properties.technology, f.properties.technology_2])).toEqual([
+      ['grid', 'solar_home_system'], ['institutional_solar', ''],
+    ]);
+    expect(features[0].properties).not.toHaveProperty('technology');
+  });
+});
+
+describe('techColorExpression', () => {
+  // Evaluated by Mapbox's own expression engine, as the map layer would
+  const colorOf = (key, fallback) => {
+    const parsed = expression.createExpression(techColorExpression('technology', fallback));
+    expect(parsed.result).toBe('success');
+    return parsed.value.evaluate({ zoom: 6 }, { type: 1, properties: { technology: key }, geometry: [] });
+  };
+
+  test('colours each technology key and falls back for anything else', () => {
+    TECHNOLOGIES.forEach(t => expect(colorOf(t.key)).toBe(t.color));
+    expect(colorOf(OTHER_TECH.key)).toBe(OTHER_TECH.color);
+    expect(colorOf('', 'transparent')).toBe('transparent');
+  });
+});
@@ -0,0 +1,71 @@
+// ─────────────────────────────────────────────────────────────────────────────
+// urlState.js
+// Map view state ⇄ URL query string, for shareable deep links.
+//   ?view=technology&year=2024&status=ONGOING&type=SOLAR%20MINI%20GRID
+//   &dist=gt20&state=KANO&project=1x2k9f&heat=1&theme=light&center=8.5200,12.0000&zoom=7.20
+// List filters use repeated keys so values may contain commas or slashes.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const DEFAULT_URL_STATE = {
+  view:     'coverage',
+  years:    [],
+  statuses: [],
+  types:    [],
+  distances: [],
+  contractor: null,
+  state:    null,
+  project:  null,
+  heatmap:  false,
+  dark:     true,
+  center:   null,
+  zoom:     null,
+};
+
+/* ── Query string → state; unknown or malformed values fall back to defaults ── */
+export const parseUrlState = (search, viewIds = []) => {
+  const q = new URLSearchParams(search);
+  const view = q.get('view');
+  const center = (q.get('center') || '').split(',').map(Number);
+  const zoom = q.get('zoom') ? Number(q.get('zoom')) : NaN;
+  return {
+    ...DEFAULT_URL_STATE,
+    view:     viewIds.includes(view) ? view : DEFAULT_URL_STATE.view,
+    years:    q.getAll('year'),
+    statuses: q.getAll('status'),
+    types:    q.getAll('type'),
+    distances: q.getAll('dist'),
+    contractor: q.get('contractor') || null,
+    state:    q.get('state') || null,
+    project:  q.get('project') || null,
+    heatmap:  q.get('heat') === '1',
+    dark:     q.get('theme') !== 'light',
+    center:   center.length === 2 && center.every(Number.isFinite) ? center : null,
+    zoom:     Number.isFinite(zoom) ? zoom : null,
+  };
+};
+
+/* ── State → query string (with leading '?', or '' for the default view) ──
+   Pass `camera` ({ center: [lng, lat], zoom }) to include the viewport. */
+export const serializeUrlState = (s, camera) => {
+  const q = new URLSearchParams();
+  if (s.view !== DEFAULT_URL_STATE.view) q.set('view', s.view);
+  s.years.forEach(v    => q.append('year', v));
+  s.statuses.forEach(v => q.append('status', v));
+  s.types.forEach(v    => q.append('type', v));
+  s.distances.forEach(v => q.append('dist', v));
+  if (s.contractor) q.set('contractor', s.contractor);
+  if (s.state)   q.set('state', s.state);
+  if (s.project) q.set('project', s.project);
+  if (s.heatmap) q.set('heat', '1');
+  if (!s.dark)   q.set('theme', 'light');
+  if (camera) {
+    q.set('center', camera.center.map(n => n.toFixed(4)).join(','));
+    q.set('zoom', camera.zoom.toFixed(2));
+  }
+  const str = q.toString();
+  return str ? `?${str}` : '';
+};
+
+/* ── Same map state, ignoring the camera — used to decide push vs replace ── */
+export const sameUrlState = (a, b) =>
+  serializeUrlState(a) === serializeUrlState(b);
@@ -0,0 +1,52 @@
+import { DEFAULT_URL_STATE, parseUrlState, serializeUrlState, sameUrlState } from './urlState';
+
+const VIEWS = ['coverage', 'technology', 'status'];
+
+describe('parseUrlState', () => {
+  test('gives the defaults for an empty query', () => {
+    expect(parseUrlState('', VIEWS)).toEqual(DEFAULT_URL_STATE);
+  });
+
+  test('reads every field, with repeated keys as lists', () => {
+    const search = '?view=technology&year=2021&year=&status=ONGOING&type=GRID%2FSOLAR%20MINI%20GRID&dist=gt20'
+      + '&contractor=acme&state=KANO&project=1x2k9f&heat=1&theme=light&center=8.5200,12.0000&zoom=7.20';
+    expect(parseUrlState(search, VIEWS)).toEqual({
+      view: 'technology', years: ['2021', ''], statuses: ['ONGOING'], types: ['GRID/SOLAR MINI GRID'], distances: ['gt20'],
+      contractor: 'acme', state: 'KANO', project: '1x2k9f', heatmap: true, dark: false, center: [8.52, 12], zoom: 7.2,
+    });
+  });
+
+  test('falls back to defaults for unknown or malformed values', () => {
+    const s = parseUrlState('?view=satellite&center=8.5&zoom=close&heat=yes&theme=blue', VIEWS);
+    expect(s).toMatchObject({ view: 'coverage', center: null, zoom: null, heatmap: false, dark: true });
+    expect(parseUrlState('?center=a,b', VIEWS).center).toBeNull();
+  });
+});
+
+describe('serializeUrlState', () => {
+  test('leaves the default view out of the URL', () => {
+    expect(serializeUrlState(DEFAULT_URL_STATE)).toBe('');
+  });
+
+  test('round-trips through parseUrlState', () => {
+    const s = {
+      ...DEFAULT_URL_STATE, view: 'status', years: ['2020', ''], types: ['SOLAR STREET LIGHT'], distances: ['lt5', '5-20'],
+      contractor: 'delta & sons', state: 'ABUJA FEDERAL CAPITAL TERRITORY', project: 'p1', heatmap: true, dark: false,
+    };
+    expect(parseUrlState(serializeUrlState(s), VIEWS)).toEqual(s);
+  });
+
+  test('adds the rounded camera when given', () => {
+    const search = serializeUrlState(DEFAULT_URL_STATE, { center: [8.123456, 11.98765], zoom: 6.456 });
+    expect(search).toBe('?center=8.1235%2C11.9877&zoom=6.46');
+    expect(parseUrlState(search, VIEWS)).toMatchObject({ center: [8.1235, 11.9877], zoom: 6.46 });
+  });
+});
+
+describe('sameUrlState', () => {
+  test('compares the map state and ignores the camera', () => {
+    const a = { ...DEFAULT_URL_STATE, state: 'KANO', center: [8, 12], zoom: 7 };
+    expect(sameUrlState(a, { ...a, center: [3, 6], zoom: 9 })).toBe(true);
+    expect(sameUrlState(a, { ...a, state: 'OYO' })).toBe(false);
+  });
+});